@@ -5,17 +5,43 @@ const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const fs = require('fs'); 
 const config = require('./config/config');
 const connectToDB = require('./config/db');
 const userRoute = require('./routes/user');
 const authRoute = require('./routes/auth');
 const folderRoute = require('./routes/folder');
 const assetRoute = require('./routes/asset');
+const uploadRoute = require('./routes/upload');
+const trashRoute = require('./routes/trash');
+const roleRoute = require('./routes/role');
+const groupRoute = require('./routes/group');
+const shareRoute = require('./routes/share');
+const auditRoute = require('./routes/audit');
+const twoFactorRoute = require('./routes/twoFactor');
+const settingRoute = require('./routes/setting');
+const invitationRoute = require('./routes/invitation');
+const accessTokenRoute = require('./routes/accessToken');
+const ssoRoute = require('./routes/sso');
+const directoryRoute = require('./routes/directory');
+const approvalWorkflowRoute = require('./routes/approvalWorkflow');
+const reviewRoute = require('./routes/review');
 const File = require('./models/file.model'); 
+const Folder = require('./models/folder.model');
+const UploadSession = require('./models/uploadSession.model');
+const Role = require('./models/role.model');
+const policy = require('./utils/policy');
+const auth = require('./middleware/auth');
+const authorize = require('./middleware/authorize');
 const storage = require('./utils/storage'); 
+const { schedule } = require('./utils/scheduler');
+const ldap = require('./utils/ldap');
+const ldapSync = require('./utils/ldap/sync');
+const reviewQueue = require('./utils/reviewQueue');
 
-connectToDB();
+connectToDB()
+  .then(() => Role.seedBuiltIns())
+  .then(() => policy.loadRoles())
+  .catch(err => console.error('❌ Failed to load roles:', err));
 
 const app = express();
 
@@ -35,7 +61,9 @@ app.use(helmet({
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 200,
-  message: 'Too many requests, please try again later'
+  message: 'Too many requests, please try again later',
+  // Chunked uploads send many small requests for one file
+  skip: (req) => req.method === 'PUT' && /^\/upload\/sessions\/[^/]+\/chunks\//.test(req.path)
 });
 app.use('/api/', apiLimiter);
 
@@ -44,28 +72,27 @@ app.use(cors({
   origin: "http://localhost:3000",
   credentials: true,
   methods: ['GET', 'POST', 'PUT','PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization',]
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Share-Password', 'X-Share-Access']
 }));
 app.use(cookieParser());
 app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Debug route (before API routes)
-app.get('/debug-file-path/:id', async (req, res) => {
+// Debug route (before API routes); admins only, it reveals storage keys
+app.get('/debug-file-path/:id', auth(), authorize('settings:manage'), async (req, res) => {
   try {
     const file = await File.findById(req.params.id);
     if (!file) return res.status(404).send('File not found in database');
     
-    const normalizedPath = file.path.replace(/\\/g, '/');
-    const fullPath = storage.getFullPath(normalizedPath);
+    const key = storage.toKey(file.path);
+    const stats = await storage.stat(key);
 
     const response = {
       dbPath: file.path,
-      normalizedPath,
-      storageRoot: storage.STORAGE_ROOT,
-      fullPath,
-      exists: fs.existsSync(fullPath)
+      key,
+      exists: !!stats,
+      size: stats?.size
     };
     
     res.json(response);
@@ -76,9 +103,23 @@ app.get('/debug-file-path/:id', async (req, res) => {
 
 // Routes
 app.use('/api/user', userRoute);
+app.use('/api/auth/2fa', twoFactorRoute);
+app.use('/api/auth/sso', ssoRoute);
 app.use('/api/auth', authRoute);
 app.use('/api/folder', folderRoute);
 app.use('/api/asset', assetRoute);
+app.use('/api/upload', uploadRoute);
+app.use('/api/trash', trashRoute);
+app.use('/api/roles', roleRoute);
+app.use('/api/groups', groupRoute);
+app.use('/api/share', shareRoute);
+app.use('/api/audit', auditRoute);
+app.use('/api/settings', settingRoute);
+app.use('/api/invitations', invitationRoute);
+app.use('/api/tokens', accessTokenRoute);
+app.use('/api/directory', directoryRoute);
+app.use('/api/workflows', approvalWorkflowRoute);
+app.use('/api/reviews', reviewRoute);
 
 // Unified error handlerx`
 app.use((err, req, res, next) => {
@@ -96,6 +137,28 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Background jobs
+schedule('role-cache-refresh', 60 * 1000, () => policy.loadRoles());
+schedule('upload-session-cleanup', 60 * 60 * 1000, () => UploadSession.cleanupExpired());
+schedule('trash-purge', config.trash.purgeIntervalMinutes * 60 * 1000, async () => {
+  const cutoff = new Date(Date.now() - config.trash.retentionDays * 24 * 60 * 60 * 1000);
+  const folders = await Folder.purgeExpired(cutoff);
+  const files = await File.purgeExpired(cutoff);
+  if (folders || files) {
+    console.log(`🗑️  Purged ${folders} folder(s) and ${files} file(s) from trash`);
+  }
+});
+schedule('review-sla', config.reviews.slaCheckIntervalMinutes * 60 * 1000, async () => {
+  const flagged = await reviewQueue.flagOverdue();
+  if (flagged) console.log(`⏳ Flagged ${flagged} overdue review(s)`);
+});
+if (ldap.isEnabled() && config.ldap.syncIntervalMinutes > 0) {
+  schedule('ldap-sync', config.ldap.syncIntervalMinutes * 60 * 1000, async () => {
+    const { summary, errors } = await ldapSync.runSync();
+    console.log(`📇 LDAP sync: ${summary.create} created, ${summary.update} updated, ${summary.deactivate} deactivated, ${errors.length} error(s)`);
+  });
+}
+
 // Start server
 app.listen(config.port, () => 
   console.log(`🚀 Server running in ${config.env} mode on port ${config.port}`)
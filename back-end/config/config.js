@@ -1,14 +1,200 @@
 require('dotenv').config();
+const fs = require('fs');
 const path = require('path');
 
+// SSO providers come from SSO_PROVIDERS (JSON array) or the JSON file at
+// SSO_CONFIG_FILE. See utils/sso for the options.
+const loadSsoProviders = () => {
+  if (process.env.SSO_PROVIDERS) return JSON.parse(process.env.SSO_PROVIDERS);
+  if (process.env.SSO_CONFIG_FILE) return JSON.parse(fs.readFileSync(process.env.SSO_CONFIG_FILE, 'utf8'));
+  return [];
+};
+
 module.exports = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 3000,
   mongoUri: process.env.MONGODB_URI,
   jwtSecret: process.env.JWT_SECRET,
   jwtRefreshSecret: process.env.JWT_REFRESH_SECRET,
+  // Encrypts secrets stored in the database (e.g. TOTP seeds)
+  secretKey: process.env.SECRET_KEY || process.env.JWT_SECRET,
   storagePath: process.env.STORAGE_PATH || path.join(__dirname, '../storage'),
   maxFileSize: process.env.MAX_FILE_SIZE || 5 * 1024 * 1024, // 5MB
+  storage: {
+    // 'local' keeps files on this server, 's3' uses any S3-compatible store (AWS, MinIO)
+    driver: process.env.STORAGE_DRIVER || 'local',
+    s3: {
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // MinIO and most self-hosted stores need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : !!process.env.S3_ENDPOINT
+    }
+  },
+  chunkedUpload: {
+    chunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024, // 5MB
+    maxFileSize: parseInt(process.env.MAX_CHUNKED_FILE_SIZE) || 2 * 1024 * 1024 * 1024, // 2GB
+    sessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24
+  },
+  trash: {
+    // Trashed files and folders are purged automatically after this many days
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+    purgeIntervalMinutes: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60
+  },
+  session: {
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '1d',
+    // Sliding: every refresh extends the session by this much
+    refreshTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+    // Two tabs refreshing at once present the same token; don't treat
+    // the loser of that race as token theft
+    rotationGraceSeconds: parseInt(process.env.REFRESH_ROTATION_GRACE_SECONDS) || 10
+  },
+  loginProtection: {
+    // Failure counts are forgotten after this long without a failure
+    resetAfterMinutes: parseInt(process.env.LOGIN_RESET_AFTER_MINUTES) || 60,
+    // Past the free attempts, each failure doubles the wait before the next try
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 30,
+    // Reaching maxAttempts locks for lockMinutes, doubling on each repeat
+    account: {
+      freeAttempts: 3,
+      maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 10,
+      lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+      maxLockMinutes: 24 * 60
+    },
+    // Looser, since many users can share one address behind a NAT
+    ip: {
+      freeAttempts: 10,
+      maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 50,
+      lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+      maxLockMinutes: 24 * 60
+    }
+  },
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Document Manager',
+    // Time allowed between the password step and the code step
+    challengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5,
+    recoveryCodeCount: 10
+  },
+  mail: {
+    // 'console' prints messages, 'file' writes them to outboxPath as .eml files
+    driver: process.env.MAIL_DRIVER || 'console',
+    from: process.env.MAIL_FROM || 'Document Manager <no-reply@localhost>',
+    outboxPath: process.env.MAIL_OUTBOX_PATH || path.join(__dirname, '../outbox')
+  },
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+    // bcrypt ignores everything past 72 bytes
+    maxLength: 72,
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    // Reject passwords containing the username or the email's local part
+    disallowPersonalInfo: true,
+    // Number of previous passwords that can't be reused (0 turns it off)
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE ?? 5),
+    breachedListPath: process.env.PASSWORD_BREACHED_LIST || path.join(__dirname, 'breached-passwords.txt')
+  },
+  registration: {
+    // Defaults until an admin changes them under /api/settings/registration.
+    // mode is 'open' | 'invite-only' | 'domain' | 'disabled'
+    mode: process.env.REGISTRATION_MODE || 'open',
+    // Email domains allowed to self-register in 'domain' mode
+    allowedDomains: (process.env.REGISTRATION_ALLOWED_DOMAINS || '')
+      .split(',')
+      .map(d => d.trim().toLowerCase())
+      .filter(Boolean),
+    // Role given to self-registered accounts; never taken from the request
+    defaultRole: process.env.REGISTRATION_DEFAULT_ROLE || 'user'
+  },
+  accessTokens: {
+    maxPerUser: 50,
+    // Longest lifetime a token can be created with; 0 allows no expiry
+    maxTtlDays: parseInt(process.env.ACCESS_TOKEN_MAX_TTL_DAYS ?? 365),
+    defaultTtlDays: 90,
+    // lastUsedAt is written at most this often per token
+    lastUsedResolutionSeconds: 60
+  },
+  sso: {
+    // Front-end the browser is sent back to after signing in
+    appUrl: process.env.SSO_APP_URL || 'http://localhost:3000',
+    // Public URL of this API; callbacks are <apiBaseUrl>/api/auth/sso/<id>/callback
+    apiBaseUrl: process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+    // Time allowed to finish signing in at the identity provider
+    stateTtlMinutes: 10,
+    providers: loadSsoProviders()
+  },
+  // LDAP / Active Directory. Off unless LDAP_URL is set. The defaults
+  // suit OpenLDAP; for AD use e.g. LDAP_USERNAME_ATTRIBUTE=sAMAccountName
+  // and LDAP_ID_ATTRIBUTE=objectGUID.
+  ldap: {
+    url: process.env.LDAP_URL, // ldap://localhost:389 or ldaps://dc.example.com
+    // Service account used to look users up and run the sync
+    bindDN: process.env.LDAP_BIND_DN,
+    bindPassword: process.env.LDAP_BIND_PASSWORD,
+    baseDN: process.env.LDAP_BASE_DN,
+    // {{login}} is replaced by what the user typed (escaped)
+    loginFilter: process.env.LDAP_LOGIN_FILTER || '(&(objectClass=inetOrgPerson)(|(mail={{login}})(uid={{login}})))',
+    // Users the sync job manages
+    syncFilter: process.env.LDAP_SYNC_FILTER || '(objectClass=inetOrgPerson)',
+    attributes: {
+      id: process.env.LDAP_ID_ATTRIBUTE || 'entryUUID',
+      username: process.env.LDAP_USERNAME_ATTRIBUTE || 'uid',
+      email: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+      name: process.env.LDAP_NAME_ATTRIBUTE || 'cn',
+      groups: process.env.LDAP_GROUPS_ATTRIBUTE || 'memberOf'
+    },
+    // Group DNs -> roles (first match wins) and local folder groups
+    roleMappings: JSON.parse(process.env.LDAP_ROLE_MAPPINGS || '[]'),
+    groupMappings: JSON.parse(process.env.LDAP_GROUP_MAPPINGS || '[]'),
+    defaultRole: process.env.LDAP_DEFAULT_ROLE || 'user',
+    autoProvision: process.env.LDAP_AUTO_PROVISION !== 'false',
+    // Attach directory users to local accounts with the same email. Off by
+    // default: it hands the local account to whoever controls that entry
+    linkExistingAccounts: process.env.LDAP_LINK_EXISTING_ACCOUNTS === 'true',
+    // Deactivate linked users who are gone from (or disabled in) the directory
+    deactivateMissing: process.env.LDAP_DEACTIVATE_MISSING !== 'false',
+    syncIntervalMinutes: parseInt(process.env.LDAP_SYNC_INTERVAL_MINUTES ?? 60),
+    tlsRejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    timeoutMs: 10000
+  },
+  userImport: {
+    maxRows: parseInt(process.env.USER_IMPORT_MAX_ROWS) || 1000
+  },
+  invitations: {
+    // The emailed link is <url>?token=<token>
+    url: process.env.INVITATION_URL || 'http://localhost:3000/accept-invite',
+    ttlDays: parseInt(process.env.INVITATION_TTL_DAYS) || 7
+  },
+  passwordReset: {
+    // The emailed link is <url>?token=<token>
+    url: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password',
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    // Quiet period before another reset email is sent for the same account
+    resendAfterSeconds: 60
+  },
+  reviews: {
+    // Mention emails link to <url>/<fileId>
+    url: process.env.REVIEW_URL || 'http://localhost:3000/review',
+    // SLA for folders that don't set one; unset means no SLA
+    defaultSlaHours: parseInt(process.env.REVIEW_SLA_HOURS) || null,
+    slaCheckIntervalMinutes: parseInt(process.env.REVIEW_SLA_CHECK_MINUTES) || 15,
+    // For folders that don't say whether writers see pending files
+    pendingVisibleToWriters: process.env.REVIEW_PENDING_VISIBLE_TO_WRITERS === 'true',
+    // Most files one bulk decision may cover
+    maxBulk: 100
+  },
+  shareLinks: {
+    // Public links are built as <baseUrl>/share/<token>
+    baseUrl: process.env.SHARE_LINK_BASE_URL || 'http://localhost:3000',
+    // How long a password unlock stays valid
+    unlockTtlMinutes: parseInt(process.env.SHARE_LINK_UNLOCK_TTL_MINUTES) || 30
+  },
   allowedFileTypes: {
     'image/jpeg': 'jpg',
     'image/png': 'png',
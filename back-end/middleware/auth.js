@@ -1,5 +1,39 @@
 const { verifyToken } = require("../utils/jwt");
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const AccessToken = require("../models/accessToken.model");
+const config = require("../config/config");
+
+// What a user with a temporary password can still reach
+const PASSWORD_CHANGE_PATHS = ["/api/auth/password/change", "/api/auth/logout", "/api/user/me"];
+
+/**
+ * Resolves a personal access token to its user. Scopes are attached as
+ * user.$locals.tokenScopes, which utils/policy checks on every action.
+ * @returns {Promise<{ user?: Object, accessToken?: Object, error?: string }>}
+ */
+async function authenticateAccessToken(req, token) {
+  const accessToken = await AccessToken.findByToken(token);
+  if (!accessToken || !accessToken.isActive()) {
+    return { error: "Access token expired or revoked" };
+  }
+
+  const user = await User.findById(accessToken.user);
+  if (!user) return { error: "User not found" };
+  if (!user.isActive()) return { error: "Account is deactivated" };
+  user.$locals.tokenScopes = accessToken.scopes;
+
+  // Coarse last-used tracking so every API call isn't also a write
+  const staleBefore = Date.now() - config.accessTokens.lastUsedResolutionSeconds * 1000;
+  if (!accessToken.lastUsedAt || accessToken.lastUsedAt.getTime() < staleBefore) {
+    await AccessToken.updateOne(
+      { _id: accessToken._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    );
+  }
+
+  return { user, accessToken };
+}
 
 const auth = (roles = []) => {
   if (typeof roles === 'string') {
@@ -16,18 +50,53 @@ const auth = (roles = []) => {
         return res.status(401).json({ message: "Authorization required" });
       }
 
+      if (AccessToken.looksLikeToken(token)) {
+        const result = await authenticateAccessToken(req, token);
+        if (result.error) {
+          return res.status(401).json({ message: result.error });
+        }
+        if (roles.length > 0 && !roles.includes(result.user.role)) {
+          return res.status(403).json({
+            message: `Access denied. Required roles: ${roles.join(", ")}`
+          });
+        }
+        req.user = result.user;
+        req.token = token;
+        req.accessToken = result.accessToken;
+        return next();
+      }
+
       // Verify token
       const decoded = verifyToken(token);
       
-      if (!decoded || !decoded.userId) {
+      // Purpose tokens (2FA challenges, share unlocks, SSO state) are
+      // never access tokens, whatever key they were signed with
+      if (!decoded || !decoded.userId || decoded.purpose) {
         return res.status(401).json({ message: "Invalid token" });
       }
 
+      // Every token belongs to a session; revoking it cuts them off immediately
+      if (!decoded.sid) {
+        return res.status(401).json({ message: "Invalid token" });
+      }
+      const session = await Session.findById(decoded.sid).select("user revokedAt expiresAt");
+      if (!session || !session.isActive() || String(session.user) !== String(decoded.userId)) {
+        return res.status(401).json({ message: "Session expired or revoked" });
+      }
+
       // Find user
       const user = await User.findById(decoded.userId);
       if (!user) {
         return res.status(401).json({ message: "User not found" });
       }
+      if (!user.isActive()) {
+        return res.status(401).json({ message: "Account is deactivated" });
+      }
+
+      // A password change/reset invalidates everything issued before it
+      if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+        return res.status(401).json({ message: "Password changed. Please log in again." });
+      }
 
       // Role check
       if (roles.length > 0 && !roles.includes(user.role)) {
@@ -36,9 +105,17 @@ const auth = (roles = []) => {
         });
       }
 
+      if (user.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(req.baseUrl + req.path)) {
+        return res.status(403).json({
+          message: "You must change your temporary password first",
+          passwordChangeRequired: true
+        });
+      }
+
       // Attach user to request
       req.user = user;
       req.token = token;
+      req.sessionId = decoded.sid;
 
       next();
     } catch (err) {
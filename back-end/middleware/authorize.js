@@ -0,0 +1,19 @@
+const { hasPermission } = require("../utils/policy");
+
+/**
+ * Role-level authorization for actions that don't depend on a specific
+ * folder or file. Use after auth(). Resource checks call policy.can().
+ * @param {string} action - Action name from utils/policy ACTIONS
+ */
+const authorize = (action) => {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user, action)) {
+      return res.status(403).json({
+        message: `Access denied. Missing permission: ${action}`
+      });
+    }
+    next();
+  };
+};
+
+module.exports = authorize;
@@ -0,0 +1,15 @@
+/**
+ * Rejects requests authenticated with a personal access token. Use after
+ * auth() on account-security endpoints (passwords, 2FA, sessions,
+ * tokens) that a script's token should never reach.
+ */
+const sessionOnly = (req, res, next) => {
+  if (req.accessToken) {
+    return res.status(403).json({
+      message: "This endpoint can't be used with an access token"
+    });
+  }
+  next();
+};
+
+module.exports = sessionOnly;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Recognisable prefix so leaked tokens are easy to spot and grep for
+const TOKEN_PREFIX = 'dmp_';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Personal access token for scripts and integrations. Acts as its owner,
+// narrowed to its scopes (utils/policy TOKEN_SCOPES). Only the hash is stored.
+const accessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token, shown in lists to tell tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+accessTokenSchema.statics.TOKEN_PREFIX = TOKEN_PREFIX;
+
+accessTokenSchema.statics.looksLikeToken = function(value) {
+  return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+};
+
+accessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+/**
+ * Creates a new random token and stores its hash.
+ * @returns {string} The raw token, shown to the user once
+ */
+accessTokenSchema.methods.generateToken = function() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  this.tokenHash = hashToken(token);
+  this.tokenPrefix = token.slice(0, TOKEN_PREFIX.length + 6);
+  return token;
+};
+
+accessTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+/**
+ * Revokes all of a user's active tokens.
+ * @returns {Promise<number>} Number revoked
+ */
+accessTokenSchema.statics.revokeAllForUser = async function(userId, revokedBy) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedBy }
+  );
+  return result.modifiedCount;
+};
+
+accessTokenSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+accessTokenSchema.virtual('active').get(function() {
+  return this.isActive();
+});
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+module.exports = AccessToken;
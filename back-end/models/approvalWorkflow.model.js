@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Who may decide at a stage. Groups and roles are resolved to users when
+// a file's review starts (see utils/approval).
+const approversSchema = new mongoose.Schema({
+    users: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    groups: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group'
+    }],
+    roles: [String]
+}, { _id: false });
+
+const stageSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Each stage needs a name'],
+        trim: true,
+        maxlength: [64, 'Stage name cannot exceed 64 characters']
+    },
+    approvers: {
+        type: approversSchema,
+        default: () => ({})
+    },
+    // any: one approval completes the stage; all: every approver must approve.
+    // A single rejection rejects the file either way.
+    quorum: {
+        type: String,
+        enum: ['any', 'all'],
+        default: 'any'
+    }
+}, { _id: false });
+
+// An ordered chain of review stages that folders opt into
+const approvalWorkflowSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        minlength: [2, 'Workflow name must be at least 2 characters'],
+        maxlength: [64, 'Workflow name cannot exceed 64 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    stages: {
+        type: [stageSchema],
+        validate: {
+            validator: stages => stages.length > 0 && stages.length <= 10,
+            message: 'A workflow needs between 1 and 10 stages'
+        }
+    },
+    // Uploads by these skip review and are approved straight away
+    autoApprove: {
+        type: approversSchema,
+        default: () => ({})
+    },
+    // Whether uploaders may approve their own files when they are also
+    // an approver of a stage
+    allowSelfApproval: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApprovalWorkflow', approvalWorkflowSchema);
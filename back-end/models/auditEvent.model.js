@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const auditEventSchema = new mongoose.Schema({
+  // Dotted name, e.g. "auth.login", "file.download", "folder.access_grant"
+  action: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success',
+    immutable: true
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Snapshot so the trail stays readable after the user is deleted
+    label: String,
+    role: String
+  },
+  ip: String,
+  userAgent: String,
+  target: {
+    type: { type: String }, // "file", "folder", "user", ...
+    id: mongoose.Schema.Types.ObjectId,
+    label: String
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, { versionKey: false });
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// The log is append-only: block every write path except inserts
+const rejectChange = function() {
+  throw new Error('Audit events cannot be modified or deleted');
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Audit events cannot be modified or deleted'));
+  next();
+});
+
+for (const op of [
+  'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate',
+  'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'
+]) {
+  auditEventSchema.pre(op, rejectChange);
+}
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
@@ -1,7 +1,10 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
 const path = require('path');
+const createError = require('http-errors');
 const storage = require('../utils/storage');
+const FileComment = require('./fileComment.model');
+
+const TRASH_PREFIX = '.trash';
 
 // ------------------
 // Schema definition
@@ -80,6 +83,106 @@ const fileSchema = new mongoose.Schema({
     ref: 'User'
   },
   rejectedAt: Date,
+  // Progress through the folder's approval workflow (see utils/approval).
+  // Stages are copied from the workflow when review starts, with the
+  // approvers resolved to users, so later edits don't affect it.
+  approval: {
+    workflow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalWorkflow'
+    },
+    workflowName: String,
+    // Index into stages; null once review is finished
+    currentStage: {
+      type: Number,
+      default: null
+    },
+    stages: [{
+      _id: false,
+      name: String,
+      quorum: {
+        type: String,
+        enum: ['any', 'all']
+      },
+      approvers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }],
+      status: {
+        type: String,
+        enum: ['waiting', 'active', 'approved', 'rejected'],
+        default: 'waiting'
+      },
+      decisions: [{
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        decision: {
+          type: String,
+          enum: ['approved', 'disapproved']
+        },
+        reason: String,
+        // Made by someone with approval:manage who isn't a stage approver
+        override: Boolean,
+        at: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      startedAt: Date,
+      completedAt: Date
+    }],
+    startedAt: Date,
+    completedAt: Date,
+    // Decision is due by, from the folder's SLA when review started
+    dueAt: Date,
+    // When the SLA job first flagged the file as overdue
+    slaBreachedAt: Date,
+    // Reviewer who claimed (or was given) the current stage
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date,
+    // Upload rule that decided the file or chose its workflow
+    rule: {
+      name: String,
+      folder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder'
+      },
+      action: String
+    }
+  },
+  // Every decision ever made on the file, oldest first. Unlike the
+  // fields above it is never overwritten, so re-reviews keep their past.
+  approvalHistory: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decision: {
+      type: String,
+      enum: ['approved', 'disapproved']
+    },
+    reason: String,
+    workflowName: String,
+    stage: String,
+    override: Boolean,
+    // Set for decisions made at upload by a folder rule (no user)
+    rule: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
 
   // Versioning
   version: {
@@ -102,8 +205,7 @@ const fileSchema = new mongoose.Schema({
   // File integrity
   fileHash: {
     type: String,
-    required: true,
-    unique: true
+    required: true
   },
   checksum: {
     algorithm: {
@@ -147,7 +249,19 @@ const fileSchema = new mongoose.Schema({
   isDeleted: {
     type: Boolean,
     default: false
-  }
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the file went to the trash because its folder was deleted
+  deletedWithFolder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder'
+  },
+  // Where the bytes lived before being moved under TRASH_PREFIX
+  originalPath: String
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -182,7 +296,20 @@ fileSchema.virtual('sizeFormatted').get(function () {
 // Indexes
 // ------------------
 fileSchema.index({ filename: 'text', description: 'text', tags: 'text' });
-fileSchema.index({ folder: 1, filename: 1 }, { unique: true });
+// Uniqueness only applies to live files so trashed copies don't block re-uploads
+fileSchema.index(
+  { folder: 1, filename: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+// Same content may live in several folders, like uploads allow. Older
+// versions are left out so restoring one can copy its content forward.
+fileSchema.index(
+  { folder: 1, fileHash: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false, isCurrentVersion: true } }
+);
+fileSchema.index({ isDeleted: 1, deletedAt: 1 });
+fileSchema.index({ 'approval.stages.approvers': 1, approvalStatus: 1 });
+fileSchema.index({ approvalStatus: 1, 'approval.dueAt': 1 });
 
 // ------------------
 // Pre-save hook
@@ -210,13 +337,13 @@ fileSchema.pre('save', async function (next) {
       }
     }
 
-    // Generate file hash if new or path changed
-    if ((this.isNew || this.isModified('path')) &&
-      await storage.pathExists(this.path)) {
-      const fileBuffer = await storage.readFile(this.path);
-      const hashSum = crypto.createHash('sha256');
-      hashSum.update(fileBuffer);
-      this.fileHash = hashSum.digest('hex');
+    // Generate file hash if new or path changed (skip when the uploader
+    // already hashed the bytes, so remote drivers aren't re-read)
+    const needsHash = this.isNew ? !this.fileHash : this.isModified('path');
+    if (needsHash && await storage.pathExists(this.path)) {
+      this.fileHash = await storage.hash(this.path);
+    }
+    if (this.fileHash && this.checksum?.value !== this.fileHash) {
       this.checksum = {
         algorithm: 'sha256',
         value: this.fileHash
@@ -234,9 +361,7 @@ fileSchema.pre('save', async function (next) {
 // ------------------
 fileSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
   try {
-    if (await storage.pathExists(this.path)) {
-      await storage.unlink(this.path);
-    }
+    await storage.delete(this.path);
     next();
   } catch (err) {
     next(err);
@@ -247,6 +372,24 @@ fileSchema.pre('deleteOne', { document: true, query: false }, async function (ne
 // Static methods
 // ------------------
 
+// Storage prefix holding the bytes of individually trashed files
+fileSchema.statics.TRASH_PREFIX = TRASH_PREFIX;
+
+// Permanently delete individually trashed files older than the cutoff
+fileSchema.statics.purgeExpired = async function (cutoff) {
+  const expired = await this.find({
+    isDeleted: true,
+    deletedWithFolder: null,
+    deletedAt: { $lt: cutoff }
+  });
+
+  for (const file of expired) {
+    await file.purge();
+  }
+
+  return expired.length;
+};
+
 // Find file by hash
 fileSchema.statics.findByHash = function (hash) {
   return this.findOne({ fileHash: hash });
@@ -284,7 +427,8 @@ fileSchema.statics.findVersions = async function (fileId) {
     $or: [
       { _id: originalFileId },       // The original file
       { originalFile: originalFileId } // All its versions
-    ]
+    ],
+    isDeleted: { $ne: true }
   }).sort({ version: 1 }); // Oldest first
 
   return versions;
@@ -302,6 +446,7 @@ fileSchema.methods.incrementDownloadCount = async function () {
 
 // Approve file
 fileSchema.methods.approve = async function (userId) {
+  this.approvalHistory.push({ user: userId, decision: 'approved', workflowName: this.approval?.workflowName });
   this.approvalStatus = 'approved';
   this.approvedBy = userId;
   this.approvedAt = new Date();
@@ -313,6 +458,7 @@ fileSchema.methods.approve = async function (userId) {
 
 // Reject file
 fileSchema.methods.reject = async function (userId, reason) {
+  this.approvalHistory.push({ user: userId, decision: 'disapproved', reason, workflowName: this.approval?.workflowName });
   this.approvalStatus = 'disapproved';
   this.rejectedBy = userId;
   this.disapprovalReason = reason;
@@ -322,4 +468,96 @@ fileSchema.methods.reject = async function (userId, reason) {
   return this.save();
 };
 
+// Move file to the trash. Bytes are parked under TRASH_PREFIX so the
+// name is free for new uploads while the file is in the trash.
+fileSchema.methods.softDelete = async function (userId) {
+  let trashPath = this.path;
+  if (await storage.fileExists(this.path)) {
+    trashPath = path.posix.join(TRASH_PREFIX, this._id.toString(), this.filename);
+    await storage.rename(this.path, trashPath);
+  }
+
+  // updateOne skips the save hooks (no folder checks or re-hashing needed)
+  await this.constructor.updateOne({ _id: this._id }, {
+    $set: {
+      isDeleted: true,
+      deletedAt: new Date(),
+      deletedBy: userId,
+      originalPath: this.path,
+      path: trashPath
+    },
+    $unset: { deletedWithFolder: '' }
+  });
+};
+
+// Restore file into its original folder, recreating missing parents
+fileSchema.methods.restore = async function (userId) {
+  const Folder = mongoose.model('Folder');
+
+  if (!this.isDeleted) {
+    throw createError(400, 'File is not in the trash');
+  }
+
+  const storedPath = this.originalPath || this.path;
+  let folder = await Folder.findById(this.folder);
+
+  if (!folder) {
+    folder = await Folder.ensurePath(path.posix.dirname(storage.toKey(storedPath)), userId);
+  } else if (folder.isDeleted) {
+    await folder.restore({ withContents: false });
+  }
+
+  // Same name, or same content, in the folder it returns to
+  const clashes = [{ filename: this.filename }];
+  if (this.fileHash && this.isCurrentVersion) {
+    clashes.push({ fileHash: this.fileHash, isCurrentVersion: true });
+  }
+  const clash = await this.constructor.findOne({
+    _id: { $ne: this._id },
+    folder: folder._id,
+    isDeleted: { $ne: true },
+    $or: clashes
+  });
+  if (clash) {
+    throw createError(409, `A live file "${clash.filename}" conflicts with this restore`);
+  }
+
+  // The record moves first: if the indexes still refuse it, nothing has
+  // been moved in storage, and a failed move puts the record back
+  const restoredPath = path.posix.join(folder.path, this.filename);
+  try {
+    await this.constructor.updateOne({ _id: this._id }, {
+      $set: { isDeleted: false, folder: folder._id, path: restoredPath },
+      $unset: { deletedAt: '', deletedBy: '', deletedWithFolder: '', originalPath: '' }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createError(409, 'A live file conflicts with this restore');
+    }
+    throw error;
+  }
+
+  try {
+    if (storage.toKey(this.path) !== storage.toKey(restoredPath) &&
+      await storage.fileExists(this.path)) {
+      await storage.rename(this.path, restoredPath);
+    }
+  } catch (error) {
+    const trashed = { isDeleted: true, folder: this.folder, path: this.path };
+    for (const field of ['deletedAt', 'deletedBy', 'deletedWithFolder', 'originalPath']) {
+      if (this[field] != null) trashed[field] = this[field];
+    }
+    await this.constructor.updateOne({ _id: this._id }, { $set: trashed });
+    throw error;
+  }
+
+  return this.constructor.findById(this._id);
+};
+
+// Permanently delete (the pre-deleteOne hook removes the bytes)
+fileSchema.methods.purge = async function () {
+  await FileComment.deleteMany({ file: this._id });
+  return this.deleteOne();
+};
+
 module.exports = mongoose.model('File', fileSchema);
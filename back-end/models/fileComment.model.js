@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A message in a file's review thread, where the uploader and reviewers
+// discuss the file before (and after) a decision
+const fileCommentSchema = new mongoose.Schema({
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File',
+        required: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    // Users @mentioned in the body who can see the file
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    editedAt: Date,
+    // Deleted comments keep their place in the thread without the text
+    deletedAt: Date,
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+fileCommentSchema.index({ file: 1, createdAt: 1 });
+
+fileCommentSchema.methods.isDeleted = function() {
+    return !!this.deletedAt;
+};
+
+module.exports = mongoose.model('FileComment', fileCommentSchema);
@@ -1,6 +1,63 @@
 const mongoose = require('mongoose');
 const storage = require('../utils/storage');
 
+// A rule checked when a file is uploaded (see utils/approvalRules). Every
+// condition that is set must hold; a rule without conditions matches any upload.
+const approvalRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Each rule needs a name'],
+    trim: true,
+    maxlength: [64, 'Rule name cannot exceed 64 characters']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Also checked for uploads into subfolders
+  appliesToSubfolders: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    // Uploader is a member of any of these
+    groups: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    }],
+    // "application/pdf" or "image/*"
+    mimeTypes: [String],
+    minSize: { type: Number, min: 0 },
+    maxSize: { type: Number, min: 0 },
+    // Glob on the uploaded name, case-insensitive: "*.pdf", "invoice-*"
+    filenamePattern: {
+      type: String,
+      maxlength: [200, 'Filename pattern cannot exceed 200 characters']
+    },
+    // File has any of these tags
+    tags: [String],
+    // true: only new versions of an approved file; false: anything else
+    newVersionOfApproved: Boolean
+  },
+  outcome: {
+    action: {
+      type: String,
+      enum: ['approve', 'reject', 'workflow'],
+      required: [true, 'Each rule needs an outcome']
+    },
+    // Shown to the uploader when the rule rejects
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    workflow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalWorkflow'
+    }
+  }
+});
+
 const folderSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -48,12 +105,16 @@ const folderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Each entry grants a permission to either one user or a whole group
   access: {
     type: [{
       user: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
+        ref: 'User'
+      },
+      group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group'
       },
       permission: {
         type: String,
@@ -65,12 +126,68 @@ const folderSchema = new mongoose.Schema({
         default: Date.now
       }
     }],
-    default: []
+    default: [],
+    validate: {
+      validator: entries => entries.every(e => !!e.user !== !!e.group),
+      message: 'Each access entry must name exactly one user or group'
+    }
+  },
+  // When false, permissions granted on ancestors don't apply to this subtree
+  inheritPermissions: {
+    type: Boolean,
+    default: true
+  },
+  // How uploads here are reviewed (see utils/approval):
+  // inherit from the parent, a specific workflow, or no review at all
+  approval: {
+    mode: {
+      type: String,
+      enum: ['inherit', 'workflow', 'none'],
+      default: 'inherit'
+    },
+    workflow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalWorkflow'
+    },
+    // Hours a file may wait for a decision before it's flagged overdue;
+    // null inherits from the parent
+    slaHours: {
+      type: Number,
+      min: [1, 'SLA must be at least 1 hour'],
+      default: null
+    },
+    // Whether people who can write here see files still pending review
+    // (reviewers and the uploader always do); null inherits
+    pendingVisibleToWriters: {
+      type: Boolean,
+      default: null
+    },
+    // Checked in order at upload, before the workflow; the first match
+    // wins. A folder's rules come before those of its parents.
+    rules: {
+      type: [approvalRuleSchema],
+      default: []
+    }
   },
   metadata: {
     type: Map,
     of: String,
     default: {}
+  },
+  // Soft delete support
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Root folder of the delete that trashed this folder (unset on the root itself)
+  deletedWithFolder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder'
   }
 });
 
@@ -167,6 +284,23 @@ folderSchema.pre('deleteOne', { document: true, query: false }, async function(n
   }
 });
 
+// Helper: ids of every folder below parentId (optionally filtered)
+async function collectDescendantIds(parentId, filter = {}) {
+  const Folder = mongoose.model('Folder');
+  const ids = [];
+  let frontier = [parentId];
+
+  while (frontier.length > 0) {
+    const children = await Folder.find({ parentFolder: { $in: frontier }, ...filter })
+      .select('_id')
+      .lean();
+    frontier = children.map((c) => c._id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+}
+
 // Helper function to update child paths recursively
 async function updateChildPaths(parentId, oldBasePath, newBasePath) {
   const children = await mongoose.model('Folder').find({ parentFolder: parentId });
@@ -185,6 +319,8 @@ async function updateChildPaths(parentId, oldBasePath, newBasePath) {
 folderSchema.index({ path: 1 });
 folderSchema.index({ parentFolder: 1 });
 folderSchema.index({ createdBy: 1 });
+folderSchema.index({ 'access.group': 1 });
+folderSchema.index({ isDeleted: 1, deletedAt: 1 });
 
 // Virtuals
 folderSchema.virtual('effectiveAccess').get(function() {
@@ -196,6 +332,209 @@ folderSchema.statics.validatePath = function(path) {
   return /^[\w\-/]+$/.test(path);
 };
 
+// Find a folder by path, creating (or restoring) any missing segments
+folderSchema.statics.ensurePath = async function(folderPath, userId) {
+  const segments = folderPath.replace(/\\/g, '/').split('/').filter(Boolean);
+  if (segments.length === 0) {
+    throw new Error('Cannot recreate the storage root as a folder');
+  }
+
+  let parent = null;
+  for (let i = 0; i < segments.length; i++) {
+    const current = segments.slice(0, i + 1).join('/');
+    let folder = await this.findOne({ path: { $in: [current, `/${current}`] } });
+
+    if (folder && folder.isDeleted) {
+      await folder.restore({ withContents: false });
+      folder = await this.findById(folder._id);
+    } else if (!folder) {
+      folder = new this({
+        name: segments[i],
+        path: current,
+        parentFolder: parent ? parent._id : null,
+        createdBy: userId
+      });
+      await folder.save();
+    }
+
+    parent = folder;
+  }
+
+  return parent;
+};
+
+// After part of a trashed tree is restored, the items still in the trash
+// are regrouped under the nearest folder that is still deleted.
+folderSchema.statics.rerootTrash = async function(rootId) {
+  const File = mongoose.model('File');
+  const root = await this.findById(rootId).select('isDeleted').lean();
+  const cascaded = await this.find({ deletedWithFolder: rootId, isDeleted: true })
+    .select('parentFolder')
+    .lean();
+
+  const deletedIds = new Set(cascaded.map((f) => f._id.toString()));
+  if (root?.isDeleted) deletedIds.add(rootId.toString());
+  const byId = new Map(cascaded.map((f) => [f._id.toString(), f]));
+
+  // Walk up until the parent is live; that folder is the new trash root
+  const resolveRoot = (folderId) => {
+    let current = folderId.toString();
+    for (;;) {
+      if (current === rootId.toString()) return current;
+      const parentId = byId.get(current)?.parentFolder?.toString();
+      if (!parentId || !deletedIds.has(parentId)) return current;
+      current = parentId;
+    }
+  };
+
+  const folderUpdates = new Map();
+  for (const folder of cascaded) {
+    const newRoot = resolveRoot(folder._id);
+    if (newRoot !== rootId.toString()) folderUpdates.set(folder._id.toString(), newRoot);
+  }
+
+  for (const [folderId, newRoot] of folderUpdates) {
+    await this.updateOne(
+      { _id: folderId },
+      folderId === newRoot
+        ? { $unset: { deletedWithFolder: '' } }
+        : { $set: { deletedWithFolder: newRoot } }
+    );
+  }
+
+  const files = await File.find({ deletedWithFolder: rootId, isDeleted: true })
+    .select('folder')
+    .lean();
+  for (const file of files) {
+    const folderId = file.folder.toString();
+    if (!deletedIds.has(folderId)) {
+      // Folder is live again: the file stays in the trash on its own
+      await File.updateOne({ _id: file._id }, { $unset: { deletedWithFolder: '' } });
+    } else {
+      const newRoot = resolveRoot(folderId);
+      if (newRoot !== rootId.toString()) {
+        await File.updateOne({ _id: file._id }, { $set: { deletedWithFolder: newRoot } });
+      }
+    }
+  }
+};
+
+// Permanently delete trashed folder trees older than the cutoff
+folderSchema.statics.purgeExpired = async function(cutoff) {
+  const expired = await this.find({
+    isDeleted: true,
+    deletedWithFolder: null,
+    deletedAt: { $lt: cutoff }
+  });
+
+  for (const folder of expired) {
+    await folder.purge();
+  }
+
+  return expired.length;
+};
+
+// Instance methods
+
+// Ids of every folder below this one (optionally filtered)
+folderSchema.methods.descendantIds = function(filter = {}) {
+  return collectDescendantIds(this._id, filter);
+};
+
+// Move folder, its subfolders and their files to the trash.
+// Bytes stay in place; the folder path stays reserved until purge.
+folderSchema.methods.softDelete = async function(userId) {
+  const File = mongoose.model('File');
+  const now = new Date();
+  const descendantIds = await collectDescendantIds(this._id, { isDeleted: { $ne: true } });
+
+  // updateOne/updateMany skip the path-moving save hooks
+  await this.constructor.updateOne({ _id: this._id }, {
+    $set: { isDeleted: true, deletedAt: now, deletedBy: userId },
+    $unset: { deletedWithFolder: '' }
+  });
+  await this.constructor.updateMany({ _id: { $in: descendantIds } }, {
+    $set: { isDeleted: true, deletedAt: now, deletedBy: userId, deletedWithFolder: this._id }
+  });
+  await File.updateMany(
+    { folder: { $in: [this._id, ...descendantIds] }, isDeleted: { $ne: true } },
+    { $set: { isDeleted: true, deletedAt: now, deletedBy: userId, deletedWithFolder: this._id } }
+  );
+
+  return descendantIds.length;
+};
+
+// Restore folder (and by default everything deleted along with it).
+// Deleted parents are restored and missing ones recreated from the path.
+folderSchema.methods.restore = async function({ withContents = true } = {}) {
+  const File = mongoose.model('File');
+  const Folder = this.constructor;
+
+  if (!this.isDeleted) return this;
+
+  const rootId = this.deletedWithFolder || this._id;
+
+  // Make sure the parent chain is live
+  if (this.parentFolder) {
+    const parent = await Folder.findById(this.parentFolder);
+    if (!parent) {
+      const parentPath = this.path.substring(0, this.path.lastIndexOf('/'));
+      const recreated = parentPath.replace(/^\/+/, '')
+        ? await Folder.ensurePath(parentPath, this.deletedBy || this.createdBy)
+        : null;
+      await Folder.updateOne(
+        { _id: this._id },
+        { parentFolder: recreated ? recreated._id : null }
+      );
+    } else if (parent.isDeleted) {
+      await parent.restore({ withContents: false });
+    }
+  }
+
+  let folderIds = [this._id];
+  if (withContents) {
+    const descendantIds = await collectDescendantIds(this._id, {
+      isDeleted: true,
+      deletedWithFolder: rootId
+    });
+    folderIds = folderIds.concat(descendantIds);
+  }
+
+  const restoreUpdate = {
+    $set: { isDeleted: false },
+    $unset: { deletedAt: '', deletedBy: '', deletedWithFolder: '' }
+  };
+  await Folder.updateMany({ _id: { $in: folderIds } }, restoreUpdate);
+  if (withContents) {
+    await File.updateMany(
+      { folder: { $in: folderIds }, isDeleted: true, deletedWithFolder: rootId },
+      restoreUpdate
+    );
+  }
+
+  await Folder.rerootTrash(rootId);
+  return Folder.findById(this._id);
+};
+
+// Permanently delete folder, all subfolders, their files and stored bytes
+folderSchema.methods.purge = async function() {
+  const File = mongoose.model('File');
+  const descendantIds = await collectDescendantIds(this._id);
+  const folderIds = [this._id, ...descendantIds];
+
+  // Individually trashed files were moved out of the folder's prefix
+  const parked = await File.find({ folder: { $in: folderIds }, originalPath: { $exists: true } });
+  for (const file of parked) {
+    await file.purge();
+  }
+
+  const fileIds = await File.find({ folder: { $in: folderIds } }).distinct('_id');
+  await mongoose.model('FileComment').deleteMany({ file: { $in: fileIds } });
+  await File.deleteMany({ folder: { $in: folderIds } });
+  await this.constructor.deleteMany({ _id: { $in: descendantIds } });
+  await this.deleteOne(); // pre-deleteOne hook removes the stored directory
+};
+
 // Query helpers
 folderSchema.query.byPath = function(path) {
   return this.where({ path });
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const groupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        minlength: [2, "Group name must be at least 2 characters"],
+        maxlength: [64, "Group name cannot exceed 64 characters"]
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Description cannot exceed 200 characters"]
+    },
+    members: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        default: []
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, { timestamps: true });
+
+groupSchema.index({ members: 1 });
+
+/**
+ * Ids of every group a user belongs to.
+ * @param {ObjectId|string} userId
+ * @returns {Promise<ObjectId[]>}
+ */
+groupSchema.statics.idsForUser = function(userId) {
+    return this.find({ members: userId }).distinct('_id');
+};
+
+// Folder access entries naming the group go away with it
+groupSchema.pre('deleteOne', { document: true, query: false }, async function() {
+    await mongoose.model('Folder').updateMany(
+        { 'access.group': this._id },
+        { $pull: { access: { group: this._id } } }
+    );
+});
+
+const Group = mongoose.model('Group', groupSchema);
+
+module.exports = Group;
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// An admin's invitation for someone to create an account with a preset
+// role and folder access. Only a hash of the emailed token is stored.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  // Folder access applied when the invite is accepted
+  grants: {
+    type: [{
+      _id: false,
+      folder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder',
+        required: true
+      },
+      permission: {
+        type: String,
+        enum: ['read', 'write', 'admin'],
+        required: true
+      }
+    }],
+    default: []
+  },
+  // Groups joined when the invite is accepted
+  groups: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    }],
+    default: []
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date,
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// pending | accepted | revoked | expired
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Query conditions matching each status, for filtering lists
+invitationSchema.statics.statusFilter = function(status) {
+  const now = new Date();
+  switch (status) {
+    case 'accepted': return { acceptedAt: { $ne: null } };
+    case 'revoked': return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired': return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    case 'pending': return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    default: return {};
+  }
+};
+
+/**
+ * Creates a new token and pushes the expiry out. Any previously emailed
+ * link stops working.
+ * @param {number} ttlDays
+ * @returns {string} The raw token, for the email only
+ */
+invitationSchema.methods.generateToken = function(ttlDays) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+invitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+invitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
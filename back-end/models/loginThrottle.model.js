@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Failed sign-in attempts, tracked per account (by email, so unknown
+// addresses behave like real ones) and per client IP
+const loginThrottleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Failures since the last success or lockout
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  // No attempts are checked before this (backoff delay or lockout)
+  blockedUntil: Date,
+  lockedAt: Date,
+  // Lockouts so far; each one lasts longer than the previous
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  // Record is forgotten after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginThrottleSchema.methods.isLocked = function() {
+  return !!this.lockedAt && this.blockedUntil > new Date();
+};
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Single-use forgot-password token. Only its hash is stored.
+const passwordResetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  requestedIp: String
+}, { timestamps: true });
+
+// Expired tokens are removed by MongoDB
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Creates a reset token for a user.
+ * @returns {Promise<{ token: string, reset: Object }>} The raw token is only available here
+ */
+passwordResetSchema.statics.issue = async function(userId, { ttlMinutes, ip }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const reset = await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    requestedIp: ip
+  });
+  return { token, reset };
+};
+
+// Unused, unexpired token, without spending it
+passwordResetSchema.statics.findValid = function(token) {
+  return this.findOne({ tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Marks a valid token used and returns it; null if unknown, used or
+ * expired. Atomic, so a token can't be redeemed twice.
+ */
+passwordResetSchema.statics.consume = function(token) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Other outstanding tokens stop working once the password changes
+passwordResetSchema.statics.invalidateForUser = function(userId) {
+  return this.updateMany({ user: userId, usedAt: null }, { usedAt: new Date() });
+};
+
+const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
+
+module.exports = PasswordReset;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const policy = require('../utils/policy');
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        immutable: true, // users reference roles by name
+        validate: {
+            validator: v => /^[a-z][a-z0-9-]{1,31}$/.test(v),
+            message: props => `${props.value} is not a valid role name`
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Description cannot exceed 200 characters"]
+    },
+    permissions: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: grants => grants.every(policy.isValidGrant),
+            message: props => `Unknown permission in: ${props.value.join(', ')}`
+        }
+    },
+    isBuiltIn: {
+        type: Boolean,
+        default: false,
+        immutable: true
+    }
+}, { timestamps: true });
+
+/**
+ * Creates the built-in roles if they are missing. Existing roles are
+ * left untouched so edits to their permissions survive restarts.
+ */
+roleSchema.statics.seedBuiltIns = async function() {
+    const ops = Object.entries(policy.BUILT_IN_ROLES).map(([name, role]) => ({
+        updateOne: {
+            filter: { name },
+            update: {
+                $setOnInsert: {
+                    name,
+                    description: role.description,
+                    permissions: role.permissions,
+                    isBuiltIn: true
+                }
+            },
+            upsert: true
+        }
+    }));
+
+    const result = await this.bulkWrite(ops);
+    if (result.upsertedCount) {
+        console.log(`🔐 Seeded ${result.upsertedCount} built-in role(s)`);
+    }
+};
+
+// Keep the policy's in-memory grants in sync with the collection
+roleSchema.post('save', () => policy.loadRoles());
+roleSchema.post('deleteOne', { document: true, query: false }, () => policy.loadRoles());
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// AuthnRequest IDs we sent to a SAML IdP, so that a response is only
+// accepted InResponseTo one of them, once. Shared by every instance.
+const samlRequestSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  requestId: {
+    type: String,
+    required: true
+  },
+  // node-saml's value for the entry (the request's IssueInstant)
+  value: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+samlRequestSchema.index({ provider: 1, requestId: 1 }, { unique: true });
+// Unanswered requests are removed by MongoDB
+samlRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SamlRequest = mongoose.model('SamlRequest', samlRequestSchema);
+
+module.exports = SamlRequest;
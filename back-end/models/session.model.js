@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One session per login. Every refresh rotates the refresh token; the
+// session (token family) is what gets revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The token replaced by the last rotation, to tell a benign race
+  // between two tabs apart from a stolen token being replayed
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastIp: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout | user | admin | reuse | password_change | ...
+  revokedReason: String
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB; revoked ones stay until then
+// so that replayed tokens are still recognised
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = async function(reason) {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+/**
+ * Revokes every active session of a user.
+ * @param {ObjectId|string} userId
+ * @param {string} reason
+ * @param {{ except?: ObjectId|string }} [options] - Session to keep
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, { except } = {}) {
+  const result = await this.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(except && { _id: { $ne: except } })
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+sessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    delete ret.previousTokenHash;
+    return ret;
+  }
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
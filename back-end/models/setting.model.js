@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Org-wide settings that admins change at runtime, one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+/**
+ * @param {string} key
+ * @param {*} defaultValue - Returned when the setting was never saved
+ */
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true, new: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
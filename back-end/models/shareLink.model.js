@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const shareLinkSchema = new mongoose.Schema({
+  // Only a hash of the token is stored; the link itself is shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder'
+  },
+  // read: download only, upload: drop files into a folder without seeing it
+  mode: {
+    type: String,
+    enum: ['read', 'upload'],
+    default: 'read'
+  },
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxDownloads: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  uploadCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+shareLinkSchema.index({ createdBy: 1, createdAt: -1 });
+shareLinkSchema.index({ file: 1 });
+shareLinkSchema.index({ folder: 1 });
+
+shareLinkSchema.pre('validate', function(next) {
+  if (!!this.file === !!this.folder) {
+    return next(new Error('A share link must target exactly one file or folder'));
+  }
+  if (this.mode === 'upload' && !this.folder) {
+    return next(new Error('Upload links can only target a folder'));
+  }
+  next();
+});
+
+shareLinkSchema.virtual('hasPassword').get(function() {
+  return !!this.passwordHash;
+});
+
+/**
+ * Why the link can't be used right now, or null if it can.
+ * @returns {string|null}
+ */
+shareLinkSchema.methods.inactiveReason = function() {
+  if (this.revokedAt) return 'This link has been revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'This link has expired';
+  if (this.maxDownloads && this.downloadCount >= this.maxDownloads) {
+    return 'This link has reached its download limit';
+  }
+  return null;
+};
+
+shareLinkSchema.methods.setPassword = async function(password) {
+  this.passwordHash = password ? await bcrypt.hash(password, 10) : undefined;
+};
+
+shareLinkSchema.methods.checkPassword = function(password) {
+  if (!this.passwordHash) return Promise.resolve(true);
+  if (!password) return Promise.resolve(false);
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * Counts a download, unless the limit has been reached in the meantime.
+ * @returns {Promise<boolean>} false when no downloads are left
+ */
+shareLinkSchema.methods.recordDownload = async function() {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { maxDownloads: null },
+        { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }
+      ]
+    },
+    { $inc: { downloadCount: 1 }, $set: { lastAccessedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Creates a new random token and stores its hash on the link.
+ * @returns {string} The raw token, to be handed to the user once
+ */
+shareLinkSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  this.tokenHash = hashToken(token);
+  this.tokenPrefix = token.slice(0, 6);
+  return token;
+};
+
+/**
+ * Revokes every link a user created that still works.
+ * @returns {Promise<number>} How many links were revoked
+ */
+shareLinkSchema.statics.revokeAllForUser = async function(userId, revokedBy) {
+  const result = await this.updateMany(
+    { createdBy: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedBy }
+  );
+  return result.modifiedCount;
+};
+
+shareLinkSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(String(token)) }).select('+passwordHash');
+};
+
+shareLinkSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_ROOT = path.join(os.tmpdir(), 'upload-sessions');
+
+const uploadSessionSchema = new mongoose.Schema({
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    trim: true
+  },
+  mimetype: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  chunkSize: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  totalChunks: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  receivedChunks: {
+    type: [Number],
+    default: []
+  },
+  versionFormat: {
+    type: String,
+    enum: ['number', 'date'],
+    default: 'number'
+  },
+  // Given to the file when the session completes
+  tags: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['active', 'finalizing', 'completed', 'aborted'],
+    default: 'active',
+    index: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Chunks live on local temp storage until the session is finalized
+uploadSessionSchema.virtual('tempDir').get(function() {
+  return path.join(TEMP_ROOT, this._id.toString());
+});
+
+uploadSessionSchema.methods.chunkPath = function(index) {
+  return path.join(this.tempDir, `${index}.part`);
+};
+
+// Expected byte length of a chunk (the last one may be shorter)
+uploadSessionSchema.methods.expectedChunkSize = function(index) {
+  if (index < this.totalChunks - 1) return this.chunkSize;
+  return this.size - this.chunkSize * (this.totalChunks - 1);
+};
+
+uploadSessionSchema.methods.toStatus = function() {
+  const received = [...this.receivedChunks].sort((a, b) => a - b);
+  const receivedSet = new Set(received);
+  const missingChunks = [];
+  for (let i = 0; i < this.totalChunks; i++) {
+    if (!receivedSet.has(i)) missingChunks.push(i);
+  }
+
+  return {
+    id: this._id,
+    folder: this.folder,
+    filename: this.filename,
+    mimetype: this.mimetype,
+    size: this.size,
+    chunkSize: this.chunkSize,
+    totalChunks: this.totalChunks,
+    status: this.status,
+    receivedChunks: received.map((index) => ({
+      index,
+      offset: index * this.chunkSize,
+      size: this.expectedChunkSize(index)
+    })),
+    receivedBytes: received.reduce((sum, index) => sum + this.expectedChunkSize(index), 0),
+    missingChunks,
+    file: this.file,
+    expiresAt: this.expiresAt
+  };
+};
+
+uploadSessionSchema.methods.removeTempFiles = async function() {
+  await fs.promises.rm(this.tempDir, { recursive: true, force: true });
+};
+
+// Delete expired or finished sessions and their temp chunks
+uploadSessionSchema.statics.cleanupExpired = async function() {
+  const stale = await this.find({
+    $or: [
+      { expiresAt: { $lt: new Date() } },
+      { status: { $in: ['completed', 'aborted'] } }
+    ]
+  });
+
+  for (const session of stale) {
+    await session.removeTempFiles();
+    await session.deleteOne();
+  }
+
+  return stale.length;
+};
+
+uploadSessionSchema.statics.TEMP_ROOT = TEMP_ROOT;
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const config = require('../config/config');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -25,8 +26,84 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['admin', 'sub-admin', 'user'],
-        default: "user"
+        default: "user",
+        validate: {
+            // Roles live in the Role collection (built-ins are seeded on startup)
+            validator: async v => !!(await mongoose.model('Role').exists({ name: v })),
+            message: props => `${props.value} is not a valid role`
+        }
+    },
+    // Deactivated accounts can't sign in but keep their history
+    status: {
+        type: String,
+        enum: ['active', 'deactivated'],
+        default: 'active',
+        index: true
+    },
+    deactivatedAt: Date,
+    // e.g. 'admin', 'offboarded', 'directory' (LDAP sync)
+    deactivatedReason: String,
+    lastLoginAt: Date,
+    // Set for admin-issued temporary passwords; only changing the
+    // password is allowed until it's cleared (see middleware/auth)
+    mustChangePassword: {
+        type: Boolean,
+        default: false
+    },
+    // Tokens issued before this are rejected (see middleware/auth)
+    passwordChangedAt: Date,
+    // Hashes of previous passwords, newest first (utils/passwordPolicy)
+    passwordHistory: {
+        type: [String],
+        select: false
+    },
+    // External sign-in identities (SSO), one per provider
+    identities: {
+        type: [{
+            _id: false,
+            provider: {
+                type: String,
+                required: true
+            },
+            // Stable user id at the provider (OIDC sub, SAML NameID)
+            subject: {
+                type: String,
+                required: true
+            },
+            email: String,
+            linkedAt: {
+                type: Date,
+                default: Date.now
+            },
+            lastLoginAt: Date
+        }],
+        default: []
+    },
+    // TOTP second factor. Secrets are encrypted (utils/secretBox) and
+    // recovery codes are stored as hashes; none are selected by default.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Last time step accepted, so a code can't be replayed
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: Date
     },
     createdAt: {
         type: Date,
@@ -37,8 +114,20 @@ const userSchema = new mongoose.Schema({
 // Password hashing middleware
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
-    
+
     try {
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+            // Keep the hash being replaced so it can't be reused
+            const keep = config.passwordPolicy.historySize;
+            if (keep > 0) {
+                const previous = await this.constructor.findById(this._id).select('password +passwordHistory');
+                if (previous) {
+                    this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])].slice(0, keep);
+                }
+            }
+        }
+
         const salt = await bcrypt.genSalt(10);
         this.password = await bcrypt.hash(this.password, salt);
         next();
@@ -47,6 +136,16 @@ userSchema.pre('save', async function(next) {
     }
 });
 
+userSchema.index(
+    { 'identities.provider': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.provider': { $exists: true } } }
+);
+
+// Missing status means the account predates deactivation
+userSchema.methods.isActive = function() {
+    return this.status !== 'deactivated';
+};
+
 // Password verification method
 userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const sessionOnly = require('../middleware/sessionOnly');
+const AccessToken = require('../models/accessToken.model');
+const config = require('../config/config');
+const { TOKEN_SCOPES, hasPermission } = require('../utils/policy');
+const audit = require('../utils/audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tokens are managed from a logged-in session, never with another token
+router.use(auth(), sessionOnly);
+
+// Scopes that can be put on a token
+router.get('/scopes', (req, res) => {
+    res.json(Object.entries(TOKEN_SCOPES).map(([name, scope]) => ({ name, ...scope })));
+});
+
+// Your tokens (admins with user:read may pass ?userId=)
+router.get('/', async (req, res) => {
+    try {
+        let userId = req.user._id;
+        if (req.query.userId && req.query.userId !== req.user.id) {
+            if (!hasPermission(req.user, 'user:read')) {
+                return res.status(403).json({ message: 'Access denied. Missing permission: user:read' });
+            }
+            if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+                return res.status(400).json({ message: 'Invalid user ID' });
+            }
+            userId = req.query.userId;
+        }
+
+        const filter = { user: userId };
+        if (req.query.includeRevoked !== 'true') filter.revokedAt = null;
+        const tokens = await AccessToken.find(filter).sort({ createdAt: -1 });
+        res.json(tokens);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create a token: { name, scopes: ['read'], expiresInDays: 90 }
+// The token itself is only returned in this response.
+router.post('/', async (req, res) => {
+    try {
+        const { name, scopes } = req.body;
+        const { maxPerUser, maxTtlDays, defaultTtlDays } = config.accessTokens;
+
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({ message: 'Token name is required' });
+        }
+        if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !TOKEN_SCOPES[s])) {
+            return res.status(400).json({
+                message: `Scopes must be a non-empty list of: ${Object.keys(TOKEN_SCOPES).join(', ')}`
+            });
+        }
+
+        // null means no expiry, which is only allowed when maxTtlDays is 0
+        const expiresInDays = req.body.expiresInDays === undefined ? defaultTtlDays : req.body.expiresInDays;
+        if (expiresInDays === null ? maxTtlDays > 0 : !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+            return res.status(400).json({ message: 'expiresInDays must be a positive whole number' });
+        }
+        if (maxTtlDays > 0 && expiresInDays > maxTtlDays) {
+            return res.status(400).json({ message: `Tokens can be valid for at most ${maxTtlDays} days` });
+        }
+
+        const activeCount = await AccessToken.countDocuments({
+            user: req.user._id,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        });
+        if (activeCount >= maxPerUser) {
+            return res.status(400).json({ message: `You can have at most ${maxPerUser} active tokens` });
+        }
+
+        const accessToken = new AccessToken({
+            user: req.user._id,
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            expiresAt: expiresInDays === null ? null : new Date(Date.now() + expiresInDays * DAY_MS)
+        });
+        const token = accessToken.generateToken();
+        await accessToken.save();
+
+        await audit.record(req, 'token.create', {
+            target: { type: 'access_token', id: accessToken._id, label: accessToken.name },
+            after: audit.pick(accessToken, ['name', 'scopes', 'expiresAt', 'tokenPrefix'])
+        });
+        res.status(201).json({ ...accessToken.toJSON(), token });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(error.errors)[0].message });
+        }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Revoke a token (your own, or anyone's with user:update)
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid token ID' });
+        }
+        const accessToken = await AccessToken.findById(req.params.id);
+        const isOwn = accessToken?.user.toString() === req.user.id;
+        if (!accessToken || (!isOwn && !hasPermission(req.user, 'user:update'))) {
+            return res.status(404).json({ message: 'Token not found' });
+        }
+        if (accessToken.revokedAt) {
+            return res.status(400).json({ message: 'Token is already revoked' });
+        }
+
+        accessToken.revokedAt = new Date();
+        accessToken.revokedBy = req.user._id;
+        await accessToken.save();
+
+        await audit.record(req, 'token.revoke', {
+            target: { type: 'access_token', id: accessToken._id, label: accessToken.name },
+            metadata: { owner: accessToken.user }
+        });
+        res.json(accessToken);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
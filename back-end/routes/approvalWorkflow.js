@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const ApprovalWorkflow = require('../models/approvalWorkflow.model');
+const Folder = require('../models/folder.model');
+const User = require('../models/user.model');
+const Group = require('../models/group.model');
+const Role = require('../models/role.model');
+const approval = require('../utils/approval');
+const audit = require('../utils/audit');
+
+const FIELDS = ['name', 'description', 'stages', 'autoApprove', 'allowSelfApproval'];
+
+const sendError = (res, error, fallback) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'A workflow with this name already exists' });
+    }
+    console.error(error);
+    res.status(500).json({ message: fallback });
+};
+
+/**
+ * Checks that every user, group and role named in the stages and
+ * autoApprove exists, so typos don't produce a stage nobody can decide.
+ * @returns {Promise<string|null>} Problem, or null
+ */
+const checkReferences = async ({ stages = [], autoApprove = {} }) => {
+    const specs = [...stages.map(stage => stage?.approvers || {}), autoApprove || {}];
+    const ids = (key) => [...new Set(specs.flatMap(spec => spec[key] || []).map(String))];
+
+    const users = ids('users');
+    const groups = ids('groups');
+    const roles = ids('roles');
+    if ([...users, ...groups].some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return 'Approver users and groups must be ids';
+    }
+    const [userCount, groupCount, knownRoles] = await Promise.all([
+        User.countDocuments({ _id: { $in: users } }),
+        Group.countDocuments({ _id: { $in: groups } }),
+        Role.find({ name: { $in: roles } }).distinct('name')
+    ]);
+    if (userCount !== users.length) return 'Unknown approver user';
+    if (groupCount !== groups.length) return 'Unknown approver group';
+    const unknownRoles = roles.filter(r => !knownRoles.includes(r));
+    if (unknownRoles.length) return `Unknown role(s): ${unknownRoles.join(', ')}`;
+
+    if (stages.some(stage => !['users', 'groups', 'roles'].some(key => stage?.approvers?.[key]?.length))) {
+        return 'Each stage needs at least one approver user, group or role';
+    }
+    return null;
+};
+
+// Folders whose own setting points at the workflow
+const foldersUsing = (workflowId) =>
+    Folder.find({ 'approval.mode': 'workflow', 'approval.workflow': workflowId, isDeleted: { $ne: true } })
+        .select('name path');
+
+// List workflows, plus the built-in default for folders without one
+router.get('/', auth(), authorize('approval:manage'), async (req, res) => {
+    try {
+        const workflows = await ApprovalWorkflow.find()
+            .sort({ name: 1 })
+            .populate('stages.approvers.users', 'username email')
+            .populate('stages.approvers.groups', 'name')
+            .lean();
+        res.json({ workflows, default: approval.defaultWorkflow() });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch workflows');
+    }
+});
+
+// One workflow and the folders it's set on
+router.get('/:id', auth(), authorize('approval:manage'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid workflow ID' });
+        }
+        const workflow = await ApprovalWorkflow.findById(req.params.id)
+            .populate('stages.approvers.users', 'username email')
+            .populate('stages.approvers.groups', 'name')
+            .populate('autoApprove.users', 'username email')
+            .populate('autoApprove.groups', 'name')
+            .lean();
+        if (!workflow) {
+            return res.status(404).json({ message: 'Workflow not found' });
+        }
+        res.json({ ...workflow, folders: await foldersUsing(workflow._id) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch workflow');
+    }
+});
+
+// Create a workflow, e.g.
+// { name: 'Legal', stages: [{ name: 'Reviewer', approvers: { groups: [id] } },
+//   { name: 'Manager', approvers: { users: [id, id] }, quorum: 'all' }] }
+router.post('/', auth(), authorize('approval:manage'), async (req, res) => {
+    try {
+        const problem = await checkReferences(req.body);
+        if (problem) {
+            return res.status(400).json({ message: problem });
+        }
+
+        const fields = Object.fromEntries(FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+        const workflow = await ApprovalWorkflow.create({ ...fields, createdBy: req.user._id });
+        await audit.record(req, 'workflow.create', {
+            target: audit.targetOf('workflow', workflow),
+            after: audit.pick(workflow, FIELDS)
+        });
+        res.status(201).json(workflow);
+    } catch (error) {
+        sendError(res, error, 'Failed to create workflow');
+    }
+});
+
+// Update a workflow. Files already in review keep the stages they started with.
+router.put('/:id', auth(), authorize('approval:manage'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid workflow ID' });
+        }
+        const workflow = await ApprovalWorkflow.findById(req.params.id);
+        if (!workflow) {
+            return res.status(404).json({ message: 'Workflow not found' });
+        }
+
+        const before = audit.pick(workflow, FIELDS);
+        for (const field of FIELDS) {
+            if (req.body[field] !== undefined) workflow[field] = req.body[field];
+        }
+        const problem = await checkReferences(workflow.toObject());
+        if (problem) {
+            return res.status(400).json({ message: problem });
+        }
+
+        workflow.updatedBy = req.user._id;
+        await workflow.save();
+        await audit.record(req, 'workflow.update', {
+            target: audit.targetOf('workflow', workflow),
+            before,
+            after: audit.pick(workflow, FIELDS)
+        });
+        res.json(workflow);
+    } catch (error) {
+        sendError(res, error, 'Failed to update workflow');
+    }
+});
+
+// Delete a workflow no folder uses
+router.delete('/:id', auth(), authorize('approval:manage'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid workflow ID' });
+        }
+        const workflow = await ApprovalWorkflow.findById(req.params.id);
+        if (!workflow) {
+            return res.status(404).json({ message: 'Workflow not found' });
+        }
+
+        const folders = await foldersUsing(workflow._id);
+        if (folders.length) {
+            return res.status(409).json({
+                message: `Workflow is set on ${folders.length} folder(s). Change them first.`,
+                folders
+            });
+        }
+
+        await workflow.deleteOne();
+        await audit.record(req, 'workflow.delete', {
+            target: audit.targetOf('workflow', workflow),
+            before: audit.pick(workflow, ['name', 'stages'])
+        });
+        res.json({ message: 'Workflow deleted successfully' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete workflow');
+    }
+});
+
+module.exports = router;
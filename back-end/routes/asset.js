@@ -3,9 +3,13 @@ const router = express.Router();
 const Asset = require('../models/asset.model');
 const User = require('../models/user.model');
 const auth = require('../middleware/auth'); // Using your existing auth middleware
+const authorize = require('../middleware/authorize');
+const audit = require('../utils/audit');
+
+const AUDITED_FIELDS = ['sNo', 'productName', 'productDescription', 'assignedBy', 'assignedTo', 'date', 'remarks', 'status'];
 
 // Get all assets (accessible by all authenticated users)
-router.get('/', auth(['admin', 'sub-admin', 'user']), async (req, res) => {
+router.get('/', auth(), authorize('asset:read'), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
@@ -43,7 +47,7 @@ router.get('/', auth(['admin', 'sub-admin', 'user']), async (req, res) => {
 });
 
 // Get single asset by ID
-router.get('/:id', auth(['admin', 'sub-admin', 'user']), async (req, res) => {
+router.get('/:id', auth(), authorize('asset:read'), async (req, res) => {
     try {
         const asset = await Asset.findById(req.params.id)
             .populate('assignedBy', 'username email')
@@ -65,8 +69,8 @@ router.get('/:id', auth(['admin', 'sub-admin', 'user']), async (req, res) => {
     }
 });
 
-// Create new asset (admin only)
-router.post('/', auth(['admin']), async (req, res) => {
+// Create new asset
+router.post('/', auth(), authorize('asset:create'), async (req, res) => {
     try {
         const { sNo, productName, productDescription, assignedBy, assignedTo, date, remarks } = req.body;
 
@@ -88,6 +92,9 @@ router.post('/', auth(['admin']), async (req, res) => {
         if (!assignedToUser) {
             return res.status(400).json({ message: 'Assigned to user not found' });
         }
+        if (!assignedToUser.isActive()) {
+            return res.status(400).json({ message: 'Cannot assign to a deactivated user' });
+        }
 
         const asset = new Asset({
             sNo, 
@@ -101,6 +108,10 @@ router.post('/', auth(['admin']), async (req, res) => {
         });
 
         await asset.save();
+        await audit.record(req, 'asset.create', {
+            target: audit.targetOf('asset', asset),
+            after: audit.pick(asset, AUDITED_FIELDS)
+        });
         
         // Populate the created asset
         await asset.populate([
@@ -120,8 +131,8 @@ router.post('/', auth(['admin']), async (req, res) => {
     }
 });
 
-// Update asset (admin only)
-router.put('/:id', auth(['admin']), async (req, res) => {
+// Update asset
+router.put('/:id', auth(), authorize('asset:update'), async (req, res) => {
     try {
         const { productName, productDescription, assignedBy, assignedTo, date, remarks, status } = req.body;
 
@@ -143,8 +154,13 @@ router.put('/:id', auth(['admin']), async (req, res) => {
             if (!assignedToUser) {
                 return res.status(400).json({ message: 'Assigned to user not found' });
             }
+            if (!assignedToUser.isActive()) {
+                return res.status(400).json({ message: 'Cannot assign to a deactivated user' });
+            }
         }
 
+        const before = audit.pick(asset, AUDITED_FIELDS);
+
         // Update fields
         if (productName) asset.productName = productName;
         if (productDescription) asset.productDescription = productDescription;
@@ -155,7 +171,13 @@ router.put('/:id', auth(['admin']), async (req, res) => {
         if (status) asset.status = status;
         asset.updatedBy = req.user.id;
 
+        const changed = asset.modifiedPaths().filter(p => AUDITED_FIELDS.includes(p));
         await asset.save();
+        await audit.record(req, 'asset.update', {
+            target: audit.targetOf('asset', asset),
+            before: audit.pick(before, changed),
+            after: audit.pick(asset, changed)
+        });
         
         // Populate the updated asset
         await asset.populate([
@@ -176,8 +198,8 @@ router.put('/:id', auth(['admin']), async (req, res) => {
     }
 });
 
-// Delete asset (admin only)
-router.delete('/:id', auth(['admin']), async (req, res) => {
+// Delete asset
+router.delete('/:id', auth(), authorize('asset:delete'), async (req, res) => {
     try {
         const asset = await Asset.findById(req.params.id);
         
@@ -186,6 +208,10 @@ router.delete('/:id', auth(['admin']), async (req, res) => {
         }
 
         await Asset.findByIdAndDelete(req.params.id);
+        await audit.record(req, 'asset.delete', {
+            target: audit.targetOf('asset', asset),
+            before: audit.pick(asset, AUDITED_FIELDS)
+        });
 
         res.json({ message: 'Asset deleted successfully' });
     } catch (error) {
@@ -195,7 +221,7 @@ router.delete('/:id', auth(['admin']), async (req, res) => {
 });
 
 // Get all users for dropdown (for assigned by/to fields)
-router.get('/users/list', auth(['admin', 'sub-admin', 'user']), async (req, res) => {
+router.get('/users/list', auth(), authorize('asset:read'), async (req, res) => {
     try {
         const users = await User.find({}, 'username email role').sort({ username: 1 });
         
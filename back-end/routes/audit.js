@@ -0,0 +1,155 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const AuditEvent = require("../models/auditEvent.model");
+const audit = require("../utils/audit");
+const { headerRow, recordRow } = require("../utils/csv");
+
+const MAX_PAGE_SIZE = 200;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Builds a query from the filters shared by listing and export:
+ * action (comma-separated, "file.*" matches a prefix), actor, targetType,
+ * targetId, outcome, ip, from, to.
+ * @returns {{ query?: Object, error?: string }}
+ */
+function buildQuery(params) {
+  const query = {};
+
+  if (params.action) {
+    const actions = String(params.action).split(",").map((a) => a.trim()).filter(Boolean);
+    query.$or = actions.map((action) =>
+      action.endsWith(".*")
+        ? { action: new RegExp(`^${escapeRegex(action.slice(0, -1))}`) }
+        : { action }
+    );
+  }
+
+  for (const [param, field] of [["actor", "actor.user"], ["targetId", "target.id"]]) {
+    if (params[param]) {
+      if (!mongoose.Types.ObjectId.isValid(params[param])) {
+        return { error: `Invalid ${param}` };
+      }
+      query[field] = params[param];
+    }
+  }
+
+  if (params.targetType) query["target.type"] = params.targetType;
+  if (params.outcome) query.outcome = params.outcome;
+  if (params.ip) query.ip = params.ip;
+
+  if (params.from || params.to) {
+    query.createdAt = {};
+    for (const [param, op] of [["from", "$gte"], ["to", "$lte"]]) {
+      if (!params[param]) continue;
+      const date = new Date(params[param]);
+      if (isNaN(date)) return { error: `Invalid ${param} date` };
+      query.createdAt[op] = date;
+    }
+  }
+
+  return { query };
+}
+
+const CSV_COLUMNS = [
+  { header: "time", value: (e) => e.createdAt },
+  { header: "action", value: (e) => e.action },
+  { header: "outcome", value: (e) => e.outcome },
+  { header: "actor_id", value: (e) => e.actor?.user },
+  { header: "actor", value: (e) => e.actor?.label },
+  { header: "actor_role", value: (e) => e.actor?.role },
+  { header: "ip", value: (e) => e.ip },
+  { header: "user_agent", value: (e) => e.userAgent },
+  { header: "target_type", value: (e) => e.target?.type },
+  { header: "target_id", value: (e) => e.target?.id },
+  { header: "target", value: (e) => e.target?.label },
+  { header: "before", value: (e) => e.before },
+  { header: "after", value: (e) => e.after },
+  { header: "metadata", value: (e) => e.metadata },
+];
+
+// ✅ Query the audit log (newest first, paginated)
+router.get("/", auth(), authorize("audit:read"), async (req, res) => {
+  try {
+    const { query, error } = buildQuery(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: events,
+    });
+  } catch (error) {
+    console.error("Audit query error:", error);
+    res.status(500).json({ success: false, error: "Failed to query audit log" });
+  }
+});
+
+// ✅ Export matching events as CSV (default) or JSON, streamed oldest first
+router.get("/export", auth(), authorize("audit:read"), async (req, res) => {
+  const format = req.query.format === "json" ? "json" : "csv";
+  const { query, error } = buildQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+
+  // Exports are themselves security-relevant
+  await audit.record(req, "audit.export", { metadata: { format, filters: req.query } });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader(
+    "Content-Type",
+    format === "json" ? "application/json" : "text/csv; charset=utf-8"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="audit-${stamp}.${format}"`);
+
+  const cursor = AuditEvent.find(query).sort({ createdAt: 1 }).lean().cursor();
+  res.on("close", () => cursor.close().catch(() => {}));
+
+  try {
+    let first = true;
+    res.write(format === "json" ? "[" : headerRow(CSV_COLUMNS));
+
+    for await (const event of cursor) {
+      const chunk =
+        format === "json"
+          ? `${first ? "" : ","}\n${JSON.stringify(event)}`
+          : recordRow(event, CSV_COLUMNS);
+      first = false;
+
+      // Respect backpressure on large exports
+      if (!res.write(chunk)) {
+        await new Promise((resolve) => {
+          res.once("drain", resolve);
+          res.once("close", resolve);
+        });
+        if (res.destroyed) return;
+      }
+    }
+
+    res.end(format === "json" ? "\n]\n" : "");
+  } catch (error) {
+    console.error("Audit export error:", error);
+    // Headers are gone by now; cut the stream so the client sees a failure
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
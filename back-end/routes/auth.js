@@ -1,14 +1,62 @@
 const express = require("express");
 const router = express.Router();
-const bcrypt = require("bcryptjs");
-const { 
-  generateToken, 
-  generateRefreshToken,
-  verifyRefreshToken
-} = require("../utils/jwt");
+const mongoose = require("mongoose");
+const { verifyRefreshToken } = require("../utils/jwt");
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const PasswordReset = require("../models/passwordReset.model");
+const AccessToken = require("../models/accessToken.model");
 const { body, validationResult } = require("express-validator");
-const authMiddleware = require("../middleware/auth"); 
+const authMiddleware = require("../middleware/auth");
+const sessionOnly = require("../middleware/sessionOnly");
+const audit = require("../utils/audit");
+const twoFactor = require("../utils/twoFactor");
+const loginThrottle = require("../utils/loginThrottle");
+const passwordPolicy = require("../utils/passwordPolicy");
+const registration = require("../utils/registration");
+const config = require("../config/config");
+const mail = require("../utils/mail");
+const mailTemplates = require("../utils/mail/templates");
+const ldap = require("../utils/ldap");
+const ldapSync = require("../utils/ldap/sync");
+const {
+  rotateSession,
+  completeLogin,
+  setAuthCookies,
+  clearAuthCookies,
+} = require("../utils/session");
+
+// 429 for an attempt made during a backoff delay or lockout. The
+// password is not checked, so guessing gets no feedback.
+const rejectThrottled = async (req, res, throttle, { user, email }) => {
+  await audit.record(req, "auth.login", {
+    outcome: "failure",
+    actor: user,
+    actorLabel: String(email || ""),
+    metadata: { reason: throttle.locked ? "locked" : "throttled", scope: throttle.scope },
+  });
+  res.set("Retry-After", String(throttle.retryAfter));
+  res.status(429).json({
+    message: throttle.locked
+      ? "Too many failed attempts. Sign-in is temporarily locked."
+      : "Too many failed attempts. Please wait before trying again.",
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Counts a failure towards the account and IP limits and audits any
+// lockout it triggers
+const countFailure = async (req, { user, email }) => {
+  const lockouts = await loginThrottle.recordFailure(req, email);
+  for (const lockout of lockouts) {
+    await audit.record(req, "auth.lockout", {
+      outcome: "failure",
+      actor: lockout.scope === "account" ? user : undefined,
+      actorLabel: lockout.scope === "account" ? String(email || "") : lockout.key,
+      metadata: { scope: lockout.scope, until: lockout.until, failures: lockout.failures },
+    });
+  }
+};
 
 //register
 router.post(
@@ -16,7 +64,7 @@ router.post(
   [
     body("username").trim().isLength({ min: 3 }).withMessage("Username must be at least 3 characters"),
     body("email").isEmail().normalizeEmail().withMessage("Invalid email"),
-    body("password").isLength({ min: 5 }).withMessage("Password must be at least 5 characters"),
+    body("password").custom(passwordPolicy.validator),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -25,7 +73,19 @@ router.post(
     }
 
     try {
-      const { username, email, password, role = "user" } = req.body;
+      const { username, email, password } = req.body;
+      // Roles are only ever assigned by admins
+      const role = config.registration.defaultRole;
+
+      const refusal = await registration.refusalFor(email);
+      if (refusal) {
+        await audit.record(req, "auth.register", {
+          outcome: "failure",
+          actorLabel: email,
+          metadata: { reason: refusal },
+        });
+        return res.status(403).json({ message: refusal });
+      }
 
       // Check if user exists
       let user = await User.findOne({ email });
@@ -35,33 +95,13 @@ router.post(
       // Create new user
       user = new User({ username, email, password, role });
       await user.save();
-      // Generate tokens
-      const token = generateToken(user._id, user.role);
-      const refreshToken = generateRefreshToken(user._id);
-      // Set cookies
-      res.cookie("token", token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: "strict",
-        maxAge: 24 * 60 * 60 * 1000 
-      });
-      res.cookie("refreshToken", refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: "strict",
-        maxAge: 7 * 24 * 60 * 60 * 1000 
-      });
-      // Send response
-      res.status(201).json({
-        token,
-        refreshToken,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role
-        }
+      await audit.record(req, "auth.register", {
+        actor: user,
+        target: audit.targetOf("user", user),
+        after: audit.pick(user, ["username", "email", "role"]),
       });
+      // Start a session, set cookies and respond
+      await completeLogin(req, res, user, { status: 201 });
     } catch (error) {
       console.error("Registration error:", error);
       res.status(500).json({ message: "Server error" });
@@ -74,50 +114,323 @@ router.post("/login", async (req, res) => {
   try {
     const { email, password } = req.body;
     // Find user
-    const user = await User.findOne({ email });
+    let user = await User.findOne({ email });
+    // Refuse early while the account or this IP is in backoff/lockout
+    const throttle = await loginThrottle.check(req, email);
+    if (throttle.blocked) {
+      return rejectThrottled(req, res, throttle, { user, email });
+    }
+    // Directory users (and unknown ones, who may be in the directory) are
+    // checked against LDAP; everyone else against the local password
+    let method = "password";
+    let isMatch = false;
+    if (ldap.handles(user)) {
+      let profile;
+      try {
+        profile = await ldap.authenticate(email, password);
+      } catch (error) {
+        console.error("LDAP login error:", error);
+        return res.status(503).json({ message: "Directory unavailable, please try again later" });
+      }
+      if (profile) {
+        try {
+          user = (await ldapSync.userForLogin(req, profile)) || user;
+        } catch (error) {
+          if (error.status !== 409) throw error;
+          return res.status(409).json({ message: error.message });
+        }
+        method = "ldap";
+        isMatch = !!user;
+      }
+    } else if (user) {
+      isMatch = await user.comparePassword(password);
+    }
     if (!user) {
+      await audit.record(req, "auth.login", {
+        outcome: "failure",
+        actorLabel: String(email || ""),
+        metadata: { reason: "unknown_email" },
+      });
+      await countFailure(req, { email });
       return res.status(401).json({ message: "Invalid credentials" });
     }
-    // Verify password
-    const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await audit.record(req, "auth.login", {
+        outcome: "failure",
+        actor: user,
+        metadata: { reason: "bad_password" },
+      });
+      await countFailure(req, { user, email: user.email });
       return res.status(401).json({ message: "Invalid credentials" });
     }
-    // Generate tokens
-    const token = generateToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id);
-    // Set cookies
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 24 * 60 * 60 * 1000
+    if (!user.isActive()) {
+      await audit.record(req, "auth.login", {
+        outcome: "failure",
+        actor: user,
+        metadata: { reason: "deactivated", method },
+      });
+      return res.status(403).json({ message: "Account is deactivated" });
+    }
+    // Second step: no session until a code is checked
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: twoFactor.issueChallenge(user, "2fa-login"),
+        expiresIn: config.twoFactor.challengeTtlMinutes * 60
+      });
+    }
+    // The org requires 2FA for this role but the user hasn't set it up yet
+    if (await twoFactor.isRequiredFor(user)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        enrollToken: twoFactor.issueChallenge(user, "2fa-enroll"),
+        expiresIn: config.twoFactor.challengeTtlMinutes * 60
+      });
+    }
+    // Start a session, set cookies and respond
+    await loginThrottle.recordSuccess(user.email);
+    const session = await completeLogin(req, res, user);
+    await audit.record(req, "auth.login", {
+      actor: user,
+      metadata: { session: session._id, device: session.device, method },
     });
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /auth/login/2fa - second login step: { challengeToken, code | recoveryCode }
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = twoFactor.readChallenge(challengeToken, "2fa-login");
+    if (!userId) {
+      return res.status(401).json({ message: "Login challenge expired. Please sign in again." });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive()) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    // Codes are short, so they share the password's attempt limits
+    const throttle = await loginThrottle.check(req, user.email);
+    if (throttle.blocked) {
+      return rejectThrottled(req, res, throttle, { user, email: user.email });
+    }
+
+    const result = await twoFactor.verifySecondFactor(user._id, { code, recoveryCode });
+    if (!result.ok) {
+      await audit.record(req, "auth.login", {
+        outcome: "failure",
+        actor: user,
+        metadata: { reason: "bad_2fa_code" },
+      });
+      await countFailure(req, { user, email: user.email });
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
 
-    res.cookie("refreshToken", refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000
+    await loginThrottle.recordSuccess(user.email);
+    const session = await completeLogin(req, res, user, {
+      extra: result.method === "recovery_code"
+        ? { recoveryCodesLeft: result.recoveryCodesLeft }
+        : undefined
     });
-    // Send response
+    await audit.record(req, "auth.login", {
+      actor: user,
+      metadata: { session: session._id, device: session.device, secondFactor: result.method },
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /auth/policy - rules for the sign-up and password forms
+router.get("/policy", async (req, res) => {
+  try {
+    const { mode, allowedDomains } = await registration.getSettings();
     res.json({
-      token,
-      refreshToken,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
+      password: passwordPolicy.describe(),
+      registration: { mode, allowedDomains: mode === "domain" ? allowedDomains : [] }
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Policy error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// Policy and history problems for a password being set on an existing account
+const newPasswordProblems = async (user, password) => {
+  const problems = passwordPolicy.validate(password, user);
+  if (!problems.length && (await passwordPolicy.isReused(user, password))) {
+    problems.push("Password was used recently, choose a different one");
+  }
+  return problems;
+};
+
+// Email failures are logged, never surfaced: the password change itself worked
+const notify = (user, template, data) =>
+  mail
+    .send({ to: user.email, ...template({ user, ...data }) })
+    .catch((err) => console.error("Mail error:", err));
+
+// POST /auth/password/change - { currentPassword, newPassword }
+// Signs out every other session; this one gets fresh tokens.
+router.post(
+  "/password/change",
+  authMiddleware(),
+  sessionOnly,
+  [
+    body("currentPassword").notEmpty().withMessage("Current password is required"),
+    body("newPassword").notEmpty().withMessage("New password is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const user = req.user;
+
+      if (ldap.isLinked(user)) {
+        return res.status(400).json({ message: "Your password is managed by the directory" });
+      }
+      if (!(await user.comparePassword(currentPassword))) {
+        await audit.record(req, "auth.password_change", {
+          outcome: "failure",
+          metadata: { reason: "bad_password" },
+        });
+        return res.status(401).json({ message: "Current password is incorrect" });
+      }
+      const problems = await newPasswordProblems(user, newPassword);
+      if (problems.length) {
+        return res.status(400).json({ message: problems.join(". "), errors: problems });
+      }
+
+      user.password = newPassword;
+      user.mustChangePassword = false;
+      await user.save();
+      await Session.revokeAllForUser(user._id, "password_change");
+      await PasswordReset.invalidateForUser(user._id);
+      await audit.record(req, "auth.password_change", {
+        target: audit.targetOf("user", user),
+      });
+      notify(user, mailTemplates.passwordChanged);
+
+      // Tokens from before the change no longer work, so start over
+      await completeLogin(req, res, user, { extra: { message: "Password changed" } });
+    } catch (error) {
+      console.error("Change password error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// POST /auth/password/forgot - { email }
+// Always answers the same way so it can't be used to probe for accounts.
+router.post(
+  "/password/forgot",
+  [body("email").isEmail().normalizeEmail().withMessage("Invalid email")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findOne({ email: req.body.email });
+      // Directory users reset their password in the directory
+      if (user && user.isActive() && !ldap.isLinked(user)) {
+        const recent = await PasswordReset.exists({
+          user: user._id,
+          usedAt: null,
+          createdAt: { $gt: new Date(Date.now() - config.passwordReset.resendAfterSeconds * 1000) },
+        });
+        if (!recent) {
+          const { token } = await PasswordReset.issue(user._id, {
+            ttlMinutes: config.passwordReset.tokenTtlMinutes,
+            ip: req.ip,
+          });
+          notify(user, mailTemplates.passwordReset, { token });
+          await audit.record(req, "auth.password_reset_request", {
+            actor: user,
+            target: audit.targetOf("user", user),
+          });
+        }
+      }
+
+      res.json({ message: "If an account exists for that email, a reset link has been sent." });
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// POST /auth/password/reset - { token, password }
+// Signs the user out everywhere. They log in again afterwards (with 2FA
+// if enabled), so a reset link alone never grants a session.
+router.post(
+  "/password/reset",
+  [
+    body("token").notEmpty().withMessage("Reset token is required"),
+    body("password").notEmpty().withMessage("Password is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const reset = await PasswordReset.findValid(req.body.token);
+      const user = reset && (await User.findById(reset.user));
+      if (!user) {
+        await audit.record(req, "auth.password_reset", {
+          outcome: "failure",
+          metadata: { reason: "invalid_token" },
+        });
+        return res.status(400).json({ message: "Reset link is invalid or has expired" });
+      }
+
+      // Checked before the token is spent so the user can try another password
+      const problems = await newPasswordProblems(user, req.body.password);
+      if (problems.length) {
+        return res.status(400).json({ message: problems.join(". "), errors: problems });
+      }
+      if (!(await PasswordReset.consume(req.body.token))) {
+        return res.status(400).json({ message: "Reset link is invalid or has expired" });
+      }
+
+      user.password = req.body.password;
+      user.mustChangePassword = false;
+      await user.save();
+      await Session.revokeAllForUser(user._id, "password_reset");
+      // A reset often follows a compromise, so scripts' tokens go too
+      await AccessToken.revokeAllForUser(user._id, user._id);
+      await PasswordReset.invalidateForUser(user._id);
+      await loginThrottle.unlock(user.email);
+      await audit.record(req, "auth.password_reset", {
+        actor: user,
+        target: audit.targetOf("user", user),
+      });
+      notify(user, mailTemplates.passwordChanged);
+
+      clearAuthCookies(res);
+      res.json({ message: "Password has been reset. Please log in." });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // POST /auth/refresh
+// Rotates the refresh token. Replaying an old one revokes the session.
 router.post("/refresh", async (req, res) => {
   try {
     const refreshToken = req.cookies?.refreshToken || req.body.refreshToken;
@@ -128,33 +441,42 @@ router.post("/refresh", async (req, res) => {
     // Verify refresh token
     const decoded = verifyRefreshToken(refreshToken);
     const user = await User.findById(decoded.userId);
-    if (!user) {
+    if (!user || !user.isActive()) {
       return res.status(401).json({ message: "Invalid refresh token" });
     }
 
-    // Generate new tokens
-    const newToken = generateToken(user._id, user.role);
-    const newRefreshToken = generateRefreshToken(user._id);
+    const result = await rotateSession(req, user, decoded, refreshToken);
 
-    // Set cookies
-    res.cookie("token", newToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 24 * 60 * 60 * 1000
-    });
+    if (result.error === "reused") {
+      console.warn(`Refresh token reuse detected, session ${result.session._id} revoked`);
+      await audit.record(req, "auth.token_reuse", {
+        outcome: "failure",
+        actor: user,
+        target: { type: "session", id: result.session._id, label: result.session.device },
+      });
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session revoked. Please log in again." });
+    }
+    if (result.error === "raced") {
+      // Another request already rotated this token a moment ago
+      return res.status(409).json({ message: "Refresh token already used, retry with the latest token" });
+    }
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
 
-    res.cookie("refreshToken", newRefreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000
+    await audit.record(req, "auth.refresh", {
+      actor: user,
+      metadata: { session: result.session._id },
     });
 
+    setAuthCookies(res, result);
+
     // Send response
     res.json({
-      token: newToken,
-      refreshToken: newRefreshToken,
+      token: result.token,
+      refreshToken: result.refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -164,33 +486,32 @@ router.post("/refresh", async (req, res) => {
     });
   } catch (error) {
     console.error("Refresh token error:", error);
+    await audit.record(req, "auth.refresh", { outcome: "failure" });
     res.status(401).json({ message: "Invalid refresh token" });
   }
 });
 
 // POST /auth/logout
-router.post("/logout", authMiddleware(), async (req, res) => {
+router.post("/logout", authMiddleware(), sessionOnly, async (req, res) => {
   try {
+    // End this session so its refresh token can't be used again
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "logout" }
+      );
+    }
+
     // Clear cookies
-    res.clearCookie("token", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      path: "/",
-    });
-    
-    res.clearCookie("refreshToken", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      path: "/",
-    });
-    
+    clearAuthCookies(res);
+
+    await audit.record(req, "auth.logout");
+
     // Send response
-    res.json({ 
+    res.json({
       success: true,
-      message: "Logged out successfully", 
-      userId: req.user.id 
+      message: "Logged out successfully",
+      userId: req.user.id
     });
   } catch (error) {
     console.error("Logout error:", error);
@@ -198,4 +519,66 @@ router.post("/logout", authMiddleware(), async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /auth/sessions - your active sessions, current one flagged
+router.get("/sessions", authMiddleware(), sessionOnly, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id).lean();
+    res.json(
+      sessions.map(({ refreshTokenHash, previousTokenHash, ...session }) => ({
+        ...session,
+        current: session._id.toString() === req.sessionId,
+      }))
+    );
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE /auth/sessions/:id - sign out one of your sessions
+router.delete("/sessions/:id", authMiddleware(), sessionOnly, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await session.revoke("user");
+    await audit.record(req, "auth.session_revoke", {
+      target: { type: "session", id: session._id, label: session.device },
+    });
+
+    if (session._id.toString() === req.sessionId) clearAuthCookies(res);
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE /auth/sessions - sign out everywhere (?keepCurrent=true keeps this one)
+router.delete("/sessions", authMiddleware(), sessionOnly, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true" && req.sessionId;
+    const revoked = await Session.revokeAllForUser(req.user._id, "user", {
+      except: keepCurrent ? req.sessionId : undefined,
+    });
+
+    await audit.record(req, "auth.session_revoke_all", {
+      target: audit.targetOf("user", req.user),
+      metadata: { revoked, keepCurrent: !!keepCurrent },
+    });
+
+    if (!keepCurrent) clearAuthCookies(res);
+    res.json({ message: `Revoked ${revoked} session(s)`, revoked });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
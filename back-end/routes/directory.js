@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const ldap = require('../utils/ldap');
+const ldapSync = require('../utils/ldap/sync');
+const audit = require('../utils/audit');
+
+// Whether LDAP is configured, and the report of the last sync
+router.get('/status', auth(), authorize('directory:sync'), async (req, res) => {
+    try {
+        res.json({ enabled: ldap.isEnabled(), lastSync: await ldapSync.lastSync() });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Failed to fetch directory status' });
+    }
+});
+
+// Sync users from the directory now. ?dryRun=true reports what would
+// change without writing anything.
+router.post('/sync', auth(), authorize('directory:sync'), async (req, res) => {
+    if (!ldap.isEnabled()) {
+        return res.status(503).json({ message: 'LDAP is not configured' });
+    }
+    const dryRun = req.query.dryRun === 'true';
+    try {
+        const report = await ldapSync.runSync({ dryRun, req });
+        await audit.record(req, 'directory.sync', {
+            metadata: { dryRun, ...report.summary, errors: report.errors.length }
+        });
+        res.json(report);
+    } catch (error) {
+        console.error('Directory sync error:', error);
+        await audit.record(req, 'directory.sync', {
+            outcome: 'failure',
+            metadata: { dryRun, reason: error.message }
+        });
+        res.status(502).json({ message: 'Directory sync failed', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -4,24 +4,25 @@ const auth = require("../middleware/auth");
 const Folder = require("../models/folder.model");
 const File = require("../models/file.model");
 const User = require("../models/user.model");
+const Group = require("../models/group.model");
 const mongoose = require("mongoose");
 const path = require("path");
 const fs = require("fs"); // classic fs for streams and sync checks
 const fsp = require("fs").promises; // promise-based fs functions
-const crypto = require("crypto");
-const { check, validationResult } = require("express-validator");
+const { check, oneOf, validationResult } = require("express-validator");
 const { upload } = require("../utils/multer");
 const storage = require("../utils/storage");
-
-// Helper: Validate access
-const validateFolderAccess = async (folderId, userId) => {
-  const folder = await Folder.findOne({
-    _id: folderId,
-    $or: [{ createdBy: userId }, { "access.user": userId }, { isPublic: true }],
-  }).populate("access.user", "email name _id");
-
-  return folder;
-};
+const { saveUploadedFile, parseTags } = require("../utils/fileUpload");
+const { streamFile } = require("../utils/fileStream");
+const authorize = require("../middleware/authorize");
+const policy = require("../utils/policy");
+const audit = require("../utils/audit");
+const approval = require("../utils/approval");
+const approvalRules = require("../utils/approvalRules");
+const fileVisibility = require("../utils/fileVisibility");
+const reviewThread = require("../utils/reviewThread");
+const FileComment = require("../models/fileComment.model");
+const ApprovalWorkflow = require("../models/approvalWorkflow.model");
 
 // ✅ Helper to update child paths recursively
 async function updateChildPaths(parentId, newParentPath) {
@@ -36,7 +37,7 @@ async function updateChildPaths(parentId, newParentPath) {
 // ✅ Create Folder
 router.post(
   "/",
-  auth(["admin"]),
+  auth(),
   [
     check("name")
       .trim()
@@ -64,12 +65,18 @@ router.post(
       let folderPath;
       if (parentFolder) {
         const parent = await Folder.findById(parentFolder);
-        if (!parent)
+        if (!parent || parent.isDeleted)
           return res
             .status(404)
             .json({ success: false, error: "Parent folder not found" });
+        if (!(await policy.can(req.user, "folder:create", { folder: parent }))) {
+          return res.status(403).json({ success: false, error: "Access denied" });
+        }
         folderPath = path.join(parent.path, name).replace(/\\/g, "/");
       } else {
+        if (!policy.hasPermission(req.user, "folder:create")) {
+          return res.status(403).json({ success: false, error: "Access denied" });
+        }
         folderPath = path.join("/", name).replace(/\\/g, "/");
       }
 
@@ -87,6 +94,10 @@ router.post(
       });
 
       await folder.save();
+      await audit.record(req, "folder.create", {
+        target: audit.targetOf("folder", folder),
+        after: audit.pick(folder, ["name", "path", "parentFolder"]),
+      });
       res.status(201).json({ success: true, data: folder });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
@@ -95,34 +106,25 @@ router.post(
 );
 
 // ✅ List Folders (with parent filtering + access control)
-router.get("/", auth(["admin", "sub-admin", "user"]), async (req, res) => {
+router.get("/", auth(), async (req, res) => {
   try {
-    let baseQuery = {};
+    let baseQuery = { isDeleted: { $ne: true } };
 
     if (req.query.parent) {
       baseQuery.parentFolder =
         req.query.parent === "null" ? null : req.query.parent;
     }
 
-    if (req.user.role !== "admin") {
-      baseQuery = {
-        $and: [
-          baseQuery,
-          {
-            $or: [
-              { createdBy: req.user._id },
-              { "access.user": req.user._id },
-              { isSystemFolder: true },
-            ],
-          },
-        ],
-      };
-    }
-
-    const folders = await Folder.find(baseQuery)
+    let folders = await Folder.find(baseQuery)
       .select("-__v")
       .populate("createdBy", "name email")
-      .populate("access.user", "name email");
+      .populate("access.user", "name email")
+      .populate("access.group", "name");
+
+    // Permissions are inherited (and granted through groups) from ancestors, so filter after loading
+    if (!policy.hasPermission(req.user, "folder:read")) {
+      folders = await policy.filterAllowed(req.user, "folder:read", folders, (folder) => ({ folder }));
+    }
 
     res.json({ success: true, count: folders.length, data: folders });
   } catch (error) {
@@ -134,57 +136,36 @@ router.get("/", auth(["admin", "sub-admin", "user"]), async (req, res) => {
 
 // ✅ Get Folder by ID + files + child folders (Updated with Approval System)
 // ✅ FIXED: Get Folder by ID + files + child folders
-router.get("/:id", auth(["admin", "sub-admin", "user"]), async (req, res) => {
+router.get("/:id", auth(), async (req, res) => {
   try {
     const folder = await Folder.findById(req.params.id)
       .populate("createdBy", "name email")
-      .populate("access.user", "name email");
+      .populate("access.user", "name email")
+      .populate("access.group", "name");
 
-    if (!folder) {
+    if (!folder || folder.isDeleted) {
       return res.status(404).json({
         success: false,
         error: "Folder not found",
       });
     }
 
-    // Check basic folder access
-    const hasAccess = await validateFolderAccess(req.params.id, req.user._id);
-    if (!hasAccess) {
+    // Check basic folder access (including inherited permissions)
+    if (!(await policy.can(req.user, "folder:read", { folder }))) {
       return res.status(403).json({
         success: false,
         error: "Access denied",
       });
     }
 
-    // ✅ FIXED: Build file query based on user role with correct logic
-    let fileQuery = {
+    // Reviewers see every file; others see approved files, their own
+    // uploads and, where the folder allows, pending files (see utils/fileVisibility)
+    const fileQuery = {
       folder: folder._id,
       isDeleted: { $ne: true },
+      ...(await fileVisibility.listingFilter(req.user, folder)),
     };
 
-    // Different visibility rules based on user role
-    if (req.user.role === "admin") {
-      // Admin: See all files except deleted ones
-      // No additional filters needed
-    } else if (req.user.role === "sub-admin") {
-      // Sub-admin: See all files except deleted ones
-      // No additional filters needed
-    } else if (req.user.role === "user") {
-      // Regular users: See approved files + their own uploads (any status except deleted)
-      fileQuery = {
-        ...fileQuery,
-        $or: [
-          { approvalStatus: "approved" },
-          {
-            $and: [
-              { uploadedBy: req.user._id },
-              { approvalStatus: { $in: ["pending", "approved", "disapproved"] } },
-            ],
-          },
-        ],
-      };
-    }
-
     const files = await File.find(fileQuery)
       .select("-__v")
       .populate("uploadedBy", "name email username")
@@ -208,12 +189,9 @@ router.get("/:id", auth(["admin", "sub-admin", "user"]), async (req, res) => {
         fileCount: files.length,
         // Add permission flags for frontend
         permissions: {
-          canUpload:
-            req.user.role === "admin" ||
-            req.user.role === "sub-admin" ||
-            hasAccess.access?.some((a) => a.permission === "write"),
-          canApprove:
-            req.user.role === "admin" || req.user.role === "sub-admin",
+          canUpload: await policy.can(req.user, "file:upload", { folder }),
+          canManage: await policy.can(req.user, "folder:update", { folder }),
+          canApprove: policy.hasPermission(req.user, "file:approve"),
         },
       },
     });
@@ -228,7 +206,7 @@ router.get("/:id", auth(["admin", "sub-admin", "user"]), async (req, res) => {
   }
 });
 // ✅ Update Folder (with parentFolder support)
-router.put("/:id", auth(["admin", "sub-admin", "user"]), async (req, res) => {
+router.put("/:id", auth(), async (req, res) => {
   try {
     const folder = await Folder.findById(req.params.id);
     if (!folder)
@@ -236,13 +214,16 @@ router.put("/:id", auth(["admin", "sub-admin", "user"]), async (req, res) => {
         .status(404)
         .json({ success: false, error: "Folder not found" });
 
-    if (req.user.role !== "admin" && !folder.createdBy.equals(req.user._id)) {
+    if (!(await policy.can(req.user, "folder:update", { folder }))) {
       return res.status(403).json({ success: false, error: "Not authorized" });
     }
 
     const updates = {};
     if (req.body.name) updates.name = req.body.name;
     if (req.body.metadata) updates.metadata = req.body.metadata;
+    if (typeof req.body.inheritPermissions === "boolean") {
+      updates.inheritPermissions = req.body.inheritPermissions;
+    }
 
     // Handle parentFolder change
     if (req.body.parentFolder !== undefined) {
@@ -258,6 +239,10 @@ router.put("/:id", auth(["admin", "sub-admin", "user"]), async (req, res) => {
             .json({ success: false, error: "Parent folder not found" });
         }
 
+        if (!(await policy.can(req.user, "folder:create", { folder: newParent }))) {
+          return res.status(403).json({ success: false, error: "Not authorized" });
+        }
+
         // Prevent moving into itself or children
         if (newParent.path.includes(folder.path)) {
           return res.status(400).json({
@@ -289,18 +274,28 @@ router.put("/:id", auth(["admin", "sub-admin", "user"]), async (req, res) => {
       await updateChildPaths(folder._id, updates.path);
     }
 
+    const changed = Object.keys(updates);
+    await audit.record(req, "folder.update", {
+      target: audit.targetOf("folder", updated),
+      before: audit.pick(folder, changed),
+      after: audit.pick(updated, changed),
+    });
+
     res.json({ success: true, data: updated });
   } catch (error) {
     res.status(500).json({ success: false, error: "Update failed" });
   }
 });
 
-// ✅ Grant Access
+// ✅ Grant Access (to a user by email, or to a group by groupId)
 router.post(
   "/:id/access",
-  auth(["admin"]),
+  auth(),
   [
-    check("email").isEmail().normalizeEmail(),
+    oneOf(
+      [check("email").isEmail().normalizeEmail(), check("groupId").isMongoId()],
+      { message: "Provide a valid email or groupId" }
+    ),
     check("permission").isIn(["read", "write", "admin"]),
   ],
   async (req, res) => {
@@ -309,12 +304,27 @@ router.post(
       if (!errors.isEmpty())
         return res.status(400).json({ errors: errors.array() });
 
-      const { email, permission } = req.body;
-      const user = await User.findOne({ email });
-      if (!user)
-        return res
-          .status(404)
-          .json({ success: false, error: "User not found" });
+      const { email, groupId, permission } = req.body;
+
+      let grantee;
+      if (groupId) {
+        grantee = await Group.findById(groupId).select("_id");
+        if (!grantee)
+          return res
+            .status(404)
+            .json({ success: false, error: "Group not found" });
+      } else {
+        grantee = await User.findOne({ email });
+        if (!grantee)
+          return res
+            .status(404)
+            .json({ success: false, error: "User not found" });
+        if (!grantee.isActive())
+          return res
+            .status(400)
+            .json({ success: false, error: "Cannot grant access to a deactivated user" });
+      }
+      const field = groupId ? "group" : "user";
 
       const folder = await Folder.findById(req.params.id);
       if (!folder)
@@ -322,22 +332,34 @@ router.post(
           .status(404)
           .json({ success: false, error: "Folder not found" });
 
+      if (!(await policy.can(req.user, "folder:share", { folder }))) {
+        return res.status(403).json({ success: false, error: "Not authorized" });
+      }
+
       const access = folder.access.find(
-        (a) => a.user.toString() === user._id.toString()
+        (a) => a[field]?.toString() === grantee._id.toString()
       );
 
+      const before = access ? { permission: access.permission } : null;
+
       if (access) {
         access.permission = permission;
         access.grantedAt = new Date();
       } else {
         folder.access.push({
-          user: user._id,
+          [field]: grantee._id,
           permission,
           grantedAt: new Date(),
         });
       }
 
       await folder.save();
+      await audit.record(req, "folder.access_grant", {
+        target: audit.targetOf("folder", folder),
+        before,
+        after: { permission },
+        metadata: { [field]: grantee._id, email: groupId ? undefined : email },
+      });
       res.json({ success: true, data: folder });
     } catch (error) {
       res
@@ -347,17 +369,28 @@ router.post(
   }
 );
 
-// ✅ Remove Access
-router.delete("/:id/access", auth(["admin"]), async (req, res) => {
+// ✅ Remove Access (body: userId or groupId)
+router.delete("/:id/access", auth(), async (req, res) => {
   try {
-    const { userId } = req.body;
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ success: false, error: "Invalid user ID" });
+    const { userId, groupId } = req.body;
+    const field = groupId ? "group" : "user";
+    const granteeId = groupId || userId;
+    if (!mongoose.Types.ObjectId.isValid(granteeId)) {
+      return res
+        .status(400)
+        .json({ success: false, error: `Invalid ${field} ID` });
+    }
+
+    if (!(await policy.can(req.user, "folder:share", { folder: req.params.id }))) {
+      return res.status(403).json({ success: false, error: "Not authorized" });
     }
 
+    const previous = await Folder.findById(req.params.id).select("access").lean();
+    const removed = previous?.access.find((a) => a[field]?.toString() === granteeId);
+
     const folder = await Folder.findByIdAndUpdate(
       req.params.id,
-      { $pull: { access: { user: userId } } },
+      { $pull: { access: { [field]: granteeId } } },
       { new: true }
     );
 
@@ -366,14 +399,242 @@ router.delete("/:id/access", auth(["admin"]), async (req, res) => {
         .status(404)
         .json({ success: false, error: "Folder not found" });
 
+    if (removed) {
+      await audit.record(req, "folder.access_revoke", {
+        target: audit.targetOf("folder", folder),
+        before: { permission: removed.permission },
+        metadata: { [field]: granteeId },
+      });
+    }
+
     res.json({ success: true, data: folder });
   } catch (error) {
     res.status(500).json({ success: false, error: "Failed to remove access" });
   }
 });
 
+// ✅ Explain effective permission (admins may ask about any user via ?userId=)
+router.get(
+  "/:id/permissions",
+  auth(),
+  async (req, res) => {
+    try {
+      let subject = req.user;
+
+      if (req.query.userId && req.query.userId !== req.user._id.toString()) {
+        if (!policy.hasPermission(req.user, "user:read")) {
+          return res.status(403).json({ success: false, error: "Not authorized" });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+          return res.status(400).json({ success: false, error: "Invalid user ID" });
+        }
+        subject = await User.findById(req.query.userId).select("-password");
+        if (!subject) {
+          return res.status(404).json({ success: false, error: "User not found" });
+        }
+      }
+
+      const folder = await Folder.findById(req.params.id);
+      if (!folder || folder.isDeleted) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Folder not found" });
+      }
+
+      const explanation = await policy.explainFolder(folder, subject);
+
+      res.json({
+        success: true,
+        data: {
+          folder: { _id: folder._id, name: folder.name, path: folder.path },
+          user: { _id: subject._id, email: subject.email, role: subject.role },
+          ...explanation,
+        },
+      });
+    } catch (error) {
+      console.error("Permission explain error:", error);
+      res
+        .status(500)
+        .json({ success: false, error: "Failed to evaluate permissions" });
+    }
+  }
+);
+
+// ✅ Approval workflow that applies to uploads here, and where it's set
+router.get("/:id/approval", auth(), async (req, res) => {
+  try {
+    const folder = await Folder.findById(req.params.id).select("name path parentFolder approval isDeleted");
+    if (!folder || folder.isDeleted) {
+      return res.status(404).json({ success: false, error: "Folder not found" });
+    }
+    if (!(await policy.can(req.user, "folder:read", { folder }))) {
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
+
+    const { mode, workflow, source } = await approval.effectiveWorkflow(folder);
+    const sla = await approval.effectiveSla(folder);
+    const inherited = (from) => from && !from._id.equals(folder._id)
+      ? { _id: from._id, name: from.name, path: from.path }
+      : null;
+    res.json({
+      success: true,
+      data: {
+        setting: folder.approval,
+        effective: {
+          mode,
+          workflow,
+          inheritedFrom: inherited(source),
+          slaHours: sla.hours,
+          slaInheritedFrom: inherited(sla.source),
+          pendingVisibleToWriters: await approval.pendingVisibleToWriters(folder),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Folder approval fetch error:", error);
+    res.status(500).json({ success: false, error: "Failed to get approval settings" });
+  }
+});
+
+// ✅ Set how uploads here are reviewed:
+// { mode: "inherit" | "none" | "workflow", workflowId, slaHours, pendingVisibleToWriters }
+// slaHours and pendingVisibleToWriters: null inherits; leaving them out keeps the current value.
+// Applies to new uploads; files already in review keep their workflow and due date.
+router.put("/:id/approval", auth(), authorize("approval:manage"), async (req, res) => {
+  try {
+    const { mode, workflowId, slaHours, pendingVisibleToWriters } = req.body;
+    if (!["inherit", "workflow", "none"].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Mode must be "inherit", "workflow" or "none"',
+      });
+    }
+    if (slaHours != null && !(Number.isInteger(slaHours) && slaHours >= 1)) {
+      return res.status(400).json({ success: false, error: "SLA must be a whole number of hours, at least 1" });
+    }
+    if (pendingVisibleToWriters != null && typeof pendingVisibleToWriters !== "boolean") {
+      return res.status(400).json({ success: false, error: "pendingVisibleToWriters must be true, false or null" });
+    }
+
+    let workflow = null;
+    if (mode === "workflow") {
+      workflow = mongoose.Types.ObjectId.isValid(workflowId)
+        && (await ApprovalWorkflow.findById(workflowId).select("name"));
+      if (!workflow) {
+        return res.status(400).json({ success: false, error: "Workflow not found" });
+      }
+    }
+
+    const folder = await Folder.findById(req.params.id);
+    if (!folder || folder.isDeleted) {
+      return res.status(404).json({ success: false, error: "Folder not found" });
+    }
+
+    const before = {
+      mode: folder.approval?.mode || "inherit",
+      workflow: folder.approval?.workflow,
+      slaHours: folder.approval?.slaHours ?? null,
+      pendingVisibleToWriters: folder.approval?.pendingVisibleToWriters ?? null,
+    };
+    const setting = {
+      mode,
+      workflow: workflow?._id,
+      slaHours: slaHours === undefined ? before.slaHours : slaHours,
+      pendingVisibleToWriters: pendingVisibleToWriters === undefined
+        ? before.pendingVisibleToWriters
+        : pendingVisibleToWriters,
+    };
+    // Field by field, so the folder's rules are left alone
+    await Folder.updateOne({ _id: folder._id }, {
+      $set: {
+        "approval.mode": setting.mode,
+        "approval.workflow": setting.workflow,
+        "approval.slaHours": setting.slaHours,
+        "approval.pendingVisibleToWriters": setting.pendingVisibleToWriters,
+      },
+    });
+    await audit.record(req, "folder.approval_update", {
+      target: audit.targetOf("folder", folder),
+      before,
+      after: { ...setting, workflowName: workflow?.name },
+    });
+
+    res.json({ success: true, data: setting });
+  } catch (error) {
+    console.error("Folder approval update error:", error);
+    res.status(500).json({ success: false, error: "Failed to update approval settings" });
+  }
+});
+
+// ✅ Replace the folder's upload rules: { rules: [{ name, conditions, outcome, ... }] }
+// Order matters: the first matching rule decides. See models/folder.model for the fields.
+router.put("/:id/approval/rules", auth(), authorize("approval:manage"), async (req, res) => {
+  try {
+    const folder = await Folder.findById(req.params.id);
+    if (!folder || folder.isDeleted) {
+      return res.status(404).json({ success: false, error: "Folder not found" });
+    }
+
+    const problem = await approvalRules.checkRules(req.body.rules);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    const before = folder.approval?.rules?.map((rule) => rule.toObject()) || [];
+    folder.set("approval.rules", req.body.rules);
+    await folder.save();
+    await audit.record(req, "folder.approval_rules_update", {
+      target: audit.targetOf("folder", folder),
+      before: { rules: before },
+      after: { rules: folder.approval.rules },
+    });
+
+    res.json({ success: true, data: folder.approval.rules });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, error: Object.values(error.errors)[0].message });
+    }
+    console.error("Folder approval rules update error:", error);
+    res.status(500).json({ success: false, error: "Failed to update approval rules" });
+  }
+});
+
+// ✅ Which rule would fire for a hypothetical upload, and the outcome:
+// { filename, mimetype, size, tags, uploaderId (default: you), viaShareLink }
+router.post("/:id/approval/simulate", auth(), authorize("approval:manage"), async (req, res) => {
+  try {
+    const folder = await Folder.findById(req.params.id).select("name path parentFolder approval isDeleted");
+    if (!folder || folder.isDeleted) {
+      return res.status(404).json({ success: false, error: "Folder not found" });
+    }
+
+    const { filename, mimetype, size, tags, uploaderId, viaShareLink } = req.body;
+    if (size != null && !(Number.isFinite(size) && size >= 0)) {
+      return res.status(400).json({ success: false, error: "Size must be a number of bytes" });
+    }
+    let uploader = req.user;
+    if (uploaderId) {
+      uploader = mongoose.Types.ObjectId.isValid(uploaderId) && (await User.findById(uploaderId));
+      if (!uploader) {
+        return res.status(400).json({ success: false, error: "Uploader not found" });
+      }
+    }
+
+    const result = await approval.simulate({
+      folder,
+      user: uploader,
+      upload: { filename, mimetype, size, tags: parseTags(tags) },
+      requireReview: !!viaShareLink,
+    });
+    res.json({ success: true, data: { uploader: { _id: uploader._id, username: uploader.username }, ...result } });
+  } catch (error) {
+    console.error("Approval simulation error:", error);
+    res.status(500).json({ success: false, error: "Failed to simulate upload" });
+  }
+});
+
 // ✅ Delete Folder
-router.delete("/:id", auth(["admin"]), async (req, res) => {
+router.delete("/:id", auth(), async (req, res) => {
   try {
     const folder = await Folder.findById(req.params.id);
     if (!folder)
@@ -381,16 +642,30 @@ router.delete("/:id", auth(["admin"]), async (req, res) => {
         .status(404)
         .json({ success: false, error: "Folder not found" });
 
+    if (!(await policy.can(req.user, "folder:delete", { folder }))) {
+      return res.status(403).json({ success: false, error: "Not authorized" });
+    }
+
     if (folder.isSystemFolder) {
       return res
         .status(403)
         .json({ success: false, error: "System folder cannot be deleted" });
     }
 
-    await Folder.deleteOne({ _id: folder._id });
-    await File.deleteMany({ folder: folder._id });
+    if (folder.isDeleted) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Folder is already in the trash" });
+    }
+
+    const subfolderCount = await folder.softDelete(req.user._id);
+
+    await audit.record(req, "folder.delete", {
+      target: audit.targetOf("folder", folder),
+      metadata: { subfolders: subfolderCount },
+    });
 
-    res.json({ success: true, message: "Folder and contents deleted" });
+    res.json({ success: true, message: "Folder and contents moved to trash" });
   } catch (error) {
     res.status(500).json({ success: false, error: "Delete failed" });
   }
@@ -399,11 +674,13 @@ router.delete("/:id", auth(["admin"]), async (req, res) => {
 // Add these routes to your routes/folder.js file
 // Place them BEFORE your existing /:id/files route
 
-// Get all pending files for approval
-router.get('/files/pending', auth(['admin', 'sub-admin']), async (req, res) => {
+// Get all pending files for approval. Unpaginated; review UIs should use
+// the queue at /api/reviews instead.
+router.get('/files/pending', auth(), authorize('file:review'), async (req, res) => {
   try {
     const files = await File.find({ 
-      approvalStatus: 'pending' 
+      approvalStatus: 'pending',
+      isDeleted: { $ne: true }
     })
     .populate('uploadedBy', 'name username email')
     .populate('folder', 'name path')
@@ -426,10 +703,10 @@ router.get('/files/pending', auth(['admin', 'sub-admin']), async (req, res) => {
 });
 
 // Get files by status (approved, disapproved, all)
-router.get('/files/all-status', auth(['admin', 'sub-admin']), async (req, res) => {
+router.get('/files/all-status', auth(), authorize('file:review'), async (req, res) => {
   try {
     const { status } = req.query;
-    let query = {};
+    let query = { isDeleted: { $ne: true } };
 
     // Build query based on status
     if (status && status !== 'all') {
@@ -466,8 +743,9 @@ router.get('/files/all-status', auth(['admin', 'sub-admin']), async (req, res) =
   }
 });
 
-// File approval/disapproval route
-router.patch('/files/:fileId/approval', auth(['admin', 'sub-admin']), async (req, res) => {
+// File approval/disapproval: a decision on the file's current workflow
+// stage. Approvers of that stage and approval managers may decide.
+router.patch('/files/:fileId/approval', auth(), async (req, res) => {
   try {
     const { fileId } = req.params;
     const { status, reason } = req.body;
@@ -480,57 +758,18 @@ router.patch('/files/:fileId/approval', auth(['admin', 'sub-admin']), async (req
       });
     }
 
-    // Validate status
-    if (!['approved', 'disapproved'].includes(status)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid status. Must be "approved" or "disapproved"' 
-      });
-    }
-
-    // If disapproving, reason is required
-    if (status === 'disapproved' && !reason?.trim()) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Reason is required when disapproving a file' 
-      });
-    }
-
     // Check if file exists
     const existingFile = await File.findById(fileId);
-    if (!existingFile) {
+    if (!existingFile || existingFile.isDeleted) {
       return res.status(404).json({ 
         success: false, 
         error: 'File not found' 
       });
     }
 
-    // Prepare update data
-    const updateData = {
-      approvalStatus: status
-    };
+    const result = await approval.decideAndAudit(req, existingFile, { decision: status, reason });
 
-    if (status === 'approved') {
-      updateData.approvedBy = req.user._id;
-      updateData.approvedAt = new Date();
-      // Clear disapproval fields if re-approving
-      updateData.rejectedBy = undefined;
-      updateData.rejectedAt = undefined;
-      updateData.disapprovalReason = undefined;
-    } else if (status === 'disapproved') {
-      updateData.rejectedBy = req.user._id;
-      updateData.rejectedAt = new Date();
-      updateData.disapprovalReason = reason.trim();
-      // Clear approval fields if disapproving
-      updateData.approvedBy = undefined;
-      updateData.approvedAt = undefined;
-    }
-
-    const updatedFile = await File.findByIdAndUpdate(
-      fileId,
-      updateData,
-      { new: true }
-    )
+    const updatedFile = await File.findById(fileId)
     .populate('uploadedBy', 'name username email')
     .populate('folder', 'name path')
     .populate('owner', 'name username')
@@ -539,10 +778,15 @@ router.patch('/files/:fileId/approval', auth(['admin', 'sub-admin']), async (req
 
     res.status(200).json({
       success: true,
-      message: `File ${status} successfully`,
+      message: result.completed
+        ? `File ${existingFile.approvalStatus} successfully`
+        : `Stage "${result.stage}" ${result.stageCompleted ? 'approved' : 'approval recorded'}`,
       data: updatedFile
     });
   } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('Error updating file approval status:', error);
     res.status(500).json({ 
       success: false, 
@@ -552,8 +796,146 @@ router.patch('/files/:fileId/approval', auth(['admin', 'sub-admin']), async (req
   }
 });
 
+// Loads a live file for its review history or comments. Sends the
+// 400/404/403 itself and returns null when the request can't go on.
+// Writing to the thread with an access token needs file:comment.
+async function loadReviewFile(req, res, { write = false } = {}) {
+  const { fileId } = req.params;
+  if (write && !policy.scopeAllows(req.user, 'file:comment')) {
+    res.status(403).json({ success: false, error: "This access token can't write comments" });
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(fileId)) {
+    res.status(400).json({ success: false, error: 'Invalid file ID' });
+    return null;
+  }
+  const file = await File.findById(fileId);
+  if (!file || file.isDeleted) {
+    res.status(404).json({ success: false, error: 'File not found' });
+    return null;
+  }
+  if (!(await approval.canParticipate(req.user, file))) {
+    res.status(403).json({ success: false, error: 'You are not part of this file\'s review' });
+    return null;
+  }
+  return file;
+}
+
+const sendReviewError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: Object.values(error.errors)[0].message });
+  }
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+// Review timeline: upload, every decision and every comment, oldest first
+router.get('/files/:fileId/history', auth(), async (req, res) => {
+  try {
+    const file = await loadReviewFile(req, res);
+    if (!file) return;
+
+    res.status(200).json({
+      success: true,
+      data: await reviewThread.timeline(file),
+      canDecide: approval.canDecide(req.user, file)
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to fetch review history');
+  }
+});
+
+router.get('/files/:fileId/comments', auth(), async (req, res) => {
+  try {
+    const file = await loadReviewFile(req, res);
+    if (!file) return;
+
+    const comments = await reviewThread.listComments(file);
+    res.status(200).json({ success: true, data: comments, count: comments.length });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to fetch comments');
+  }
+});
+
+// Comment on a file's review. "@username" mentions email the people named,
+// if they take part in the review; others come back in ignoredMentions.
+router.post('/files/:fileId/comments', auth(), async (req, res) => {
+  try {
+    const file = await loadReviewFile(req, res, { write: true });
+    if (!file) return;
+
+    const { comment, ignoredMentions } = await reviewThread.addComment(req.user, file, req.body.body);
+    await audit.record(req, 'file.comment_add', {
+      target: audit.targetOf('file', file),
+      metadata: { comment: comment._id, mentions: comment.mentions }
+    });
+    res.status(201).json({ success: true, data: comment, ignoredMentions });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to add comment');
+  }
+});
+
+// Loads one of the file's comments for its author (or, to delete, an
+// approval manager). Sends the error itself and returns null.
+async function loadOwnComment(req, res, file, { managerMay = false } = {}) {
+  const { commentId } = req.params;
+  const comment = mongoose.Types.ObjectId.isValid(commentId)
+    ? await FileComment.findOne({ _id: commentId, file: file._id })
+    : null;
+  if (!comment || comment.isDeleted()) {
+    res.status(404).json({ success: false, error: 'Comment not found' });
+    return null;
+  }
+  const mayChange = comment.author.equals(req.user._id) ||
+    (managerMay && policy.hasPermission(req.user, 'approval:manage'));
+  if (!mayChange) {
+    res.status(403).json({ success: false, error: 'You can only change your own comments' });
+    return null;
+  }
+  return comment;
+}
+
+router.patch('/files/:fileId/comments/:commentId', auth(), async (req, res) => {
+  try {
+    const file = await loadReviewFile(req, res, { write: true });
+    if (!file) return;
+    const existing = await loadOwnComment(req, res, file);
+    if (!existing) return;
+
+    const { comment, ignoredMentions } = await reviewThread.editComment(req.user, file, existing, req.body.body);
+    await audit.record(req, 'file.comment_edit', {
+      target: audit.targetOf('file', file),
+      metadata: { comment: comment._id, mentions: comment.mentions }
+    });
+    res.status(200).json({ success: true, data: comment, ignoredMentions });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to update comment');
+  }
+});
+
+router.delete('/files/:fileId/comments/:commentId', auth(), async (req, res) => {
+  try {
+    const file = await loadReviewFile(req, res, { write: true });
+    if (!file) return;
+    const comment = await loadOwnComment(req, res, file, { managerMay: true });
+    if (!comment) return;
+
+    await reviewThread.deleteComment(req.user, comment);
+    await audit.record(req, 'file.comment_delete', {
+      target: audit.targetOf('file', file),
+      metadata: { comment: comment._id, author: comment.author }
+    });
+    res.status(200).json({ success: true, message: 'Comment deleted' });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to delete comment');
+  }
+});
+
 // Get single file details (useful for the file view page)
-router.get('/files/:fileId', auth(['admin', 'sub-admin', 'user']), async (req, res) => {
+router.get('/files/:fileId', auth(), async (req, res) => {
   try {
     const { fileId } = req.params;
 
@@ -571,7 +953,7 @@ router.get('/files/:fileId', auth(['admin', 'sub-admin', 'user']), async (req, r
       .populate('approvedBy', 'name username')
       .populate('rejectedBy', 'name username');
 
-    if (!file) {
+    if (!file || file.isDeleted) {
       return res.status(404).json({ 
         success: false, 
         error: 'File not found' 
@@ -579,14 +961,7 @@ router.get('/files/:fileId', auth(['admin', 'sub-admin', 'user']), async (req, r
     }
 
     // Check if user can view this file
-    const canView = 
-      req.user.role === 'admin' || 
-      req.user.role === 'sub-admin' ||
-      file.uploadedBy._id.equals(req.user._id) ||
-      file.owner._id.equals(req.user._id) ||
-      file.approvalStatus === 'approved'; // Anyone can view approved files
-
-    if (!canView) {
+    if (!(await fileVisibility.canRead(req.user, file))) {
       return res.status(403).json({
         success: false,
         error: 'You do not have permission to view this file'
@@ -611,7 +986,7 @@ router.get('/files/:fileId', auth(['admin', 'sub-admin', 'user']), async (req, r
 // ✅ FIXED: Upload files route with correct versioning logic
 router.post(
   "/:id/files",
-  auth(["admin", "sub-admin", "user"]),
+  auth(),
   upload.array("files"),
   async (req, res) => {
     try {
@@ -630,164 +1005,44 @@ router.post(
       }
 
       // ✅ Check access
-      const hasAccess =
-        req.user.role === "admin" ||
-        folder.createdBy.equals(req.user._id) ||
-        folder.access.some(
-          (a) =>
-            a.user.equals(req.user._id) &&
-            ["write", "admin"].includes(a.permission)
-        );
-
-      if (!hasAccess) {
+      if (!(await policy.can(req.user, "file:upload", { folder }))) {
         return res
           .status(403)
           .json({ success: false, error: "Write access required" });
       }
 
-      // ✅ Approval setup
-      const isAutoApproved =
-        req.user.role === "admin" || req.user.role === "sub-admin";
-      const approvalStatus = isAutoApproved ? "approved" : "pending";
-
       const savedFiles = [];
+      const approvals = [];
+      const tags = parseTags(req.body.tags);
 
       for (const file of uploadedFiles) {
-        const originalName = file.originalname;
-        const dirPath = path.join(storage.STORAGE_ROOT, folder.path);
-
-        if (!fs.existsSync(dirPath)) {
-          await fsp.mkdir(dirPath, { recursive: true });
-        }
-
-        // ✅ FIXED: Better versioning logic
-        // First, find all files with the same originalFilename in this folder
-        const existingVersions = await File.find({
-          folder: folder._id,
-          originalFilename: originalName,
-          isDeleted: { $ne: true },
-        }).sort({ version: -1 });
-
-        // Calculate the next version number
-        const nextVersion = existingVersions.length > 0 
-          ? existingVersions[0].version + 1 
-          : 1;
-
-        // ✅ Generate versioned filename
-        const versionedName = File.generateVersionedName(
-          originalName,
-          nextVersion,
-          req.body.versionFormat || "number"
-        );
-
-        // ✅ Check if a file with this exact filename already exists in the folder
-        const existingFileWithName = await File.findOne({
-          folder: folder._id,
-          filename: versionedName,
-          isDeleted: { $ne: true }
-        });
-
-        if (existingFileWithName) {
-          // If filename collision occurs, find the next available number
-          let counter = nextVersion;
-          let availableName = versionedName;
-          
-          while (await File.findOne({ 
-            folder: folder._id, 
-            filename: availableName, 
-            isDeleted: { $ne: true } 
-          })) {
-            counter++;
-            availableName = File.generateVersionedName(originalName, counter, "number");
-          }
-          
-          versionedName = availableName;
-        }
-
-        const finalPath = path.join(dirPath, versionedName).replace(/\\/g, "/");
-
-        // ✅ Check if physical file already exists
-        if (fs.existsSync(finalPath)) {
-          console.warn(`Physical file already exists: ${finalPath}`);
-          continue; // Skip this file
-        }
-
-        // ✅ Compute file hash for duplicate detection
-        const hash = crypto.createHash("sha256");
-        const stream = fs.createReadStream(file.path);
-        await new Promise((resolve, reject) => {
-          stream.on("data", (chunk) => hash.update(chunk));
-          stream.on("end", resolve);
-          stream.on("error", reject);
-        });
-        const fileHash = hash.digest("hex");
-
-        // ✅ Check for duplicate content by hash
-        const duplicateFile = await File.findOne({
-          folder: folder._id,
-          fileHash: fileHash,
-          isDeleted: { $ne: true }
+        const result = await saveUploadedFile({
+          folder,
+          user: req.user,
+          tempPath: file.path,
+          originalName: file.originalname,
+          size: file.size,
+          mimetype: file.mimetype,
+          versionFormat: req.body.versionFormat || "number",
+          tags,
         });
 
-        if (duplicateFile) {
-          console.log(`Duplicate file detected (same content): ${originalName}`);
+        if (result.status === "duplicate") {
           // You might want to return info about the duplicate instead of saving
           savedFiles.push({
-            ...duplicateFile.toObject(),
+            ...result.file.toObject(),
             message: "File already exists with same content",
             isDuplicate: true
           });
-          continue;
-        }
-
-        // ✅ Move uploaded file to final location
-        await fsp.rename(file.path, finalPath);
-
-        // ✅ Create new file record
-        const newFile = new File({
-          filename: versionedName,
-          originalFilename: originalName,
-          path: finalPath,
-          size: file.size,
-          mimetype: file.mimetype,
-          extension: path.extname(originalName).toLowerCase(),
-          folder: folder._id,
-          owner: req.user._id,
-          uploadedBy: req.user._id,
-          fileHash,
-          approvalStatus,
-          version: nextVersion,
-          isCurrentVersion: true,
-          ...(isAutoApproved && {
-            approvedBy: req.user._id,
-            approvedAt: new Date(),
-          }),
-          ...(existingVersions.length > 0 && {
-            originalFile: existingVersions[0].originalFile || existingVersions[0]._id,
-          }),
-        });
-
-        await newFile.save();
-
-        // ✅ Update previous versions to not be current
-        if (existingVersions.length > 0) {
-          await File.updateMany(
-            {
-              originalFilename: originalName,
-              folder: folder._id,
-              _id: { $ne: newFile._id }, // Don't update the new file we just created
-              isDeleted: { $ne: true }
-            },
-            { isCurrentVersion: false }
-          );
-
-          // Update the new file's previousVersions array
-          newFile.previousVersions = existingVersions.map((v) => v._id);
-          await newFile.save();
+        } else if (result.status === "saved") {
+          savedFiles.push(result.file);
+          // Folder rules can treat each file differently
+          approvals.push({ fileId: result.file._id, ...result.approval });
+          await audit.record(req, "file.upload", {
+            target: audit.targetOf("file", result.file),
+            after: audit.pick(result.file, ["filename", "path", "size", "version", "approvalStatus"]),
+          });
         }
-
-        console.log(`File saved with versioning: ${versionedName} (version ${nextVersion})`);
-        savedFiles.push(newFile);
       }
 
       if (savedFiles.length === 0) {
@@ -801,10 +1056,9 @@ router.post(
         success: true,
         count: savedFiles.length,
         data: savedFiles,
-        approvalInfo: {
-          autoApproved: isAutoApproved,
-          status: approvalStatus,
-        },
+        // First file's outcome, for clients that show one message per upload
+        approvalInfo: approvals[0],
+        approvals,
       });
     } catch (error) {
       // Cleanup leftover temp files
@@ -832,7 +1086,7 @@ router.post(
 // Get file info
 router.get(
   "/files/:id",
-  auth(["admin", "sub-admin", "user"]),
+  auth(),
   async (req, res) => {
     try {
       const file = await File.findById(req.params.id)
@@ -840,18 +1094,14 @@ router.get(
         .populate("uploadedBy", "name email username")
         .populate("owner", "name email username");
 
-      if (!file) {
+      if (!file || file.isDeleted) {
         return res
           .status(404)
           .json({ success: false, error: "File not found" });
       }
 
       // Check access permissions
-      const hasAccess =
-        req.user.role === "admin" ||
-        file.owner.equals(req.user._id) ||
-        (file.folder &&
-          (await validateFolderAccess(file.folder._id, req.user._id)));
+      const hasAccess = await fileVisibility.canRead(req.user, file);
 
       if (!hasAccess) {
         return res.status(403).json({ success: false, error: "Access denied" });
@@ -874,25 +1124,13 @@ router.get("/files/:id/download", auth(), async (req, res) => {
   console.log(`[PREVIEW] Is preview request: ${!!req.query.preview}`);
   console.log("============================================");
 
-  let fileStream = null;
-  let isRequestCompleted = false;
-
-  // Helper function to cleanup and end response
-  const cleanup = (reason) => {
-    console.log(`[CLEANUP] Cleaning up due to: ${reason}`);
-    if (fileStream && !fileStream.destroyed) {
-      fileStream.destroy();
-    }
-    isRequestCompleted = true;
-  };
-
   try {
     console.log("[DB] Fetching file from database...");
     const file = await File.findById(req.params.id).populate(
       "folder uploadedBy"
     );
 
-    if (!file) {
+    if (!file || file.isDeleted) {
       console.warn("[DB] File not found in database");
       return res.status(404).json({
         success: false,
@@ -903,14 +1141,19 @@ router.get("/files/:id/download", auth(), async (req, res) => {
 
     // Permission check
     console.log("[AUTH] Checking user permissions...");
-    const hasAccess =
-      req.user.role === "admin" ||
-      file.uploadedBy._id.equals(req.user._id) ||
-      (file.folder &&
-        (await validateFolderAccess(file.folder._id, req.user._id)));
+    const hasAccess = await policy.can(req.user, "file:read", { file });
+    // Pending and rejected files stay with the uploader and reviewers
+    const approvedForUser = hasAccess && (await fileVisibility.canSee(req.user, file));
 
-    if (!hasAccess) {
+    const action = req.query.preview ? "file.preview" : "file.download";
+
+    if (!approvedForUser) {
       console.warn("[AUTH] Access denied for this file");
+      await audit.record(req, action, {
+        outcome: "failure",
+        target: audit.targetOf("file", file),
+        metadata: { reason: hasAccess ? "not_approved" : "access_denied" },
+      });
       return res.status(403).json({
         success: false,
         error: "Access denied",
@@ -918,181 +1161,14 @@ router.get("/files/:id/download", auth(), async (req, res) => {
     }
     console.log("[AUTH] Access granted ✅");
 
-    // File path check
-    let filePath;
-    if (path.isAbsolute(file.path)) {
-      filePath = file.path;
-    } else {
-      filePath = path.join(storage.STORAGE_ROOT, file.path);
-    }
-    console.log(`[FS] Checking file path: ${filePath}`);
-
-    if (!fs.existsSync(filePath)) {
-      console.error("[FS] File not found on disk ❌");
-      return res.status(404).json({
-        success: false,
-        error: "File not found on disk",
-      });
-    }
-    console.log("[FS] File exists ✅");
-
-    // Get file stats
-    const stats = fs.statSync(filePath);
-
-    // Set basic headers
-    res.setHeader("Content-Type", file.mimetype || "application/octet-stream");
-    res.setHeader("Content-Length", stats.size);
-    res.setHeader("Accept-Ranges", "bytes");
-
-    // Handle preview vs download
-    if (req.query.preview) {
-      res.setHeader(
-        "Content-Disposition",
-        `inline; filename="${encodeURIComponent(file.originalFilename)}"`
-      );
-      console.log("[HTTP] Headers set for preview (inline)");
-
-      // Special handling for PDFs
-      if (file.mimetype === "application/pdf") {
-        res.setHeader("Content-Type", "application/pdf");
-        res.setHeader("Cache-Control", "public, max-age=3600");
-        res.setHeader("X-Content-Type-Options", "nosniff");
-      }
-    } else {
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${encodeURIComponent(file.originalFilename)}"`
-      );
-      console.log("[HTTP] Headers set for download (attachment)");
+    // Range requests continue a download that was already recorded
+    if (!req.headers.range || /^bytes=0-/.test(req.headers.range)) {
+      await audit.record(req, action, { target: audit.targetOf("file", file) });
     }
 
-    // Set caching headers
-    res.setHeader("Cache-Control", "public, max-age=3600");
-    res.setHeader("ETag", file.fileHash || file._id.toString());
-
-    // Handle range requests (for video and large files)
-    const range = req.headers.range;
-    if (
-      range &&
-      (file.mimetype?.startsWith("video/") || stats.size > 10 * 1024 * 1024)
-    ) {
-      console.log("[RANGE] Processing range request:", range);
-
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : stats.size - 1;
-      const chunkSize = end - start + 1;
-
-      res.status(206);
-      res.setHeader("Content-Range", `bytes ${start}-${end}/${stats.size}`);
-      res.setHeader("Content-Length", chunkSize);
-
-      console.log(`[RANGE] Serving bytes ${start}-${end}/${stats.size}`);
-
-      fileStream = fs.createReadStream(filePath, { start, end });
-
-      fileStream.on("error", (err) => {
-        console.error("[RANGE_STREAM] Error:", err);
-        cleanup("range_stream_error");
-        if (!res.headersSent) {
-          res
-            .status(500)
-            .json({ success: false, error: "Failed to stream file range" });
-        }
-      });
-
-      fileStream.pipe(res);
-      return;
-    }
-
-    console.log("[HTTP] Starting full file stream...");
-    fileStream = fs.createReadStream(filePath);
-
-    // Enhanced stream event handlers
-    fileStream.on("open", () => {
-      console.log("[STREAM] File stream opened successfully");
-    });
-
-    fileStream.on("error", (err) => {
-      console.error("[STREAM] Error while streaming file:", err);
-      cleanup("stream_error");
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          error: "Failed to stream file",
-        });
-      } else {
-        res.end();
-      }
-    });
-
-    fileStream.on("end", () => {
-      console.log("[STREAM] File streaming completed ✅");
-      isRequestCompleted = true;
-    });
-
-    fileStream.on("close", () => {
-      console.log("[STREAM] File stream closed");
-    });
-
-    // Handle client disconnect
-    req.on("close", () => {
-      console.log("[CLIENT] Client disconnected");
-      cleanup("client_disconnect");
-    });
-
-    req.on("aborted", () => {
-      console.log("[CLIENT] Request aborted");
-      cleanup("request_aborted");
-    });
-
-    // Handle response events
-    res.on("error", (err) => {
-      console.error("[RESPONSE] Response error:", err);
-      cleanup("response_error");
-    });
-
-    res.on("finish", () => {
-      console.log("[RESPONSE] Response finished successfully");
-      isRequestCompleted = true;
-    });
-
-    res.on("close", () => {
-      console.log("[RESPONSE] Response closed");
-      if (!isRequestCompleted) {
-        cleanup("response_closed_early");
-      }
-    });
-
-    // Set timeout for preview requests
-    if (req.query.preview) {
-      const timeout = setTimeout(() => {
-        if (!isRequestCompleted) {
-          console.log("[TIMEOUT] Preview request timeout (45s)");
-          cleanup("timeout");
-          if (!res.headersSent) {
-            res.status(408).json({
-              success: false,
-              error: "Request timeout",
-            });
-          }
-        }
-      }, 45000); // 45 second timeout
-
-      res.on("finish", () => {
-        clearTimeout(timeout);
-      });
-
-      res.on("close", () => {
-        clearTimeout(timeout);
-      });
-    }
-
-    // Start piping the file
-    fileStream.pipe(res);
+    await streamFile(req, res, file);
   } catch (error) {
     console.error("[SERVER] Unexpected error during file download:", error);
-    cleanup("server_error");
 
     if (!res.headersSent) {
       res.status(500).json({
@@ -1110,7 +1186,7 @@ router.get("/files/:id/info", auth(), async (req, res) => {
       "folder uploadedBy"
     );
 
-    if (!file) {
+    if (!file || file.isDeleted) {
       return res.status(404).json({
         success: false,
         error: "File not found",
@@ -1118,11 +1194,7 @@ router.get("/files/:id/info", auth(), async (req, res) => {
     }
 
     // Permission check
-    const hasAccess =
-      req.user.role === "admin" ||
-      file.uploadedBy._id.equals(req.user._id) ||
-      (file.folder &&
-        (await validateFolderAccess(file.folder._id, req.user._id)));
+    const hasAccess = await fileVisibility.canRead(req.user, file);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -1131,15 +1203,8 @@ router.get("/files/:id/info", auth(), async (req, res) => {
       });
     }
 
-    // Check if file exists on disk
-    let filePath;
-    if (path.isAbsolute(file.path)) {
-      filePath = file.path;
-    } else {
-      filePath = path.join(storage.STORAGE_ROOT, file.path);
-    }
-
-    const fileExists = fs.existsSync(filePath);
+    // Check if file exists in storage
+    const fileExists = await storage.fileExists(file.path);
 
     res.json({
       success: true,
@@ -1164,61 +1229,39 @@ router.get("/files/:id/info", auth(), async (req, res) => {
 
 router.delete(
   "/files/:id",
-  auth(["admin", "sub-admin", "user"]),
+  auth(),
   async (req, res) => {
     try {
       const file = await File.findById(req.params.id);
-      if (!file) {
+      if (!file || file.isDeleted) {
         return res
           .status(404)
           .json({ success: false, error: "File not found" });
       }
 
       // Check permissions
-      const hasAccess =
-        req.user.role === "admin" ||
-        file.owner.equals(req.user._id) ||
-        (file.folder &&
-          (await validateFolderAccess(file.folder, req.user._id)));
+      const hasAccess = await policy.can(req.user, "file:delete", { file });
 
       if (!hasAccess) {
         return res.status(403).json({ success: false, error: "Access denied" });
       }
 
-      // Delete physical file
+      // Security check
       try {
-        const fullPath = path.join(storage.STORAGE_ROOT, file.path);
-
-        // Security check
-        if (
-          !fullPath.startsWith(path.normalize(storage.STORAGE_ROOT + path.sep))
-        ) {
-          return res.status(400).json({
-            success: false,
-            error: "Invalid file path",
-          });
-        }
-
-        try {
-          await fsp.unlink(fullPath);
-        } catch (err) {
-          // ignore missing file
-          if (err.code !== "ENOENT") throw err;
-        }
-
-        console.log(`[${new Date().toISOString()}] Deleted file:`, {
-          fileId: file._id,
-          path: fullPath,
-          deletedBy: req.user._id,
-        });
+        storage.toKey(file.path);
       } catch (err) {
-        if (err.code !== "ENOENT") throw err;
+        return res.status(400).json({
+          success: false,
+          error: "Invalid file path",
+        });
       }
 
-      // Delete database record
-      await file.deleteOne();
+      // Move to trash (purged later from /api/trash or by the purge job)
+      await file.softDelete(req.user._id);
 
-      res.json({ success: true, message: "File deleted successfully" });
+      await audit.record(req, "file.delete", { target: audit.targetOf("file", file) });
+
+      res.json({ success: true, message: "File moved to trash" });
     } catch (error) {
       console.error("Delete file error:", error);
       res.status(500).json({
@@ -1232,7 +1275,7 @@ router.delete(
 
 router.patch(
   "/files/:id/rename",
-  auth(["admin", "sub-admin", "user"]),
+  auth(),
   [
     check("newName")
       .trim()
@@ -1249,18 +1292,14 @@ router.patch(
       }
 
       const file = await File.findById(req.params.id);
-      if (!file) {
+      if (!file || file.isDeleted) {
         return res
           .status(404)
           .json({ success: false, error: "File not found" });
       }
 
       // Check permissions
-      const hasAccess =
-        req.user.role === "admin" ||
-        file.owner.equals(req.user._id) ||
-        (file.folder &&
-          (await validateFolderAccess(file.folder, req.user._id)));
+      const hasAccess = await policy.can(req.user, "file:update", { file });
 
       if (!hasAccess) {
         return res.status(403).json({ success: false, error: "Access denied" });
@@ -1268,13 +1307,12 @@ router.patch(
 
       const newName = req.body.newName;
       const folder = await Folder.findById(file.folder);
-      const newPath = path.join(folder.path, newName).replace(/\\/g, "/");
+      const newPath = path.posix.join(folder.path, newName);
 
-      // Rename physical file (if storage supports it)
-      const fullOldPath = path.join(storage.STORAGE_ROOT, file.path);
-      const fullNewPath = path.join(storage.STORAGE_ROOT, newPath);
+      const before = audit.pick(file, ["filename", "path"]);
 
-      await fsp.rename(fullOldPath, fullNewPath);
+      // Rename stored file
+      await storage.rename(file.path, newPath);
 
       // Update BOTH filename and originalFilename in DB
       file.filename = newName;
@@ -1282,6 +1320,12 @@ router.patch(
       file.path = newPath;
       await file.save();
 
+      await audit.record(req, "file.rename", {
+        target: audit.targetOf("file", file),
+        before,
+        after: audit.pick(file, ["filename", "path"]),
+      });
+
       res.json({
         success: true,
         data: file,
@@ -1309,10 +1353,10 @@ router.get('/files/:id/versions', auth(), async (req, res) => {
       });
     }
 
-    // Check access to the original file
-    const hasAccess = req.user.role === "admin" || 
-      versions[0].owner.equals(req.user._id) ||
-      (versions[0].folder && await validateFolderAccess(versions[0].folder, req.user._id));
+    // Check access to the original file, and to the requested version
+    const requested = versions.find((v) => v._id.equals(req.params.id));
+    const hasAccess = await policy.can(req.user, "file:read", { file: versions[0] }) &&
+      (!requested || await fileVisibility.canSee(req.user, requested));
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -1321,9 +1365,15 @@ router.get('/files/:id/versions', auth(), async (req, res) => {
       });
     }
 
+    // Other versions still pending or rejected are left out
+    const visible = [];
+    for (const version of versions) {
+      if (await fileVisibility.canSee(req.user, version)) visible.push(version);
+    }
+
     res.json({
       success: true,
-      data: versions
+      data: visible
     });
   } catch (error) {
     res.status(500).json({
@@ -1334,21 +1384,20 @@ router.get('/files/:id/versions', auth(), async (req, res) => {
 });
 
 // Restore a previous version
-router.post('/files/:id/restore', auth(["admin", "sub-admin", "user"]), async (req, res) => {
+router.post('/files/:id/restore', auth(), async (req, res) => {
   try {
     const versionToRestore = await File.findById(req.params.id);
     
-    if (!versionToRestore) {
+    if (!versionToRestore || versionToRestore.isDeleted) {
       return res.status(404).json({
         success: false,
         error: "Version not found"
       });
     }
 
-    // Check access
-    const hasAccess = req.user.role === "admin" || 
-      versionToRestore.owner.equals(req.user._id) ||
-      (versionToRestore.folder && await validateFolderAccess(versionToRestore.folder, req.user._id));
+    // Check access; a version still hidden by review can't be brought back
+    const hasAccess = await policy.can(req.user, "file:update", { file: versionToRestore }) &&
+      await fileVisibility.canSee(req.user, versionToRestore);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -1370,10 +1419,46 @@ router.post('/files/:id/restore', auth(["admin", "sub-admin", "user"]), async (r
       });
     }
 
+    if (currentVersion.fileHash === versionToRestore.fileHash) {
+      return res.status(409).json({
+        success: false,
+        error: "The current version already has this content"
+      });
+    }
+
+    // The restored content is reviewed like a new upload by whoever
+    // restores it; the old version's decisions don't carry over
+    const folder = await Folder.findById(versionToRestore.folder);
+    if (!folder || folder.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        error: "Folder not found"
+      });
+    }
+    const { fields: reviewFields, ...approvalInfo } = await approval.initialState({
+      folder,
+      user: req.user,
+      upload: {
+        filename: versionToRestore.originalFilename,
+        mimetype: versionToRestore.mimetype,
+        size: versionToRestore.size,
+        tags: versionToRestore.tags,
+        previousVersion: currentVersion,
+      },
+    });
+    const content = versionToRestore.toObject();
+    for (const field of ["approvalStatus", "approval", "approvalHistory", "approvedBy",
+      "approvedAt", "rejectedBy", "rejectedAt", "disapprovalReason"]) {
+      delete content[field];
+    }
+
     // Create a copy of the version we're restoring (as a new version)
     const newVersion = new File({
-      ...versionToRestore.toObject(),
+      ...content,
+      ...reviewFields,
       _id: undefined,
+      originalFile: versionToRestore.originalFile || versionToRestore._id,
+      uploadedBy: req.user._id,
       version: currentVersion.version + 1,
       isCurrentVersion: true,
       previousVersions: [...currentVersion.previousVersions, currentVersion._id],
@@ -1381,8 +1466,8 @@ router.post('/files/:id/restore', auth(["admin", "sub-admin", "user"]), async (r
       updatedAt: new Date()
     });
 
-    // Copy the physical file
-    const newPath = path.join(
+    // Copy the stored file
+    const newPath = path.posix.join(
       path.dirname(versionToRestore.path),
       File.generateVersionedName(
         versionToRestore.originalFilename,
@@ -1391,11 +1476,23 @@ router.post('/files/:id/restore', auth(["admin", "sub-admin", "user"]), async (r
       )
     );
 
-    await fsp.copyFile(versionToRestore.path, newPath);
+    await storage.copy(versionToRestore.path, newPath);
     newVersion.path = newPath;
+    newVersion.filename = path.posix.basename(newPath);
 
-    // Save new version
-    await newVersion.save();
+    // Save new version, dropping the copy if the record can't be stored
+    try {
+      await newVersion.save();
+    } catch (error) {
+      await storage.delete(newPath).catch(() => {});
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "A file with this name or content already exists in the folder"
+        });
+      }
+      throw error;
+    }
 
     // Mark old versions as not current
     await File.updateMany(
@@ -1406,9 +1503,17 @@ router.post('/files/:id/restore', auth(["admin", "sub-admin", "user"]), async (r
       { isCurrentVersion: false }
     );
 
+    await audit.record(req, "file.version_restore", {
+      target: audit.targetOf("file", newVersion),
+      before: { version: currentVersion.version },
+      after: { version: newVersion.version, approvalStatus: newVersion.approvalStatus },
+      metadata: { restoredFrom: versionToRestore._id },
+    });
+
     res.json({
       success: true,
       data: newVersion,
+      approvalInfo,
       message: "Version restored successfully"
     });
   } catch (error) {
@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const policy = require('../utils/policy');
+const audit = require('../utils/audit');
+
+const MEMBER_FIELDS = 'username email role';
+
+const sendError = (res, error, fallback) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'A group with this name already exists' });
+    }
+    console.error(error);
+    res.status(500).json({ message: fallback });
+};
+
+// Group managers and the group's creator may change it
+const canManage = (group, user) =>
+    policy.hasPermission(user, 'group:update') || group.createdBy.equals(user._id);
+
+// Load a group from :id or send the error response
+const findGroup = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ message: 'Invalid group ID' });
+        return null;
+    }
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+        res.status(404).json({ message: 'Group not found' });
+        return null;
+    }
+    return group;
+};
+
+// Resolve { userIds, emails } in the body to user ids
+const resolveMembers = async ({ userIds = [], emails = [] }) => {
+    const validIds = userIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const users = await User.find({
+        $or: [
+            { _id: { $in: validIds } },
+            { email: { $in: emails.map(e => String(e).toLowerCase().trim()) } }
+        ]
+    }).select('_id');
+    return users.map(u => u._id);
+};
+
+// List groups (all of them with group:read, otherwise the ones you belong to)
+router.get('/', auth(), async (req, res) => {
+    try {
+        const query = policy.hasPermission(req.user, 'group:read')
+            ? {}
+            : { members: req.user._id };
+
+        const groups = await Group.find(query)
+            .populate('createdBy', 'username email')
+            .sort({ name: 1 })
+            .lean();
+
+        res.json(groups.map(({ members, ...group }) => ({
+            ...group,
+            memberCount: members.length
+        })));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch groups');
+    }
+});
+
+// Get a group with its members
+router.get('/:id', auth(), async (req, res) => {
+    try {
+        const group = await findGroup(req, res);
+        if (!group) return;
+
+        const isMember = group.members.some(m => m.equals(req.user._id));
+        if (!isMember && !policy.hasPermission(req.user, 'group:read')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        await group.populate([
+            { path: 'members', select: MEMBER_FIELDS },
+            { path: 'createdBy', select: 'username email' }
+        ]);
+        res.json(group);
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch group');
+    }
+});
+
+// Create a group, optionally with initial members
+router.post('/', auth(), authorize('group:create'), async (req, res) => {
+    try {
+        const { name, description, userIds, emails } = req.body;
+        if (!name) {
+            return res.status(400).json({ message: 'Group name is required' });
+        }
+
+        const group = await Group.create({
+            name,
+            description,
+            members: await resolveMembers({ userIds, emails }),
+            createdBy: req.user._id
+        });
+        await audit.record(req, 'group.create', {
+            target: audit.targetOf('group', group),
+            after: audit.pick(group, ['name', 'description', 'members'])
+        });
+        res.status(201).json(group);
+    } catch (error) {
+        sendError(res, error, 'Failed to create group');
+    }
+});
+
+// Rename or describe a group
+router.put('/:id', auth(), async (req, res) => {
+    try {
+        const group = await findGroup(req, res);
+        if (!group) return;
+        if (!canManage(group, req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const before = audit.pick(group, ['name', 'description']);
+
+        const { name, description } = req.body;
+        if (name !== undefined) group.name = name;
+        if (description !== undefined) group.description = description;
+
+        await group.save();
+        await audit.record(req, 'group.update', {
+            target: audit.targetOf('group', group),
+            before,
+            after: audit.pick(group, ['name', 'description'])
+        });
+        res.json(group);
+    } catch (error) {
+        sendError(res, error, 'Failed to update group');
+    }
+});
+
+// Add members (body: userIds and/or emails)
+router.post('/:id/members', auth(), async (req, res) => {
+    try {
+        const group = await findGroup(req, res);
+        if (!group) return;
+        if (!canManage(group, req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const ids = await resolveMembers(req.body);
+        if (ids.length === 0) {
+            return res.status(404).json({ message: 'No matching users found' });
+        }
+
+        const updated = await Group.findByIdAndUpdate(
+            group._id,
+            { $addToSet: { members: { $each: ids } } },
+            { new: true }
+        ).populate('members', MEMBER_FIELDS);
+        await audit.record(req, 'group.member_add', {
+            target: audit.targetOf('group', group),
+            metadata: { users: ids }
+        });
+        res.json(updated);
+    } catch (error) {
+        sendError(res, error, 'Failed to add members');
+    }
+});
+
+// Remove a member
+router.delete('/:id/members/:userId', auth(), async (req, res) => {
+    try {
+        const group = await findGroup(req, res);
+        if (!group) return;
+        if (!canManage(group, req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+            return res.status(400).json({ message: 'Invalid user ID' });
+        }
+
+        const updated = await Group.findByIdAndUpdate(
+            group._id,
+            { $pull: { members: req.params.userId } },
+            { new: true }
+        ).populate('members', MEMBER_FIELDS);
+        await audit.record(req, 'group.member_remove', {
+            target: audit.targetOf('group', group),
+            metadata: { user: req.params.userId }
+        });
+        res.json(updated);
+    } catch (error) {
+        sendError(res, error, 'Failed to remove member');
+    }
+});
+
+// Delete a group and every folder grant made to it
+router.delete('/:id', auth(), async (req, res) => {
+    try {
+        const group = await findGroup(req, res);
+        if (!group) return;
+        if (!policy.hasPermission(req.user, 'group:delete') && !group.createdBy.equals(req.user._id)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        await group.deleteOne();
+        await audit.record(req, 'group.delete', {
+            target: audit.targetOf('group', group),
+            before: audit.pick(group, ['name', 'members'])
+        });
+        res.json({ message: 'Group deleted successfully' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete group');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,285 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Invitation = require('../models/invitation.model');
+const User = require('../models/user.model');
+const Role = require('../models/role.model');
+const Folder = require('../models/folder.model');
+const Group = require('../models/group.model');
+const config = require('../config/config');
+const policy = require('../utils/policy');
+const audit = require('../utils/audit');
+const passwordPolicy = require('../utils/passwordPolicy');
+const twoFactor = require('../utils/twoFactor');
+const { completeLogin } = require('../utils/session');
+const { sendInvitation } = require('../utils/invitations');
+
+const STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+/**
+ * Validates requested folder grants and checks the inviter may share
+ * each folder.
+ * @returns {Promise<{ grants?: Array, error?: string, status?: number }>}
+ */
+const resolveGrants = async (user, grants = []) => {
+    if (!Array.isArray(grants)) return { error: 'Grants must be an array', status: 400 };
+
+    const resolved = new Map();
+    for (const grant of grants) {
+        if (!mongoose.Types.ObjectId.isValid(grant?.folderId)) {
+            return { error: 'Each grant needs a valid folderId', status: 400 };
+        }
+        if (!['read', 'write', 'admin'].includes(grant.permission)) {
+            return { error: 'Grant permission must be read, write or admin', status: 400 };
+        }
+        const folder = await Folder.findById(grant.folderId);
+        if (!folder) {
+            return { error: `Folder ${grant.folderId} not found`, status: 404 };
+        }
+        if (!(await policy.can(user, 'folder:share', { folder }))) {
+            return { error: `Not authorized to share folder "${folder.name}"`, status: 403 };
+        }
+        // Last one wins if a folder is listed twice
+        resolved.set(folder._id.toString(), { folder: folder._id, permission: grant.permission });
+    }
+    return { grants: [...resolved.values()] };
+};
+
+// ---------------------------------------------------------------------------
+// Accepting (public, the token is the credential)
+// ---------------------------------------------------------------------------
+
+// Details for the accept page
+router.get('/accept/:token', async (req, res) => {
+    try {
+        const invitation = await Invitation.findByToken(req.params.token).populate('invitedBy', 'username');
+        if (!invitation || invitation.status !== 'pending') {
+            return res.status(410).json({ message: 'This invitation is no longer valid' });
+        }
+        res.json({
+            email: invitation.email,
+            role: invitation.role,
+            invitedBy: invitation.invitedBy?.username,
+            expiresAt: invitation.expiresAt
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create the account: { username, password }
+router.post('/accept/:token', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const invitation = await Invitation.findByToken(req.params.token);
+        if (!invitation || invitation.status !== 'pending') {
+            return res.status(410).json({ message: 'This invitation is no longer valid' });
+        }
+
+        if (!username || String(username).trim().length < 3) {
+            return res.status(400).json({ message: 'Username must be at least 3 characters' });
+        }
+        const problems = passwordPolicy.validate(password, { username, email: invitation.email });
+        if (problems.length) {
+            return res.status(400).json({ message: problems.join('. '), errors: problems });
+        }
+        if (await User.exists({ email: invitation.email })) {
+            return res.status(409).json({ message: 'An account with this email already exists' });
+        }
+        if (await User.exists({ username: String(username).trim().toLowerCase() })) {
+            return res.status(409).json({ message: 'Username is taken' });
+        }
+
+        // Claim the invitation first so it can't be accepted twice
+        const claimed = await Invitation.findOneAndUpdate(
+            { _id: invitation._id, ...Invitation.statusFilter('pending') },
+            { acceptedAt: new Date() },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(410).json({ message: 'This invitation is no longer valid' });
+        }
+
+        let user;
+        try {
+            user = await User.create({ username, email: invitation.email, password, role: invitation.role });
+        } catch (error) {
+            await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ message: Object.values(error.errors)[0].message });
+            }
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'Username or email already in use' });
+            }
+            throw error;
+        }
+        claimed.acceptedUser = user._id;
+        await claimed.save();
+
+        for (const grant of invitation.grants) {
+            const result = await Folder.updateOne(
+                { _id: grant.folder, 'access.user': { $ne: user._id } },
+                { $push: { access: { user: user._id, permission: grant.permission, grantedAt: new Date() } } }
+            );
+            if (result.modifiedCount) {
+                await audit.record(req, 'folder.access_grant', {
+                    actor: user,
+                    target: { type: 'folder', id: grant.folder },
+                    after: { permission: grant.permission },
+                    metadata: { user: user._id, invitation: invitation._id, grantedBy: invitation.invitedBy }
+                });
+            }
+        }
+
+        for (const groupId of invitation.groups) {
+            const result = await Group.updateOne({ _id: groupId }, { $addToSet: { members: user._id } });
+            if (result.modifiedCount) {
+                await audit.record(req, 'group.member_add', {
+                    actor: user,
+                    target: { type: 'group', id: groupId },
+                    metadata: { users: [user._id], invitation: invitation._id }
+                });
+            }
+        }
+
+        await audit.record(req, 'user.invite_accept', {
+            actor: user,
+            target: audit.targetOf('user', user),
+            after: audit.pick(user, ['username', 'email', 'role']),
+            metadata: { invitation: invitation._id, invitedBy: invitation.invitedBy }
+        });
+
+        // Roles that require 2FA enroll before getting a session
+        if (await twoFactor.isRequiredFor(user)) {
+            return res.status(201).json({
+                twoFactorSetupRequired: true,
+                enrollToken: twoFactor.issueChallenge(user, '2fa-enroll'),
+                expiresIn: config.twoFactor.challengeTtlMinutes * 60
+            });
+        }
+        await completeLogin(req, res, user, { status: 201 });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Managing invitations
+// ---------------------------------------------------------------------------
+
+// List invitations, optionally ?status=pending|accepted|revoked|expired
+router.get('/', auth(), authorize('user:invite'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of: ${STATUSES.join(', ')}` });
+        }
+        const invitations = await Invitation.find(Invitation.statusFilter(status))
+            .sort({ createdAt: -1 })
+            .populate('invitedBy', 'username email')
+            .populate('acceptedUser', 'username email')
+            .populate('grants.folder', 'name');
+        res.json(invitations);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Invite someone: { email, role, grants: [{ folderId, permission }] }
+router.post('/', auth(), authorize('user:invite'), async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const { role } = req.body;
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ message: 'A valid email is required' });
+        }
+        if (!(await Role.exists({ name: role }))) {
+            return res.status(400).json({ message: 'Invalid role' });
+        }
+        if (!policy.canAssignRole(req.user, role)) {
+            return res.status(403).json({ message: 'You cannot assign a role with more permissions than your own' });
+        }
+        if (await User.exists({ email })) {
+            return res.status(409).json({ message: 'A user with this email already exists' });
+        }
+
+        const pending = await Invitation.findOne({ email, ...Invitation.statusFilter('pending') });
+        if (pending) {
+            return res.status(409).json({ message: 'This email already has a pending invitation; resend it instead' });
+        }
+
+        const { grants, error, status } = await resolveGrants(req.user, req.body.grants);
+        if (error) return res.status(status).json({ message: error });
+
+        const invitation = new Invitation({ email, role, grants, invitedBy: req.user._id });
+        await sendInvitation(invitation, req.user);
+        await audit.record(req, 'user.invite', {
+            target: { type: 'invitation', id: invitation._id, label: email },
+            after: { email, role, grants: grants.map(g => ({ folder: g.folder, permission: g.permission })) }
+        });
+        res.status(201).json(invitation);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Send the invitation again with a new link and expiry
+router.post('/:id/resend', auth(), authorize('user:invite'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid invitation ID' });
+        }
+        const invitation = await Invitation.findById(req.params.id);
+        if (!invitation) {
+            return res.status(404).json({ message: 'Invitation not found' });
+        }
+        if (['accepted', 'revoked'].includes(invitation.status)) {
+            return res.status(400).json({ message: `Invitation was already ${invitation.status}` });
+        }
+
+        await sendInvitation(invitation, req.user);
+        await audit.record(req, 'user.invite_resend', {
+            target: { type: 'invitation', id: invitation._id, label: invitation.email },
+            metadata: { sendCount: invitation.sendCount }
+        });
+        res.json(invitation);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Revoke a pending invitation
+router.delete('/:id', auth(), authorize('user:invite'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid invitation ID' });
+        }
+        const invitation = await Invitation.findById(req.params.id);
+        if (!invitation) {
+            return res.status(404).json({ message: 'Invitation not found' });
+        }
+        if (['accepted', 'revoked'].includes(invitation.status)) {
+            return res.status(400).json({ message: `Invitation was already ${invitation.status}` });
+        }
+
+        invitation.revokedAt = new Date();
+        invitation.revokedBy = req.user._id;
+        await invitation.save();
+        await audit.record(req, 'user.invite_revoke', {
+            target: { type: 'invitation', id: invitation._id, label: invitation.email }
+        });
+        res.json(invitation);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const auth = require("../middleware/auth");
+const File = require("../models/file.model");
+const User = require("../models/user.model");
+const config = require("../config/config");
+const approval = require("../utils/approval");
+const policy = require("../utils/policy");
+const reviewQueue = require("../utils/reviewQueue");
+const audit = require("../utils/audit");
+
+const sendError = (res, error, fallback) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+// Loads a pending-review file by :fileId; sends the 400/404 itself
+async function loadFile(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.fileId)) {
+    res.status(400).json({ success: false, error: "Invalid file ID" });
+    return null;
+  }
+  const file = await File.findById(req.params.fileId);
+  if (!file || file.isDeleted) {
+    res.status(404).json({ success: false, error: "File not found" });
+    return null;
+  }
+  return file;
+}
+
+// ✅ Reviewer queue, oldest first, paginated. See utils/reviewQueue for filters.
+router.get("/", auth(), async (req, res) => {
+  try {
+    const { items, total, page, pages } = await reviewQueue.list(req.user, req.query);
+    res.json({ success: true, count: items.length, total, page, pages, data: items });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch review queue");
+  }
+});
+
+// ✅ One decision for many files: { fileIds: [...], status, reason }
+// Each file is decided on its own; the response reports every file, and
+// one failing (not an approver, already decided...) doesn't stop the rest.
+router.post("/decisions", auth(), async (req, res) => {
+  try {
+    const { fileIds, status, reason } = req.body;
+    if (!Array.isArray(fileIds) || !fileIds.length) {
+      return res.status(400).json({ success: false, error: "fileIds must be a non-empty array" });
+    }
+    if (fileIds.length > config.reviews.maxBulk) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${config.reviews.maxBulk} files can be decided at once`,
+      });
+    }
+    // Same checks as a single decision, once up front instead of per file
+    if (!policy.scopeAllows(req.user, "file:approve")) {
+      return res.status(403).json({ success: false, error: "This access token can't decide or assign reviews" });
+    }
+    if (!["approved", "disapproved"].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status. Must be "approved" or "disapproved"' });
+    }
+    if (status === "disapproved" && !reason?.trim()) {
+      return res.status(400).json({ success: false, error: "Reason is required when disapproving a file" });
+    }
+
+    const results = [];
+    for (const fileId of [...new Set(fileIds.map(String))]) {
+      const file = mongoose.Types.ObjectId.isValid(fileId) && (await File.findById(fileId));
+      if (!file || file.isDeleted) {
+        results.push({ fileId, ok: false, error: "File not found" });
+        continue;
+      }
+      try {
+        const result = await approval.decideAndAudit(req, file, { decision: status, reason });
+        results.push({
+          fileId,
+          ok: true,
+          approvalStatus: file.approvalStatus,
+          stage: result.stage,
+          stageCompleted: result.stageCompleted,
+        });
+      } catch (error) {
+        if (!error.status || error.status >= 500) console.error(`Bulk decision failed for ${fileId}:`, error);
+        results.push({ fileId, ok: false, error: error.status < 500 ? error.message : "Failed to decide" });
+      }
+    }
+
+    const succeeded = results.filter((r) => r.ok).length;
+    await audit.record(req, "file.bulk_decision", {
+      metadata: { status, reason: reason?.trim(), requested: results.length, succeeded },
+    });
+    res.json({
+      success: true,
+      summary: { requested: results.length, succeeded, failed: results.length - succeeded },
+      data: results,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to apply decisions");
+  }
+});
+
+// ✅ Claim a file's current stage so other approvers know it's taken
+router.post("/:fileId/claim", auth(), async (req, res) => {
+  try {
+    const file = await loadFile(req, res);
+    if (!file) return;
+
+    await approval.assign(req.user, file, req.user);
+    await audit.record(req, "file.claim", { target: audit.targetOf("file", file) });
+    res.json({ success: true, data: { assignee: req.user._id, assignedAt: file.approval.assignedAt } });
+  } catch (error) {
+    sendError(res, error, "Failed to claim file");
+  }
+});
+
+// ✅ Give up a claim (managers can release anyone's)
+router.post("/:fileId/release", auth(), async (req, res) => {
+  try {
+    const file = await loadFile(req, res);
+    if (!file) return;
+
+    const previous = file.approval?.assignee;
+    await approval.assign(req.user, file, null);
+    if (previous) {
+      await audit.record(req, "file.release", {
+        target: audit.targetOf("file", file),
+        before: { assignee: previous },
+      });
+    }
+    res.json({ success: true, data: { assignee: null } });
+  } catch (error) {
+    sendError(res, error, "Failed to release file");
+  }
+});
+
+// ✅ Assign a file's current stage to an approver: { userId }, null to unassign
+router.put("/:fileId/assignee", auth(), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    let assignee = null;
+    if (userId != null) {
+      assignee = mongoose.Types.ObjectId.isValid(userId) && (await User.findById(userId));
+      if (!assignee || !assignee.isActive()) {
+        return res.status(400).json({ success: false, error: "Assignee must be an active user" });
+      }
+    }
+
+    const file = await loadFile(req, res);
+    if (!file) return;
+
+    const previous = file.approval?.assignee;
+    await approval.assign(req.user, file, assignee);
+    await audit.record(req, "file.assign", {
+      target: audit.targetOf("file", file),
+      before: { assignee: previous || null },
+      after: { assignee: assignee?._id || null },
+    });
+    res.json({
+      success: true,
+      data: { assignee: assignee?._id || null, assignedAt: file.approval.assignedAt || null },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to assign file");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Role = require('../models/role.model');
+const User = require('../models/user.model');
+const { ACTIONS, grantsBeyond, isAdmin } = require('../utils/policy');
+const audit = require('../utils/audit');
+
+// Mongoose validation errors carry a readable message for the client
+const sendError = (res, error, fallback) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+    console.error(error);
+    res.status(500).json({ message: fallback });
+};
+
+// List roles with the number of users assigned to each
+router.get('/', auth(), authorize('role:read'), async (req, res) => {
+    try {
+        const [roles, counts] = await Promise.all([
+            Role.find().sort({ isBuiltIn: -1, name: 1 }).lean(),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+        ]);
+        const userCounts = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+        res.json(roles.map(role => ({ ...role, userCount: userCounts[role.name] || 0 })));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch roles');
+    }
+});
+
+// Actions that can be granted to a role
+router.get('/actions', auth(), authorize('role:read'), (req, res) => {
+    res.json(Object.keys(ACTIONS));
+});
+
+// Create a custom role
+router.post('/', auth(), authorize('role:create'), async (req, res) => {
+    try {
+        const { name, description, permissions = [] } = req.body;
+        if (!name) {
+            return res.status(400).json({ message: 'Role name is required' });
+        }
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({ message: 'Permissions must be an array' });
+        }
+        const beyond = grantsBeyond(req.user, permissions);
+        if (beyond.length) {
+            return res.status(403).json({ message: `You cannot grant permissions you don't hold: ${beyond.join(', ')}` });
+        }
+
+        const role = await Role.create({ name, description, permissions });
+        await audit.record(req, 'role.create', {
+            target: audit.targetOf('role', role),
+            after: audit.pick(role, ['name', 'description', 'permissions'])
+        });
+        res.status(201).json(role);
+    } catch (error) {
+        sendError(res, error, 'Failed to create role');
+    }
+});
+
+// Update a role's description and permissions (names are fixed)
+router.put('/:id', auth(), authorize('role:update'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid role ID' });
+        }
+
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        // Otherwise role:update would let someone raise their own grants
+        if (role.name === req.user.role && !isAdmin(req.user)) {
+            return res.status(403).json({ message: 'You cannot change your own role' });
+        }
+
+        const before = audit.pick(role, ['description', 'permissions']);
+
+        const { description, permissions } = req.body;
+        if (permissions !== undefined) {
+            if (!Array.isArray(permissions)) {
+                return res.status(400).json({ message: 'Permissions must be an array' });
+            }
+            // Editing the admin role could lock everyone out of role management
+            if (role.name === 'admin') {
+                return res.status(400).json({ message: 'The admin role cannot be changed' });
+            }
+            const beyond = grantsBeyond(req.user, permissions);
+            if (beyond.length) {
+                return res.status(403).json({ message: `You cannot grant permissions you don't hold: ${beyond.join(', ')}` });
+            }
+            role.permissions = permissions;
+        }
+        if (description !== undefined) role.description = description;
+
+        await role.save();
+        await audit.record(req, 'role.update', {
+            target: audit.targetOf('role', role),
+            before,
+            after: audit.pick(role, ['description', 'permissions'])
+        });
+        res.json(role);
+    } catch (error) {
+        sendError(res, error, 'Failed to update role');
+    }
+});
+
+// Delete a custom role that no user holds
+router.delete('/:id', auth(), authorize('role:delete'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid role ID' });
+        }
+
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        if (role.isBuiltIn) {
+            return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+        }
+
+        const assigned = await User.countDocuments({ role: role.name });
+        if (assigned > 0) {
+            return res.status(409).json({
+                message: `Role is assigned to ${assigned} user(s). Reassign them first.`
+            });
+        }
+
+        await role.deleteOne();
+        await audit.record(req, 'role.delete', {
+            target: audit.targetOf('role', role),
+            before: audit.pick(role, ['name', 'permissions'])
+        });
+        res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete role');
+    }
+});
+
+module.exports = router;
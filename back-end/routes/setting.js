@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Role = require('../models/role.model');
+const Setting = require('../models/setting.model');
+const twoFactor = require('../utils/twoFactor');
+const registration = require('../utils/registration');
+const audit = require('../utils/audit');
+
+// Current security settings
+router.get('/security', auth(), authorize('settings:manage'), async (req, res) => {
+    try {
+        res.json({ require2faRoles: await twoFactor.requiredRoles() });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Failed to fetch settings' });
+    }
+});
+
+// Update security settings, e.g. { require2faRoles: ['admin', 'sub-admin'] }
+router.put('/security', auth(), authorize('settings:manage'), async (req, res) => {
+    try {
+        const { require2faRoles } = req.body;
+        if (!Array.isArray(require2faRoles) || require2faRoles.some(r => typeof r !== 'string')) {
+            return res.status(400).json({ message: 'require2faRoles must be an array of role names' });
+        }
+
+        const roles = [...new Set(require2faRoles)];
+        const known = await Role.find({ name: { $in: roles } }).distinct('name');
+        const unknown = roles.filter(r => !known.includes(r));
+        if (unknown.length) {
+            return res.status(400).json({ message: `Unknown role(s): ${unknown.join(', ')}` });
+        }
+
+        const before = await twoFactor.requiredRoles();
+        await Setting.setValue(twoFactor.REQUIRED_ROLES_KEY, roles, req.user._id);
+        await audit.record(req, 'settings.update', {
+            target: { type: 'setting', label: twoFactor.REQUIRED_ROLES_KEY },
+            before: { require2faRoles: before },
+            after: { require2faRoles: roles }
+        });
+        res.json({ require2faRoles: roles });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Failed to update settings' });
+    }
+});
+
+// Current self-registration settings
+router.get('/registration', auth(), authorize('settings:manage'), async (req, res) => {
+    try {
+        res.json(await registration.getSettings());
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Failed to fetch settings' });
+    }
+});
+
+// Update self-registration, e.g. { mode: 'domain', allowedDomains: ['example.com'] }
+router.put('/registration', auth(), authorize('settings:manage'), async (req, res) => {
+    try {
+        const before = await registration.getSettings();
+        const { mode = before.mode, allowedDomains = before.allowedDomains } = req.body;
+
+        if (!registration.MODES.includes(mode)) {
+            return res.status(400).json({ message: `Mode must be one of: ${registration.MODES.join(', ')}` });
+        }
+        if (!Array.isArray(allowedDomains) || allowedDomains.some(d => typeof d !== 'string')) {
+            return res.status(400).json({ message: 'allowedDomains must be an array of domains' });
+        }
+        const domains = [...new Set(allowedDomains.map(d => d.trim().toLowerCase().replace(/^@/, '')).filter(Boolean))];
+        if (mode === 'domain' && !domains.length) {
+            return res.status(400).json({ message: 'Domain mode needs at least one allowed domain' });
+        }
+
+        await Setting.setValue(registration.MODE_KEY, mode, req.user._id);
+        await Setting.setValue(registration.DOMAINS_KEY, domains, req.user._id);
+        await audit.record(req, 'settings.update', {
+            target: { type: 'setting', label: 'registration' },
+            before: { mode: before.mode, allowedDomains: before.allowedDomains },
+            after: { mode, allowedDomains: domains }
+        });
+        res.json(await registration.getSettings());
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Failed to update settings' });
+    }
+});
+
+module.exports = router;
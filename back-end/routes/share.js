@@ -0,0 +1,564 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const fs = require("fs");
+const fsp = require("fs").promises;
+const { check, oneOf, validationResult } = require("express-validator");
+const auth = require("../middleware/auth");
+const ShareLink = require("../models/shareLink.model");
+const File = require("../models/file.model");
+const Folder = require("../models/folder.model");
+const config = require("../config/config");
+const policy = require("../utils/policy");
+const audit = require("../utils/audit");
+const loginThrottle = require("../utils/loginThrottle");
+const { upload } = require("../utils/multer");
+const { streamFile } = require("../utils/fileStream");
+const { saveUploadedFile } = require("../utils/fileUpload");
+
+const UNLOCK_PURPOSE = "share-unlock";
+
+const linkUrl = (token) => `${config.shareLinks.baseUrl}/share/${token}`;
+
+// Range requests resume a download; only the first one is counted
+const isNewDownload = (req) => {
+  const range = req.headers.range;
+  return !range || /^bytes=0-/.test(range);
+};
+
+// ---------------------------------------------------------------------------
+// Owner endpoints
+// ---------------------------------------------------------------------------
+
+// ✅ Create a share link for a file or folder
+router.post(
+  "/",
+  auth(),
+  [
+    oneOf(
+      [check("fileId").isMongoId(), check("folderId").isMongoId()],
+      { message: "Provide a valid fileId or folderId" }
+    ),
+    check("mode").optional().isIn(["read", "upload"]),
+    check("password")
+      .optional({ values: "falsy" })
+      .isString()
+      .isLength({ min: config.passwordPolicy.minLength })
+      .withMessage(`Password must be at least ${config.passwordPolicy.minLength} characters`),
+    check("expiresAt").optional({ values: "null" }).isISO8601().toDate(),
+    check("maxDownloads").optional({ values: "null" }).isInt({ min: 1 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { fileId, folderId, mode = "read", password, expiresAt, maxDownloads } = req.body;
+
+      if (expiresAt && expiresAt <= new Date()) {
+        return res
+          .status(400)
+          .json({ success: false, error: "Expiry must be in the future" });
+      }
+
+      const link = new ShareLink({
+        mode,
+        expiresAt: expiresAt || null,
+        maxDownloads: maxDownloads || null,
+        createdBy: req.user._id,
+      });
+
+      if (fileId) {
+        const file = await File.findById(fileId).populate("folder");
+        if (!file || file.isDeleted) {
+          return res.status(404).json({ success: false, error: "File not found" });
+        }
+        if (!(await policy.can(req.user, "file:share", { file }))) {
+          return res.status(403).json({ success: false, error: "Access denied" });
+        }
+        // Links are public, so only approved files can be shared
+        if (file.approvalStatus !== "approved") {
+          return res.status(400).json({ success: false, error: "Only approved files can be shared" });
+        }
+        link.file = file._id;
+      } else {
+        const folder = await Folder.findById(folderId);
+        if (!folder || folder.isDeleted) {
+          return res.status(404).json({ success: false, error: "Folder not found" });
+        }
+        if (!(await policy.can(req.user, "folder:share", { folder }))) {
+          return res.status(403).json({ success: false, error: "Access denied" });
+        }
+        link.folder = folder._id;
+      }
+
+      await link.setPassword(password);
+      const token = link.generateToken();
+      await link.save();
+
+      await audit.record(req, "share.create", {
+        target: audit.targetOf("share", link, link.tokenPrefix),
+        after: {
+          ...audit.pick(link, ["file", "folder", "mode", "expiresAt", "maxDownloads"]),
+          passwordProtected: !!password,
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        // The token is not stored and can't be shown again
+        data: { ...link.toJSON(), token, url: linkUrl(token) },
+      });
+    } catch (error) {
+      console.error("Create share link error:", error);
+      res.status(error.name === "ValidationError" ? 400 : 500).json({
+        success: false,
+        error: error.name === "ValidationError" ? error.message : "Failed to create share link",
+      });
+    }
+  }
+);
+
+// ✅ List share links (own links; share managers may pass ?scope=all)
+router.get("/", auth(), async (req, res) => {
+  try {
+    const query = {};
+    if (!policy.hasPermission(req.user, "share:manage") || req.query.scope !== "all") {
+      query.createdBy = req.user._id;
+    }
+    if (req.query.fileId) query.file = req.query.fileId;
+    if (req.query.folderId) query.folder = req.query.folderId;
+    if (req.query.active === "true") {
+      query.revokedAt = null;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    const links = await ShareLink.find(query)
+      .select("+passwordHash")
+      .populate("file", "filename originalFilename")
+      .populate("folder", "name path")
+      .populate("createdBy", "name email username")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: links.length, data: links });
+  } catch (error) {
+    console.error("List share links error:", error);
+    res.status(500).json({ success: false, error: "Failed to retrieve share links" });
+  }
+});
+
+// ✅ Revoke a share link
+router.delete("/:id", auth(), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid ID" });
+    }
+
+    const link = await ShareLink.findById(req.params.id);
+    if (!link) {
+      return res.status(404).json({ success: false, error: "Share link not found" });
+    }
+    // Creators revoke their own links, with a token only if it may share
+    const ownLink =
+      link.createdBy.equals(req.user._id) && policy.scopeAllows(req.user, "file:share");
+    if (!ownLink && !policy.hasPermission(req.user, "share:manage")) {
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      link.revokedBy = req.user._id;
+      await link.save();
+      await audit.record(req, "share.revoke", {
+        target: audit.targetOf("share", link, link.tokenPrefix),
+      });
+    }
+
+    res.json({ success: true, message: "Share link revoked", data: link });
+  } catch (error) {
+    console.error("Revoke share link error:", error);
+    res.status(500).json({ success: false, error: "Failed to revoke share link" });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Public endpoints (no account needed, the token is the credential)
+// ---------------------------------------------------------------------------
+
+// Resolve :token to an active link and its target, or send the error response
+const loadLink = async (req, res, next) => {
+  try {
+    const link = await ShareLink.findByToken(req.params.token).populate("createdBy");
+    if (!link) {
+      return res.status(404).json({ success: false, error: "Share link not found" });
+    }
+
+    const reason = link.inactiveReason();
+    if (reason) {
+      return res.status(410).json({ success: false, error: reason });
+    }
+
+    // A link stops working once its creator is deactivated or can no longer
+    // share the target, or a shared file is no longer approved
+    if (!link.createdBy?.isActive()) {
+      return res.status(410).json({ success: false, error: "This link is no longer available" });
+    }
+    let target;
+    let allowed = false;
+    if (link.file) {
+      target = await File.findById(link.file).populate("folder");
+      allowed =
+        !!target && !target.isDeleted && target.approvalStatus === "approved" &&
+        (await policy.can(link.createdBy, "file:share", { file: target }));
+    } else {
+      target = await Folder.findById(link.folder);
+      allowed =
+        !!target && !target.isDeleted &&
+        (await policy.can(link.createdBy, "folder:share", { folder: target }));
+    }
+    if (!allowed) {
+      return res.status(410).json({ success: false, error: "This link is no longer available" });
+    }
+
+    req.shareLink = link;
+    req.shareTarget = target;
+    next();
+  } catch (error) {
+    console.error("Share link lookup error:", error);
+    res.status(500).json({ success: false, error: "Failed to open share link" });
+  }
+};
+
+// Password guesses are throttled like sign-ins, per link and per client IP
+const throttleKey = (link) => `share:${link._id}`;
+
+// Checks a link password; `throttle` is set when guessing is blocked
+const tryPassword = async (req, password) => {
+  const link = req.shareLink;
+  const throttle = await loginThrottle.check(req, throttleKey(link));
+  if (throttle.blocked) return { ok: false, throttle };
+
+  if (await link.checkPassword(password)) {
+    await loginThrottle.recordSuccess(throttleKey(link));
+    return { ok: true };
+  }
+  await loginThrottle.recordFailure(req, throttleKey(link));
+  return { ok: false };
+};
+
+// Password-protected links need the password (X-Share-Password header)
+// or an access token from /unlock (X-Share-Access header or ?access=)
+const isUnlocked = async (req) => {
+  const link = req.shareLink;
+  if (!link.passwordHash) return true;
+
+  const access = req.header("X-Share-Access") || req.query.access;
+  if (access) {
+    try {
+      const payload = jwt.verify(access, config.jwtSecret);
+      if (payload.purpose === UNLOCK_PURPOSE && payload.linkId === link._id.toString()) {
+        return true;
+      }
+    } catch (_) {}
+  }
+
+  const password = req.header("X-Share-Password");
+  return !!password && (await tryPassword(req, password)).ok;
+};
+
+const requireUnlocked = async (req, res, next) => {
+  try {
+    if (!(await isUnlocked(req))) {
+      return res.status(401).json({
+        success: false,
+        error: "Password required",
+        passwordRequired: true,
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireMode = (mode) => (req, res, next) => {
+  if (req.shareLink.mode !== mode) {
+    return res.status(403).json({
+      success: false,
+      error: mode === "upload" ? "This link does not allow uploads" : "This link is upload-only",
+    });
+  }
+  next();
+};
+
+const requireFolderLink = (req, res, next) => {
+  if (!req.shareLink.folder) {
+    return res.status(400).json({ success: false, error: "This link is for a single file" });
+  }
+  next();
+};
+
+// Anonymous recipients are identified by the link they used
+const linkActor = (link) => ({ actorLabel: `share:${link.tokenPrefix}` });
+
+// Count a download against the link and the file, then stream it
+const sendSharedFile = async (req, res, file) => {
+  if (isNewDownload(req)) {
+    if (!(await req.shareLink.recordDownload())) {
+      return res
+        .status(410)
+        .json({ success: false, error: "This link has reached its download limit" });
+    }
+    await File.updateOne({ _id: file._id }, { $inc: { downloadCount: 1 } });
+    await audit.record(req, "share.download", {
+      ...linkActor(req.shareLink),
+      target: audit.targetOf("file", file),
+      metadata: { shareLink: req.shareLink._id },
+    });
+  }
+  await streamFile(req, res, file);
+};
+
+// ✅ Describe a link (what the recipient sees before unlocking)
+router.get("/:token", loadLink, async (req, res) => {
+  try {
+    const link = req.shareLink;
+    const target = req.shareTarget;
+    const unlocked = await isUnlocked(req);
+
+    res.json({
+      success: true,
+      data: {
+        type: link.file ? "file" : "folder",
+        mode: link.mode,
+        passwordRequired: !unlocked,
+        expiresAt: link.expiresAt,
+        downloadsRemaining: link.maxDownloads
+          ? link.maxDownloads - link.downloadCount
+          : null,
+        ...(unlocked && {
+          name: link.file ? target.originalFilename : target.name,
+          ...(link.file && { size: target.size, mimetype: target.mimetype }),
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("Share link info error:", error);
+    res.status(500).json({ success: false, error: "Failed to open share link" });
+  }
+});
+
+// ✅ Exchange the password for a short-lived access token
+router.post("/:token/unlock", loadLink, async (req, res) => {
+  try {
+    const link = req.shareLink;
+    const { ok, throttle } = await tryPassword(req, req.body.password);
+    if (throttle) {
+      res.set("Retry-After", String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: "Too many failed attempts. Please wait before trying again.",
+        retryAfter: throttle.retryAfter,
+      });
+    }
+    if (!ok) {
+      await audit.record(req, "share.unlock", {
+        ...linkActor(link),
+        outcome: "failure",
+        target: audit.targetOf("share", link, link.tokenPrefix),
+      });
+      return res.status(401).json({ success: false, error: "Incorrect password" });
+    }
+
+    const expiresIn = config.shareLinks.unlockTtlMinutes * 60;
+    const access = jwt.sign(
+      { purpose: UNLOCK_PURPOSE, linkId: link._id.toString() },
+      config.jwtSecret,
+      { expiresIn }
+    );
+
+    res.json({ success: true, data: { access, expiresIn } });
+  } catch (error) {
+    console.error("Share link unlock error:", error);
+    res.status(500).json({ success: false, error: "Failed to unlock share link" });
+  }
+});
+
+// ✅ Download the shared file
+router.get(
+  "/:token/download",
+  loadLink,
+  requireUnlocked,
+  requireMode("read"),
+  async (req, res) => {
+    try {
+      if (!req.shareLink.file) {
+        return res
+          .status(400)
+          .json({ success: false, error: "Choose a file from the shared folder" });
+      }
+      await sendSharedFile(req, res, req.shareTarget);
+    } catch (error) {
+      console.error("Shared file download error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: "Failed to serve file" });
+      }
+    }
+  }
+);
+
+// Approved files anywhere below the shared folder, in subfolders the
+// link's creator can still read (a subfolder may not inherit their access)
+const sharedFolderFiles = async (folder, creator) => {
+  const descendants = await folder.descendantIds({ isDeleted: { $ne: true } });
+  const readable = await policy.filterAllowed(creator, "folder:read", descendants, (id) => ({ folder: id }));
+  const folderIds = [folder._id, ...readable];
+  return { folder: { $in: folderIds }, isDeleted: { $ne: true }, approvalStatus: "approved" };
+};
+
+// ✅ List files in a shared folder
+router.get(
+  "/:token/files",
+  loadLink,
+  requireUnlocked,
+  requireFolderLink,
+  requireMode("read"),
+  async (req, res) => {
+    try {
+      const folder = req.shareTarget;
+      const files = await File.find(await sharedFolderFiles(folder, req.shareLink.createdBy))
+        .select("originalFilename filename size mimetype path createdAt folder")
+        .sort({ path: 1 })
+        .lean();
+
+      res.json({
+        success: true,
+        count: files.length,
+        data: {
+          folder: { name: folder.name },
+          files: files.map((file) => ({
+            _id: file._id,
+            filename: file.filename,
+            originalFilename: file.originalFilename,
+            // Location inside the shared folder, without the server-side prefix
+            path: file.path.slice(folder.path.length).replace(/^\/+/, ""),
+            size: file.size,
+            mimetype: file.mimetype,
+            createdAt: file.createdAt,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Shared folder listing error:", error);
+      res.status(500).json({ success: false, error: "Failed to list files" });
+    }
+  }
+);
+
+// ✅ Download one file from a shared folder
+router.get(
+  "/:token/files/:fileId/download",
+  loadLink,
+  requireUnlocked,
+  requireFolderLink,
+  requireMode("read"),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.fileId)) {
+        return res.status(400).json({ success: false, error: "Invalid file ID" });
+      }
+
+      const file = await File.findOne({
+        _id: req.params.fileId,
+        ...(await sharedFolderFiles(req.shareTarget, req.shareLink.createdBy)),
+      });
+      if (!file) {
+        return res.status(404).json({ success: false, error: "File not found" });
+      }
+
+      await sendSharedFile(req, res, file);
+    } catch (error) {
+      console.error("Shared file download error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: "Failed to serve file" });
+      }
+    }
+  }
+);
+
+// ✅ Upload into a shared folder (upload-only links). Files always go to review.
+router.post(
+  "/:token/files",
+  loadLink,
+  requireUnlocked,
+  requireFolderLink,
+  requireMode("upload"),
+  upload.array("files"),
+  async (req, res) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ success: false, error: "No files uploaded" });
+      }
+
+      const link = req.shareLink;
+      const saved = [];
+
+      for (const file of req.files) {
+        const result = await saveUploadedFile({
+          folder: req.shareTarget,
+          user: link.createdBy,
+          tempPath: file.path,
+          originalName: file.originalname,
+          size: file.size,
+          mimetype: file.mimetype,
+          requireReview: true,
+        });
+        if (result.status === "saved") {
+          saved.push(result.file);
+          await audit.record(req, "share.upload", {
+            ...linkActor(link),
+            target: audit.targetOf("file", result.file),
+            metadata: { shareLink: link._id },
+          });
+        }
+      }
+
+      if (saved.length > 0) {
+        await ShareLink.updateOne(
+          { _id: link._id },
+          { $inc: { uploadCount: saved.length }, $set: { lastAccessedAt: new Date() } }
+        );
+      }
+
+      console.log(`[${new Date().toISOString()}] Share link upload:`, {
+        linkId: link._id,
+        folder: req.shareTarget.path,
+        files: saved.map((f) => f.filename),
+      });
+
+      res.status(201).json({
+        success: true,
+        count: saved.length,
+        // Recipients of upload-only links don't get to see the folder contents
+        data: saved.map((f) => ({ originalFilename: f.originalFilename, size: f.size })),
+      });
+    } catch (error) {
+      console.error("Share link upload error:", error);
+      res.status(500).json({ success: false, error: "File upload failed" });
+    } finally {
+      // Cleanup leftover temp files
+      for (const file of req.files || []) {
+        try {
+          if (file?.path && fs.existsSync(file.path)) {
+            await fsp.unlink(file.path);
+          }
+        } catch (_) {}
+      }
+    }
+  }
+);
+
+module.exports = router;
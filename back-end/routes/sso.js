@@ -0,0 +1,199 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const authMiddleware = require("../middleware/auth");
+const sessionOnly = require("../middleware/sessionOnly");
+const config = require("../config/config");
+const audit = require("../utils/audit");
+const sso = require("../utils/sso");
+const { resolveUser } = require("../utils/sso/provision");
+const { createSession, setAuthCookies } = require("../utils/session");
+const loginThrottle = require("../utils/loginThrottle");
+const twoFactor = require("../utils/twoFactor");
+const User = require("../models/user.model");
+
+const STATE_PURPOSE = "sso-state";
+const STATE_COOKIE = "sso_state";
+
+// Only paths on our own front-end, never another site
+const safeReturnTo = (value) =>
+  typeof value === "string" && value.startsWith("/") && !value.startsWith("//") ? value : "/";
+
+const appRedirect = (path, params = {}) => {
+  const url = new URL(path, config.sso.appUrl);
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+};
+
+const loadProvider = (req, res, next) => {
+  req.provider = sso.getProvider(req.params.provider);
+  if (!req.provider) return res.status(404).json({ message: "Unknown SSO provider" });
+  next();
+};
+
+// Optional auth: starting a login while signed in links the identity
+// to the current account instead
+const optionalAuth = (req, res, next) => {
+  const hasCredentials = req.cookies?.token || req.header("Authorization");
+  if (req.query.link !== "true" || !hasCredentials) return next();
+  authMiddleware()(req, res, () => sessionOnly(req, res, next));
+};
+
+// GET /auth/sso - providers for the login page
+router.get("/", (req, res) => {
+  res.json(sso.listProviders());
+});
+
+// GET /auth/sso/:provider/login?returnTo=/folders&link=true
+router.get("/:provider/login", loadProvider, optionalAuth, async (req, res) => {
+  try {
+    const provider = req.provider;
+    const state = crypto.randomBytes(16).toString("base64url");
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+
+    const signedState = jwt.sign(
+      {
+        purpose: STATE_PURPOSE,
+        provider: provider.id,
+        state,
+        nonce,
+        codeVerifier,
+        returnTo: safeReturnTo(req.query.returnTo),
+        linkUserId: req.user?.id,
+      },
+      config.jwtSecret,
+      { expiresIn: config.sso.stateTtlMinutes * 60 }
+    );
+
+    // OIDC returns by top-level GET, so a lax cookie binds the flow to
+    // this browser. SAML posts back cross-site; its state rides in RelayState.
+    if (provider.usesState) {
+      res.cookie(STATE_COOKIE, signedState, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "lax",
+        path: "/api/auth/sso",
+        maxAge: config.sso.stateTtlMinutes * 60 * 1000,
+      });
+    }
+
+    const url = await provider.authorizationUrl({
+      state: provider.usesState ? state : signedState,
+      nonce,
+      codeVerifier,
+      redirectUri: sso.callbackUrl(provider.id),
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error("SSO login error:", error);
+    res.redirect(appRedirect("/login", { ssoError: "Could not reach the identity provider" }));
+  }
+});
+
+// Reads and checks the flow state saved by /login
+function readState(req, provider) {
+  const raw = provider.usesState ? req.cookies?.[STATE_COOKIE] : req.body?.RelayState;
+  let payload;
+  try {
+    payload = jwt.verify(String(raw), config.jwtSecret);
+  } catch (_) {
+    return null;
+  }
+  if (payload.purpose !== STATE_PURPOSE || payload.provider !== provider.id) return null;
+  if (provider.usesState && payload.state !== req.query.state) return null;
+  return payload;
+}
+
+async function handleCallback(req, res) {
+  const provider = req.provider;
+  res.clearCookie(STATE_COOKIE, { path: "/api/auth/sso" });
+
+  const state = readState(req, provider);
+  if (!state) {
+    return res.redirect(appRedirect("/login", { ssoError: "Sign-in expired, please try again" }));
+  }
+
+  try {
+    const profile = await provider.handleCallback(req, {
+      nonce: state.nonce,
+      codeVerifier: state.codeVerifier,
+      redirectUri: sso.callbackUrl(provider.id),
+    });
+    const { user, created, linked } = await resolveUser(req, provider, profile, {
+      linkUserId: state.linkUserId,
+    });
+
+    // Linking from the account page: the user is already signed in
+    if (state.linkUserId) {
+      return res.redirect(appRedirect(state.returnTo, { ssoLinked: provider.id }));
+    }
+    if (!user.isActive()) {
+      throw Object.assign(new Error("Account is deactivated"), { status: 403 });
+    }
+
+    if (user.twoFactor?.enabled && !provider.options.trustIdpMfa) {
+      return res.redirect(
+        appRedirect("/login", { twoFactorChallenge: twoFactor.issueChallenge(user, "2fa-login") })
+      );
+    }
+
+    await loginThrottle.recordSuccess(user.email);
+    const { token, refreshToken, session } = await createSession(req, user);
+    setAuthCookies(res, { token, refreshToken });
+    await audit.record(req, "auth.login", {
+      actor: user,
+      metadata: {
+        session: session._id,
+        device: session.device,
+        method: "sso",
+        provider: provider.id,
+        created,
+        linked,
+      },
+    });
+    res.redirect(appRedirect(state.returnTo));
+  } catch (error) {
+    if (!error.status || error.status >= 500) console.error("SSO callback error:", error);
+    await audit.record(req, "auth.login", {
+      outcome: "failure",
+      metadata: { method: "sso", provider: provider.id, reason: error.message },
+    });
+    const message = error.status && error.status < 500 ? error.message : "Sign-in failed";
+    res.redirect(appRedirect("/login", { ssoError: message }));
+  }
+}
+
+// OIDC redirects back with GET, SAML posts the response
+router.get("/:provider/callback", loadProvider, handleCallback);
+router.post("/:provider/callback", loadProvider, express.urlencoded({ extended: false }), handleCallback);
+
+// DELETE /auth/sso/:provider/link - unlink this provider from your account
+router.delete("/:provider/link", authMiddleware(), sessionOnly, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { identities: { provider: req.params.provider } } }
+    );
+    if (!result.modifiedCount) {
+      return res.status(404).json({ message: "Your account isn't linked to this provider" });
+    }
+    await audit.record(req, "auth.sso_unlink", {
+      target: audit.targetOf("user", req.user),
+      metadata: { provider: req.params.provider },
+    });
+    res.json({ message: "Provider unlinked" });
+  } catch (error) {
+    console.error("SSO unlink error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /auth/sso/:provider/metadata - SAML service provider metadata
+router.get("/:provider/metadata", loadProvider, (req, res) => {
+  if (!req.provider.metadata) return res.status(404).json({ message: "No metadata for this provider" });
+  res.type("application/xml").send(req.provider.metadata());
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const Folder = require("../models/folder.model");
+const File = require("../models/file.model");
+const mongoose = require("mongoose");
+const config = require("../config/config");
+const policy = require("../utils/policy");
+const audit = require("../utils/audit");
+
+const retentionMs = config.trash.retentionDays * 24 * 60 * 60 * 1000;
+
+// Helper: Only the user who deleted an item (or a trash manager) may manage it.
+// Access tokens need a scope covering trash:manage even for their own items.
+const canManage = (item, user) =>
+  policy.hasPermission(user, "trash:manage") ||
+  (policy.scopeAllows(user, "trash:manage") && item.deletedBy && item.deletedBy.equals(user._id));
+
+// Helper: Load a trashed item or send the error response
+const findTrashed = async (Model, req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: "Invalid ID" });
+    return null;
+  }
+
+  const item = await Model.findById(req.params.id);
+  if (!item || !item.isDeleted) {
+    res.status(404).json({ success: false, error: "Item not found in trash" });
+    return null;
+  }
+
+  if (!canManage(item, req.user)) {
+    res.status(403).json({ success: false, error: "Access denied" });
+    return null;
+  }
+
+  return item;
+};
+
+const withPurgeDate = (item) => ({
+  ...item,
+  purgeAt: new Date(new Date(item.deletedAt).getTime() + retentionMs),
+});
+
+// ✅ List trash (own items; trash managers may pass ?scope=all or ?deletedBy=<userId>)
+router.get("/", auth(), async (req, res) => {
+  try {
+    // Only the roots of each delete are listed; their contents come back with them
+    const query = { isDeleted: true, deletedWithFolder: null };
+
+    const canSeeAll = policy.hasPermission(req.user, "trash:manage");
+
+    if (canSeeAll && req.query.deletedBy) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.deletedBy)) {
+        return res.status(400).json({ success: false, error: "Invalid user ID" });
+      }
+      query.deletedBy = req.query.deletedBy;
+    } else if (!canSeeAll || req.query.scope !== "all") {
+      query.deletedBy = req.user._id;
+    }
+
+    const [folders, files] = await Promise.all([
+      req.query.type === "file"
+        ? []
+        : Folder.find(query)
+            .select("-__v")
+            .populate("deletedBy", "name email username")
+            .sort({ deletedAt: -1 })
+            .lean(),
+      req.query.type === "folder"
+        ? []
+        : File.find(query)
+            .select("-__v")
+            .populate("deletedBy", "name email username")
+            .populate("folder", "name path isDeleted")
+            .sort({ deletedAt: -1 })
+            .lean(),
+    ]);
+
+    res.json({
+      success: true,
+      retentionDays: config.trash.retentionDays,
+      count: folders.length + files.length,
+      data: {
+        folders: folders.map(withPurgeDate),
+        files: files.map(withPurgeDate),
+      },
+    });
+  } catch (error) {
+    console.error("Trash listing error:", error);
+    res.status(500).json({ success: false, error: "Failed to retrieve trash" });
+  }
+});
+
+// ✅ Restore a file into its original folder
+router.post(
+  "/files/:id/restore",
+  auth(),
+  async (req, res) => {
+    try {
+      const file = await findTrashed(File, req, res);
+      if (!file) return;
+
+      const restored = await file.restore(req.user._id);
+      await audit.record(req, "file.restore", {
+        target: audit.targetOf("file", restored),
+        after: { path: restored.path },
+      });
+
+      res.json({
+        success: true,
+        message: "File restored successfully",
+        data: restored,
+      });
+    } catch (error) {
+      console.error("Restore file error:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : "Failed to restore file",
+      });
+    }
+  }
+);
+
+// ✅ Restore a folder with everything deleted along with it
+router.post(
+  "/folders/:id/restore",
+  auth(),
+  async (req, res) => {
+    try {
+      const folder = await findTrashed(Folder, req, res);
+      if (!folder) return;
+
+      const restored = await folder.restore();
+      await audit.record(req, "folder.restore", {
+        target: audit.targetOf("folder", restored),
+        after: { path: restored.path },
+      });
+
+      res.json({
+        success: true,
+        message: "Folder restored successfully",
+        data: restored,
+      });
+    } catch (error) {
+      console.error("Restore folder error:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : "Failed to restore folder",
+      });
+    }
+  }
+);
+
+// ✅ Permanently delete a trashed file
+router.delete(
+  "/files/:id",
+  auth(),
+  async (req, res) => {
+    try {
+      const file = await findTrashed(File, req, res);
+      if (!file) return;
+
+      await file.purge();
+
+      console.log(`[${new Date().toISOString()}] Purged file:`, {
+        fileId: file._id,
+        path: file.path,
+        purgedBy: req.user._id,
+      });
+      await audit.record(req, "file.purge", { target: audit.targetOf("file", file) });
+
+      res.json({ success: true, message: "File permanently deleted" });
+    } catch (error) {
+      console.error("Purge file error:", error);
+      res.status(500).json({ success: false, error: "Failed to purge file" });
+    }
+  }
+);
+
+// ✅ Permanently delete a trashed folder and its contents
+router.delete(
+  "/folders/:id",
+  auth(),
+  async (req, res) => {
+    try {
+      const folder = await findTrashed(Folder, req, res);
+      if (!folder) return;
+
+      await folder.purge();
+
+      console.log(`[${new Date().toISOString()}] Purged folder:`, {
+        folderId: folder._id,
+        path: folder.path,
+        purgedBy: req.user._id,
+      });
+      await audit.record(req, "folder.purge", { target: audit.targetOf("folder", folder) });
+
+      res.json({ success: true, message: "Folder permanently deleted" });
+    } catch (error) {
+      console.error("Purge folder error:", error);
+      res.status(500).json({ success: false, error: "Failed to purge folder" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/user.model");
+const authMiddleware = require("../middleware/auth");
+const sessionOnly = require("../middleware/sessionOnly");
+const audit = require("../utils/audit");
+const twoFactor = require("../utils/twoFactor");
+const loginThrottle = require("../utils/loginThrottle");
+const { completeLogin } = require("../utils/session");
+
+// Setup and activation also accept the enrollToken handed out by
+// /auth/login when the user's role requires 2FA and it isn't set up yet.
+const authOrEnrollToken = (req, res, next) => {
+  if (!req.body?.enrollToken) {
+    return authMiddleware()(req, res, () => sessionOnly(req, res, next));
+  }
+
+  const userId = twoFactor.readChallenge(req.body.enrollToken, "2fa-enroll");
+  if (!userId) {
+    return res.status(401).json({ message: "Enrollment token expired. Please sign in again." });
+  }
+  User.findById(userId)
+    .then((user) => {
+      if (!user) return res.status(401).json({ message: "User not found" });
+      req.user = user;
+      req.enrolling = true;
+      next();
+    })
+    .catch(next);
+};
+
+// GET /auth/2fa - status for the account page
+router.get("/", authMiddleware(), sessionOnly, async (req, res) => {
+  try {
+    res.json(await twoFactor.status(req.user));
+  } catch (error) {
+    console.error("2FA status error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /auth/2fa/setup - new secret and otpauth:// URI for the authenticator app
+router.post("/setup", authOrEnrollToken, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+    res.json(await twoFactor.startEnrollment(req.user));
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /auth/2fa/activate - { code } from the app turns 2FA on
+router.post("/activate", authOrEnrollToken, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const recoveryCodes = await twoFactor.activate(req.user._id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    await audit.record(req, "auth.2fa_enable", {
+      actor: req.user,
+      target: audit.targetOf("user", req.user),
+    });
+
+    // Enrolled during a required-2FA login: this completes the sign-in
+    if (req.enrolling) {
+      await loginThrottle.recordSuccess(req.user.email);
+      const session = await completeLogin(req, res, req.user, { extra: { recoveryCodes } });
+      await audit.record(req, "auth.login", {
+        actor: req.user,
+        metadata: { session: session._id, device: session.device, secondFactor: "enrollment" },
+      });
+      return;
+    }
+
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+  } catch (error) {
+    console.error("2FA activate error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /auth/2fa/recovery-codes - { code } replaces all recovery codes
+router.post("/recovery-codes", authMiddleware(), sessionOnly, async (req, res) => {
+  try {
+    const check = await twoFactor.verifySecondFactor(req.user._id, { code: req.body.code });
+    if (!check.ok) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user._id);
+    await audit.record(req, "auth.2fa_recovery_codes", {
+      target: audit.targetOf("user", req.user),
+    });
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /auth/2fa/disable - { password, code | recoveryCode }
+router.post("/disable", authMiddleware(), sessionOnly, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (await twoFactor.isRequiredFor(req.user)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for your role" });
+    }
+    if (!(await req.user.comparePassword(password))) {
+      return res.status(401).json({ message: "Invalid password" });
+    }
+    const check = await twoFactor.verifySecondFactor(req.user._id, { code, recoveryCode });
+    if (!check.ok) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    await twoFactor.disable(req.user._id);
+    await audit.record(req, "auth.2fa_disable", {
+      target: audit.targetOf("user", req.user),
+    });
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const Folder = require("../models/folder.model");
+const UploadSession = require("../models/uploadSession.model");
+const fs = require("fs");
+const fsp = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
+const { check, validationResult } = require("express-validator");
+const config = require("../config/config");
+const { ALLOWED_FILE_TYPES } = require("../utils/multer");
+const { saveUploadedFile, parseTags, isSafeFilename } = require("../utils/fileUpload");
+const policy = require("../utils/policy");
+const audit = require("../utils/audit");
+
+const { chunkSize: DEFAULT_CHUNK_SIZE, maxFileSize, sessionTtlHours } =
+  config.chunkedUpload;
+const sessionTtlMs = sessionTtlHours * 60 * 60 * 1000;
+
+// Helper: Load a session owned by the current user
+const findOwnSession = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: "Invalid session ID" });
+    return null;
+  }
+
+  const session = await UploadSession.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!session) {
+    res.status(404).json({ success: false, error: "Upload session not found" });
+    return null;
+  }
+
+  return session;
+};
+
+// ✅ Create upload session
+router.post(
+  "/sessions",
+  auth(),
+  [
+    check("folderId")
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage("Invalid folder ID"),
+    check("filename")
+      .trim()
+      .notEmpty()
+      .withMessage("Filename is required")
+      .bail()
+      .custom(isSafeFilename)
+      .withMessage("Filename cannot contain a path"),
+    check("size")
+      .isInt({ min: 1, max: maxFileSize })
+      .withMessage(`Size must be between 1 and ${maxFileSize} bytes`),
+    check("mimetype")
+      .custom((value) => !!ALLOWED_FILE_TYPES[value])
+      .withMessage("Unsupported file type"),
+    check("chunkSize")
+      .optional()
+      .isInt({ min: 256 * 1024, max: DEFAULT_CHUNK_SIZE })
+      .withMessage(`Chunk size must be between 256KB and ${DEFAULT_CHUNK_SIZE} bytes`),
+    check("versionFormat").optional().isIn(["number", "date"]),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const folder = await Folder.findById(req.body.folderId);
+      if (!folder) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Folder not found" });
+      }
+
+      // ✅ Check access
+      if (!(await policy.can(req.user, "file:upload", { folder }))) {
+        return res
+          .status(403)
+          .json({ success: false, error: "Write access required" });
+      }
+
+      const size = parseInt(req.body.size);
+      const chunkSize = parseInt(req.body.chunkSize) || DEFAULT_CHUNK_SIZE;
+
+      const session = new UploadSession({
+        folder: folder._id,
+        user: req.user._id,
+        filename: req.body.filename,
+        mimetype: req.body.mimetype,
+        size,
+        chunkSize,
+        totalChunks: Math.ceil(size / chunkSize),
+        versionFormat: req.body.versionFormat || "number",
+        tags: parseTags(req.body.tags),
+        expiresAt: new Date(Date.now() + sessionTtlMs),
+      });
+
+      await session.save();
+      await fsp.mkdir(session.tempDir, { recursive: true });
+
+      res.status(201).json({ success: true, data: session.toStatus() });
+    } catch (error) {
+      console.error("Create upload session error:", error);
+      res
+        .status(500)
+        .json({ success: false, error: "Failed to create upload session" });
+    }
+  }
+);
+
+// ✅ Get session status (received chunks / offsets, for resuming)
+router.get(
+  "/sessions/:id",
+  auth(),
+  async (req, res) => {
+    try {
+      const session = await findOwnSession(req, res);
+      if (!session) return;
+
+      res.json({ success: true, data: session.toStatus() });
+    } catch (error) {
+      console.error("Get upload session error:", error);
+      res
+        .status(500)
+        .json({ success: false, error: "Failed to get upload session" });
+    }
+  }
+);
+
+// ✅ Upload one chunk (raw body). Re-sending a chunk overwrites it.
+router.put(
+  "/sessions/:id/chunks/:index",
+  auth(),
+  express.raw({ type: () => true, limit: DEFAULT_CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const session = await findOwnSession(req, res);
+      if (!session) return;
+
+      if (session.status !== "active" || session.expiresAt < new Date()) {
+        return res
+          .status(409)
+          .json({ success: false, error: `Upload session is ${session.status}` });
+      }
+
+      const index = Number(req.params.index);
+      if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+        return res
+          .status(400)
+          .json({ success: false, error: "Invalid chunk index" });
+      }
+
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const expectedSize = session.expectedChunkSize(index);
+      if (body.length !== expectedSize) {
+        return res.status(400).json({
+          success: false,
+          error: `Chunk ${index} must be ${expectedSize} bytes, got ${body.length}`,
+        });
+      }
+
+      // Optional integrity check supplied by the client
+      const checksum = req.header("X-Chunk-Checksum");
+      if (checksum) {
+        const actual = crypto.createHash("sha256").update(body).digest("hex");
+        if (actual !== checksum.toLowerCase()) {
+          return res
+            .status(400)
+            .json({ success: false, error: "Chunk checksum mismatch" });
+        }
+      }
+
+      // Write then rename so a half-written chunk is never counted
+      const chunkPath = session.chunkPath(index);
+      await fsp.mkdir(session.tempDir, { recursive: true });
+      await fsp.writeFile(`${chunkPath}.tmp`, body);
+      await fsp.rename(`${chunkPath}.tmp`, chunkPath);
+
+      const updated = await UploadSession.findByIdAndUpdate(
+        session._id,
+        {
+          $addToSet: { receivedChunks: index },
+          $set: { expiresAt: new Date(Date.now() + sessionTtlMs) },
+        },
+        { new: true }
+      );
+
+      res.json({ success: true, data: updated.toStatus() });
+    } catch (error) {
+      console.error("Upload chunk error:", error);
+      res.status(500).json({ success: false, error: "Failed to store chunk" });
+    }
+  }
+);
+
+// ✅ Finalize: reassemble chunks and run the regular upload pipeline
+router.post(
+  "/sessions/:id/complete",
+  auth(),
+  async (req, res) => {
+    let session;
+    try {
+      session = await findOwnSession(req, res);
+      if (!session) return;
+
+      if (session.expiresAt < new Date()) {
+        return res
+          .status(409)
+          .json({ success: false, error: "Upload session has expired" });
+      }
+
+      if (session.receivedChunks.length !== session.totalChunks) {
+        return res.status(409).json({
+          success: false,
+          error: "Upload is incomplete",
+          data: session.toStatus(),
+        });
+      }
+
+      // Claim the session so concurrent finalize calls can't both run
+      const claimed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "active" },
+        { status: "finalizing" },
+        { new: true }
+      );
+      if (!claimed) {
+        return res
+          .status(409)
+          .json({ success: false, error: `Upload session is ${session.status}` });
+      }
+      session = claimed;
+
+      // The folder may have been deleted, or access revoked, since the
+      // session was created
+      const folder = await Folder.findById(session.folder);
+      const canUpload = folder && !folder.isDeleted &&
+        (await policy.can(req.user, "file:upload", { folder }));
+      if (!canUpload) {
+        session.status = "aborted";
+        await session.save();
+        await session.removeTempFiles();
+        return folder && !folder.isDeleted
+          ? res.status(403).json({ success: false, error: "Write access required" })
+          : res.status(404).json({ success: false, error: "Folder not found" });
+      }
+
+      // Concatenate chunks into a single temp file
+      const assembledPath = path.join(session.tempDir, "assembled");
+      const output = fs.createWriteStream(assembledPath);
+      for (let i = 0; i < session.totalChunks; i++) {
+        await pipeline(fs.createReadStream(session.chunkPath(i)), output, {
+          end: false,
+        });
+      }
+      await new Promise((resolve, reject) => {
+        output.end((err) => (err ? reject(err) : resolve()));
+      });
+
+      const { size } = await fsp.stat(assembledPath);
+      if (size !== session.size) {
+        throw new Error(`Assembled size ${size} does not match ${session.size}`);
+      }
+
+      const result = await saveUploadedFile({
+        folder,
+        user: req.user,
+        tempPath: assembledPath,
+        originalName: session.filename,
+        size: session.size,
+        mimetype: session.mimetype,
+        versionFormat: session.versionFormat,
+        tags: session.tags,
+      });
+
+      session.status = "completed";
+      if (result.file) session.file = result.file._id;
+      await session.save();
+      await session.removeTempFiles();
+
+      if (result.status === "saved") {
+        await audit.record(req, "file.upload", {
+          target: audit.targetOf("file", result.file),
+          after: audit.pick(result.file, ["filename", "path", "size", "version", "approvalStatus"]),
+          metadata: { uploadSession: session._id },
+        });
+      }
+
+      if (result.status === "conflict") {
+        return res.status(409).json({
+          success: false,
+          error: "No new files were uploaded (duplicates or conflicts detected)",
+        });
+      }
+
+      const data =
+        result.status === "duplicate"
+          ? {
+              ...result.file.toObject(),
+              message: "File already exists with same content",
+              isDuplicate: true,
+            }
+          : result.file;
+
+      res.status(201).json({
+        success: true,
+        data,
+        approvalInfo: result.approval,
+      });
+    } catch (error) {
+      console.error("Finalize upload error:", error);
+
+      // Allow the client to retry finalizing; chunks are kept
+      if (session?.status === "finalizing") {
+        await UploadSession.updateOne(
+          { _id: session._id },
+          { status: "active" }
+        ).catch(() => {});
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Failed to finalize upload",
+        message: error.message || "Unknown error",
+      });
+    }
+  }
+);
+
+// ✅ Abort session and discard chunks
+router.delete(
+  "/sessions/:id",
+  auth(),
+  async (req, res) => {
+    try {
+      const session = await findOwnSession(req, res);
+      if (!session) return;
+
+      await session.removeTempFiles();
+      await session.deleteOne();
+
+      res.json({ success: true, message: "Upload session aborted" });
+    } catch (error) {
+      console.error("Abort upload session error:", error);
+      res
+        .status(500)
+        .json({ success: false, error: "Failed to abort upload session" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,29 +1,113 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const Role = require('../models/role.model');
+const audit = require('../utils/audit');
+const twoFactor = require('../utils/twoFactor');
+const loginThrottle = require('../utils/loginThrottle');
+const passwordPolicy = require('../utils/passwordPolicy');
+const offboarding = require('../utils/offboarding');
+const userImport = require('../utils/userImport');
+const { headerRow, recordRow } = require('../utils/csv');
+const policy = require('../utils/policy');
 
-// this wull get all users (admin only)
-router.get('/', auth(['admin']), async (req, res) => {
+// this wull get all users, ?status=active|deactivated to filter
+router.get('/', auth(), authorize('user:read'), async (req, res) => {
     try {
-        const users = await User.find().select('-password');
-        res.json(users);
+        const filter = {};
+        if (req.query.status === 'active') filter.status = { $ne: 'deactivated' };
+        if (req.query.status === 'deactivated') filter.status = 'deactivated';
+        const users = await User.find(filter).select('-password');
+        const lockouts = await loginThrottle.stateFor(users.map(u => u.email));
+        res.json(users.map(u => ({ ...u.toObject(), lockout: lockouts.get(u.email) })));
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// this will ,Create new user (admin only)
-router.post('/', auth(['admin']), async (req, res) => {
+// Export users as CSV (default) or JSON, ?status=active|deactivated
+router.get('/export', auth(), authorize('user:read'), async (req, res) => {
+    try {
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        const filter = {};
+        if (req.query.status === 'active') filter.status = { $ne: 'deactivated' };
+        if (req.query.status === 'deactivated') filter.status = 'deactivated';
+
+        const users = await userImport.exportRows(filter);
+        await audit.record(req, 'user.export', { metadata: { format, count: users.length } });
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Disposition', `attachment; filename="users-${stamp}.${format}"`);
+        if (format === 'json') {
+            return res.json(users.map(user => Object.fromEntries(
+                userImport.EXPORT_COLUMNS.map(c => [c.header, c.value(user) ?? null])
+            )));
+        }
+        res.type('text/csv; charset=utf-8');
+        res.send(headerRow(userImport.EXPORT_COLUMNS) +
+            users.map(user => recordRow(user, userImport.EXPORT_COLUMNS)).join(''));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Import users from CSV: ?mode=invite|password&dryRun=true
+// The body is the CSV itself (Content-Type: text/csv) or JSON { csv }.
+// Columns: username, email, role, groups ("a; b"), folders ("Path:write; Other:read")
+router.post(
+    '/import',
+    auth(),
+    authorize('user:create'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+    async (req, res) => {
+        try {
+            const mode = req.query.mode || 'invite';
+            if (!userImport.MODES.includes(mode)) {
+                return res.status(400).json({ message: `Mode must be one of: ${userImport.MODES.join(', ')}` });
+            }
+            if (mode === 'invite' && !(await policy.can(req.user, 'user:invite'))) {
+                return res.status(403).json({ message: 'Not authorized to invite users' });
+            }
+            const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+            if (typeof text !== 'string' || !text.trim()) {
+                return res.status(400).json({ message: 'Send the CSV as the request body or as { csv }' });
+            }
+
+            const result = await userImport.importUsers(req, text, { mode, dryRun: req.query.dryRun === 'true' });
+            if (result.error) {
+                return res.status(400).json({ message: result.error });
+            }
+            res.json(result);
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ message: 'Server error' });
+        }
+    }
+);
+
+// this will ,Create new user
+router.post('/', auth(), authorize('user:create'), async (req, res) => {
     try {
         const { username, email, password, role } = req.body;
         if (!username || !email || !password || !role) {
             return res.status(400).json({ message: 'All fields are required' });
         }
-        if (!['admin', 'sub-admin', 'user'].includes(role)) {
+        if (!(await Role.exists({ name: role }))) {
             return res.status(400).json({ message: 'Invalid role' });
         }
+        if (!policy.canAssignRole(req.user, role)) {
+            return res.status(403).json({ message: 'You cannot assign a role with more permissions than your own' });
+        }
+        const problems = passwordPolicy.validate(password, { username, email });
+        if (problems.length) {
+            return res.status(400).json({ message: problems.join('. '), errors: problems });
+        }
         // Check if user already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -38,6 +122,10 @@ router.post('/', auth(['admin']), async (req, res) => {
         });
 
         await newUser.save();
+        await audit.record(req, 'user.create', {
+            target: audit.targetOf('user', newUser),
+            after: audit.pick(newUser, ['username', 'email', 'role'])
+        });
         
         // Return user without password
         const userResponse = newUser.toObject();
@@ -51,23 +139,38 @@ router.post('/', auth(['admin']), async (req, res) => {
 });
 
 // this will,Get current user details (for everyone)
-router.get('/me', auth(['admin', 'sub-admin', 'user']), async (req, res) => {
+router.get('/me', auth(), async (req, res) => {
     try {
         const user = await User.findById(req.user.id).select('-password');
-        res.json(user);
+        res.json({ ...user.toObject(), permissions: policy.roleCapabilities(user) });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Update user role (admin only)
-router.put('/:id/role', auth(['admin']), async (req, res) => {
+// Whether user is the only active holder of the "*" grant
+const isLastAdmin = async (user) => policy.isAdmin(user) && !(await User.exists({
+    _id: { $ne: user._id },
+    role: { $in: policy.adminRoles() },
+    status: { $ne: 'deactivated' }
+}));
+
+// Update user role
+router.put('/:id/role', auth(), authorize('user:update'), async (req, res) => {
     try {
         const { role } = req.body;
-        if (!['admin', 'sub-admin', 'user'].includes(role)) {
+        if (!(await Role.exists({ name: role }))) {
             return res.status(400).json({ message: 'Invalid role' });
         }
+        const previous = await User.findById(req.params.id).select('role');
+        // Neither hand out more than you have nor demote someone who has more
+        if (!policy.canAssignRole(req.user, role) || (previous && !policy.canAssignRole(req.user, previous.role))) {
+            return res.status(403).json({ message: 'You cannot assign a role with more permissions than your own' });
+        }
+        if (previous && !policy.isAdmin({ role }) && await isLastAdmin(previous)) {
+            return res.status(400).json({ message: 'Cannot remove the last administrator' });
+        }
         const user = await User.findByIdAndUpdate(
             req.params.id,
             { role },
@@ -76,6 +179,11 @@ router.put('/:id/role', auth(['admin']), async (req, res) => {
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
+        await audit.record(req, 'user.role_change', {
+            target: audit.targetOf('user', user),
+            before: { role: previous?.role },
+            after: { role }
+        });
         res.json(user);
     } catch (error) {
         console.error(error);
@@ -83,14 +191,257 @@ router.put('/:id/role', auth(['admin']), async (req, res) => {
     }
 });
 
-// Delete a user (admin only)
-router.delete('/:id', auth(['admin']), async (req, res) => {
+// Users you couldn't have given their role to are out of your reach
+const OUTRANKED = 'You cannot manage a user whose role has more permissions than your own';
+const outranksCaller = (req, user) => !policy.canAssignRole(req.user, user.role);
+
+// List a user's active sessions
+router.get('/:id/sessions', auth(), authorize('user:read'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid user id' });
+        }
+        const sessions = await Session.findActiveForUser(req.params.id);
+        res.json(sessions);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Revoke all of a user's sessions (signs them out everywhere)
+router.delete('/:id/sessions', auth(), authorize('user:update'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid user id' });
+        }
+        const user = await User.findById(req.params.id).select('username email role');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (outranksCaller(req, user)) {
+            return res.status(403).json({ message: OUTRANKED });
+        }
+        const revoked = await Session.revokeAllForUser(user._id, 'admin');
+        await audit.record(req, 'auth.session_revoke_all', {
+            target: audit.targetOf('user', user),
+            metadata: { revoked }
+        });
+        res.json({ message: `Revoked ${revoked} session(s)`, revoked });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Remove a user's SSO identity for one provider
+router.delete('/:id/identities/:provider', auth(), authorize('user:update'), async (req, res) => {
+    try {
+        const user = await User.findOneAndUpdate(
+            { _id: req.params.id, 'identities.provider': req.params.provider },
+            { $pull: { identities: { provider: req.params.provider } } }
+        ).select('username email');
+        if (!user) {
+            return res.status(404).json({ message: 'User or linked identity not found' });
+        }
+        await audit.record(req, 'auth.sso_unlink', {
+            target: audit.targetOf('user', user),
+            metadata: { provider: req.params.provider }
+        });
+        res.json({ message: 'Identity unlinked' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Failed sign-in attempts and lockout for one user
+router.get('/:id/lockout', auth(), authorize('user:read'), async (req, res) => {
     try {
-        const user = await User.findByIdAndDelete(req.params.id);
+        const user = await User.findById(req.params.id).select('email');
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
-        res.json({ message: 'User deleted successfully' });
+        const lockouts = await loginThrottle.stateFor([user.email]);
+        res.json(lockouts.get(user.email));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Lift a sign-in lockout and clear the failed-attempt count
+router.post('/:id/unlock', auth(), authorize('user:update'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('username email role');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (outranksCaller(req, user)) {
+            return res.status(403).json({ message: OUTRANKED });
+        }
+        const [before] = (await loginThrottle.stateFor([user.email])).values();
+        const cleared = await loginThrottle.unlock(user.email);
+        if (cleared) {
+            await audit.record(req, 'auth.unlock', {
+                target: audit.targetOf('user', user),
+                before: { locked: before.locked, failedAttempts: before.failedAttempts }
+            });
+        }
+        res.json({ message: cleared ? 'Account unlocked' : 'Account was not locked' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Turn off a user's 2FA (lost device). They re-enroll at next login if
+// their role requires it.
+router.delete('/:id/2fa', auth(), authorize('user:update'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('username email role twoFactor.enabled');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (outranksCaller(req, user)) {
+            return res.status(403).json({ message: OUTRANKED });
+        }
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+        }
+        await twoFactor.disable(user._id);
+        await audit.record(req, 'auth.2fa_reset', { target: audit.targetOf('user', user) });
+        res.json({ message: 'Two-factor authentication reset' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Loads :id for the deactivation routes; you can't lock yourself out
+// or act on someone who outranks you
+const loadTargetUser = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        req.targetUser = await User.findById(req.params.id).select('username email role status');
+        if (!req.targetUser) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (req.targetUser._id.equals(req.user._id)) {
+            return res.status(400).json({ message: 'You cannot deactivate your own account' });
+        }
+        if (outranksCaller(req, req.targetUser)) {
+            return res.status(403).json({ message: OUTRANKED });
+        }
+        next();
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Someone must be left who can manage everything
+const keepLastAdmin = async (req, res, next) => {
+    try {
+        if (await isLastAdmin(req.targetUser)) {
+            return res.status(400).json({ message: 'Cannot remove the last administrator' });
+        }
+        next();
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+const deactivate = async (req, reason) => {
+    const user = req.targetUser;
+    await offboarding.deactivateUser(user, { reason, by: req.user });
+    await audit.record(req, 'user.deactivate', {
+        target: audit.targetOf('user', user),
+        before: { status: user.status || 'active' },
+        after: { status: 'deactivated' },
+        metadata: { reason }
+    });
+};
+
+// Deactivate a user: they can't sign in, but what they created and
+// everything that refers to them is kept
+router.post('/:id/deactivate', auth(), authorize('user:delete'), loadTargetUser, keepLastAdmin, async (req, res) => {
+    try {
+        if (!req.targetUser.isActive()) {
+            return res.status(400).json({ message: 'User is already deactivated' });
+        }
+        await deactivate(req, 'admin');
+        res.json({ message: 'User deactivated' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Let a deactivated user sign in again
+router.post('/:id/reactivate', auth(), authorize('user:update'), loadTargetUser, async (req, res) => {
+    try {
+        if (req.targetUser.isActive()) {
+            return res.status(400).json({ message: 'User is already active' });
+        }
+        await offboarding.reactivateUser(req.targetUser);
+        await audit.record(req, 'user.reactivate', {
+            target: audit.targetOf('user', req.targetUser),
+            before: { status: 'deactivated' },
+            after: { status: 'active' }
+        });
+        res.json({ message: 'User reactivated' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Offboard a user: { transferTo: userId, dryRun?: true }
+// Hands their folders, files, assigned assets and folder access to
+// another user, then deactivates them. Responds with what was moved.
+router.post('/:id/offboard', auth(), authorize('user:delete'), loadTargetUser, keepLastAdmin, async (req, res) => {
+    try {
+        const { transferTo, dryRun = false } = req.body;
+        if (!mongoose.isValidObjectId(transferTo)) {
+            return res.status(400).json({ message: 'transferTo must be a user id' });
+        }
+        const recipient = await User.findById(transferTo).select('username email status');
+        if (!recipient) {
+            return res.status(400).json({ message: 'Recipient not found' });
+        }
+        if (recipient._id.equals(req.targetUser._id)) {
+            return res.status(400).json({ message: 'Cannot transfer to the user being offboarded' });
+        }
+        if (!recipient.isActive()) {
+            return res.status(400).json({ message: 'Recipient is deactivated' });
+        }
+
+        const report = await offboarding.transferOwnership(req.targetUser, recipient, { dryRun: !!dryRun });
+        if (!dryRun) {
+            await audit.record(req, 'user.offboard', {
+                target: audit.targetOf('user', req.targetUser),
+                metadata: { transferTo: recipient._id, ...report.counts }
+            });
+            if (req.targetUser.isActive()) await deactivate(req, 'offboarded');
+        }
+        res.json(report);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// "Delete" a user. Users are never removed since files, folders, assets
+// and the audit log refer to them; this deactivates instead. Use
+// /:id/offboard to hand over what they own.
+router.delete('/:id', auth(), authorize('user:delete'), loadTargetUser, keepLastAdmin, async (req, res) => {
+    try {
+        if (req.targetUser.isActive()) await deactivate(req, 'admin');
+        res.json({ message: 'User deactivated' });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error' });
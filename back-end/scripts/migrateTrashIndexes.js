@@ -0,0 +1,47 @@
+// scripts/migrateTrashIndexes.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db.js');
+const File = require('../models/file.model');
+
+// Before the recycle bin, filename and hash uniqueness applied to every file.
+// They now only apply to live files, so the old indexes must be replaced.
+// Hash uniqueness is also per folder now; syncIndexes drops fileHash_1
+// in either form and builds folder_1_fileHash_1.
+const LEGACY_INDEXES = ['fileHash_1', 'folder_1_filename_1'];
+
+async function migrateTrashIndexes() {
+  try {
+    await connectDB();
+
+    console.log('🚀 Starting trash index migration...');
+
+    // Older documents may lack the flag the partial indexes filter on
+    const flagged = await File.updateMany(
+      { isDeleted: { $exists: false } },
+      { $set: { isDeleted: false } }
+    );
+    console.log(`✅ Set isDeleted on ${flagged.modifiedCount} files`);
+
+    const existing = await File.collection.indexes();
+    for (const name of LEGACY_INDEXES) {
+      const index = existing.find((i) => i.name === name);
+      if (index && !index.partialFilterExpression) {
+        await File.collection.dropIndex(name);
+        console.log(`🗑️  Dropped legacy index ${name}`);
+      }
+    }
+
+    await File.syncIndexes();
+    console.log('🎉 Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from database');
+  }
+}
+
+// Run the migration
+migrateTrashIndexes();
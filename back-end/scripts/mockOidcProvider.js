@@ -0,0 +1,128 @@
+// scripts/mockOidcProvider.js
+// Minimal OpenID Connect provider for trying SSO locally. Not for production.
+//
+//   node scripts/mockOidcProvider.js
+//
+// then configure the API with:
+//   SSO_PROVIDERS='[{"id":"mock","type":"oidc","name":"Mock IdP",
+//     "issuer":"http://localhost:9400","clientId":"document-manager","clientSecret":"secret",
+//     "roleMappings":[{"group":"dm-admins","role":"admin"}]}]'
+//
+// The authorize page lists the users below; picking one signs in as them.
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'document-manager';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'secret';
+
+const USERS = [
+  { sub: 'u-alice', email: 'alice@example.com', name: 'Alice Admin', preferred_username: 'alice', groups: ['dm-admins', 'finance'] },
+  { sub: 'u-bob', email: 'bob@example.com', name: 'Bob Staff', preferred_username: 'bob', groups: ['staff'] },
+  { sub: 'u-carol', email: 'carol@example.com', name: 'Carol Unverified', preferred_username: 'carol', groups: [], email_verified: false }
+];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map(); // code -> { user, nonce, redirectUri, codeChallenge }
+const accessTokens = new Map(); // token -> user
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login page: one button per user. ?login_hint=<sub> skips it.
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, login_hint } = req.query;
+  if (client_id !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+
+  const approve = (user) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { user, nonce, redirectUri: redirect_uri, codeChallenge: code_challenge });
+    const url = new URL(redirect_uri);
+    url.searchParams.set('code', code);
+    if (state) url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  };
+
+  const hinted = USERS.find((u) => u.sub === login_hint);
+  if (hinted) return approve(hinted);
+
+  const params = new URLSearchParams(req.query);
+  res.send(`<h1>Mock IdP</h1>${USERS.map((u) => {
+    params.set('login_hint', u.sub);
+    return `<p><a href="/authorize?${escapeHtml(params.toString())}">${escapeHtml(u.name)} (${escapeHtml(u.email)}, groups: ${escapeHtml(u.groups.join(', ') || 'none')})</a></p>`;
+  }).join('')}`);
+});
+
+app.post('/token', (req, res) => {
+  const basic = req.get('authorization')?.replace(/^Basic /, '');
+  const [id, secret] = basic
+    ? Buffer.from(basic, 'base64').toString().split(':').map(decodeURIComponent)
+    : [req.body.client_id, req.body.client_secret];
+  if (id !== CLIENT_ID || secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (grant.codeChallenge && challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const { user } = grant;
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, user);
+  const idToken = jwt.sign(
+    {
+      sub: user.sub,
+      email: user.email,
+      email_verified: user.email_verified ?? true,
+      name: user.name,
+      preferred_username: user.preferred_username,
+      groups: user.groups,
+      nonce: grant.nonce
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const user = accessTokens.get(req.get('authorization')?.replace(/^Bearer /, ''));
+  if (!user) return res.status(401).json({ error: 'invalid_token' });
+  const { sub, email, name, preferred_username, groups } = user;
+  res.json({ sub, email, email_verified: user.email_verified ?? true, name, preferred_username, groups });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider at ${ISSUER} (client_id=${CLIENT_ID}, client_secret=${CLIENT_SECRET})`);
+});
@@ -0,0 +1,115 @@
+const File = require("../models/file.model");
+const approval = require("../utils/approval");
+const { makeUser, loadRoles, objectId } = require("./helpers/http");
+
+beforeAll(() => loadRoles({ "review-manager": ["approval:manage", "file:read"] }));
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(File, "updateOne").mockResolvedValue({ matchedCount: 1 });
+});
+
+// Legal has to agree unanimously, then one of finance signs off
+const alice = makeUser("user");
+const bob = makeUser("user");
+const carol = makeUser("user");
+
+const pendingFile = () =>
+  new File({
+    filename: "contract.pdf",
+    path: "legal/contract.pdf",
+    size: 10,
+    folder: objectId(),
+    uploadedBy: objectId(),
+    approvalStatus: "pending",
+    updatedAt: new Date(),
+    approval: {
+      workflowName: "Contracts",
+      currentStage: 0,
+      stages: [
+        { name: "Legal", quorum: "all", approvers: [alice._id, bob._id], status: "active", decisions: [] },
+        { name: "Finance", quorum: "any", approvers: [carol._id], status: "waiting", decisions: [] },
+      ],
+    },
+  });
+
+describe("decide", () => {
+  test("a stage needing everyone waits for the last approver", async () => {
+    const file = pendingFile();
+    let result = await approval.decide(alice, file, { decision: "approved" });
+    expect(result).toMatchObject({ stage: "Legal", stageCompleted: false, completed: false });
+
+    result = await approval.decide(bob, file, { decision: "approved" });
+    expect(result).toMatchObject({ stage: "Legal", stageCompleted: true, completed: false });
+    expect(file.approval.currentStage).toBe(1);
+    expect(file.approval.stages[1].status).toBe("active");
+  });
+
+  test("the last stage's approval approves the file", async () => {
+    const file = pendingFile();
+    await approval.decide(alice, file, { decision: "approved" });
+    await approval.decide(bob, file, { decision: "approved" });
+    const result = await approval.decide(carol, file, { decision: "approved" });
+
+    expect(result.completed).toBe(true);
+    expect(file.approvalStatus).toBe("approved");
+    expect(file.approvedBy).toEqual(carol._id);
+    expect(file.approval.currentStage).toBeNull();
+  });
+
+  test("any rejection rejects the file", async () => {
+    const file = pendingFile();
+    await approval.decide(alice, file, { decision: "disapproved", reason: "Wrong counterparty" });
+    expect(file.approvalStatus).toBe("disapproved");
+    expect(file.disapprovalReason).toBe("Wrong counterparty");
+  });
+
+  test("a rejection needs a reason", async () => {
+    await expect(approval.decide(alice, pendingFile(), { decision: "disapproved" })).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+
+  test("only the current stage's approvers decide", async () => {
+    await expect(approval.decide(carol, pendingFile(), { decision: "approved" })).rejects.toMatchObject({
+      status: 403,
+    });
+  });
+
+  test("nobody decides twice at one stage", async () => {
+    const file = pendingFile();
+    await approval.decide(alice, file, { decision: "approved" });
+    await expect(approval.decide(alice, file, { decision: "approved" })).rejects.toMatchObject({ status: 409 });
+  });
+
+  test("an access token needs a scope covering file:approve", async () => {
+    const scoped = makeUser("user", { _id: alice._id });
+    scoped.$locals.tokenScopes = ["read"];
+    await expect(approval.decide(scoped, pendingFile(), { decision: "approved" })).rejects.toMatchObject({
+      status: 403,
+    });
+  });
+
+  test("a decision on a file changed meanwhile is refused", async () => {
+    File.updateOne.mockResolvedValue({ matchedCount: 0 });
+    await expect(approval.decide(alice, pendingFile(), { decision: "approved" })).rejects.toMatchObject({
+      status: 409,
+    });
+  });
+
+  test("an approval manager can override a stage", async () => {
+    const file = pendingFile();
+    const result = await approval.decide(makeUser("review-manager"), file, { decision: "approved" });
+    expect(result).toMatchObject({ override: true, stageCompleted: true });
+    expect(file.approval.currentStage).toBe(1);
+  });
+});
+
+describe("canDecide", () => {
+  test("approvers of the current stage and approval managers", () => {
+    const file = pendingFile();
+    expect(approval.canDecide(alice, file)).toBe(true);
+    expect(approval.canDecide(carol, file)).toBe(false);
+    expect(approval.canDecide(makeUser("review-manager"), file)).toBe(true);
+  });
+});
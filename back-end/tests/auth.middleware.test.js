@@ -0,0 +1,113 @@
+const request = require("supertest");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const AccessToken = require("../models/accessToken.model");
+const auth = require("../middleware/auth");
+const { generateToken } = require("../utils/jwt");
+const { makeUser, mockQuery } = require("./helpers/http");
+
+const app = express();
+app.get("/whoami", auth(), (req, res) =>
+  res.json({ id: req.user._id, scopes: req.user.$locals.tokenScopes || null })
+);
+
+beforeEach(() => jest.restoreAllMocks());
+
+const get = (token) => request(app).get("/whoami").set("Authorization", `Bearer ${token}`);
+
+describe("session tokens", () => {
+  let user, session;
+  beforeEach(() => {
+    user = makeUser("user");
+    session = new Session({ user: user._id, refreshTokenHash: "x", expiresAt: new Date(Date.now() + 60000) });
+    jest.spyOn(Session, "findById").mockReturnValue(mockQuery(session));
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+  });
+
+  test("a token for an active session is accepted", async () => {
+    const res = await get(generateToken(user._id, user.role, session._id));
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(user._id.toString());
+  });
+
+  test("a token without a session is refused", async () => {
+    const res = await get(generateToken(user._id, user.role));
+    expect(res.status).toBe(401);
+  });
+
+  test("a revoked session's token is refused", async () => {
+    session.revokedAt = new Date();
+    const res = await get(generateToken(user._id, user.role, session._id));
+    expect(res.status).toBe(401);
+  });
+
+  test("a purpose token is never an access token", async () => {
+    const challenge = jwt.sign(
+      { userId: user._id, sid: session._id, purpose: "2fa-login" },
+      process.env.JWT_SECRET
+    );
+    const res = await get(challenge);
+    expect(res.status).toBe(401);
+  });
+
+  test("a deactivated user is refused", async () => {
+    user.status = "deactivated";
+    const res = await get(generateToken(user._id, user.role, session._id));
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("personal access tokens", () => {
+  let user, accessToken, raw;
+  beforeEach(() => {
+    user = makeUser("user");
+    accessToken = new AccessToken({ user: user._id, name: "ci", scopes: ["read"] });
+    raw = accessToken.generateToken();
+    jest.spyOn(AccessToken, "findOne").mockImplementation(async (filter) =>
+      filter.tokenHash === accessToken.tokenHash ? accessToken : null
+    );
+    jest.spyOn(AccessToken, "updateOne").mockResolvedValue({});
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+  });
+
+  test("act as their owner, narrowed to their scopes", async () => {
+    const res = await get(raw);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ id: user._id.toString(), scopes: ["read"] });
+  });
+
+  test("an unknown token is refused", async () => {
+    const res = await get(`${AccessToken.TOKEN_PREFIX}not-a-real-token`);
+    expect(res.status).toBe(401);
+  });
+
+  test.each([
+    ["a revoked", { revokedAt: new Date() }],
+    ["an expired", { expiresAt: new Date(Date.now() - 1000) }],
+  ])("%s token is refused", async (_label, fields) => {
+    Object.assign(accessToken, fields);
+    const res = await get(raw);
+    expect(res.status).toBe(401);
+  });
+
+  test("a deactivated owner's token is refused", async () => {
+    user.status = "deactivated";
+    const res = await get(raw);
+    expect(res.status).toBe(401);
+  });
+
+  test("use is recorded at most once per resolution window", async () => {
+    await get(raw);
+    expect(AccessToken.updateOne).toHaveBeenCalledTimes(1);
+    accessToken.lastUsedAt = new Date();
+    await get(raw);
+    expect(AccessToken.updateOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+test("a request without credentials is refused", async () => {
+  const res = await request(app).get("/whoami");
+  expect(res.status).toBe(401);
+});
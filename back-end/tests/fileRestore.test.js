@@ -0,0 +1,90 @@
+const File = require("../models/file.model");
+const Folder = require("../models/folder.model");
+const storage = require("../utils/storage");
+const { objectId } = require("./helpers/http");
+
+beforeEach(() => jest.restoreAllMocks());
+
+describe("File#restore", () => {
+  const folder = new Folder({ name: "docs", path: "docs", createdBy: objectId() });
+
+  const trashed = () =>
+    new File({
+      filename: "a.pdf",
+      path: "trash/a.pdf",
+      originalPath: "docs/a.pdf",
+      size: 10,
+      fileHash: "abc",
+      folder: folder._id,
+      isDeleted: true,
+      deletedAt: new Date(),
+      deletedBy: objectId(),
+    });
+
+  beforeEach(() => {
+    jest.spyOn(Folder, "findById").mockResolvedValue(folder);
+    jest.spyOn(File, "findOne").mockResolvedValue(null);
+    jest.spyOn(File, "findById").mockResolvedValue(null);
+    jest.spyOn(storage, "fileExists").mockResolvedValue(true);
+    jest.spyOn(storage, "rename").mockResolvedValue();
+  });
+
+  test("updates the record before moving the bytes", async () => {
+    const calls = [];
+    jest.spyOn(File, "updateOne").mockImplementation(async () => calls.push("update"));
+    storage.rename.mockImplementation(async () => calls.push("rename"));
+
+    await trashed().restore(objectId());
+    expect(calls).toEqual(["update", "rename"]);
+    expect(storage.rename).toHaveBeenCalledWith("trash/a.pdf", "docs/a.pdf");
+  });
+
+  test("a live file with the same name or content in the folder is a 409", async () => {
+    File.findOne.mockResolvedValue(new File({ filename: "b.pdf", fileHash: "abc" }));
+    jest.spyOn(File, "updateOne");
+
+    await expect(trashed().restore(objectId())).rejects.toMatchObject({ status: 409 });
+    expect(File.findOne.mock.calls[0][0]).toMatchObject({ folder: folder._id });
+    expect(File.updateOne).not.toHaveBeenCalled();
+    expect(storage.rename).not.toHaveBeenCalled();
+  });
+
+  test("a unique index refusal is a 409 and leaves storage alone", async () => {
+    jest.spyOn(File, "updateOne").mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000 }));
+
+    await expect(trashed().restore(objectId())).rejects.toMatchObject({ status: 409 });
+    expect(storage.rename).not.toHaveBeenCalled();
+  });
+
+  test("a failed move puts the record back in the trash", async () => {
+    const file = trashed();
+    jest.spyOn(File, "updateOne").mockResolvedValue({});
+    storage.rename.mockRejectedValue(new Error("disk full"));
+
+    await expect(file.restore(objectId())).rejects.toThrow("disk full");
+    expect(File.updateOne).toHaveBeenLastCalledWith(
+      { _id: file._id },
+      {
+        $set: expect.objectContaining({
+          isDeleted: true,
+          path: "trash/a.pdf",
+          originalPath: "docs/a.pdf",
+          deletedAt: file.deletedAt,
+        }),
+      }
+    );
+  });
+});
+
+describe("File indexes", () => {
+  test("content is unique per folder, not across folders", () => {
+    const keys = File.schema.indexes().map(([fields]) => fields);
+    expect(keys).toContainEqual({ folder: 1, fileHash: 1 });
+    expect(keys).not.toContainEqual({ fileHash: 1 });
+  });
+
+  test("older versions don't count towards content uniqueness", () => {
+    const [, options] = File.schema.indexes().find(([fields]) => fields.fileHash);
+    expect(options.partialFilterExpression).toEqual({ isDeleted: false, isCurrentVersion: true });
+  });
+});
@@ -0,0 +1,3 @@
+// Secrets the app reads from .env, so tests also run without one
+process.env.JWT_SECRET ||= "test-jwt-secret";
+process.env.JWT_REFRESH_SECRET ||= "test-refresh-secret";
@@ -0,0 +1,72 @@
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const mongoose = require("mongoose");
+const User = require("../../models/user.model");
+const Role = require("../../models/role.model");
+const policy = require("../../utils/policy");
+
+/**
+ * Express app serving one router the way app.js mounts it. Pair with a
+ * jest.mock of middleware/auth that sets req.user (see mockAuth).
+ * @param {string} path - Mount path, e.g. "/api/roles"
+ * @param {Object} router
+ */
+function appWith(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use(path, router);
+  return app;
+}
+
+/**
+ * Stand-in for a Mongoose query: chainable, and resolves to `result`.
+ * @param {*} result
+ */
+function mockQuery(result) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result),
+  };
+  for (const method of ["select", "populate", "sort", "lean", "skip", "limit", "distinct"]) {
+    query[method] = () => query;
+  }
+  return query;
+}
+
+let userCount = 0;
+
+/**
+ * An unsaved User document.
+ * @param {string} role
+ * @param {Object} [fields]
+ */
+function makeUser(role, fields = {}) {
+  userCount++;
+  return new User({
+    username: `user${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: "Correct-horse-9",
+    role,
+    ...fields,
+  });
+}
+
+/**
+ * Replaces the policy's role grants with these, as if loaded from the
+ * Role collection. Built-in roles are kept unless overridden.
+ * @param {{ [name: string]: string[] }} roles
+ */
+async function loadRoles(roles) {
+  const all = { ...Object.fromEntries(Object.entries(policy.BUILT_IN_ROLES).map(([n, r]) => [n, r.permissions])), ...roles };
+  const spy = jest
+    .spyOn(Role, "find")
+    .mockReturnValue(mockQuery(Object.entries(all).map(([name, permissions]) => ({ name, permissions }))));
+  await policy.loadRoles();
+  spy.mockRestore();
+}
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = { appWith, mockQuery, makeUser, loadRoles, objectId };
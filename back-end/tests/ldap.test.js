@@ -0,0 +1,147 @@
+const config = require("../config/config");
+const User = require("../models/user.model");
+const Group = require("../models/group.model");
+const Role = require("../models/role.model");
+const Setting = require("../models/setting.model");
+const offboarding = require("../utils/offboarding");
+const ldap = require("../utils/ldap");
+const sync = require("../utils/ldap/sync");
+const { makeUser, mockQuery } = require("./helpers/http");
+
+jest.mock("../utils/audit", () => ({ ...jest.requireActual("../utils/audit"), record: jest.fn() }));
+// The sync keeps its own reference to deactivateUser, so a spy wouldn't reach it
+jest.mock("../utils/offboarding", () => ({
+  ...jest.requireActual("../utils/offboarding"),
+  deactivateUser: jest.fn(),
+}));
+
+const defaults = { ...config.ldap };
+afterEach(() => Object.assign(config.ldap, defaults));
+
+describe("escapeFilter", () => {
+  test("keeps a login from changing the filter", () => {
+    expect(ldap.escapeFilter("*)(uid=*")).toBe("\\2a\\29\\28uid=\\2a");
+    expect(ldap.escapeFilter("a\\b")).toBe("a\\5cb");
+  });
+});
+
+describe("toProfile", () => {
+  test("normalises an entry", () => {
+    const profile = ldap.toProfile({
+      dn: "uid=jane,ou=people,dc=example,dc=com",
+      entryUUID: "uuid-1",
+      uid: "jane",
+      mail: "Jane@Example.com",
+      memberOf: ["CN=Reviewers,DC=example,DC=com"],
+    });
+    expect(profile).toMatchObject({
+      subject: "uuid-1",
+      username: "jane",
+      email: "jane@example.com",
+      groups: ["cn=reviewers,dc=example,dc=com"],
+      disabled: false,
+    });
+  });
+
+  test("reads AD's disabled flag", () => {
+    expect(ldap.toProfile({ dn: "x", entryUUID: "u", userAccountControl: "514" }).disabled).toBe(true);
+  });
+});
+
+describe("userForLogin", () => {
+  const profile = {
+    subject: "uuid-1",
+    dn: "uid=jane,dc=example,dc=com",
+    username: "jane",
+    email: "jane@example.com",
+    groups: [],
+    disabled: false,
+    emailVerified: true,
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(User, "find").mockResolvedValue([]);
+    jest.spyOn(Group, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Role, "find").mockReturnValue(mockQuery(["user", "admin"]));
+    jest.spyOn(User, "updateOne").mockResolvedValue({});
+  });
+
+  test("loads only the user logging in", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+    config.ldap.autoProvision = false;
+    await sync.userForLogin(null, profile);
+    expect(User.find).toHaveBeenCalledWith({
+      identities: { $elemMatch: { provider: "ldap", subject: "uuid-1" } },
+    });
+  });
+
+  test("won't take over a local account with the same email by default", async () => {
+    const local = makeUser("admin", { email: "jane@example.com" });
+    jest.spyOn(User, "findOne").mockResolvedValue(local);
+    await expect(sync.userForLogin(null, profile)).rejects.toMatchObject({ status: 409 });
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test("links the local account when linking is turned on", async () => {
+    const local = makeUser("user", { email: "jane@example.com" });
+    jest.spyOn(User, "findOne").mockResolvedValue(local);
+    jest.spyOn(User, "findById").mockResolvedValue(local);
+    config.ldap.linkExistingAccounts = true;
+
+    expect(await sync.userForLogin(null, profile)).toBe(local);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: local._id },
+      { $push: { identities: { provider: "ldap", subject: "uuid-1", email: "jane@example.com" } } }
+    );
+  });
+});
+
+describe("runSync", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Group, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Role, "find").mockReturnValue(mockQuery(["user", "admin"]));
+    jest.spyOn(Setting, "setValue").mockResolvedValue({});
+    offboarding.deactivateUser.mockClear();
+  });
+
+  const linked = (subject) =>
+    makeUser("user", { identities: [{ provider: "ldap", subject, email: `${subject}@example.com` }] });
+
+  test("deactivates linked users the directory no longer returns", async () => {
+    const stays = linked("stays");
+    const left = linked("left");
+    jest.spyOn(User, "find").mockResolvedValue([stays, left]);
+    jest.spyOn(ldap, "searchUsers").mockResolvedValue([
+      { subject: "stays", email: stays.email, groups: [], disabled: false },
+    ]);
+
+    const report = await sync.runSync();
+    expect(report.summary).toMatchObject({ deactivate: 1, unchanged: 1 });
+    expect(offboarding.deactivateUser).toHaveBeenCalledWith(left, expect.objectContaining({ reason: "directory" }));
+  });
+
+  test("an empty directory result deactivates nobody", async () => {
+    jest.spyOn(User, "find").mockResolvedValue([linked("a")]);
+    jest.spyOn(ldap, "searchUsers").mockResolvedValue([]);
+
+    const report = await sync.runSync();
+    expect(report.summary.deactivate).toBe(0);
+    expect(offboarding.deactivateUser).not.toHaveBeenCalled();
+  });
+
+  test("a dry run changes nothing", async () => {
+    jest.spyOn(User, "find").mockResolvedValue([linked("a")]);
+    jest.spyOn(ldap, "searchUsers").mockResolvedValue([{ subject: "b", email: "b@example.com", groups: [] }]);
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+    jest.spyOn(User, "exists").mockResolvedValue(null);
+    jest.spyOn(User, "create");
+
+    const report = await sync.runSync({ dryRun: true });
+    expect(report.summary).toMatchObject({ create: 1, deactivate: 1 });
+    expect(User.create).not.toHaveBeenCalled();
+    expect(offboarding.deactivateUser).not.toHaveBeenCalled();
+    expect(Setting.setValue).not.toHaveBeenCalled();
+  });
+});
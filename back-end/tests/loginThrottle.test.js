@@ -0,0 +1,88 @@
+const LoginThrottle = require("../models/loginThrottle.model");
+const loginThrottle = require("../utils/loginThrottle");
+const config = require("../config/config");
+
+const req = { ip: "10.0.0.1" };
+const { account } = config.loginProtection;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(LoginThrottle, "updateOne").mockResolvedValue({});
+});
+
+// Both records (account and IP) come back with these counts
+const afterFailure = (fields) =>
+  jest
+    .spyOn(LoginThrottle, "findOneAndUpdate")
+    .mockImplementation(async ({ scope, key }) => new LoginThrottle({ scope, key, expiresAt: new Date(), ...fields }));
+
+describe("recordFailure", () => {
+  test("counts against the account (by normalised email) and the IP", async () => {
+    afterFailure({ failures: 1 });
+    await loginThrottle.recordFailure(req, " Jane@Example.com ");
+    const filters = LoginThrottle.findOneAndUpdate.mock.calls.map(([filter]) => filter);
+    expect(filters).toEqual([
+      { scope: "account", key: "jane@example.com" },
+      { scope: "ip", key: "10.0.0.1" },
+    ]);
+  });
+
+  test("the first few failures cost nothing", async () => {
+    afterFailure({ failures: account.freeAttempts });
+    expect(await loginThrottle.recordFailure(req, "jane@example.com")).toEqual([]);
+    expect(LoginThrottle.updateOne).not.toHaveBeenCalled();
+  });
+
+  test("past the free attempts, the next try is delayed", async () => {
+    afterFailure({ failures: account.freeAttempts + 1 });
+    await loginThrottle.recordFailure(req, "jane@example.com");
+    const [, update] = LoginThrottle.updateOne.mock.calls[0];
+    expect(update.$set.blockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(update.$set.lockedAt).toBeUndefined();
+  });
+
+  test("reaching the limit locks the account, longer on each repeat", async () => {
+    afterFailure({ failures: account.maxAttempts, lockouts: 1 });
+    const before = Date.now();
+    const lockouts = await loginThrottle.recordFailure(req, "jane@example.com");
+
+    expect(lockouts).toEqual([expect.objectContaining({ scope: "account", locked: true })]);
+    const lockMs = lockouts[0].until.getTime() - before;
+    expect(lockMs).toBeGreaterThanOrEqual(2 * account.lockMinutes * 60 * 1000 - 1000);
+    const [, update] = LoginThrottle.updateOne.mock.calls[0];
+    expect(update.$inc).toEqual({ lockouts: 1 });
+    expect(update.$set.failures).toBe(0);
+  });
+});
+
+describe("check", () => {
+  test("reports the longest block in effect", async () => {
+    const now = Date.now();
+    jest.spyOn(LoginThrottle, "find").mockResolvedValue([
+      new LoginThrottle({ scope: "ip", key: "10.0.0.1", blockedUntil: new Date(now + 5000), expiresAt: new Date() }),
+      new LoginThrottle({
+        scope: "account",
+        key: "jane@example.com",
+        blockedUntil: new Date(now + 60000),
+        lockedAt: new Date(now),
+        expiresAt: new Date(),
+      }),
+    ]);
+    const result = await loginThrottle.check(req, "jane@example.com");
+    expect(result).toMatchObject({ blocked: true, locked: true, scope: "account" });
+    expect(result.retryAfter).toBeGreaterThan(55);
+  });
+
+  test("past blocks don't count", async () => {
+    jest.spyOn(LoginThrottle, "find").mockResolvedValue([
+      new LoginThrottle({ scope: "ip", key: "10.0.0.1", blockedUntil: new Date(Date.now() - 1000), expiresAt: new Date() }),
+    ]);
+    expect(await loginThrottle.check(req, "jane@example.com")).toEqual({ blocked: false });
+  });
+});
+
+test("a success clears the account but not the IP", async () => {
+  jest.spyOn(LoginThrottle, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+  await loginThrottle.recordSuccess("Jane@Example.com");
+  expect(LoginThrottle.deleteOne).toHaveBeenCalledWith({ scope: "account", key: "jane@example.com" });
+});
@@ -0,0 +1,27 @@
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const AccessToken = require("../models/accessToken.model");
+const ShareLink = require("../models/shareLink.model");
+const offboarding = require("../utils/offboarding");
+const { makeUser } = require("./helpers/http");
+
+beforeEach(() => jest.restoreAllMocks());
+
+describe("deactivateUser", () => {
+  test("ends sessions and revokes access tokens and share links", async () => {
+    const user = makeUser("user");
+    const admin = makeUser("admin");
+    jest.spyOn(User, "updateOne").mockResolvedValue({});
+    jest.spyOn(Session, "revokeAllForUser").mockResolvedValue(0);
+    jest.spyOn(AccessToken, "updateMany").mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(ShareLink, "updateMany").mockResolvedValue({ modifiedCount: 2 });
+
+    await offboarding.deactivateUser(user, { by: admin });
+
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith(user._id, "deactivated");
+    expect(ShareLink.updateMany).toHaveBeenCalledWith(
+      { createdBy: user._id, revokedAt: null },
+      { revokedAt: expect.any(Date), revokedBy: admin._id }
+    );
+  });
+});
@@ -0,0 +1,56 @@
+const bcrypt = require("bcryptjs");
+const config = require("../config/config");
+const passwordPolicy = require("../utils/passwordPolicy");
+const { makeUser, mockQuery } = require("./helpers/http");
+
+beforeEach(() => jest.restoreAllMocks());
+
+describe("validate", () => {
+  test("a strong password passes", () => {
+    expect(passwordPolicy.validate("Orchard-lamp-42")).toEqual([]);
+  });
+
+  test.each([
+    ["Short-1", "at least"],
+    ["lowercase-only-42", "uppercase"],
+    ["UPPERCASE-ONLY-42", "lowercase"],
+    ["No-digits-at-all", "digit"],
+    ["Q1w2e3r4t5", "too common"],
+    ["x".repeat(40) + "Ab1" + "é".repeat(20), "at most"],
+  ])("%j is refused (%s)", (password, problem) => {
+    expect(passwordPolicy.validate(password).join(" ")).toContain(problem);
+  });
+
+  test("a password containing the username or email is refused", () => {
+    expect(passwordPolicy.validate("Jdoe-secret-42", { username: "jdoe" })).toHaveLength(1);
+    expect(passwordPolicy.validate("Mary-Smith-2024", { email: "mary.smith@example.com" })).toEqual([]);
+    expect(passwordPolicy.validate("Marysmith-2024", { email: "marysmith@example.com" })).toHaveLength(1);
+  });
+
+  test("a missing password is refused", () => {
+    expect(passwordPolicy.validate(undefined)).toEqual(["Password is required"]);
+  });
+});
+
+describe("isReused", () => {
+  test("matches the current and previous passwords only", async () => {
+    const user = makeUser("user");
+    const stored = {
+      password: await bcrypt.hash("Current-pass-1", 4),
+      passwordHistory: [await bcrypt.hash("Older-pass-22", 4)],
+    };
+    jest.spyOn(user.constructor, "findById").mockReturnValue(mockQuery(stored));
+
+    expect(await passwordPolicy.isReused(user, "Current-pass-1")).toBe(true);
+    expect(await passwordPolicy.isReused(user, "Older-pass-22")).toBe(true);
+    expect(await passwordPolicy.isReused(user, "Brand-new-pass-3")).toBe(false);
+  });
+});
+
+test("generated passwords satisfy the policy", () => {
+  for (let i = 0; i < 20; i++) {
+    const password = passwordPolicy.generate();
+    expect(password.length).toBeGreaterThanOrEqual(config.passwordPolicy.minLength);
+    expect(passwordPolicy.validate(password)).toEqual([]);
+  }
+});
@@ -0,0 +1,207 @@
+const mongoose = require("mongoose");
+const policy = require("../utils/policy");
+require("../models/folder.model"); // registered for folderAccess; never queried
+
+const id = () => new mongoose.Types.ObjectId();
+const user = (role, extra = {}) => ({ _id: id(), role, $locals: {}, ...extra });
+
+// Folders are read from the cache that can() accepts, so nothing here
+// touches the database. Group membership is cached the same way.
+function folderCache(folders, members = new Map()) {
+  const cache = new Map(folders.map((folder) => [folder._id.toString(), folder]));
+  return {
+    cache,
+    forUser(u) {
+      cache.set(`groups:${u._id}`, new Set((members.get(u) || []).map(String)));
+      return cache;
+    },
+  };
+}
+
+const folder = (fields = {}) => ({
+  _id: id(),
+  name: "folder",
+  path: "/folder",
+  parentFolder: null,
+  createdBy: id(),
+  access: [],
+  inheritPermissions: true,
+  isSystemFolder: false,
+  ...fields,
+});
+
+describe("hasPermission with the built-in roles", () => {
+  const actions = Object.keys(policy.ACTIONS);
+  const granted = {
+    admin: actions,
+    "sub-admin": ["file:read", "file:review", "file:approve", "asset:read"],
+    user: ["asset:read"],
+  };
+
+  for (const [role, allowed] of Object.entries(granted)) {
+    test.each(actions)(`${role} / %s`, (action) => {
+      expect(policy.hasPermission(user(role), action)).toBe(allowed.includes(action));
+    });
+  }
+
+  test("an unknown role has no grants", () => {
+    expect(policy.hasPermission(user("nobody"), "asset:read")).toBe(false);
+  });
+
+  test("an unknown action throws", () => {
+    expect(() => policy.hasPermission(user("admin"), "file:teleport")).toThrow("Unknown action");
+  });
+});
+
+describe("scopeAllows", () => {
+  const withScopes = (...scopes) => user("admin", { $locals: { tokenScopes: scopes } });
+
+  test.each([
+    [[], "file:read", true],
+    [["full"], "user:delete", true],
+    [["read"], "folder:read", true],
+    [["read"], "file:read", true],
+    [["read"], "file:upload", false],
+    [["read"], "file:approve", false],
+    [["upload"], "file:upload", true],
+    [["upload"], "file:read", false],
+    [["asset-read"], "asset:read", true],
+    [["asset-read"], "asset:update", false],
+    [["assets"], "asset:delete", true],
+    [["assets"], "file:read", false],
+    [["read", "upload"], "file:upload", true],
+  ])("token scopes %j / %s -> %s", (scopes, action, expected) => {
+    const u = scopes.length ? withScopes(...scopes) : user("admin");
+    expect(policy.scopeAllows(u, action)).toBe(expected);
+  });
+
+  test("a token never grants more than the role", () => {
+    const u = user("user", { $locals: { tokenScopes: ["full"] } });
+    expect(policy.hasPermission(u, "file:approve")).toBe(false);
+  });
+
+  test("a narrow token narrows an admin", () => {
+    expect(policy.hasPermission(withScopes("read"), "user:delete")).toBe(false);
+  });
+});
+
+describe("can: owner rule", () => {
+  const owner = user("user");
+  const file = { owner: owner._id, uploadedBy: id(), folder: null };
+
+  test.each([
+    ["file:read", true],
+    ["file:update", true],
+    ["file:delete", true],
+    ["file:share", true],
+    ["file:upload", false], // not an owner action
+    ["file:approve", false],
+  ])("owner / %s -> %s", async (action, expected) => {
+    expect(await policy.can(owner, action, { file })).toBe(expected);
+  });
+
+  test("the uploader counts as owner", async () => {
+    const uploader = user("user");
+    const uploaded = { owner: id(), uploadedBy: uploader._id, folder: null };
+    expect(await policy.can(uploader, "file:delete", { file: uploaded })).toBe(true);
+  });
+
+  test("someone else is refused", async () => {
+    expect(await policy.can(user("user"), "file:read", { file })).toBe(false);
+  });
+
+  test("a token scope still applies to the owner", async () => {
+    const scoped = { ...owner, $locals: { tokenScopes: ["upload"] } };
+    expect(await policy.can(scoped, "file:read", { file })).toBe(false);
+  });
+});
+
+describe("can: folder ACL and inheritance", () => {
+  const reader = user("user");
+  const writer = user("user");
+  const groupMember = user("user");
+  const creator = user("user");
+  const group = id();
+
+  // root (creator owns; reader: read; group: write)
+  //  └ child (inherits; writer: write)
+  //     └ private (does not inherit)
+  const root = folder({
+    name: "root",
+    createdBy: creator._id,
+    access: [
+      { user: reader._id, permission: "read" },
+      { group, permission: "write" },
+    ],
+  });
+  const child = folder({
+    name: "child",
+    parentFolder: root._id,
+    access: [{ user: writer._id, permission: "write" }],
+  });
+  const privateFolder = folder({ name: "private", parentFolder: child._id, inheritPermissions: false });
+  const system = folder({ name: "shared", isSystemFolder: true });
+
+  const byName = { root, child, private: privateFolder, shared: system };
+  const folders = folderCache([root, child, privateFolder, system], new Map([[groupMember, [group]]]));
+  const check = (u, action, target) => policy.can(u, action, { folder: target._id }, folders.forUser(u));
+
+  test.each([
+    ["reader", "folder:read", "root", true, reader],
+    ["reader", "folder:read", "child", true, reader], // inherited
+    ["reader", "file:upload", "child", false, reader],
+    ["reader", "folder:read", "private", false, reader], // inheritance broken
+    ["writer", "file:upload", "child", true, writer],
+    ["writer", "file:upload", "root", false, writer], // grants don't flow upward
+    ["writer", "folder:update", "child", false, writer],
+    ["group member", "file:upload", "child", true, groupMember],
+    ["group member", "folder:share", "root", false, groupMember],
+    ["creator", "folder:delete", "root", true, creator],
+    ["creator", "folder:share", "child", true, creator],
+    ["creator", "folder:read", "private", false, creator],
+    ["anyone", "folder:read", "shared", true, user("user")],
+    ["anyone", "file:upload", "shared", false, user("user")],
+  ])("%s / %s on %s -> %s", async (_label, action, name, expected, u) => {
+    expect(await check(u, action, byName[name])).toBe(expected);
+  });
+
+  test("a file's folder is used when no folder is given", async () => {
+    const file = { owner: id(), uploadedBy: id(), folder: child._id };
+    expect(await policy.can(reader, "file:read", { file }, folders.forUser(reader))).toBe(true);
+  });
+
+  test("role grants apply everywhere, even where inheritance is broken", async () => {
+    expect(await check(user("admin"), "folder:delete", privateFolder)).toBe(true);
+    expect(await check(user("sub-admin"), "file:read", privateFolder)).toBe(true);
+    expect(await check(user("sub-admin"), "folder:read", privateFolder)).toBe(false);
+  });
+
+  test("a read-only token can't use a folder write grant", async () => {
+    const scoped = { ...writer, $locals: { tokenScopes: ["read"] } };
+    expect(await check(scoped, "file:upload", child)).toBe(false);
+    expect(await check(scoped, "folder:read", child)).toBe(true);
+  });
+});
+
+describe("canAssignRole", () => {
+  test.each([
+    ["admin", "admin", true],
+    ["admin", "sub-admin", true],
+    ["admin", "user", true],
+    ["sub-admin", "admin", false],
+    ["sub-admin", "sub-admin", true],
+    ["sub-admin", "user", true],
+    ["user", "sub-admin", false],
+    ["user", "user", true],
+    ["user", "admin", false],
+    ["sub-admin", "no-such-role", false],
+  ])("%s assigning %s -> %s", (actorRole, role, expected) => {
+    expect(policy.canAssignRole(user(actorRole), role)).toBe(expected);
+  });
+});
+
+describe("adminRoles", () => {
+  test("lists the roles holding *", () => {
+    expect(policy.adminRoles()).toEqual(["admin"]);
+  });
+});
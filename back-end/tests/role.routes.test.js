@@ -0,0 +1,94 @@
+const request = require("supertest");
+const Role = require("../models/role.model");
+const { appWith, makeUser, loadRoles } = require("./helpers/http");
+
+let mockUser;
+jest.mock("../middleware/auth", () => () => (req, res, next) => {
+  req.user = mockUser;
+  next();
+});
+jest.mock("../utils/audit", () => ({ ...jest.requireActual("../utils/audit"), record: jest.fn() }));
+
+const app = appWith("/api/roles", require("../routes/role"));
+
+beforeAll(() =>
+  loadRoles({
+    "role-manager": ["role:*", "user:read", "asset:read"],
+  })
+);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Role.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Role, "create").mockImplementation(async (fields) => new Role(fields));
+});
+
+describe("POST /api/roles", () => {
+  test.each([
+    [["*"]],
+    [["user:*"]],
+    [["user:delete"]],
+    [["asset:read", "settings:manage"]],
+  ])("a role manager can't create a role with %j", async (permissions) => {
+    mockUser = makeUser("role-manager");
+    const res = await request(app).post("/api/roles").send({ name: "escalated", permissions });
+    expect(res.status).toBe(403);
+    expect(Role.create).not.toHaveBeenCalled();
+  });
+
+  test("a role manager can create a role within their own grants", async () => {
+    mockUser = makeUser("role-manager");
+    const res = await request(app)
+      .post("/api/roles")
+      .send({ name: "viewer", permissions: ["user:read", "asset:read", "role:read"] });
+    expect(res.status).toBe(201);
+    expect(Role.create).toHaveBeenCalled();
+  });
+
+  test("an admin can create any role", async () => {
+    mockUser = makeUser("admin");
+    const res = await request(app).post("/api/roles").send({ name: "superuser", permissions: ["*"] });
+    expect(res.status).toBe(201);
+  });
+});
+
+describe("PUT /api/roles/:id", () => {
+  const existing = (name, permissions) => {
+    const role = new Role({ name, permissions });
+    jest.spyOn(Role, "findById").mockResolvedValue(role);
+    return role;
+  };
+
+  test("a role manager can't add grants they don't hold", async () => {
+    mockUser = makeUser("role-manager");
+    const role = existing("editor", ["asset:read"]);
+    const res = await request(app).put(`/api/roles/${role._id}`).send({ permissions: ["asset:*"] });
+    expect(res.status).toBe(403);
+    expect(Role.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test("a role manager can't edit their own role", async () => {
+    mockUser = makeUser("role-manager");
+    const role = existing("role-manager", ["role:*", "user:read", "asset:read"]);
+    const res = await request(app).put(`/api/roles/${role._id}`).send({ permissions: ["role:*", "user:read"] });
+    expect(res.status).toBe(403);
+    expect(Role.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test("a role manager can edit another role within their grants", async () => {
+    mockUser = makeUser("role-manager");
+    const role = existing("editor", ["asset:read"]);
+    const res = await request(app).put(`/api/roles/${role._id}`).send({ permissions: ["asset:read", "user:read"] });
+    expect(res.status).toBe(200);
+    expect(res.body.permissions).toEqual(["asset:read", "user:read"]);
+  });
+
+  test("an admin can edit their own role's description", async () => {
+    mockUser = makeUser("admin");
+    const role = existing("admin", ["*"]);
+    const res = await request(app).put(`/api/roles/${role._id}`).send({ description: "Everything" });
+    expect(res.status).toBe(200);
+  });
+});
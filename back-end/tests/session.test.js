@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+const Session = require("../models/session.model");
+const session = require("../utils/session");
+const { verifyRefreshToken } = require("../utils/jwt");
+const { makeUser, mockQuery } = require("./helpers/http");
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const req = { ip: "10.0.0.1", body: {}, get: () => "Mozilla/5.0 (Windows NT 10.0) Chrome/120.0" };
+
+beforeEach(() => jest.restoreAllMocks());
+
+describe("createSession", () => {
+  test("stores only the hash of the refresh token", async () => {
+    const user = makeUser("user");
+    jest.spyOn(Session.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(user.constructor, "updateOne").mockResolvedValue({});
+
+    const { refreshToken, session: created } = await session.createSession(req, user);
+    expect(created.refreshTokenHash).toBe(hash(refreshToken));
+    expect(created.device).toBe("Chrome on Windows");
+    expect(verifyRefreshToken(refreshToken).sid).toBe(created._id.toString());
+  });
+});
+
+describe("rotateSession", () => {
+  const user = makeUser("user");
+  const stored = (fields = {}) =>
+    new Session({ user: user._id, refreshTokenHash: "x", expiresAt: new Date(Date.now() + 60000), ...fields });
+
+  test("a token from before sessions is invalid", async () => {
+    expect(await session.rotateSession(req, user, { userId: user._id }, "old")).toEqual({ error: "invalid" });
+  });
+
+  test("the current token is swapped for a new pair", async () => {
+    const current = stored();
+    jest.spyOn(Session, "findOneAndUpdate").mockResolvedValue(current);
+
+    const result = await session.rotateSession(req, user, { sid: current._id }, "presented");
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: current._id, refreshTokenHash: hash("presented"), revokedAt: null });
+    expect(update.previousTokenHash).toBe(hash("presented"));
+    expect(update.refreshTokenHash).toBe(hash(result.refreshToken));
+    expect(result.token).toEqual(expect.any(String));
+  });
+
+  test("the token just replaced, presented again within the grace period, is a race", async () => {
+    const current = stored({ previousTokenHash: hash("presented"), rotatedAt: new Date() });
+    jest.spyOn(Session, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(Session, "findOne").mockReturnValue(mockQuery(current));
+    jest.spyOn(current, "revoke");
+
+    const result = await session.rotateSession(req, user, { sid: current._id }, "presented");
+    expect(result).toEqual({ error: "raced" });
+    expect(current.revoke).not.toHaveBeenCalled();
+  });
+
+  test("replaying an older token revokes the whole session", async () => {
+    const current = stored({ previousTokenHash: hash("newer"), rotatedAt: new Date() });
+    jest.spyOn(Session, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(Session, "findOne").mockReturnValue(mockQuery(current));
+    jest.spyOn(current, "revoke").mockResolvedValue(current);
+
+    const result = await session.rotateSession(req, user, { sid: current._id }, "stolen");
+    expect(result.error).toBe("reused");
+    expect(current.revoke).toHaveBeenCalledWith("reuse");
+  });
+
+  test("a revoked session can't be refreshed", async () => {
+    const current = stored({ revokedAt: new Date() });
+    jest.spyOn(Session, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(Session, "findOne").mockReturnValue(mockQuery(current));
+
+    expect(await session.rotateSession(req, user, { sid: current._id }, "presented")).toEqual({ error: "invalid" });
+  });
+});
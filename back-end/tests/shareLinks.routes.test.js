@@ -0,0 +1,104 @@
+const request = require("supertest");
+const File = require("../models/file.model");
+const ShareLink = require("../models/shareLink.model");
+const { appWith, makeUser, mockQuery, objectId } = require("./helpers/http");
+
+let mockUser;
+jest.mock("../middleware/auth", () => () => (req, res, next) => {
+  req.user = mockUser;
+  next();
+});
+jest.mock("../utils/audit", () => ({ ...jest.requireActual("../utils/audit"), record: jest.fn() }));
+
+const app = appWith("/api/share", require("../routes/share"));
+
+beforeEach(() => jest.restoreAllMocks());
+
+// A link to an approved file its creator owns
+const sharedBy = (creator) => {
+  const file = new File({
+    filename: "a.pdf",
+    originalFilename: "a.pdf",
+    path: "docs/a.pdf",
+    size: 10,
+    owner: creator._id,
+    uploadedBy: creator._id,
+    approvalStatus: "approved",
+  });
+  const link = new ShareLink({ createdBy: creator, tokenHash: "x", tokenPrefix: "abc", file: file._id });
+  jest.spyOn(ShareLink, "findByToken").mockReturnValue(mockQuery(link));
+  jest.spyOn(File, "findById").mockReturnValue(mockQuery(file));
+  return link;
+};
+
+describe("GET /api/share/:token", () => {
+  test("opens a link whose creator is active", async () => {
+    sharedBy(makeUser("user"));
+    const res = await request(app).get("/api/share/sometoken");
+    expect(res.status).toBe(200);
+    expect(res.body.data.name).toBe("a.pdf");
+  });
+
+  test("a link from a deactivated creator is gone", async () => {
+    sharedBy(makeUser("user", { status: "deactivated" }));
+    const res = await request(app).get("/api/share/sometoken");
+    expect(res.status).toBe(410);
+    expect(res.body.data).toBeUndefined();
+  });
+});
+
+describe("password-protected links", () => {
+  const loginThrottle = require("../utils/loginThrottle");
+
+  let link;
+  beforeEach(async () => {
+    link = sharedBy(makeUser("user"));
+    await link.setPassword("correct horse battery");
+    jest.spyOn(loginThrottle, "check").mockResolvedValue({ blocked: false });
+    jest.spyOn(loginThrottle, "recordFailure").mockResolvedValue([]);
+    jest.spyOn(loginThrottle, "recordSuccess").mockResolvedValue({});
+  });
+
+  test("a wrong password counts against the link and the client", async () => {
+    const res = await request(app).post("/api/share/sometoken/unlock").send({ password: "guess" });
+    expect(res.status).toBe(401);
+    expect(loginThrottle.recordFailure).toHaveBeenCalledWith(expect.anything(), `share:${link._id}`);
+  });
+
+  test("wrong passwords in the header are counted too", async () => {
+    const res = await request(app).get("/api/share/sometoken/download").set("X-Share-Password", "guess");
+    expect(res.status).toBe(401);
+    expect(loginThrottle.recordFailure).toHaveBeenCalled();
+  });
+
+  test("while throttled, even the right password isn't checked", async () => {
+    loginThrottle.check.mockResolvedValue({ blocked: true, retryAfter: 30 });
+    jest.spyOn(link, "checkPassword");
+    const res = await request(app)
+      .post("/api/share/sometoken/unlock")
+      .send({ password: "correct horse battery" });
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBe("30");
+    expect(link.checkPassword).not.toHaveBeenCalled();
+  });
+
+  test("the right password unlocks and clears the link's failures", async () => {
+    const res = await request(app)
+      .post("/api/share/sometoken/unlock")
+      .send({ password: "correct horse battery" });
+    expect(res.status).toBe(200);
+    expect(res.body.data.access).toEqual(expect.any(String));
+    expect(loginThrottle.recordSuccess).toHaveBeenCalledWith(`share:${link._id}`);
+  });
+});
+
+describe("POST /api/share", () => {
+  test("a link password must meet the password policy's length", async () => {
+    mockUser = makeUser("user");
+    const res = await request(app)
+      .post("/api/share")
+      .send({ fileId: objectId().toString(), password: "1234" });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].path).toBe("password");
+  });
+});
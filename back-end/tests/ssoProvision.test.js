@@ -0,0 +1,100 @@
+const User = require("../models/user.model");
+const Role = require("../models/role.model");
+const Group = require("../models/group.model");
+const { resolveUser } = require("../utils/sso/provision");
+const { makeUser, mockQuery } = require("./helpers/http");
+
+jest.mock("../utils/audit", () => ({ ...jest.requireActual("../utils/audit"), record: jest.fn() }));
+
+const provider = (options = {}) => ({
+  id: "okta",
+  options: {
+    autoProvision: false,
+    linkExistingAccounts: false,
+    syncOnLogin: false,
+    defaultRole: "user",
+    roleMappings: [],
+    groupMappings: [],
+    ...options,
+  },
+});
+const profile = (fields = {}) => ({
+  subject: "sub-1",
+  email: "Jane@Example.com",
+  emailVerified: true,
+  username: "jane",
+  groups: [],
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(User, "updateOne").mockResolvedValue({});
+  jest.spyOn(User.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+});
+
+// findOne is asked for the linked identity first, then for the email
+const lookups = ({ linked = null, byEmail = null } = {}) =>
+  jest.spyOn(User, "findOne").mockImplementation(async (filter) => (filter.identities ? linked : byEmail));
+
+describe("resolveUser", () => {
+  test("a linked identity signs in as its user", async () => {
+    const jane = makeUser("user");
+    lookups({ linked: jane });
+    const result = await resolveUser({}, provider(), profile());
+    expect(result).toEqual({ user: jane, created: false, linked: false });
+  });
+
+  test("an identity linked to someone else can't be linked again", async () => {
+    lookups({ linked: makeUser("user") });
+    await expect(resolveUser({}, provider(), profile(), { linkUserId: "someone-else" })).rejects.toMatchObject({
+      status: 409,
+    });
+  });
+
+  test("a matching email isn't linked unless the provider allows it", async () => {
+    const jane = makeUser("admin", { email: "jane@example.com" });
+    lookups({ byEmail: jane });
+    await expect(resolveUser({}, provider(), profile())).rejects.toMatchObject({ status: 409 });
+    expect(jane.identities).toHaveLength(0);
+  });
+
+  test("a matching email isn't linked when the IdP hasn't verified it", async () => {
+    const jane = makeUser("user", { email: "jane@example.com" });
+    lookups({ byEmail: jane });
+    await expect(
+      resolveUser({}, provider({ linkExistingAccounts: true }), profile({ emailVerified: false }))
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  test("a verified matching email is linked when the provider allows it", async () => {
+    const jane = makeUser("user", { email: "jane@example.com" });
+    lookups({ byEmail: jane });
+    const result = await resolveUser({}, provider({ linkExistingAccounts: true }), profile());
+    expect(result).toMatchObject({ created: false, linked: true });
+    expect(jane.identities[0]).toMatchObject({ provider: "okta", subject: "sub-1", email: "jane@example.com" });
+  });
+
+  test("an unknown identity is refused without auto-provisioning", async () => {
+    lookups();
+    await expect(resolveUser({}, provider(), profile())).rejects.toMatchObject({ status: 403 });
+  });
+
+  test("auto-provisioning creates the account with the mapped role", async () => {
+    lookups();
+    jest.spyOn(User, "exists").mockResolvedValue(null);
+    jest.spyOn(Role, "exists").mockResolvedValue(true);
+    jest.spyOn(Group, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(User, "create").mockImplementation(async (fields) => new User(fields));
+
+    const options = { autoProvision: true, roleMappings: [{ group: "reviewers", role: "sub-admin" }] };
+    const result = await resolveUser({}, provider(options), profile({ groups: ["reviewers"] }));
+
+    expect(result.created).toBe(true);
+    expect(User.create).toHaveBeenCalledWith(
+      expect.objectContaining({ username: "jane", email: "jane@example.com", role: "sub-admin" })
+    );
+  });
+});
@@ -0,0 +1,110 @@
+const request = require("supertest");
+const File = require("../models/file.model");
+const ShareLink = require("../models/shareLink.model");
+const reviewThread = require("../utils/reviewThread");
+const { appWith, makeUser, objectId } = require("./helpers/http");
+
+let mockUser;
+jest.mock("../middleware/auth", () => () => (req, res, next) => {
+  req.user = mockUser;
+  next();
+});
+jest.mock("../utils/audit", () => ({ ...jest.requireActual("../utils/audit"), record: jest.fn() }));
+
+// Routes that allow an action because the user owns the item must still
+// honour the scopes of the access token the request came with
+const withToken = (user, ...scopes) => {
+  user.$locals.tokenScopes = scopes;
+  return user;
+};
+
+beforeEach(() => jest.restoreAllMocks());
+
+describe("trash: restoring your own file", () => {
+  const app = appWith("/api/trash", require("../routes/trash"));
+
+  const trashedBy = (user) => {
+    const file = new File({
+      filename: "a.pdf",
+      path: "trash/a.pdf",
+      size: 10,
+      isDeleted: true,
+      deletedBy: user._id,
+      deletedAt: new Date(),
+    });
+    jest.spyOn(File, "findById").mockResolvedValue(file);
+    jest.spyOn(file, "restore").mockResolvedValue(file);
+    return file;
+  };
+
+  test.each([["read"], ["upload"]])("is refused with a %s token", async (scope) => {
+    mockUser = withToken(makeUser("user"), scope);
+    const file = trashedBy(mockUser);
+    const res = await request(app).post(`/api/trash/files/${file._id}/restore`);
+    expect(res.status).toBe(403);
+    expect(file.restore).not.toHaveBeenCalled();
+  });
+
+  test("is allowed in a session and with a full token", async () => {
+    for (const user of [makeUser("user"), withToken(makeUser("user"), "full")]) {
+      mockUser = user;
+      const file = trashedBy(user);
+      const res = await request(app).post(`/api/trash/files/${file._id}/restore`);
+      expect(res.status).toBe(200);
+    }
+  });
+});
+
+describe("share links: revoking your own link", () => {
+  const app = appWith("/api/share", require("../routes/share"));
+
+  const linkOf = (user) => {
+    const link = new ShareLink({ createdBy: user._id, tokenHash: "x", tokenPrefix: "abc", file: objectId() });
+    jest.spyOn(ShareLink, "findById").mockResolvedValue(link);
+    jest.spyOn(link, "save").mockResolvedValue(link);
+    return link;
+  };
+
+  test.each([["read"], ["upload"]])("is refused with a %s token", async (scope) => {
+    mockUser = withToken(makeUser("user"), scope);
+    const link = linkOf(mockUser);
+    const res = await request(app).delete(`/api/share/${link._id}`);
+    expect(res.status).toBe(403);
+    expect(link.save).not.toHaveBeenCalled();
+  });
+
+  test("is allowed in a session", async () => {
+    mockUser = makeUser("user");
+    const link = linkOf(mockUser);
+    const res = await request(app).delete(`/api/share/${link._id}`);
+    expect(res.status).toBe(200);
+    expect(link.revokedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe("review comments on your own upload", () => {
+  const app = appWith("/api/folder", require("../routes/folder"));
+
+  const uploadedBy = (user) => {
+    const file = new File({ filename: "a.pdf", uploadedBy: user._id, owner: user._id, isDeleted: false });
+    jest.spyOn(File, "findById").mockResolvedValue(file);
+    jest.spyOn(reviewThread, "addComment").mockResolvedValue({ comment: { body: "hi" }, ignoredMentions: [] });
+    return file;
+  };
+
+  test.each([["read"], ["upload"]])("can't be written with a %s token", async (scope) => {
+    mockUser = withToken(makeUser("user"), scope);
+    const file = uploadedBy(mockUser);
+    const res = await request(app).post(`/api/folder/files/${file._id}/comments`).send({ body: "hi" });
+    expect(res.status).toBe(403);
+    expect(reviewThread.addComment).not.toHaveBeenCalled();
+  });
+
+  test("can be written in a session", async () => {
+    mockUser = makeUser("user");
+    const file = uploadedBy(mockUser);
+    const res = await request(app).post(`/api/folder/files/${file._id}/comments`).send({ body: "hi" });
+    expect(res.status).toBe(201);
+    expect(reviewThread.addComment).toHaveBeenCalled();
+  });
+});
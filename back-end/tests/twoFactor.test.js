@@ -0,0 +1,113 @@
+const User = require("../models/user.model");
+const totp = require("../utils/totp");
+const twoFactor = require("../utils/twoFactor");
+const secretBox = require("../utils/secretBox");
+const { verifyToken } = require("../utils/jwt");
+const { makeUser, mockQuery } = require("./helpers/http");
+
+beforeEach(() => jest.restoreAllMocks());
+
+describe("totp", () => {
+  // RFC 6238 appendix B, SHA-1 seed "12345678901234567890"
+  const rfcSecret = totp.base32Encode(Buffer.from("12345678901234567890"));
+
+  test.each([
+    [1, "287082"],
+    [37037036, "081804"],
+    [37037037, "050471"],
+    [41152263, "005924"],
+  ])("step %i -> %s", (step, code) => {
+    expect(totp.hotp(rfcSecret, step)).toBe(code);
+  });
+
+  test("accepts the current code and one step of drift", () => {
+    const secret = totp.generateSecret();
+    const now = totp.currentStep();
+    expect(totp.verify(secret, totp.hotp(secret, now))).toBe(now);
+    expect(totp.verify(secret, totp.hotp(secret, now - 1))).toBe(now - 1);
+    expect(totp.verify(secret, totp.hotp(secret, now - 3))).toBeNull();
+  });
+
+  test("refuses a code from a step already used", () => {
+    const secret = totp.generateSecret();
+    const now = totp.currentStep();
+    expect(totp.verify(secret, totp.hotp(secret, now), { afterStep: now })).toBeNull();
+  });
+
+  test("ignores anything that isn't six digits", () => {
+    const secret = totp.generateSecret();
+    expect(totp.verify(secret, "12345")).toBeNull();
+    expect(totp.verify(secret, "abcdef")).toBeNull();
+  });
+});
+
+describe("login challenges", () => {
+  const user = makeUser("user");
+
+  test("are read back only for their purpose", () => {
+    const challenge = twoFactor.issueChallenge(user, "2fa-login");
+    expect(twoFactor.readChallenge(challenge, "2fa-login")).toBe(user._id.toString());
+    expect(twoFactor.readChallenge(challenge, "2fa-enroll")).toBeNull();
+  });
+
+  test("can't pass for an access token", () => {
+    const challenge = twoFactor.issueChallenge(user, "2fa-login");
+    expect(() => verifyToken(challenge)).toThrow("Invalid token");
+  });
+});
+
+describe("verifySecondFactor", () => {
+  const secret = totp.generateSecret();
+  let user;
+
+  beforeEach(() => {
+    user = makeUser("user");
+    user.twoFactor = { enabled: true, secret: secretBox.seal(secret), lastUsedStep: totp.currentStep() - 5 };
+    jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+  });
+
+  test("accepts a fresh code and records its step", async () => {
+    jest.spyOn(User, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    const code = totp.hotp(secret, totp.currentStep());
+
+    expect(await twoFactor.verifySecondFactor(user._id, { code })).toEqual({ ok: true, method: "totp" });
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter["twoFactor.lastUsedStep"]).toBe(user.twoFactor.lastUsedStep);
+    expect(update).toEqual({ "twoFactor.lastUsedStep": totp.currentStep() });
+  });
+
+  test("refuses a code already used", async () => {
+    user.twoFactor.lastUsedStep = totp.currentStep();
+    jest.spyOn(User, "updateOne");
+    const code = totp.hotp(secret, totp.currentStep());
+
+    expect(await twoFactor.verifySecondFactor(user._id, { code })).toEqual({ ok: false });
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test("refuses a code another request used in the meantime", async () => {
+    jest.spyOn(User, "updateOne").mockResolvedValue({ modifiedCount: 0 });
+    const code = totp.hotp(secret, totp.currentStep());
+    expect(await twoFactor.verifySecondFactor(user._id, { code })).toEqual({ ok: false });
+  });
+
+  test("spends a recovery code once", async () => {
+    jest
+      .spyOn(User, "findOneAndUpdate")
+      .mockReturnValueOnce(mockQuery({ twoFactor: { recoveryCodes: ["a", "b"] } }))
+      .mockReturnValueOnce(mockQuery(null));
+
+    expect(await twoFactor.verifySecondFactor(user._id, { recoveryCode: "abcde-12345" })).toEqual({
+      ok: true,
+      method: "recovery_code",
+      recoveryCodesLeft: 2,
+    });
+    expect(await twoFactor.verifySecondFactor(user._id, { recoveryCode: "abcde-12345" })).toEqual({ ok: false });
+  });
+
+  test("does nothing for a user without 2FA", async () => {
+    user.twoFactor.enabled = false;
+    const code = totp.hotp(secret, totp.currentStep());
+    expect(await twoFactor.verifySecondFactor(user._id, { code })).toEqual({ ok: false });
+  });
+});
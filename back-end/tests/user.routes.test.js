@@ -0,0 +1,176 @@
+const request = require("supertest");
+const User = require("../models/user.model");
+const Role = require("../models/role.model");
+const offboarding = require("../utils/offboarding");
+const policy = require("../utils/policy");
+const { appWith, makeUser, mockQuery, loadRoles } = require("./helpers/http");
+
+let mockUser;
+jest.mock("../middleware/auth", () => () => (req, res, next) => {
+  req.user = mockUser;
+  next();
+});
+jest.mock("../utils/audit", () => ({ ...jest.requireActual("../utils/audit"), record: jest.fn() }));
+
+const app = appWith("/api/users", require("../routes/user"));
+
+beforeAll(() =>
+  loadRoles({
+    "user-manager": ["user:*", "asset:read"],
+    // Every action, but not "*": may remove admins, isn't one
+    "all-actions": Object.keys(policy.ACTIONS),
+  })
+);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(offboarding, "deactivateUser").mockResolvedValue();
+});
+
+const target = (role) => {
+  const user = makeUser(role);
+  jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+  return user;
+};
+
+describe("removing a user", () => {
+  const removals = [
+    ["POST /:id/deactivate", (id) => request(app).post(`/api/users/${id}/deactivate`)],
+    ["DELETE /:id", (id) => request(app).delete(`/api/users/${id}`)],
+  ];
+
+  test.each(removals)("%s: a user manager can't remove an admin", async (_label, send) => {
+    mockUser = makeUser("user-manager");
+    const res = await send(target("admin")._id);
+    expect(res.status).toBe(403);
+    expect(offboarding.deactivateUser).not.toHaveBeenCalled();
+  });
+
+  test.each(removals)("%s: a user manager can remove a user", async (_label, send) => {
+    mockUser = makeUser("user-manager");
+    const res = await send(target("user")._id);
+    expect(res.status).toBe(200);
+    expect(offboarding.deactivateUser).toHaveBeenCalled();
+  });
+
+  test.each(removals)("%s: the last active admin stays", async (_label, send) => {
+    mockUser = makeUser("all-actions");
+    jest.spyOn(User, "exists").mockResolvedValue(null);
+    const res = await send(target("admin")._id);
+    expect(res.status).toBe(400);
+    expect(offboarding.deactivateUser).not.toHaveBeenCalled();
+  });
+
+  test("an admin can remove another admin while one is left", async () => {
+    mockUser = makeUser("admin");
+    jest.spyOn(User, "exists").mockResolvedValue({ _id: mockUser._id });
+    const res = await request(app).post(`/api/users/${target("admin")._id}/deactivate`);
+    expect(res.status).toBe(200);
+  });
+
+  test("a user manager can't offboard an admin", async () => {
+    mockUser = makeUser("user-manager");
+    const res = await request(app)
+      .post(`/api/users/${target("admin")._id}/offboard`)
+      .send({ transferTo: mockUser._id.toString(), dryRun: true });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("PUT /api/users/:id/role", () => {
+  beforeEach(() => {
+    jest.spyOn(Role, "exists").mockResolvedValue(true);
+    jest.spyOn(User, "findByIdAndUpdate").mockImplementation((id, update) =>
+      mockQuery(makeUser(update.role, { _id: id }))
+    );
+  });
+
+  test("the last active admin can't be demoted", async () => {
+    mockUser = makeUser("admin");
+    jest.spyOn(User, "exists").mockResolvedValue(null);
+    const res = await request(app).put(`/api/users/${target("admin")._id}/role`).send({ role: "user" });
+    expect(res.status).toBe(400);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test("an admin can be demoted while another is left", async () => {
+    mockUser = makeUser("admin");
+    jest.spyOn(User, "exists").mockResolvedValue({ _id: mockUser._id });
+    const res = await request(app).put(`/api/users/${target("admin")._id}/role`).send({ role: "user" });
+    expect(res.status).toBe(200);
+  });
+});
+
+describe("account recovery on someone who outranks you", () => {
+  const twoFactor = require("../utils/twoFactor");
+  const loginThrottle = require("../utils/loginThrottle");
+
+  beforeEach(() => {
+    jest.spyOn(twoFactor, "disable").mockResolvedValue();
+    jest.spyOn(loginThrottle, "stateFor").mockResolvedValue(new Map([["x", { locked: true, failedAttempts: 5 }]]));
+    jest.spyOn(loginThrottle, "unlock").mockResolvedValue(true);
+  });
+
+  const withTwoFactor = (role) => {
+    const user = target(role);
+    user.twoFactor = { enabled: true };
+    return user;
+  };
+
+  test("a user manager can't reset an admin's 2FA", async () => {
+    mockUser = makeUser("user-manager");
+    const res = await request(app).delete(`/api/users/${withTwoFactor("admin")._id}/2fa`);
+    expect(res.status).toBe(403);
+    expect(twoFactor.disable).not.toHaveBeenCalled();
+  });
+
+  test("a user manager can reset a user's 2FA", async () => {
+    mockUser = makeUser("user-manager");
+    const res = await request(app).delete(`/api/users/${withTwoFactor("user")._id}/2fa`);
+    expect(res.status).toBe(200);
+    expect(twoFactor.disable).toHaveBeenCalled();
+  });
+
+  test("a user manager can't unlock an admin", async () => {
+    mockUser = makeUser("user-manager");
+    const res = await request(app).post(`/api/users/${target("admin")._id}/unlock`);
+    expect(res.status).toBe(403);
+    expect(loginThrottle.unlock).not.toHaveBeenCalled();
+  });
+
+  test("a user manager can unlock a user", async () => {
+    mockUser = makeUser("user-manager");
+    const res = await request(app).post(`/api/users/${target("user")._id}/unlock`);
+    expect(res.status).toBe(200);
+    expect(loginThrottle.unlock).toHaveBeenCalled();
+  });
+});
+
+describe("a user's sessions", () => {
+  const Session = require("../models/session.model");
+
+  beforeEach(() => {
+    jest.spyOn(Session, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Session, "revokeAllForUser").mockResolvedValue(2);
+  });
+
+  test.each([["get"], ["delete"]])("%s with a malformed id is a 400", async (method) => {
+    mockUser = makeUser("admin");
+    const res = await request(app)[method]("/api/users/not-an-id/sessions");
+    expect(res.status).toBe(400);
+  });
+
+  test("a user manager can't sign out an admin", async () => {
+    mockUser = makeUser("user-manager");
+    const res = await request(app).delete(`/api/users/${target("admin")._id}/sessions`);
+    expect(res.status).toBe(403);
+    expect(Session.revokeAllForUser).not.toHaveBeenCalled();
+  });
+
+  test("a user manager can sign out a user", async () => {
+    mockUser = makeUser("user-manager");
+    const res = await request(app).delete(`/api/users/${target("user")._id}/sessions`);
+    expect(res.status).toBe(200);
+    expect(res.body.revoked).toBe(2);
+  });
+});
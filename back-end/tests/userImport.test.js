@@ -0,0 +1,91 @@
+const User = require("../models/user.model");
+const Role = require("../models/role.model");
+const Group = require("../models/group.model");
+const Folder = require("../models/folder.model");
+const Invitation = require("../models/invitation.model");
+const userImport = require("../utils/userImport");
+const { makeUser, mockQuery, loadRoles, objectId } = require("./helpers/http");
+
+jest.mock("../utils/audit", () => ({ ...jest.requireActual("../utils/audit"), record: jest.fn() }));
+
+beforeAll(() => loadRoles({ "user-manager": ["user:*", "asset:read"] }));
+
+let actor, sharedFolder;
+beforeEach(() => {
+  jest.restoreAllMocks();
+  actor = makeUser("user-manager");
+  sharedFolder = new Folder({ name: "team", path: "team", createdBy: actor._id });
+  const otherFolder = new Folder({ name: "finance", path: "finance", createdBy: objectId() });
+
+  jest.spyOn(Role, "find").mockReturnValue(mockQuery(["admin", "sub-admin", "user", "user-manager"]));
+  jest.spyOn(Group, "find").mockReturnValue(mockQuery([new Group({ name: "sales" })]));
+  jest.spyOn(Folder, "find").mockReturnValue(mockQuery([sharedFolder, otherFolder]));
+  jest.spyOn(Invitation, "find").mockReturnValue(mockQuery([]));
+  jest
+    .spyOn(User, "find")
+    .mockImplementation((filter) => mockQuery(filter.email ? ["taken@example.com"] : ["taken"]));
+});
+
+const run = (csv, options) => userImport.importUsers({ user: actor }, csv, options);
+const errorsByEmail = ({ rows }) => Object.fromEntries(rows.map((row) => [row.email, row.errors]));
+
+describe("importUsers", () => {
+  test("checks every row on its own", async () => {
+    const result = await run(
+      [
+        "username,email,role,folders",
+        "ann,ann@example.com,user,team:write",
+        "bo,bo@example.com,user,",
+        "cat,not-an-email,user,",
+        "dan,taken@example.com,user,",
+        "taken,eve@example.com,user,",
+        "fay,fay@example.com,admin,",
+        "gus,gus@example.com,auditor,",
+        "hal,hal@example.com,user,finance:read",
+        "ann2,ann@example.com,user,",
+      ].join("\n"),
+      { mode: "password", dryRun: true }
+    );
+
+    expect(result.summary).toMatchObject({ total: 9, valid: 1, invalid: 8, imported: 0 });
+    expect(errorsByEmail(result)).toEqual({
+      "ann@example.com": ["Email appears more than once in the file"],
+      "bo@example.com": ["Username must be 3-30 characters: letters, digits, dots, dashes or underscores"],
+      "not-an-email": ["Invalid email"],
+      "taken@example.com": ["A user with this email already exists"],
+      "eve@example.com": ["Username is taken"],
+      "fay@example.com": ['Not authorized to assign role "admin"'],
+      "gus@example.com": ['Unknown role "auditor"'],
+      "hal@example.com": ['Not authorized to share folder "finance"'],
+    });
+  });
+
+  test("group membership needs group:update", async () => {
+    const result = await run("email,role,groups\nann@example.com,user,sales", { mode: "invite", dryRun: true });
+    expect(result.rows[0].errors).toEqual(["Not authorized to add users to groups"]);
+  });
+
+  test("a dry run writes nothing", async () => {
+    jest.spyOn(User, "create");
+    const result = await run("username,email,role\nann,ann@example.com,user", { mode: "password", dryRun: true });
+    expect(result.summary).toMatchObject({ valid: 1, imported: 0 });
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  test("imported accounts get a temporary password to change", async () => {
+    jest.spyOn(User, "create").mockImplementation(async (fields) => new User(fields));
+    const result = await run("username,email,role\nann,ann@example.com,user", { mode: "password" });
+
+    expect(result.summary).toMatchObject({ imported: 1, failed: 0 });
+    expect(result.rows[0].temporaryPassword).toEqual(expect.any(String));
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ role: "user", mustChangePassword: true }));
+  });
+
+  test.each([
+    ["", "The file is empty"],
+    ["email,role,nickname\n", "Unknown column(s): nickname"],
+    ["username,email\n", "Missing column: role"],
+  ])("a bad header is refused: %j", async (csv, error) => {
+    expect((await run(csv, { mode: "invite" })).error).toContain(error);
+  });
+});
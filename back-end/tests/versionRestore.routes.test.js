@@ -0,0 +1,97 @@
+const request = require("supertest");
+const File = require("../models/file.model");
+const Folder = require("../models/folder.model");
+const storage = require("../utils/storage");
+const approval = require("../utils/approval");
+const { appWith, makeUser } = require("./helpers/http");
+
+let mockUser;
+jest.mock("../middleware/auth", () => () => (req, res, next) => {
+  req.user = mockUser;
+  next();
+});
+jest.mock("../utils/audit", () => ({ ...jest.requireActual("../utils/audit"), record: jest.fn() }));
+
+const app = appWith("/api/folder", require("../routes/folder"));
+
+beforeEach(() => jest.restoreAllMocks());
+
+describe("POST /api/folder/files/:id/restore", () => {
+  let folder, original, current, saved;
+
+  beforeEach(() => {
+    mockUser = makeUser("user");
+    folder = new Folder({ name: "docs", path: "docs", createdBy: mockUser._id });
+    const fields = {
+      originalFilename: "report.pdf",
+      size: 10,
+      folder: folder._id,
+      owner: mockUser._id,
+      uploadedBy: mockUser._id,
+      approvalStatus: "approved",
+    };
+    original = new File({
+      ...fields,
+      filename: "report.pdf",
+      path: "docs/report.pdf",
+      fileHash: "v1",
+      version: 1,
+      isCurrentVersion: false,
+    });
+    current = new File({
+      ...fields,
+      filename: "report(1).pdf",
+      path: "docs/report(1).pdf",
+      fileHash: "v2",
+      version: 2,
+      originalFile: original._id,
+      previousVersions: [original._id],
+    });
+
+    jest.spyOn(File, "findById").mockResolvedValue(original);
+    jest.spyOn(File, "findOne").mockResolvedValue(current);
+    jest.spyOn(File, "updateMany").mockResolvedValue({});
+    jest.spyOn(Folder, "findById").mockResolvedValue(folder);
+    jest.spyOn(approval, "initialState").mockResolvedValue({ fields: { approvalStatus: "approved" } });
+    jest.spyOn(storage, "copy").mockResolvedValue();
+    jest.spyOn(storage, "delete").mockResolvedValue();
+    saved = [];
+    jest.spyOn(File.prototype, "save").mockImplementation(function () {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+  });
+
+  test("copies an old version forward as the new current version", async () => {
+    const res = await request(app).post(`/api/folder/files/${original._id}/restore`);
+    expect(res.status).toBe(200);
+
+    const [copy] = saved;
+    expect(copy._id).not.toEqual(original._id);
+    expect(copy).toMatchObject({
+      filename: "report(2).pdf",
+      path: "docs/report(2).pdf",
+      fileHash: "v1",
+      version: 3,
+      isCurrentVersion: true,
+    });
+    expect(copy.originalFile).toEqual(original._id);
+    expect(storage.copy).toHaveBeenCalledWith("docs/report.pdf", "docs/report(2).pdf");
+    expect(File.updateMany.mock.calls[0][1]).toEqual({ isCurrentVersion: false });
+  });
+
+  test("restoring content the current version already has is a 409", async () => {
+    current.fileHash = "v1";
+    const res = await request(app).post(`/api/folder/files/${original._id}/restore`);
+    expect(res.status).toBe(409);
+    expect(storage.copy).not.toHaveBeenCalled();
+  });
+
+  test("a unique index refusal is a 409 and removes the copied bytes", async () => {
+    File.prototype.save.mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000 }));
+    const res = await request(app).post(`/api/folder/files/${original._id}/restore`);
+    expect(res.status).toBe(409);
+    expect(storage.delete).toHaveBeenCalledWith("docs/report(2).pdf");
+    expect(File.updateMany).not.toHaveBeenCalled();
+  });
+});
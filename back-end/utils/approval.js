@@ -0,0 +1,572 @@
+const mongoose = require("mongoose");
+const createError = require("http-errors");
+const config = require("../config/config");
+const ApprovalWorkflow = require("../models/approvalWorkflow.model");
+const policy = require("./policy");
+const audit = require("./audit");
+const approvalRules = require("./approvalRules");
+
+const FOLDER_FIELDS = "name path parentFolder approval";
+
+// Fields of a File that decisions and assignments write
+const REVIEW_FIELDS = [
+  "approvalStatus",
+  "approval",
+  "approvedBy",
+  "approvedAt",
+  "rejectedBy",
+  "rejectedAt",
+  "disapprovalReason",
+  "approvalHistory",
+];
+
+/**
+ * Review for folders that don't set a workflow, matching how approval
+ * always worked: one stage any reviewer can decide, and reviewers' own
+ * uploads are approved straight away. Reviewers are the roles that hold
+ * file:approve.
+ */
+const defaultWorkflow = () => {
+  const reviewers = policy.rolesWithPermission("file:approve");
+  return {
+    _id: null,
+    name: "Default review",
+    stages: [{ name: "Review", quorum: "any", approvers: { roles: reviewers } }],
+    autoApprove: { roles: reviewers },
+    allowSelfApproval: false,
+  };
+};
+
+// The folder itself, then each parent up to the root
+async function* selfAndAncestors(folderOrId) {
+  const Folder = mongoose.model("Folder");
+  const load = (id) => Folder.findById(id).select(FOLDER_FIELDS).lean();
+
+  let current = folderOrId?.approval !== undefined ? folderOrId : await load(folderOrId?._id || folderOrId);
+  const seen = new Set();
+  while (current && !seen.has(current._id.toString())) {
+    seen.add(current._id.toString());
+    yield current;
+    current = current.parentFolder ? await load(current.parentFolder) : null;
+  }
+}
+
+/**
+ * The review that applies to uploads in a folder, from the nearest
+ * folder (itself first) that doesn't inherit.
+ * @param {Object|string} folderOrId
+ * @returns {Promise<{ mode: "workflow"|"none"|"default", workflow: Object|null, source: Object|null }>}
+ *   source is the folder the setting comes from
+ */
+async function effectiveWorkflow(folderOrId) {
+  for await (const folder of selfAndAncestors(folderOrId)) {
+    const mode = folder.approval?.mode;
+    if (mode === "none") return { mode, workflow: null, source: folder };
+    if (mode === "workflow" && folder.approval.workflow) {
+      const workflow = await ApprovalWorkflow.findById(folder.approval.workflow).lean();
+      if (workflow) return { mode, workflow, source: folder };
+    }
+  }
+  return { mode: "default", workflow: defaultWorkflow(), source: null };
+}
+
+/**
+ * Hours a file in the folder may wait for a decision, from the nearest
+ * folder that sets it, else the configured default.
+ * @returns {Promise<{ hours: number|null, source: Object|null }>}
+ */
+async function effectiveSla(folderOrId) {
+  for await (const folder of selfAndAncestors(folderOrId)) {
+    if (folder.approval?.slaHours) return { hours: folder.approval.slaHours, source: folder };
+  }
+  return { hours: config.reviews.defaultSlaHours, source: null };
+}
+
+/**
+ * Whether writers of the folder see files pending review, from the
+ * nearest folder that says, else the configured default.
+ * @returns {Promise<boolean>}
+ */
+async function pendingVisibleToWriters(folderOrId) {
+  for await (const folder of selfAndAncestors(folderOrId)) {
+    if (typeof folder.approval?.pendingVisibleToWriters === "boolean") {
+      return folder.approval.pendingVisibleToWriters;
+    }
+  }
+  return config.reviews.pendingVisibleToWriters;
+}
+
+/**
+ * Whether a user is named by an approvers spec, directly, through a
+ * group or through their role.
+ * @param {Object} user
+ * @param {{ users?: Array, groups?: Array, roles?: string[] }} approvers
+ * @returns {Promise<boolean>}
+ */
+async function isNamedIn(user, { users = [], groups = [], roles = [] } = {}) {
+  if (roles.includes(user.role)) return true;
+  if (users.some((id) => id.toString() === user._id.toString())) return true;
+  if (!groups.length) return false;
+  return !!(await mongoose.model("Group").exists({ _id: { $in: groups }, members: user._id }));
+}
+
+/**
+ * Active users named by an approvers spec.
+ * @param {Object} approvers
+ * @param {Object} [exclude] - User id left out (the uploader)
+ * @returns {Promise<ObjectId[]>}
+ */
+async function resolveApprovers({ users = [], groups = [], roles = [] } = {}, exclude) {
+  const members = groups.length
+    ? await mongoose.model("Group").find({ _id: { $in: groups } }).distinct("members")
+    : [];
+  const filter = {
+    $or: [{ _id: { $in: [...users, ...members] } }, { role: { $in: roles } }],
+    status: { $ne: "deactivated" },
+  };
+  if (exclude) filter._id = { $ne: exclude };
+  return mongoose.model("User").find(filter).distinct("_id");
+}
+
+// Claims are per stage, so moving on (or finishing) releases them
+function clearAssignment(approval) {
+  approval.assignee = undefined;
+  approval.assignedBy = undefined;
+  approval.assignedAt = undefined;
+}
+
+function startStage(approval, index) {
+  const stage = approval.stages[index];
+  stage.status = "active";
+  stage.startedAt = new Date();
+  approval.currentStage = index;
+  clearAssignment(approval);
+}
+
+// A fresh review of a file through every stage of a workflow. Approvers
+// of every stage are fixed now, so the chain can't change mid-review,
+// and so is the due date.
+async function buildReview(workflow, uploader, slaHours) {
+  const exclude = workflow.allowSelfApproval ? null : uploader;
+  const stages = [];
+  for (const stage of workflow.stages) {
+    const approvers = await resolveApprovers(stage.approvers, exclude);
+    if (!approvers.length) {
+      console.warn(`⚠️ Approval stage "${stage.name}" has no eligible approvers; only approval managers can decide it`);
+    }
+    stages.push({ name: stage.name, quorum: stage.quorum, approvers, status: "waiting", decisions: [] });
+  }
+
+  const approval = {
+    workflow: workflow._id,
+    workflowName: workflow.name,
+    currentStage: null,
+    stages,
+    startedAt: new Date(),
+    dueAt: slaHours ? new Date(Date.now() + slaHours * 60 * 60 * 1000) : undefined,
+  };
+  startStage(approval, 0);
+  return approval;
+}
+
+/**
+ * Works out how an upload will be reviewed, without changing anything:
+ * the first matching folder rule (see utils/approvalRules) decides it or
+ * picks its workflow; otherwise the folder's workflow applies.
+ * @param {Object} options
+ * @param {Object} options.folder - Target folder
+ * @param {Object} options.user - Uploader
+ * @param {Object} [options.upload] - { filename, mimetype, size, tags, previousVersion }
+ * @param {boolean} [options.requireReview] - Never auto-approve (share link uploads)
+ * @returns {Promise<{ status: string, workflow: Object|null, rule: Object|null, reason?: string, evaluations: Object[] }>}
+ */
+async function plan({ folder, user, upload = {}, requireReview = false }) {
+  const folders = [];
+  for await (const current of selfAndAncestors(folder)) folders.push(current);
+  const { rule, evaluations } = await approvalRules.evaluate(folders, user, upload, { requireReview });
+  const result = { rule, evaluations };
+
+  if (rule?.outcome.action === "reject") {
+    return { ...result, status: "disapproved", workflow: null, reason: rule.outcome.reason };
+  }
+  if (rule?.outcome.action === "approve") {
+    return { ...result, status: "approved", workflow: null };
+  }
+
+  let { mode, workflow } = await effectiveWorkflow(folder);
+  if (rule?.outcome.action === "workflow") {
+    const routed = await ApprovalWorkflow.findById(rule.outcome.workflow).lean();
+    if (routed) {
+      mode = "workflow";
+      workflow = routed;
+    } else {
+      console.warn(`⚠️ Approval rule "${rule.name}" routes to a workflow that no longer exists`);
+    }
+  }
+
+  if (mode === "none" && !requireReview) {
+    return { ...result, status: "approved", workflow: null };
+  }
+  // Uploads that must be reviewed in a no-review folder get the default review
+  workflow = workflow || defaultWorkflow();
+  const autoApproved = !requireReview && (await isNamedIn(user, workflow.autoApprove));
+  return { ...result, status: autoApproved ? "approved" : "pending", workflow };
+}
+
+/**
+ * Approval state for a new upload, ready to spread into the File.
+ * Takes the same options as plan().
+ * @returns {Promise<{ status: string, autoApproved: boolean, workflow: Object|null, rule: Object|null, fields: Object }>}
+ */
+async function initialState(options) {
+  const { folder, user } = options;
+  const { status, workflow, rule, reason } = await plan(options);
+  const now = new Date();
+  const summary = workflow && { _id: workflow._id, name: workflow.name };
+  const ruleRef = rule && { name: rule.name, folder: rule.folder._id, action: rule.outcome.action };
+  const base = { autoApproved: status !== "pending", workflow: summary, rule: ruleRef };
+  const finished = {
+    workflow: workflow?._id,
+    workflowName: workflow?.name,
+    stages: [],
+    completedAt: now,
+    rule: ruleRef,
+  };
+
+  if (status === "disapproved") {
+    return {
+      ...base,
+      status,
+      fields: {
+        approvalStatus: status,
+        rejectedAt: now,
+        disapprovalReason: reason,
+        approval: finished,
+        approvalHistory: [{ decision: "disapproved", reason, rule: rule.name, at: now }],
+      },
+    };
+  }
+  if (status === "approved") {
+    return {
+      ...base,
+      status,
+      fields: {
+        approvalStatus: status,
+        approvedAt: now,
+        // Approved by the workflow's auto-approve list, rather than by a
+        // rule or a no-review folder
+        ...(workflow && { approvedBy: user._id }),
+        ...((workflow || rule) && { approval: finished }),
+        ...(!workflow && rule && { approvalHistory: [{ decision: "approved", rule: rule.name, at: now }] }),
+      },
+    };
+  }
+
+  const review = await buildReview(workflow, user._id, (await effectiveSla(folder)).hours);
+  return {
+    ...base,
+    status,
+    fields: { approvalStatus: status, approval: { ...review, rule: ruleRef || undefined } },
+  };
+}
+
+/**
+ * What would happen to a hypothetical upload: the rules looked at, the
+ * one that fired and the resulting outcome. Nothing is saved.
+ * @param {Object} options
+ * @param {Object} options.folder
+ * @param {Object} options.user - Uploader to simulate
+ * @param {Object} options.upload - { filename, mimetype, size, tags }; the
+ *   previous version is looked up from the filename as a real upload would
+ * @param {boolean} [options.requireReview]
+ * @returns {Promise<Object>}
+ */
+async function simulate({ folder, user, upload, requireReview = false }) {
+  const previousVersion = upload.filename
+    ? await mongoose.model("File")
+      .findOne({ folder: folder._id, originalFilename: upload.filename, isDeleted: { $ne: true } })
+      .sort({ version: -1 })
+      .select("version approvalStatus")
+      .lean()
+    : null;
+  const { status, workflow, rule, reason, evaluations } = await plan({
+    folder,
+    user,
+    upload: { ...upload, previousVersion },
+    requireReview,
+  });
+  return {
+    outcome: { status, reason, workflow: workflow && { _id: workflow._id, name: workflow.name } },
+    rule: rule && { name: rule.name, folder: { _id: rule.folder._id, path: rule.folder.path }, action: rule.outcome.action },
+    previousVersion,
+    evaluations,
+  };
+}
+
+// Pending files from before workflows have no stages; start them on the
+// folder's current workflow when they're first decided
+async function ensureStarted(file) {
+  if (file.approvalStatus !== "pending" || file.approval?.stages?.length) return;
+  const { workflow } = await effectiveWorkflow(file.folder);
+  const { hours } = await effectiveSla(file.folder);
+  file.approval = await buildReview(workflow || defaultWorkflow(), file.uploadedBy?._id || file.uploadedBy, hours);
+}
+
+const currentStageOf = (file) =>
+  file.approvalStatus === "pending" && file.approval?.currentStage != null
+    ? file.approval.stages[file.approval.currentStage]
+    : null;
+
+// Being named an approver isn't a role grant, so an access token's
+// scopes have to be checked here rather than by hasPermission()
+function assertScope(user) {
+  if (!policy.scopeAllows(user, "file:approve")) {
+    throw createError(403, "This access token can't decide or assign reviews");
+  }
+}
+
+/**
+ * Whether a user may decide a file now: an approver of its current
+ * stage, or an approval manager (who may also reopen finished reviews).
+ * Access tokens need a scope covering file:approve.
+ * @returns {boolean}
+ */
+function canDecide(user, file) {
+  if (!policy.scopeAllows(user, "file:approve")) return false;
+  if (policy.hasPermission(user, "approval:manage")) return true;
+  const stage = currentStageOf(file);
+  return !!stage?.approvers.some((id) => id.equals(user._id));
+}
+
+/**
+ * Whether a user takes part in a file's review and so may read its
+ * history and comment: the uploader or owner, anyone named as an approver
+ * in any stage, reviewers and approval managers. They must still be able
+ * to read the file.
+ * @returns {Promise<boolean>}
+ */
+async function canParticipate(user, file) {
+  if (!(await policy.can(user, "file:read", { file }))) return false;
+  if ([file.uploadedBy, file.owner].some((u) => (u?._id || u)?.equals(user._id))) return true;
+  if (["file:review", "approval:manage"].some((action) => policy.hasPermission(user, action))) return true;
+  return !!file.approval?.stages?.some((stage) => stage.approvers.some((id) => id.equals(user._id)));
+}
+
+/**
+ * Records a decision on a file's current stage and moves the review on:
+ * to the next stage, to approved after the last one, or to disapproved
+ * on any rejection.
+ * @param {Object} user - Deciding user
+ * @param {Object} file - File document
+ * @param {{ decision: "approved"|"disapproved", reason?: string }} input
+ * @returns {Promise<{ file: Object, stage: string, stageCompleted: boolean, completed: boolean, override: boolean }>}
+ * @throws {HttpError} 400 bad input, 403 not an approver or token scope, 409 already decided or changed meanwhile
+ */
+async function decide(user, file, { decision, reason }) {
+  assertScope(user);
+  if (!["approved", "disapproved"].includes(decision)) {
+    throw createError(400, 'Invalid status. Must be "approved" or "disapproved"');
+  }
+  reason = reason?.trim();
+  if (decision === "disapproved" && !reason) {
+    throw createError(400, "Reason is required when disapproving a file");
+  }
+
+  const isManager = policy.hasPermission(user, "approval:manage");
+  const loadedAt = file.updatedAt;
+  await ensureStarted(file);
+
+  const approval = file.approval;
+  const now = new Date();
+  let stage = currentStageOf(file);
+  let reopened = false;
+
+  if (!stage) {
+    // Finished (or auto-approved) review; only managers can change the outcome
+    if (!isManager) throw createError(409, `File is already ${file.approvalStatus}`);
+    if (!approval.stages.length) {
+      approval.stages.push({ name: "Review", quorum: "any", approvers: [], status: "active", decisions: [], startedAt: now });
+    }
+    stage = approval.stages[approval.stages.length - 1];
+    reopened = true;
+  }
+
+  const isApprover = stage.approvers.some((id) => id.equals(user._id));
+  if (!isApprover && !isManager) {
+    throw createError(403, "You are not an approver for this stage");
+  }
+  if (!reopened && stage.decisions.some((d) => d.user.equals(user._id))) {
+    throw createError(409, "You have already decided at this stage");
+  }
+
+  const override = reopened || !isApprover;
+  stage.decisions.push({ user: user._id, decision, reason, override, at: now });
+  file.approvalHistory.push({
+    user: user._id,
+    decision,
+    reason,
+    workflowName: approval.workflowName,
+    stage: stage.name,
+    override,
+    at: now,
+  });
+
+  let stageCompleted = true;
+  if (decision === "disapproved") {
+    stage.status = "rejected";
+    Object.assign(file, {
+      approvalStatus: "disapproved",
+      rejectedBy: user._id,
+      rejectedAt: now,
+      disapprovalReason: reason,
+      approvedBy: undefined,
+      approvedAt: undefined,
+    });
+  } else {
+    const approvedBy = new Set(
+      stage.decisions.filter((d) => d.decision === "approved").map((d) => d.user.toString())
+    );
+    stageCompleted =
+      override || stage.quorum === "any" || stage.approvers.every((id) => approvedBy.has(id.toString()));
+
+    if (stageCompleted) {
+      stage.status = "approved";
+      const next = approval.stages.indexOf(stage) + 1;
+      if (!reopened && next < approval.stages.length) {
+        startStage(approval, next);
+      } else {
+        Object.assign(file, {
+          approvalStatus: "approved",
+          approvedBy: user._id,
+          approvedAt: now,
+          rejectedBy: undefined,
+          rejectedAt: undefined,
+          disapprovalReason: undefined,
+        });
+      }
+    }
+  }
+
+  if (stageCompleted) stage.completedAt = now;
+  const completed = file.approvalStatus !== "pending";
+  if (completed) {
+    approval.currentStage = null;
+    approval.completedAt = now;
+    clearAssignment(approval);
+  }
+
+  await saveReview(file, loadedAt, now);
+  return { file, stage: stage.name, stageCompleted, completed, override };
+}
+
+// Writes the review fields only if nobody else changed the file since it
+// was loaded (at loadedAt), so two reviewers can't both take the last step
+async function saveReview(file, loadedAt, now) {
+  const values = file.toObject({ depopulate: true, virtuals: false });
+  const $set = { updatedAt: now };
+  const $unset = {};
+  for (const field of REVIEW_FIELDS) {
+    const value = values[field];
+    if (value === undefined || value === null) $unset[field] = "";
+    else $set[field] = value;
+  }
+  const result = await file.constructor.updateOne(
+    { _id: file._id, updatedAt: loadedAt },
+    { $set, ...(Object.keys($unset).length && { $unset }) },
+    { timestamps: false }
+  );
+  if (!result.matchedCount) {
+    throw createError(409, "The file was updated by someone else. Reload and try again.");
+  }
+  file.updatedAt = now;
+}
+
+/**
+ * decide(), then records it in the audit log the same way for single
+ * and bulk decisions.
+ * @param {Object} req - req.user decides
+ * @returns {Promise<Object>} decide()'s result
+ */
+async function decideAndAudit(req, file, { decision, reason }) {
+  const previousStatus = file.approvalStatus;
+  const result = await decide(req.user, file, { decision, reason });
+
+  const action = !result.completed
+    ? "file.stage_approve"
+    : decision === "approved" ? "file.approve" : "file.reject";
+  await audit.record(req, action, {
+    target: audit.targetOf("file", file),
+    before: { approvalStatus: previousStatus },
+    after: { approvalStatus: file.approvalStatus, ...(reason?.trim() && { reason: reason.trim() }) },
+    metadata: {
+      workflow: file.approval.workflowName,
+      stage: result.stage,
+      ...(result.override && { override: true }),
+    },
+  });
+  return result;
+}
+
+/**
+ * Sets who works on a file's current stage. Approvers of the stage may
+ * claim it for themselves and release their own claim; approval managers
+ * may hand it to any approver of the stage, or take it away.
+ * @param {Object} actor
+ * @param {Object} file - File document
+ * @param {Object|null} assignee - Active user, or null to release
+ * @returns {Promise<Object>} The file
+ * @throws {HttpError} 400 assignee can't decide, 403 not allowed or token scope, 409 decided or claimed
+ */
+async function assign(actor, file, assignee) {
+  assertScope(actor);
+  const isManager = policy.hasPermission(actor, "approval:manage");
+  const loadedAt = file.updatedAt;
+  await ensureStarted(file);
+
+  if (!currentStageOf(file)) throw createError(409, `File is already ${file.approvalStatus}`);
+  const approval = file.approval;
+  const current = approval.assignee;
+
+  if (assignee) {
+    if (!assignee._id.equals(actor._id) && !isManager) {
+      throw createError(403, "Only approval managers can assign files to others");
+    }
+    if (!canDecide(assignee, file)) {
+      throw createError(400, `${assignee.username} is not an approver for this stage`);
+    }
+    if (current && !current.equals(assignee._id) && !isManager) {
+      throw createError(409, "Someone else has already claimed this file");
+    }
+  } else {
+    if (!current) return file;
+    if (!current.equals(actor._id) && !isManager) {
+      throw createError(403, "Only the assignee or an approval manager can release this file");
+    }
+  }
+
+  const now = new Date();
+  if (assignee) {
+    approval.assignee = assignee._id;
+    approval.assignedBy = actor._id;
+    approval.assignedAt = now;
+  } else {
+    clearAssignment(approval);
+  }
+  await saveReview(file, loadedAt, now);
+  return file;
+}
+
+module.exports = {
+  defaultWorkflow,
+  effectiveWorkflow,
+  effectiveSla,
+  pendingVisibleToWriters,
+  initialState,
+  simulate,
+  resolveApprovers,
+  canDecide,
+  canParticipate,
+  decide,
+  decideAndAudit,
+  assign,
+};
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const Group = require("../models/group.model");
+const ApprovalWorkflow = require("../models/approvalWorkflow.model");
+
+const MAX_RULES = 50;
+
+// "*.pdf" -> /^.*\.pdf$/i
+const globToRegex = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .split("")
+      .map((c) => (c === "*" ? ".*" : c === "?" ? "." : c.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+      .join("")}$`,
+    "i"
+  );
+
+const mimeMatches = (pattern, mimetype = "") =>
+  pattern.endsWith("/*") ? mimetype.startsWith(pattern.slice(0, -1)) : pattern === mimetype;
+
+const has = (list) => Array.isArray(list) && list.length > 0;
+
+/**
+ * Checks one rule's conditions against an upload.
+ * @param {Object} conditions - rule.conditions
+ * @param {Object} upload - { filename, mimetype, size, tags, previousVersion }
+ * @param {Function} groupsOf - Resolves to the uploader's group ids (as strings)
+ * @returns {Promise<string[]>} Conditions that failed; empty when the rule matches
+ */
+async function failedConditions(conditions = {}, upload, groupsOf) {
+  const failed = [];
+  if (has(conditions.groups)) {
+    const groups = await groupsOf();
+    if (!conditions.groups.some((id) => groups.has(id.toString()))) failed.push("groups");
+  }
+  if (has(conditions.mimeTypes) && !conditions.mimeTypes.some((p) => mimeMatches(p, upload.mimetype))) {
+    failed.push("mimeTypes");
+  }
+  if (conditions.minSize != null && !(upload.size >= conditions.minSize)) failed.push("minSize");
+  if (conditions.maxSize != null && !(upload.size <= conditions.maxSize)) failed.push("maxSize");
+  if (conditions.filenamePattern && !globToRegex(conditions.filenamePattern).test(upload.filename || "")) {
+    failed.push("filenamePattern");
+  }
+  if (has(conditions.tags)) {
+    const tags = new Set((upload.tags || []).map((t) => t.toLowerCase()));
+    if (!conditions.tags.some((t) => tags.has(t.toLowerCase()))) failed.push("tags");
+  }
+  if (conditions.newVersionOfApproved != null) {
+    const isNewVersionOfApproved = upload.previousVersion?.approvalStatus === "approved";
+    if (isNewVersionOfApproved !== conditions.newVersionOfApproved) failed.push("newVersionOfApproved");
+  }
+  return failed;
+}
+
+/**
+ * Finds the rule that decides an upload: the first enabled, matching
+ * rule of the target folder, then of each parent (where the rule applies
+ * to subfolders).
+ * @param {Object[]} folders - Target folder then its ancestors, with approval.rules
+ * @param {Object} user - Uploader
+ * @param {Object} upload - { filename, mimetype, size, tags, previousVersion }
+ * @param {{ requireReview?: boolean }} [options] - Approve rules are
+ *   skipped for uploads that must be reviewed
+ * @returns {Promise<{ rule: Object|null, evaluations: Object[] }>} rule has
+ *   its folder attached; evaluations lists every rule looked at, in order
+ */
+async function evaluate(folders, user, upload, { requireReview = false } = {}) {
+  let groups;
+  const groupsOf = async () => {
+    groups = groups || new Set((await Group.find({ members: user._id }).distinct("_id")).map(String));
+    return groups;
+  };
+
+  const evaluations = [];
+  for (const [depth, folder] of folders.entries()) {
+    for (const doc of folder.approval?.rules || []) {
+      const rule = typeof doc.toObject === "function" ? doc.toObject() : doc;
+      const entry = { rule: rule.name, folder: { _id: folder._id, path: folder.path }, action: rule.outcome.action };
+      evaluations.push(entry);
+
+      if (rule.enabled === false) entry.skipped = "disabled";
+      else if (depth > 0 && rule.appliesToSubfolders === false) entry.skipped = "not applied to subfolders";
+      else if (requireReview && rule.outcome.action === "approve") entry.skipped = "upload must be reviewed";
+      if (entry.skipped) continue;
+
+      entry.failed = await failedConditions(rule.conditions, upload, groupsOf);
+      entry.matched = entry.failed.length === 0;
+      if (entry.matched) return { rule: { ...rule, folder }, evaluations };
+    }
+  }
+  return { rule: null, evaluations };
+}
+
+/**
+ * Checks a folder's rules before they're saved: known groups and
+ * workflows, a reason for every rejection.
+ * @param {Object[]} rules
+ * @returns {Promise<string|null>} Problem, or null
+ */
+async function checkRules(rules) {
+  if (!Array.isArray(rules)) return "Rules must be a list";
+  if (rules.length > MAX_RULES) return `A folder can have at most ${MAX_RULES} rules`;
+
+  for (const [i, rule] of rules.entries()) {
+    const label = `Rule ${i + 1}${rule?.name ? ` ("${rule.name}")` : ""}`;
+    const { conditions = {}, outcome = {} } = rule || {};
+    const groups = conditions.groups || [];
+
+    if (groups.some((id) => !mongoose.Types.ObjectId.isValid(id))
+      || (await Group.countDocuments({ _id: { $in: groups } })) !== new Set(groups.map(String)).size) {
+      return `${label}: unknown group`;
+    }
+    if ((conditions.mimeTypes || []).some((type) => !/^[\w.+-]+\/([\w.+-]+|\*)$/.test(type))) {
+      return `${label}: MIME types look like "application/pdf" or "image/*"`;
+    }
+    if (conditions.filenamePattern && (conditions.filenamePattern.match(/\*/g) || []).length > 5) {
+      return `${label}: a filename pattern can have at most 5 wildcards`;
+    }
+    if (conditions.minSize != null && conditions.maxSize != null && conditions.minSize > conditions.maxSize) {
+      return `${label}: minSize is larger than maxSize`;
+    }
+    if (outcome.action === "reject" && !outcome.reason?.trim()) {
+      return `${label}: a rejecting rule needs a reason`;
+    }
+    if (outcome.action === "workflow") {
+      const exists = mongoose.Types.ObjectId.isValid(outcome.workflow)
+        && (await ApprovalWorkflow.exists({ _id: outcome.workflow }));
+      if (!exists) return `${label}: workflow not found`;
+    }
+  }
+  return null;
+}
+
+module.exports = { evaluate, checkRules };
@@ -0,0 +1,86 @@
+const AuditEvent = require("../models/auditEvent.model");
+
+// Never copy credentials into the trail
+const SENSITIVE_KEY = /password|secret|token|hash/i;
+
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object" || value instanceof Date) return value;
+  if (value._bsontype === "ObjectId") return value;
+
+  const source = typeof value.toObject === "function" ? value.toObject() : value;
+  return Object.fromEntries(
+    Object.entries(source)
+      .filter(([key]) => !SENSITIVE_KEY.test(key))
+      .map(([key, v]) => [key, redact(v)])
+  );
+};
+
+/**
+ * Copies the listed fields off a document, for before/after snapshots.
+ * @param {Object} doc
+ * @param {string[]} fields
+ */
+const pick = (doc, fields) =>
+  doc ? Object.fromEntries(fields.map((field) => [field, doc.get ? doc.get(field) : doc[field]])) : null;
+
+/**
+ * Describes a document as an audit target.
+ * @param {string} type - "file", "folder", "user", ...
+ * @param {Object} doc
+ * @param {string} [label] - Defaults to a name-like field of the document
+ */
+const targetOf = (type, doc, label) =>
+  doc && {
+    type,
+    id: doc._id,
+    label:
+      label ??
+      doc.originalFilename ??
+      doc.path ??
+      doc.email ??
+      doc.name ??
+      doc.productName ??
+      undefined,
+  };
+
+/**
+ * Appends an event to the audit log. Never throws: a failure to audit is
+ * logged but must not break the request being audited.
+ * @param {Object} req - Express request (actor, IP and user agent come from here)
+ * @param {string} action - Dotted action name, e.g. "file.download"
+ * @param {Object} [details]
+ * @param {Object} [details.target] - { type, id, label }, see targetOf()
+ * @param {Object} [details.before] - State before the change
+ * @param {Object} [details.after] - State after the change
+ * @param {Object} [details.metadata] - Anything else worth keeping
+ * @param {"success"|"failure"} [details.outcome="success"]
+ * @param {Object} [details.actor] - User document, when req.user isn't set yet
+ * @param {string} [details.actorLabel] - e.g. the email of a failed login
+ */
+async function record(req, action, details = {}) {
+  const { target, before, after, metadata, outcome = "success" } = details;
+  const actor = details.actor || req?.user;
+
+  try {
+    await AuditEvent.create({
+      action,
+      outcome,
+      actor: {
+        user: actor?._id || null,
+        label: actor?.email || details.actorLabel,
+        role: actor?.role,
+      },
+      ip: req?.ip,
+      userAgent: req?.get?.("user-agent"),
+      target,
+      before: redact(before),
+      after: redact(after),
+      metadata: redact(metadata),
+    });
+  } catch (error) {
+    console.error(`Failed to write audit event "${action}":`, error);
+  }
+}
+
+module.exports = { record, pick, targetOf };
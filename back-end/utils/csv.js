@@ -0,0 +1,93 @@
+/**
+ * Formats one CSV cell. Values that a spreadsheet would run as a formula
+ * are prefixed with a quote so exports are safe to open in Excel.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === "object" && value._bsontype !== "ObjectId") text = JSON.stringify(value);
+  else text = String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+/**
+ * @param {Array} values
+ * @returns {string} One CSV line including the trailing newline
+ */
+const toRow = (values) => values.map(formatCell).join(",") + "\r\n";
+
+/**
+ * @param {Array<{ header: string }>} columns
+ * @returns {string} Header line
+ */
+const headerRow = (columns) => toRow(columns.map((c) => c.header));
+
+/**
+ * @param {Object} record
+ * @param {Array<{ value: Function }>} columns - value(record) => cell
+ * @returns {string} Data line
+ */
+const recordRow = (record, columns) => toRow(columns.map((c) => c.value(record)));
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may hold commas, quotes and
+ * newlines). A leading BOM is dropped and blank lines are skipped. The
+ * quote formatCell() puts in front of formula-like values is removed.
+ * @param {string} text
+ * @returns {Array<{ line: number, cells: string[] }>} Rows with the line each starts on
+ */
+function parse(text) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    cells.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (cells.some((c) => c !== "")) rows.push({ line: rowLine, cells });
+    cells = [];
+  };
+
+  const input = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === "\n") line++;
+        cell += c;
+      }
+    } else if (c === '"' && cell === "") {
+      quoted = true;
+    } else if (c === ",") {
+      endCell();
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+      rowLine = ++line;
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== "" || cells.length) endRow();
+  return rows;
+}
+
+module.exports = { formatCell, toRow, headerRow, recordRow, parse };
@@ -0,0 +1,175 @@
+const storage = require("./storage");
+
+/**
+ * Streams a stored file to the response with preview/attachment headers,
+ * caching headers and byte-range support. Callers do the lookup and the
+ * access check; this only serves the bytes.
+ * @param {Object} req - Express request (reads `preview` and `Range`)
+ * @param {Object} res - Express response
+ * @param {Object} file - File document
+ */
+async function streamFile(req, res, file) {
+  let fileStream = null;
+  let isRequestCompleted = false;
+
+  // Helper function to cleanup and end response
+  const cleanup = () => {
+    if (fileStream && !fileStream.destroyed) {
+      fileStream.destroy();
+    }
+    isRequestCompleted = true;
+  };
+
+  try {
+    const stats = await storage.stat(file.path);
+
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: "File not found in storage",
+      });
+    }
+
+    // Set basic headers
+    res.setHeader("Content-Type", file.mimetype || "application/octet-stream");
+    res.setHeader("Content-Length", stats.size);
+    res.setHeader("Accept-Ranges", "bytes");
+
+    // Handle preview vs download
+    if (req.query.preview) {
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename="${encodeURIComponent(file.originalFilename)}"`
+      );
+
+      // Special handling for PDFs
+      if (file.mimetype === "application/pdf") {
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Cache-Control", "public, max-age=3600");
+        res.setHeader("X-Content-Type-Options", "nosniff");
+      }
+    } else {
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${encodeURIComponent(file.originalFilename)}"`
+      );
+    }
+
+    // Set caching headers
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    res.setHeader("ETag", file.fileHash || file._id.toString());
+
+    // Handle range requests (for video and large files)
+    const range = req.headers.range;
+    if (
+      range &&
+      (file.mimetype?.startsWith("video/") || stats.size > 10 * 1024 * 1024)
+    ) {
+      const parts = range.replace(/bytes=/, "").split("-");
+      const start = parseInt(parts[0], 10);
+      const end = parts[1] ? parseInt(parts[1], 10) : stats.size - 1;
+      const chunkSize = end - start + 1;
+
+      res.status(206);
+      res.setHeader("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+      res.setHeader("Content-Length", chunkSize);
+
+      fileStream = await storage.getStream(file.path, { start, end });
+
+      fileStream.on("error", (err) => {
+        console.error("Error while streaming file range:", err);
+        cleanup();
+        if (!res.headersSent) {
+          res
+            .status(500)
+            .json({ success: false, error: "Failed to stream file range" });
+        }
+      });
+
+      fileStream.pipe(res);
+      return;
+    }
+
+    fileStream = await storage.getStream(file.path);
+
+    fileStream.on("error", (err) => {
+      console.error("Error while streaming file:", err);
+      cleanup();
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: "Failed to stream file",
+        });
+      } else {
+        res.end();
+      }
+    });
+
+    fileStream.on("end", () => {
+      isRequestCompleted = true;
+    });
+
+    // Handle client disconnect
+    req.on("close", () => {
+      cleanup();
+    });
+
+    req.on("aborted", () => {
+      cleanup();
+    });
+
+    // Handle response events
+    res.on("error", (err) => {
+      console.error("Response error while streaming file:", err);
+      cleanup();
+    });
+
+    res.on("finish", () => {
+      isRequestCompleted = true;
+    });
+
+    res.on("close", () => {
+      if (!isRequestCompleted) {
+        cleanup();
+      }
+    });
+
+    // Set timeout for preview requests
+    if (req.query.preview) {
+      const timeout = setTimeout(() => {
+        if (!isRequestCompleted) {
+          cleanup();
+          if (!res.headersSent) {
+            res.status(408).json({
+              success: false,
+              error: "Request timeout",
+            });
+          }
+        }
+      }, 45000); // 45 second timeout
+
+      res.on("finish", () => {
+        clearTimeout(timeout);
+      });
+
+      res.on("close", () => {
+        clearTimeout(timeout);
+      });
+    }
+
+    // Start piping the file
+    fileStream.pipe(res);
+  } catch (error) {
+    console.error("Unexpected error during file download:", error);
+    cleanup();
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: "Failed to serve file",
+      });
+    }
+  }
+}
+
+module.exports = { streamFile };
@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const File = require("../models/file.model");
+const storage = require("./storage");
+const approval = require("./approval");
+
+/**
+ * Hashes a local (temp) file by streaming it.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<string>} sha256 hex digest
+ */
+async function hashLocalFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  const stream = fs.createReadStream(filePath);
+  await new Promise((resolve, reject) => {
+    stream.on("data", (chunk) => hash.update(chunk));
+    stream.on("end", resolve);
+    stream.on("error", reject);
+  });
+  return hash.digest("hex");
+}
+
+/**
+ * Whether a client-supplied filename is a plain name: no directory part
+ * that could move the stored file out of its folder.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isSafeFilename(name) {
+  if (typeof name !== "string" || !name.trim() || name.includes("\0")) return false;
+  if (/[\\/]/.test(name) || name === "." || name === "..") return false;
+  return path.basename(name) === name;
+}
+
+/**
+ * Tags sent with an upload, as an array or a comma-separated string.
+ * Trimmed, lowercased and de-duplicated; at most 20 of 50 characters each.
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  const tags = list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)].slice(0, 20).map((tag) => tag.slice(0, 50));
+}
+
+/**
+ * Moves an uploaded temp file into a folder, applying versioning,
+ * duplicate detection and the folder's approval rules and workflow. Shared by the multipart
+ * upload route and chunked upload sessions.
+ * @param {Object} options
+ * @param {Object} options.folder - Target folder document
+ * @param {Object} options.user - Uploading user document
+ * @param {string} options.tempPath - Local temp file holding the bytes
+ * @param {string} options.originalName - Client-supplied filename
+ * @param {number} options.size - Size in bytes
+ * @param {string} options.mimetype - MIME type
+ * @param {string} [options.versionFormat="number"] - "number" or "date"
+ * @param {string[]} [options.tags] - Tags for the new file (see parseTags)
+ * @param {boolean} [options.requireReview=false] - Always queue for approval
+ * @returns {Promise<{ status: "saved"|"duplicate"|"conflict", file?: Object, approval?: Object }>}
+ *   approval is the outcome from utils/approval initialState() for saved files
+ */
+async function saveUploadedFile({
+  folder,
+  user,
+  tempPath,
+  originalName,
+  size,
+  mimetype,
+  versionFormat = "number",
+  tags = [],
+  requireReview = false,
+}) {
+  // Multipart clients can send any name; never let one reach the path
+  originalName = path.basename(String(originalName).replace(/\\/g, "/"));
+
+  // ✅ FIXED: Better versioning logic
+  // First, find all files with the same originalFilename in this folder
+  const existingVersions = await File.find({
+    folder: folder._id,
+    originalFilename: originalName,
+    isDeleted: { $ne: true },
+  }).sort({ version: -1 });
+
+  // Calculate the next version number
+  const nextVersion = existingVersions.length > 0
+    ? existingVersions[0].version + 1
+    : 1;
+
+  // ✅ Generate versioned filename
+  let versionedName = File.generateVersionedName(
+    originalName,
+    nextVersion,
+    versionFormat
+  );
+
+  // ✅ Check if a file with this exact filename already exists in the folder
+  const existingFileWithName = await File.findOne({
+    folder: folder._id,
+    filename: versionedName,
+    isDeleted: { $ne: true }
+  });
+
+  if (existingFileWithName) {
+    // If filename collision occurs, find the next available number
+    let counter = nextVersion;
+    let availableName = versionedName;
+
+    while (await File.findOne({
+      folder: folder._id,
+      filename: availableName,
+      isDeleted: { $ne: true }
+    })) {
+      counter++;
+      availableName = File.generateVersionedName(originalName, counter, "number");
+    }
+
+    versionedName = availableName;
+  }
+
+  const finalPath = path.posix.join(folder.path, versionedName);
+
+  // ✅ Check if stored file already exists
+  if (await storage.fileExists(finalPath)) {
+    console.warn(`Physical file already exists: ${finalPath}`);
+    return { status: "conflict" };
+  }
+
+  // ✅ Compute file hash for duplicate detection
+  const fileHash = await hashLocalFile(tempPath);
+
+  // ✅ Check for duplicate content by hash
+  const duplicateFile = await File.findOne({
+    folder: folder._id,
+    fileHash: fileHash,
+    isDeleted: { $ne: true }
+  });
+
+  if (duplicateFile) {
+    console.log(`Duplicate file detected (same content): ${originalName}`);
+    return { status: "duplicate", file: duplicateFile };
+  }
+
+  // ✅ Move uploaded file into storage
+  await storage.putFile(finalPath, tempPath);
+
+  const review = await approval.initialState({
+    folder,
+    user,
+    requireReview,
+    upload: { filename: originalName, mimetype, size, tags, previousVersion: existingVersions[0] },
+  });
+
+  // ✅ Create new file record
+  const newFile = new File({
+    filename: versionedName,
+    originalFilename: originalName,
+    path: finalPath,
+    size,
+    mimetype,
+    extension: path.extname(originalName).toLowerCase(),
+    folder: folder._id,
+    owner: user._id,
+    uploadedBy: user._id,
+    fileHash,
+    tags,
+    ...review.fields,
+    version: nextVersion,
+    isCurrentVersion: true,
+    ...(existingVersions.length > 0 && {
+      originalFile: existingVersions[0].originalFile || existingVersions[0]._id,
+    }),
+  });
+
+  await newFile.save();
+
+  // ✅ Update previous versions to not be current
+  if (existingVersions.length > 0) {
+    await File.updateMany(
+      {
+        originalFilename: originalName,
+        folder: folder._id,
+        _id: { $ne: newFile._id }, // Don't update the new file we just created
+        isDeleted: { $ne: true }
+      },
+      { isCurrentVersion: false }
+    );
+
+    // Update the new file's previousVersions array
+    newFile.previousVersions = existingVersions.map((v) => v._id);
+    await newFile.save();
+  }
+
+  console.log(`File saved with versioning: ${versionedName} (version ${nextVersion})`);
+  const { fields, ...outcome } = review;
+  return { status: "saved", file: newFile, approval: outcome };
+}
+
+module.exports = { saveUploadedFile, hashLocalFile, parseTags, isSafeFilename };
@@ -0,0 +1,73 @@
+const policy = require("./policy");
+const approval = require("./approval");
+const { hasFolderPermission } = require("./folderAccess");
+
+// Who sees a file besides folder access, by approval state:
+// - approved: anyone who can read the file
+// - pending: reviewers, the uploader and owner, approvers of its stages,
+//   and writers of the folder if the folder allows it
+// - disapproved: quarantined to reviewers, the uploader and approvers of
+//   its stages
+// Reviewers are users with file:review or approval:manage.
+
+const isReviewer = (user) =>
+  ["file:review", "approval:manage"].some((action) => policy.hasPermission(user, action));
+
+const idOf = (value) => value?._id || value;
+
+/**
+ * Whether the approval state of a file lets a user see it. Callers still
+ * check file:read; this only narrows it.
+ * @param {Object} user
+ * @param {Object} file - With folder (id or document)
+ * @returns {Promise<boolean>}
+ */
+async function canSee(user, file) {
+  if (file.approvalStatus === "approved") return true;
+  if (isReviewer(user)) return true;
+  if (idOf(file.uploadedBy)?.equals(user._id)) return true;
+  if (file.approval?.stages?.some((stage) => stage.approvers.some((id) => idOf(id).equals(user._id)))) {
+    return true;
+  }
+  if (file.approvalStatus !== "pending") return false;
+
+  if (idOf(file.owner)?.equals(user._id)) return true;
+  return (
+    (await approval.pendingVisibleToWriters(file.folder)) &&
+    (await hasFolderPermission(file.folder, user, "write"))
+  );
+}
+
+/**
+ * file:read and canSee() together, for routes that serve one file.
+ * @returns {Promise<boolean>}
+ */
+async function canRead(user, file) {
+  return (await policy.can(user, "file:read", { file })) && (await canSee(user, file));
+}
+
+/**
+ * Query condition limiting a folder's files to those the user may see.
+ * @param {Object} user
+ * @param {Object} folder
+ * @returns {Promise<Object>} Filter to merge into the files query; empty for reviewers
+ */
+async function listingFilter(user, folder) {
+  if (isReviewer(user)) return {};
+
+  const visible = [
+    { approvalStatus: "approved" },
+    { uploadedBy: user._id },
+    { "approval.stages.approvers": user._id },
+    { approvalStatus: "pending", owner: user._id },
+  ];
+  if (
+    (await approval.pendingVisibleToWriters(folder)) &&
+    (await hasFolderPermission(folder, user, "write"))
+  ) {
+    visible.push({ approvalStatus: "pending" });
+  }
+  return { $or: visible };
+}
+
+module.exports = { canSee, canRead, listingFilter };
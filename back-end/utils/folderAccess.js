@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+
+const PERMISSION_RANK = { read: 1, write: 2, admin: 3 };
+
+const FOLDER_FIELDS =
+  "name path parentFolder createdBy access inheritPermissions isSystemFolder";
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const atLeast = (permission, required) =>
+  !!permission && PERMISSION_RANK[permission] >= PERMISSION_RANK[required];
+
+/**
+ * Loads a folder and its ancestors (nearest first). Stops early at a
+ * folder that breaks inheritance, since nothing above it applies.
+ * @param {Object|string} folderOrId - Folder document or id
+ * @param {Map} [cache] - Shared id -> folder cache for batch evaluation
+ * @returns {Promise<Object[]>} Folder chain, empty if not found
+ */
+async function loadChain(folderOrId, cache = new Map()) {
+  const Folder = mongoose.model("Folder");
+  const chain = [];
+  const seen = new Set();
+
+  let current =
+    folderOrId && folderOrId.access !== undefined && folderOrId.parentFolder !== undefined
+      ? folderOrId
+      : null;
+  let nextId = current ? null : idOf(folderOrId);
+
+  while (current || nextId) {
+    if (!current) {
+      if (!cache.has(nextId)) {
+        cache.set(nextId, await Folder.findById(nextId).select(FOLDER_FIELDS).lean());
+      }
+      current = cache.get(nextId);
+      if (!current) break;
+    }
+
+    const currentId = idOf(current);
+    if (seen.has(currentId)) break; // guard against parent cycles
+    seen.add(currentId);
+    chain.push(current);
+
+    if (current.inheritPermissions === false) break;
+    nextId = idOf(current.parentFolder);
+    current = null;
+  }
+
+  return chain;
+}
+
+/**
+ * Ids of the groups a user belongs to, memoised in the folder cache so a
+ * batch evaluation looks them up once.
+ */
+async function loadGroupIds(user, cache) {
+  const key = `groups:${idOf(user)}`;
+  if (!cache.has(key)) {
+    const ids = await mongoose.model("Group").idsForUser(idOf(user));
+    cache.set(key, new Set(ids.map(String)));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Computes a user's effective permission on a folder from the folder
+ * itself and every ancestor up to the first one that breaks inheritance.
+ * Access entries match the user directly or through group membership.
+ * The highest permission wins; on a tie the nearest folder is reported.
+ * Role-wide grants are layered on top by utils/policy.
+ * @param {Object|string} folderOrId - Folder document or id
+ * @param {Object} user - User document
+ * @param {Map} [cache] - Shared folder cache
+ * @returns {Promise<{ permission: string|null, source: Object|null, chain: Object[] }>}
+ */
+async function explainFolderPermission(folderOrId, user, cache = new Map()) {
+  const chain = await loadChain(folderOrId, cache);
+  const userId = idOf(user);
+
+  if (chain.length === 0) {
+    return { permission: null, source: null, chain: [] };
+  }
+
+  const groupIds = await loadGroupIds(user, cache);
+
+  const describe = (folder) => ({
+    _id: folder._id,
+    name: folder.name,
+    path: folder.path,
+  });
+
+  let best = null;
+  const consider = (candidate) => {
+    if (!best || PERMISSION_RANK[candidate.permission] > PERMISSION_RANK[best.permission]) {
+      best = candidate;
+    }
+  };
+
+  const explainedChain = chain.map((folder, depth) => {
+    const matches = [];
+
+    if (idOf(folder.createdBy) === userId) {
+      matches.push({ permission: "admin", type: "owner" });
+    }
+
+    for (const entry of folder.access || []) {
+      if (entry.user && idOf(entry.user) === userId) {
+        matches.push({
+          permission: entry.permission,
+          type: "grant",
+          grantedAt: entry.grantedAt,
+        });
+      } else if (entry.group && groupIds.has(idOf(entry.group))) {
+        matches.push({
+          permission: entry.permission,
+          type: "group",
+          group: idOf(entry.group),
+          grantedAt: entry.grantedAt,
+        });
+      }
+    }
+
+    if (folder.isSystemFolder) {
+      matches.push({ permission: "read", type: "system" });
+    }
+
+    for (const match of matches) {
+      consider({ ...match, folder: describe(folder), inherited: depth > 0 });
+    }
+
+    return {
+      folder: describe(folder),
+      inheritPermissions: folder.inheritPermissions !== false,
+      matches,
+    };
+  });
+
+  return {
+    permission: best ? best.permission : null,
+    source: best,
+    chain: explainedChain,
+  };
+}
+
+/**
+ * @returns {Promise<string|null>} "read" | "write" | "admin" | null
+ */
+async function getFolderPermission(folderOrId, user, cache) {
+  return (await explainFolderPermission(folderOrId, user, cache)).permission;
+}
+
+async function hasFolderPermission(folderOrId, user, required = "read", cache) {
+  return atLeast(await getFolderPermission(folderOrId, user, cache), required);
+}
+
+module.exports = {
+  PERMISSION_RANK,
+  FOLDER_FIELDS,
+  atLeast,
+  explainFolderPermission,
+  getFolderPermission,
+  hasFolderPermission,
+};
@@ -0,0 +1,19 @@
+const config = require("../config/config");
+const mail = require("./mail");
+const mailTemplates = require("./mail/templates");
+
+/**
+ * Issues a fresh token for an invitation, saves it and emails the link.
+ * Used for new invitations, resends and bulk imports.
+ * @param {Object} invitation - Invitation document (may be unsaved)
+ * @param {Object} inviter - User sending it, named in the email
+ */
+async function sendInvitation(invitation, inviter) {
+  const token = invitation.generateToken(config.invitations.ttlDays);
+  invitation.sendCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+  await mail.send({ to: invitation.email, ...mailTemplates.invitation({ invitation, inviter, token }) });
+}
+
+module.exports = { sendInvitation };
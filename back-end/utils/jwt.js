@@ -1,15 +1,18 @@
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 require('dotenv').config();
+const config = require("../config/config");
 
-const generateToken = (userId, role) => {
-    return jwt.sign({ userId, role }, process.env.JWT_SECRET, { 
-        expiresIn: "1d" 
+const generateToken = (userId, role, sessionId) => {
+    return jwt.sign({ userId, role, sid: sessionId }, process.env.JWT_SECRET, { 
+        expiresIn: config.session.accessTokenTtl 
     });
 };
 
-const generateRefreshToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-        expiresIn: "7d"
+// jti makes every rotated token unique, even within the same second
+const generateRefreshToken = (userId, sessionId) => {
+    return jwt.sign({ userId, sid: sessionId, jti: crypto.randomUUID() }, process.env.JWT_REFRESH_SECRET, {
+        expiresIn: `${config.session.refreshTtlDays}d`
     });
 };
 
@@ -0,0 +1,147 @@
+const config = require("../../config/config");
+
+// Identity provider name used on User.identities for directory accounts
+const PROVIDER = "ldap";
+
+// ldapts is only needed when LDAP is configured, so it's an optional
+// dependency; installs that skip those still start without it
+const loadClient = () => {
+  try {
+    return require("ldapts").Client;
+  } catch (err) {
+    throw new Error('LDAP needs the optional "ldapts" package: npm install ldapts');
+  }
+};
+
+const isEnabled = () => !!config.ldap.url;
+
+const isLinked = (user) => !!user?.identities?.some((i) => i.provider === PROVIDER);
+
+/**
+ * Whether a login attempt should be checked against the directory:
+ * unknown users (may be provisioned) and users linked to it.
+ */
+const handles = (user) => isEnabled() && (!user || isLinked(user));
+
+// RFC 4515: values put into a filter must not change its structure
+const escapeFilter = (value) =>
+  String(value).replace(/[\\*()\0]/g, (c) => `\\${c.charCodeAt(0).toString(16).padStart(2, "0")}`);
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+const list = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+function createClient() {
+  const Client = loadClient();
+  return new Client({
+    url: config.ldap.url,
+    timeout: config.ldap.timeoutMs,
+    connectTimeout: config.ldap.timeoutMs,
+    tlsOptions: { rejectUnauthorized: config.ldap.tlsRejectUnauthorized },
+  });
+}
+
+const searchOptions = (filter) => {
+  const { attributes } = config.ldap;
+  return {
+    scope: "sub",
+    filter,
+    paged: { pageSize: 500 },
+    attributes: [...Object.values(attributes), "userAccountControl"],
+    // AD's objectGUID is binary
+    explicitBufferAttributes: attributes.id === "objectGUID" ? ["objectGUID"] : [],
+  };
+};
+
+/**
+ * Runs a function with a client bound as the service account.
+ */
+async function withServiceClient(fn) {
+  const client = createClient();
+  try {
+    await client.bind(config.ldap.bindDN, config.ldap.bindPassword);
+    return await fn(client);
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+}
+
+/**
+ * Normalizes a directory entry. Group DNs are lowercased so mappings
+ * match regardless of how the server spells them.
+ * @returns {{ subject: string, dn: string, username?: string, email?: string, name?: string, groups: string[], disabled: boolean, emailVerified: boolean }}
+ */
+function toProfile(entry) {
+  const { attributes } = config.ldap;
+  const id = first(entry[attributes.id]);
+  // AD userAccountControl bit 0x2 is ACCOUNTDISABLE
+  const disabled = (parseInt(first(entry.userAccountControl)) & 2) === 2;
+
+  return {
+    subject: Buffer.isBuffer(id) ? id.toString("hex") : String(id || entry.dn),
+    dn: entry.dn,
+    username: first(entry[attributes.username]),
+    email: first(entry[attributes.email])?.toLowerCase(),
+    name: first(entry[attributes.name]),
+    groups: list(entry[attributes.groups]).map((dn) => String(dn).toLowerCase()),
+    disabled,
+    // The directory is authoritative for its own users' addresses
+    emailVerified: true,
+  };
+}
+
+/**
+ * Checks a login against the directory: finds the user with the service
+ * account, then binds as them with the given password.
+ * @param {string} login - Email or username as typed
+ * @param {string} password
+ * @returns {Promise<Object|null>} Profile (see toProfile) or null if the credentials are wrong
+ */
+async function authenticate(login, password) {
+  // An empty password is an "unauthenticated bind", which servers accept
+  if (!login || !password) return null;
+
+  const filter = config.ldap.loginFilter.replace(/\{\{login\}\}/g, escapeFilter(login));
+  const entries = await withServiceClient(async (client) => {
+    const { searchEntries } = await client.search(config.ldap.baseDN, searchOptions(filter));
+    return searchEntries;
+  });
+  if (entries.length !== 1) return null;
+
+  const client = createClient();
+  try {
+    await client.bind(entries[0].dn, password);
+  } catch (err) {
+    if (err.name === "InvalidCredentialsError") return null;
+    throw err;
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+
+  const profile = toProfile(entries[0]);
+  return profile.disabled ? null : profile;
+}
+
+/**
+ * Every user matched by the sync filter.
+ * @returns {Promise<Object[]>} Profiles
+ */
+async function searchUsers() {
+  return withServiceClient(async (client) => {
+    const { searchEntries } = await client.search(
+      config.ldap.baseDN,
+      searchOptions(config.ldap.syncFilter)
+    );
+    return searchEntries.map(toProfile);
+  });
+}
+
+module.exports = {
+  PROVIDER,
+  isEnabled,
+  isLinked,
+  handles,
+  escapeFilter,
+  toProfile,
+  authenticate,
+  searchUsers,
+};
@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+const config = require("../../config/config");
+const User = require("../../models/user.model");
+const Group = require("../../models/group.model");
+const Role = require("../../models/role.model");
+const Setting = require("../../models/setting.model");
+const audit = require("../audit");
+const { deactivateUser } = require("../offboarding");
+const { mappedRole } = require("../sso/provision");
+const ldap = require("./index");
+
+const LAST_SYNC_KEY = "ldap.lastSync";
+const SYNC_ACTOR = { actorLabel: "ldap-sync" };
+const REPORT_CHANGE_LIMIT = 500;
+
+// Mappings with group DNs lowercased to match toProfile()
+const mappingOptions = () => ({
+  ...config.ldap,
+  roleMappings: config.ldap.roleMappings.map((m) => ({ ...m, group: m.group.toLowerCase() })),
+  groupMappings: config.ldap.groupMappings.map((m) => ({ ...m, group: m.group.toLowerCase() })),
+});
+
+const subjectOf = (user) => user.identities.find((i) => i.provider === ldap.PROVIDER)?.subject;
+
+// Usernames come from the directory; make them fit and unique locally
+async function uniqueUsername(profile, taken) {
+  const base = String(profile.username || profile.email?.split("@")[0] || "user")
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]/g, "")
+    .padEnd(3, "0")
+    .slice(0, 30);
+  let candidate = base;
+  while (taken.has(candidate) || (await User.exists({ username: candidate }))) {
+    candidate = `${base}-${crypto.randomInt(1000, 10000)}`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Current state the plan is computed against: every linked user for a
+ * sync, or only the one linked to `subject` for a login.
+ * @param {string} [subject]
+ */
+async function loadContext(subject) {
+  const options = mappingOptions();
+  const linked = await User.find(
+    subject
+      ? { identities: { $elemMatch: { provider: ldap.PROVIDER, subject } } }
+      : { "identities.provider": ldap.PROVIDER }
+  );
+  const groups = await Group.find({
+    name: { $in: options.groupMappings.map((m) => m.localGroup) },
+  }).select("name members");
+
+  return {
+    options,
+    linkedBySubject: new Map(linked.map((user) => [subjectOf(user), user])),
+    groupsByName: new Map(groups.map((group) => [group.name, group])),
+    knownRoles: new Set(await Role.find().distinct("name")),
+    takenUsernames: new Set(),
+  };
+}
+
+/**
+ * What should change for one directory user. Nothing is written.
+ * @returns {Promise<Object|null>} Change, or null when already in sync
+ */
+async function planProfile(profile, ctx) {
+  const { options } = ctx;
+  let user = ctx.linkedBySubject.get(profile.subject);
+  const change = { email: profile.email, dn: profile.dn, changes: {}, groups: { add: [], remove: [] } };
+
+  if (!user && profile.email) {
+    user = await User.findOne({ email: profile.email });
+    if (user && !options.linkExistingAccounts) {
+      if (profile.disabled) return null;
+      throw createError(
+        409,
+        "A local account with this email already exists and linking existing accounts is turned off"
+      );
+    }
+    if (user) change.changes.link = { subject: profile.subject };
+  }
+
+  if (!user) {
+    if (profile.disabled || !options.autoProvision || !profile.email) return null;
+    change.action = "create";
+    change.username = await uniqueUsername(profile, ctx.takenUsernames);
+    change.role = mappedRole(options, profile.groups);
+    change.groups.add = options.groupMappings
+      .filter((m) => profile.groups.includes(m.group) && ctx.groupsByName.has(m.localGroup))
+      .map((m) => m.localGroup);
+    change.profile = profile;
+    return change;
+  }
+
+  change.action = profile.disabled ? "deactivate" : "update";
+  change.userId = user._id;
+  change.username = user.username;
+  change.user = user;
+
+  // Disabled in the directory; local accounts it was never linked to are left alone
+  if (profile.disabled) {
+    return user.isActive() && !change.changes.link ? change : null;
+  }
+
+  if (profile.email && profile.email !== user.email) {
+    change.changes.email = { from: user.email, to: profile.email };
+  }
+  if (options.roleMappings.length) {
+    const role = mappedRole(options, profile.groups);
+    if (role !== user.role && ctx.knownRoles.has(role)) change.changes.role = { from: user.role, to: role };
+  }
+  // Only undo deactivations the sync itself made
+  if (!user.isActive() && user.deactivatedReason === "directory") {
+    change.changes.status = { from: "deactivated", to: "active" };
+  }
+
+  for (const mapping of options.groupMappings) {
+    const group = ctx.groupsByName.get(mapping.localGroup);
+    if (!group) continue;
+    const isMember = group.members.some((id) => id.equals(user._id));
+    const shouldBe = profile.groups.includes(mapping.group);
+    if (shouldBe && !isMember) change.groups.add.push(group.name);
+    if (!shouldBe && isMember) change.groups.remove.push(group.name);
+  }
+
+  const hasChanges =
+    Object.keys(change.changes).length || change.groups.add.length || change.groups.remove.length;
+  return hasChanges ? change : null;
+}
+
+async function deactivate(req, user) {
+  await deactivateUser(user, { reason: "directory", by: req?.user });
+  await audit.record(req, "user.deactivate", {
+    ...(req ? {} : SYNC_ACTOR),
+    target: audit.targetOf("user", user),
+    metadata: { source: "ldap" },
+  });
+}
+
+/**
+ * Writes a planned change.
+ * @returns {Promise<Object>} The user
+ */
+async function applyChange(req, change, ctx) {
+  const actor = req ? {} : SYNC_ACTOR;
+  let user = change.user;
+
+  if (change.action === "create") {
+    user = await User.create({
+      username: change.username,
+      email: change.email,
+      // Never used; directory users sign in with their directory password
+      password: crypto.randomBytes(32).toString("base64url"),
+      role: change.role,
+      identities: [{ provider: ldap.PROVIDER, subject: change.profile.subject, email: change.email }],
+    });
+    await audit.record(req, "user.create", {
+      ...actor,
+      target: audit.targetOf("user", user),
+      after: audit.pick(user, ["username", "email", "role"]),
+      metadata: { source: "ldap", dn: change.dn },
+    });
+  } else if (change.action === "deactivate") {
+    await deactivate(req, user);
+    return user;
+  } else {
+    const { link, email, role, status } = change.changes;
+    const update = { $set: {} };
+    if (link) update.$push = { identities: { provider: ldap.PROVIDER, subject: link.subject, email: change.email } };
+    if (email) update.$set.email = email.to;
+    if (role) update.$set.role = role.to;
+    if (status) Object.assign(update.$set, { status: "active", deactivatedAt: null, deactivatedReason: null });
+
+    if (!Object.keys(update.$set).length) delete update.$set;
+
+    if (update.$set || update.$push) {
+      await User.updateOne({ _id: user._id }, update);
+      await audit.record(req, role ? "user.role_change" : "user.update", {
+        ...actor,
+        target: audit.targetOf("user", user),
+        before: Object.fromEntries(Object.entries(change.changes).map(([k, v]) => [k, v.from])),
+        after: Object.fromEntries(Object.entries(change.changes).map(([k, v]) => [k, v.to ?? v])),
+        metadata: { source: "ldap", dn: change.dn },
+      });
+    }
+  }
+
+  for (const name of change.groups.add) {
+    await Group.updateOne({ _id: ctx.groupsByName.get(name)._id }, { $addToSet: { members: user._id } });
+  }
+  for (const name of change.groups.remove) {
+    await Group.updateOne({ _id: ctx.groupsByName.get(name)._id }, { $pull: { members: user._id } });
+  }
+  return user;
+}
+
+// Report entries carry ids and names, not documents
+const describe = ({ user, profile, ...change }) => change;
+
+/**
+ * Brings User records in line with the directory.
+ * @param {{ dryRun?: boolean, req?: Object }} [options] - req attributes audit events to an admin
+ * @returns {Promise<Object>} Report of what changed (or would change)
+ */
+async function runSync({ dryRun = false, req = null } = {}) {
+  const report = {
+    dryRun,
+    startedAt: new Date(),
+    directoryUsers: 0,
+    summary: { create: 0, update: 0, deactivate: 0, unchanged: 0 },
+    changes: [],
+    errors: [],
+  };
+
+  const profiles = await ldap.searchUsers();
+  const ctx = await loadContext();
+  report.directoryUsers = profiles.length;
+
+  const seen = new Set();
+  for (const profile of profiles) {
+    seen.add(profile.subject);
+    try {
+      const change = await planProfile(profile, ctx);
+      if (!change) {
+        report.summary.unchanged++;
+        continue;
+      }
+      if (!dryRun) await applyChange(req, change, ctx);
+      report.summary[change.action]++;
+      report.changes.push(describe(change));
+    } catch (error) {
+      report.errors.push({ dn: profile.dn, email: profile.email, error: error.message });
+    }
+  }
+
+  // Linked users the directory no longer returns. An empty result is far
+  // more likely a bad filter than everyone leaving, so it is ignored.
+  if (config.ldap.deactivateMissing && profiles.length) {
+    for (const [subject, user] of ctx.linkedBySubject) {
+      if (seen.has(subject) || !user.isActive()) continue;
+      try {
+        if (!dryRun) await deactivate(req, user);
+        report.summary.deactivate++;
+        report.changes.push({
+          action: "deactivate",
+          userId: user._id,
+          username: user.username,
+          email: user.email,
+          reason: "missing",
+        });
+      } catch (error) {
+        report.errors.push({ email: user.email, error: error.message });
+      }
+    }
+  }
+
+  report.finishedAt = new Date();
+  if (!dryRun) {
+    await Setting.setValue(LAST_SYNC_KEY, {
+      ...report,
+      changes: report.changes.slice(0, REPORT_CHANGE_LIMIT),
+      truncated: report.changes.length > REPORT_CHANGE_LIMIT,
+    }, req?.user?._id);
+  }
+  return report;
+}
+
+/**
+ * Local user for a successful directory login, created or updated from
+ * the directory entry the same way the sync would.
+ * @returns {Promise<Object|null>} null when the user can't be provisioned
+ * @throws {HttpError} 409 when a local account has the email and may not be linked
+ */
+async function userForLogin(req, profile) {
+  const ctx = await loadContext(profile.subject);
+  const change = await planProfile(profile, ctx);
+  if (!change) return ctx.linkedBySubject.get(profile.subject) || null;
+  return applyChange(req, change, ctx).then((user) => User.findById(user._id));
+}
+
+const lastSync = () => Setting.getValue(LAST_SYNC_KEY, null);
+
+module.exports = { runSync, userForLogin, lastSync };
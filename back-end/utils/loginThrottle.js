@@ -0,0 +1,154 @@
+const LoginThrottle = require("../models/loginThrottle.model");
+const config = require("../config/config");
+
+const MINUTE_MS = 60 * 1000;
+
+// Matches how User stores emails. Share link passwords use "share:<id>"
+// in place of an email, so a link is throttled like an account.
+const accountKey = (email) => String(email || "").trim().toLowerCase();
+
+const keysFor = (req, email) => [
+  { scope: "account", key: accountKey(email) },
+  { scope: "ip", key: req.ip },
+];
+
+/**
+ * Whether a sign-in attempt may be checked right now.
+ * @param {Object} req
+ * @param {string} email
+ * @returns {Promise<{ blocked: boolean, locked?: boolean, scope?: string, retryAfter?: number }>}
+ *   retryAfter is in seconds
+ */
+async function check(req, email) {
+  const records = await LoginThrottle.find({ $or: keysFor(req, email) });
+  const now = Date.now();
+
+  const blocking = records
+    .filter((r) => r.blockedUntil && r.blockedUntil.getTime() > now)
+    .sort((a, b) => b.blockedUntil - a.blockedUntil)[0];
+  if (!blocking) return { blocked: false };
+
+  return {
+    blocked: true,
+    locked: blocking.isLocked(),
+    scope: blocking.scope,
+    retryAfter: Math.ceil((blocking.blockedUntil.getTime() - now) / 1000),
+  };
+}
+
+async function recordFailureFor(scope, key) {
+  const limits = config.loginProtection[scope];
+  const { resetAfterMinutes, baseDelaySeconds, maxDelaySeconds } = config.loginProtection;
+  const now = new Date();
+
+  const record = await LoginThrottle.findOneAndUpdate(
+    { scope, key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + resetAfterMinutes * MINUTE_MS),
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (record.failures >= limits.maxAttempts) {
+    const lockMinutes = Math.min(
+      limits.lockMinutes * 2 ** record.lockouts,
+      limits.maxLockMinutes
+    );
+    const until = new Date(now.getTime() + lockMinutes * MINUTE_MS);
+    await LoginThrottle.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          failures: 0,
+          lockedAt: now,
+          blockedUntil: until,
+          // Remember the lockout past its end so a repeat lasts longer
+          expiresAt: new Date(until.getTime() + resetAfterMinutes * MINUTE_MS),
+        },
+        $inc: { lockouts: 1 },
+      }
+    );
+    return { scope, key, locked: true, until, failures: record.failures };
+  }
+
+  if (record.failures > limits.freeAttempts) {
+    const delaySeconds = Math.min(
+      baseDelaySeconds * 2 ** (record.failures - limits.freeAttempts - 1),
+      maxDelaySeconds
+    );
+    await LoginThrottle.updateOne(
+      { _id: record._id },
+      {
+        $set: { blockedUntil: new Date(now.getTime() + delaySeconds * 1000) },
+        $unset: { lockedAt: "" },
+      }
+    );
+  }
+  return { scope, key, locked: false, failures: record.failures };
+}
+
+/**
+ * Counts a failed attempt against both the account and the client IP.
+ * @param {Object} req
+ * @param {string} email
+ * @returns {Promise<Array<{ scope: string, key: string, until: Date, failures: number }>>}
+ *   Lockouts started by this failure (usually none)
+ */
+async function recordFailure(req, email) {
+  const results = await Promise.all(
+    keysFor(req, email).map(({ scope, key }) => recordFailureFor(scope, key))
+  );
+  return results.filter((r) => r.locked);
+}
+
+/**
+ * A successful sign-in clears the account's record. The IP record is
+ * left alone, so one valid login can't reset a stuffing run.
+ */
+const recordSuccess = (email) =>
+  LoginThrottle.deleteOne({ scope: "account", key: accountKey(email) });
+
+/**
+ * Clears an account's failures and lockout (admin unlock).
+ * @returns {Promise<boolean>} Whether there was anything to clear
+ */
+async function unlock(email) {
+  const result = await LoginThrottle.deleteOne({ scope: "account", key: accountKey(email) });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Lockout state per email, for the user admin API.
+ * @param {string[]} emails
+ * @returns {Promise<Map<string, { locked: boolean, lockedUntil: Date|null, failedAttempts: number, lockouts: number }>>}
+ */
+async function stateFor(emails) {
+  const records = await LoginThrottle.find({
+    scope: "account",
+    key: { $in: emails.map(accountKey) },
+  });
+  const state = new Map();
+  for (const email of emails) {
+    const record = records.find((r) => r.key === accountKey(email));
+    const locked = !!record?.isLocked();
+    state.set(email, {
+      locked,
+      lockedUntil: locked ? record.blockedUntil : null,
+      failedAttempts: record?.failures || 0,
+      lockouts: record?.lockouts || 0,
+    });
+  }
+  return state;
+}
+
+module.exports = {
+  check,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  stateFor,
+};
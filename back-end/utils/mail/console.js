@@ -0,0 +1,25 @@
+/**
+ * Prints each message to stdout. Default outside production, so local
+ * setups work without a mail server.
+ */
+function createConsoleDriver() {
+  return {
+    name: "console",
+    async send(message) {
+      console.log(
+        [
+          "📧 ---- outgoing mail ----",
+          `From: ${message.from}`,
+          `To: ${message.to}`,
+          `Subject: ${message.subject}`,
+          "",
+          message.text,
+          "---------------------------",
+        ].join("\n")
+      );
+      return { id: null };
+    },
+  };
+}
+
+module.exports = { createConsoleDriver };
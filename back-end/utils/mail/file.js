@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Writes each message to `dir` as an .eml file that any mail client can
+ * open. Handy for checking emails by hand or from scripts.
+ * @param {{ dir: string }} options
+ */
+function createFileDriver({ dir }) {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const id = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto
+        .randomBytes(4)
+        .toString("hex")}`;
+      const eml = [
+        `Message-ID: <${id}@outbox>`,
+        `Date: ${new Date().toUTCString()}`,
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        message.text,
+      ].join("\r\n");
+
+      await fs.promises.writeFile(path.join(dir, `${id}.eml`), eml);
+      return { id };
+    },
+  };
+}
+
+module.exports = { createFileDriver };
@@ -0,0 +1,43 @@
+const config = require("../../config/config");
+const { createConsoleDriver } = require("./console");
+const { createFileDriver } = require("./file");
+
+const drivers = {
+  console: () => createConsoleDriver(),
+  file: () => createFileDriver({ dir: config.mail.outboxPath }),
+};
+
+if (!drivers[config.mail.driver]) {
+  throw new Error(`Unknown mail driver: ${config.mail.driver}`);
+}
+
+let transport = drivers[config.mail.driver]();
+
+/**
+ * Replaces the transport, e.g. with an SMTP or provider API client.
+ * Any object with `async send({ from, to, subject, text })` works.
+ * @param {{ name: string, send: Function }} custom
+ */
+function useTransport(custom) {
+  if (typeof custom?.send !== "function") {
+    throw new Error("Mail transport must have a send() function");
+  }
+  transport = custom;
+}
+
+/**
+ * Sends a plain-text email through the configured transport.
+ * @param {{ to: string, subject: string, text: string }} message
+ * @returns {Promise<{ id: string|null }>}
+ */
+function send({ to, subject, text }) {
+  return transport.send({ from: config.mail.from, to, subject, text });
+}
+
+module.exports = {
+  send,
+  useTransport,
+  get transport() {
+    return transport;
+  },
+};
@@ -0,0 +1,69 @@
+const config = require("../../config/config");
+
+// Plain-text bodies for the emails the app sends. Each returns
+// { subject, text } for mail.send().
+
+const passwordReset = ({ user, token }) => ({
+  subject: "Reset your password",
+  text: [
+    `Hi ${user.username},`,
+    "",
+    "Someone asked to reset the password for your account. If it was you, open the link below:",
+    "",
+    `${config.passwordReset.url}?token=${encodeURIComponent(token)}`,
+    "",
+    `The link works once and expires in ${config.passwordReset.tokenTtlMinutes} minutes.`,
+    "If you didn't ask for this, you can ignore this email; your password hasn't changed.",
+  ].join("\n"),
+});
+
+const passwordChanged = ({ user }) => ({
+  subject: "Your password was changed",
+  text: [
+    `Hi ${user.username},`,
+    "",
+    "The password for your account was just changed and you have been signed out of your other devices.",
+    "If this wasn't you, reset your password right away and contact an administrator.",
+  ].join("\n"),
+});
+
+const invitation = ({ invitation, inviter, token }) => ({
+  subject: "You've been invited to Document Manager",
+  text: [
+    "Hello,",
+    "",
+    `${inviter?.username || "An administrator"} has invited you to create an account.`,
+    "Open the link below to choose your username and password:",
+    "",
+    `${config.invitations.url}?token=${encodeURIComponent(token)}`,
+    "",
+    `The invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+  ].join("\n"),
+});
+
+const reviewMention = ({ user, author, file, comment }) => ({
+  subject: `${author.username} mentioned you on ${file.originalFilename}`,
+  text: [
+    `Hi ${user.username},`,
+    "",
+    `${author.username} mentioned you in the review of ${file.originalFilename}:`,
+    "",
+    ...comment.body.split("\n").map((line) => `> ${line}`),
+    "",
+    `${config.reviews.url}/${file._id}`,
+  ].join("\n"),
+});
+
+const reviewOverdue = ({ user, file, stage, dueAt }) => ({
+  subject: `Review overdue: ${file.originalFilename}`,
+  text: [
+    `Hi ${user.username},`,
+    "",
+    `${file.originalFilename} is waiting for a decision${stage ? ` at the "${stage}" stage` : ""}.`,
+    `It was due by ${dueAt.toUTCString()}.`,
+    "",
+    `${config.reviews.url}/${file._id}`,
+  ].join("\n"),
+});
+
+module.exports = { passwordReset, passwordChanged, invitation, reviewMention, reviewOverdue };
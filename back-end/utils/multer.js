@@ -52,4 +52,4 @@ const upload = multer({
   }
 });
 
-module.exports = { upload };
\ No newline at end of file
+module.exports = { upload, ALLOWED_FILE_TYPES };
\ No newline at end of file
@@ -0,0 +1,102 @@
+const User = require("../models/user.model");
+const File = require("../models/file.model");
+const Folder = require("../models/folder.model");
+const Asset = require("../models/asset.model");
+const Session = require("../models/session.model");
+const AccessToken = require("../models/accessToken.model");
+const ShareLink = require("../models/shareLink.model");
+const { PERMISSION_RANK } = require("./folderAccess");
+
+/**
+ * Blocks a user from signing in without removing them, so everything
+ * that refers to them (uploads, approvals, audit history) still resolves.
+ * Their sessions, access tokens and share links stop working.
+ * @param {Object} user
+ * @param {{ reason?: string, by?: Object }} [options] - reason is kept on
+ *   the user, e.g. "admin", "offboarded", "directory"
+ */
+async function deactivateUser(user, { reason = "admin", by } = {}) {
+  await User.updateOne(
+    { _id: user._id },
+    { status: "deactivated", deactivatedAt: new Date(), deactivatedReason: reason }
+  );
+  await Session.revokeAllForUser(user._id, "deactivated");
+  await AccessToken.revokeAllForUser(user._id, by?._id);
+  await ShareLink.revokeAllForUser(user._id, by?._id);
+}
+
+async function reactivateUser(user) {
+  await User.updateOne(
+    { _id: user._id },
+    { status: "active", deactivatedAt: null, deactivatedReason: null }
+  );
+}
+
+// Folder access with `from`'s entries handed to `to`. Where both had an
+// entry, `to` keeps the higher of the two permissions.
+function transferAccess(access, from, to) {
+  const existing = access.find((e) => e.user?.equals(to));
+  const result = [];
+  for (const entry of access) {
+    if (!entry.user?.equals(from)) {
+      result.push(entry);
+    } else if (!existing) {
+      result.push({ ...entry, user: to });
+    } else if (PERMISSION_RANK[entry.permission] > PERMISSION_RANK[existing.permission]) {
+      existing.permission = entry.permission;
+    }
+  }
+  return result;
+}
+
+/**
+ * Hands what a user is responsible for to someone else: folders they
+ * created, files they own, assets assigned to them and their direct
+ * folder access. Who uploaded a file is history and stays as it was.
+ * Trashed items are included so a restore never brings back an orphan.
+ * @param {Object} from - User being offboarded
+ * @param {Object} to - User receiving ownership
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<Object>} What was moved (or would be): counts and items
+ */
+async function transferOwnership(from, to, { dryRun = false } = {}) {
+  const folders = await Folder.find({ createdBy: from._id }).select("name path").lean();
+  const files = await File.find({ owner: from._id }).select("originalFilename folder").lean();
+  const assets = await Asset.find({ assignedTo: from._id }).select("sNo productName").lean();
+  const shared = await Folder.find({ "access.user": from._id }).select("name path access").lean();
+
+  const report = {
+    dryRun,
+    from: { _id: from._id, username: from.username, email: from.email },
+    to: { _id: to._id, username: to.username, email: to.email },
+    folders: folders.map((f) => ({ _id: f._id, name: f.name, path: f.path })),
+    files: files.map((f) => ({ _id: f._id, name: f.originalFilename, folder: f.folder })),
+    assets: assets.map((a) => ({ _id: a._id, sNo: a.sNo, name: a.productName })),
+    folderAccess: shared.map((f) => ({
+      _id: f._id,
+      name: f.name,
+      path: f.path,
+      permission: f.access.find((e) => e.user?.equals(from._id)).permission,
+    })),
+  };
+  report.counts = {
+    folders: report.folders.length,
+    files: report.files.length,
+    assets: report.assets.length,
+    folderAccess: report.folderAccess.length,
+  };
+  if (dryRun) return report;
+
+  await Folder.updateMany({ createdBy: from._id }, { createdBy: to._id });
+  await File.updateMany({ owner: from._id }, { owner: to._id });
+  await Asset.updateMany({ assignedTo: from._id }, { assignedTo: to._id });
+  for (const folder of shared) {
+    await Folder.updateOne(
+      { _id: folder._id },
+      { access: transferAccess(folder.access, from._id, to._id) }
+    );
+  }
+  return report;
+}
+
+module.exports = { deactivateUser, reactivateUser, transferOwnership };
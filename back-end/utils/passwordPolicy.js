@@ -0,0 +1,147 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const config = require("../config/config");
+
+let breached = null;
+
+// Loaded on first use; a missing list only disables that check
+function breachedPasswords() {
+  if (breached) return breached;
+  try {
+    breached = new Set(
+      fs
+        .readFileSync(config.passwordPolicy.breachedListPath, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  } catch (err) {
+    console.warn(`⚠️ Breached password list not loaded: ${err.message}`);
+    breached = new Set();
+  }
+  return breached;
+}
+
+/**
+ * The rules in effect, for clients to show next to password fields.
+ */
+function describe() {
+  const { minLength, maxLength, requireLowercase, requireUppercase, requireDigit, requireSymbol, historySize } =
+    config.passwordPolicy;
+  return { minLength, maxLength, requireLowercase, requireUppercase, requireDigit, requireSymbol, historySize };
+}
+
+/**
+ * Checks a candidate password against the policy. History is checked
+ * separately by isReused() since it needs the stored hashes.
+ * @param {string} password
+ * @param {{ username?: string, email?: string }} [context] - Personal info to reject
+ * @returns {string[]} Problems, empty when the password is acceptable
+ */
+function validate(password, { username, email } = {}) {
+  const policy = config.passwordPolicy;
+  const problems = [];
+
+  if (typeof password !== "string" || !password) return ["Password is required"];
+
+  if (password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (Buffer.byteLength(password) > policy.maxLength) {
+    problems.push(`Password must be at most ${policy.maxLength} bytes`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push("Password must contain a lowercase letter");
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push("Password must contain an uppercase letter");
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    problems.push("Password must contain a digit");
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push("Password must contain a symbol");
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const lower = password.toLowerCase();
+    const personal = [username, String(email || "").split("@")[0]]
+      .map((value) => String(value || "").toLowerCase())
+      .filter((value) => value.length >= 3);
+    if (personal.some((value) => lower.includes(value))) {
+      problems.push("Password must not contain your username or email");
+    }
+  }
+
+  if (breachedPasswords().has(password.toLowerCase())) {
+    problems.push("This password is too common or has appeared in a data breach");
+  }
+
+  return problems;
+}
+
+/**
+ * Whether the password matches the current one or one of the last
+ * `historySize` passwords.
+ * @param {Object} user - User document
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+async function isReused(user, password) {
+  const stored = await user.constructor.findById(user._id).select("password +passwordHistory");
+  if (!stored) return false;
+
+  const hashes = [stored.password, ...(stored.passwordHistory || [])].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+}
+
+const CHARSETS = {
+  lower: "abcdefghijkmnopqrstuvwxyz",
+  upper: "ABCDEFGHJKLMNPQRSTUVWXYZ",
+  digit: "23456789",
+  symbol: "!#$%*+-=?@_",
+};
+
+/**
+ * A random password that satisfies the policy, for temporary passwords
+ * handed out by an admin. Look-alike characters (l/1, O/0) are left out.
+ * @returns {string}
+ */
+function generate() {
+  const policy = config.passwordPolicy;
+  const length = Math.min(Math.max(policy.minLength, 16), policy.maxLength);
+  const pickFrom = (set) => set[crypto.randomInt(set.length)];
+
+  // One of each required class, the rest from all of them, then shuffled
+  const chars = [pickFrom(CHARSETS.lower), pickFrom(CHARSETS.upper), pickFrom(CHARSETS.digit)];
+  if (policy.requireSymbol) chars.push(pickFrom(CHARSETS.symbol));
+  const all = Object.values(CHARSETS).join("");
+  while (chars.length < length) chars.push(pickFrom(all));
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+}
+
+/**
+ * express-validator custom check for a password field; the username and
+ * email are read from the same request body.
+ */
+function validator(value, { req }) {
+  const problems = validate(value, { username: req.body.username, email: req.body.email });
+  if (problems.length) throw new Error(problems.join(". "));
+  return true;
+}
+
+module.exports = {
+  describe,
+  validate,
+  isReused,
+  validator,
+  generate,
+};
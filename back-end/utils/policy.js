@@ -0,0 +1,323 @@
+const mongoose = require("mongoose");
+const {
+  PERMISSION_RANK,
+  explainFolderPermission,
+  hasFolderPermission,
+} = require("./folderAccess");
+
+/**
+ * Every action the API authorizes. An action is allowed when:
+ * - the user's role grants it (see the Role collection), or
+ * - `owner` is set and the user owns/uploaded the target file, or
+ * - `folder` is set and the user has at least that permission on the
+ *   target folder (or the file's folder), inheritance included.
+ */
+const ACTIONS = {
+  "folder:create": { folder: "admin" }, // folder = parent folder
+  "folder:read": { folder: "read" },
+  "folder:update": { folder: "admin" },
+  "folder:delete": { folder: "admin" },
+  "folder:share": { folder: "admin" },
+
+  "file:read": { folder: "read", owner: true },
+  "file:upload": { folder: "write" },
+  "file:update": { folder: "write", owner: true },
+  "file:delete": { folder: "write", owner: true },
+  "file:share": { folder: "write", owner: true }, // create public links
+  "file:review": {}, // see pending/rejected files of others
+  "file:approve": {},
+  "file:comment": {}, // write in review threads; utils/approval decides who takes part
+  "approval:manage": {}, // define workflows, set them on folders, override decisions
+
+  "trash:manage": {}, // see and manage everyone's trash
+  "share:manage": {}, // see and revoke everyone's share links
+  "audit:read": {}, // query and export the audit log
+  "settings:manage": {}, // org-wide settings such as required 2FA
+  "directory:sync": {}, // run and inspect the LDAP directory sync
+
+  "asset:read": {},
+  "asset:create": {},
+  "asset:update": {},
+  "asset:delete": {},
+
+  "user:read": {},
+  "user:create": {},
+  "user:update": {},
+  "user:delete": {},
+  "user:invite": {}, // invite people with a preset role and folder access
+
+  "role:read": {},
+  "role:create": {},
+  "role:update": {},
+  "role:delete": {},
+
+  "group:read": {}, // see every group, not just your own
+  "group:create": {},
+  "group:update": {},
+  "group:delete": {},
+};
+
+// Scopes a personal access token can carry. A token never grants more
+// than its owner has; it can only narrow it down to these actions.
+const TOKEN_SCOPES = {
+  full: { description: "Everything the owner can do", grants: ["*"] },
+  read: {
+    description: "Browse folders and download files",
+    grants: ["folder:read", "file:read", "asset:read"],
+  },
+  upload: { description: "Upload files only", grants: ["file:upload"] },
+  "asset-read": { description: "Read assets only", grants: ["asset:read"] },
+  assets: { description: "Read and manage assets", grants: ["asset:*"] },
+};
+
+// Roles seeded into the Role collection on startup. They also serve as
+// the grants in effect until the collection has been loaded.
+const BUILT_IN_ROLES = {
+  admin: { description: "Full access", permissions: ["*"] },
+  "sub-admin": {
+    description: "Reviews and approves uploads",
+    permissions: ["file:read", "file:review", "file:approve", "asset:read"],
+  },
+  user: { description: "Standard account", permissions: ["asset:read"] },
+};
+
+// Role name -> grants. "*" and "<resource>:*" wildcards are supported.
+let rolePermissions = new Map(
+  Object.entries(BUILT_IN_ROLES).map(([name, role]) => [name, role.permissions])
+);
+
+// Role grant that stands in for each folder permission level
+const FOLDER_LEVEL_ACTIONS = {
+  admin: "folder:share",
+  write: "file:upload",
+  read: "folder:read",
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const matches = (grant, action) =>
+  grant === "*" ||
+  grant === action ||
+  (grant.endsWith(":*") && action.startsWith(grant.slice(0, -1)));
+
+const assertAction = (action) => {
+  if (!ACTIONS[action]) throw new Error(`Unknown action: ${action}`);
+};
+
+/**
+ * Whether a string is a grant a role may hold: "*", an action, or
+ * "<resource>:*" for a resource that has actions.
+ * @param {string} grant
+ * @returns {boolean}
+ */
+function isValidGrant(grant) {
+  if (grant === "*" || ACTIONS[grant]) return true;
+  if (!grant.endsWith(":*")) return false;
+  const prefix = grant.slice(0, -1);
+  return Object.keys(ACTIONS).some((action) => action.startsWith(prefix));
+}
+
+/**
+ * Replaces the in-memory role grants with the Role collection.
+ * Called on startup, after role changes and periodically so that
+ * other instances pick up edits.
+ */
+async function loadRoles() {
+  const roles = await mongoose.model("Role").find().select("name permissions").lean();
+  if (roles.length === 0) return; // not seeded yet; keep the built-in defaults
+  rolePermissions = new Map(roles.map((role) => [role.name, role.permissions]));
+}
+
+/**
+ * Whether the credential used for this request covers the action.
+ * Always true for normal sessions; access tokens set
+ * `user.$locals.tokenScopes` (see middleware/auth).
+ * @param {Object} user
+ * @param {string} action
+ * @returns {boolean}
+ */
+function scopeAllows(user, action) {
+  const scopes = user?.$locals?.tokenScopes;
+  if (!scopes) return true;
+  return scopes.some((scope) =>
+    (TOKEN_SCOPES[scope]?.grants || []).some((grant) => matches(grant, action))
+  );
+}
+
+/**
+ * Role-level check only (no folder ACL or ownership).
+ * @param {Object} user
+ * @param {string} action
+ * @returns {boolean}
+ */
+function hasPermission(user, action) {
+  assertAction(action);
+  if (!scopeAllows(user, action)) return false;
+  const grants = rolePermissions.get(user?.role) || [];
+  return grants.some((grant) => matches(grant, action));
+}
+
+/**
+ * Names of the roles whose grants include an action.
+ * @param {string} action
+ * @returns {string[]}
+ */
+function rolesWithPermission(action) {
+  assertAction(action);
+  return [...rolePermissions]
+    .filter(([, grants]) => grants.some((grant) => matches(grant, action)))
+    .map(([name]) => name);
+}
+
+/**
+ * Full check of an action against role, ownership and folder ACL.
+ * @param {Object} user
+ * @param {string} action - Key of ACTIONS
+ * @param {{ folder?: Object|string, file?: Object }} [resource]
+ * @param {Map} [cache] - Folder cache for batch checks
+ * @returns {Promise<boolean>}
+ */
+async function can(user, action, resource = {}, cache) {
+  if (!user || !scopeAllows(user, action)) return false;
+  if (hasPermission(user, action)) return true;
+
+  const rule = ACTIONS[action];
+  const { file } = resource;
+
+  if (rule.owner && file) {
+    const userId = idOf(user);
+    if (idOf(file.owner) === userId || idOf(file.uploadedBy) === userId) {
+      return true;
+    }
+  }
+
+  if (rule.folder) {
+    const folder = resource.folder || file?.folder;
+    if (folder && (await hasFolderPermission(folder, user, rule.folder, cache))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Filters resources down to those the user may perform an action on.
+ * @param {Object} user
+ * @param {string} action
+ * @param {Object[]} items
+ * @param {Function} toResource - item => { folder?, file? }
+ */
+async function filterAllowed(user, action, items, toResource) {
+  const cache = new Map();
+  const allowed = [];
+
+  for (const item of items) {
+    if (await can(user, action, toResource(item), cache)) allowed.push(item);
+  }
+
+  return allowed;
+}
+
+/**
+ * Explains a user's effective folder permission, including role grants
+ * that apply everywhere.
+ * @returns {Promise<{ permission: string|null, source: Object|null, chain: Object[] }>}
+ */
+async function explainFolder(folder, user) {
+  const explanation = await explainFolderPermission(folder, user);
+
+  for (const [level, action] of Object.entries(FOLDER_LEVEL_ACTIONS)) {
+    if (!hasPermission(user, action)) continue;
+
+    if (
+      !explanation.permission ||
+      PERMISSION_RANK[level] > PERMISSION_RANK[explanation.permission]
+    ) {
+      explanation.permission = level;
+      explanation.source = { permission: level, type: "role", role: user.role, action };
+    }
+    break; // levels are ordered highest first
+  }
+
+  return explanation;
+}
+
+/**
+ * Summary of what a role may do, for the UI.
+ * @returns {{ [action: string]: boolean }}
+ */
+function roleCapabilities(user) {
+  return Object.fromEntries(
+    Object.keys(ACTIONS).map((action) => [action, hasPermission(user, action)])
+  );
+}
+
+/**
+ * Grants in a list that a user's role doesn't already cover. Admins
+ * ("*") cover everything; anyone else only what their own grants match,
+ * so role management can't be used to hand out more access than you have.
+ * Token scopes aren't considered; routes check those for the action.
+ * @param {Object} user - Acting user
+ * @param {string[]} grants
+ * @returns {string[]} Empty when the user holds every grant
+ */
+function grantsBeyond(user, grants) {
+  const own = rolePermissions.get(user?.role) || [];
+  if (own.includes("*")) return [];
+  return grants.filter((grant) =>
+    typeof grant !== "string" ||
+    Object.keys(ACTIONS)
+      .filter((action) => matches(grant, action))
+      .some((action) => !own.some((ownGrant) => matches(ownGrant, action)))
+  );
+}
+
+/**
+ * Whether a user may give someone a role, or act on someone holding it:
+ * admins always; anyone else only for roles within their own grants.
+ * @param {Object} user - Acting user
+ * @param {string} roleName
+ * @returns {boolean} For non-admins, false for roles that aren't loaded
+ */
+function canAssignRole(user, roleName) {
+  if (isAdmin(user)) return true;
+  const grants = rolePermissions.get(roleName);
+  return !!grants && grantsBeyond(user, grants).length === 0;
+}
+
+/**
+ * Whether a user's role holds the "*" grant.
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function isAdmin(user) {
+  return (rolePermissions.get(user?.role) || []).includes("*");
+}
+
+/**
+ * Names of the roles holding the "*" grant.
+ * @returns {string[]}
+ */
+function adminRoles() {
+  return [...rolePermissions].filter(([, grants]) => grants.includes("*")).map(([name]) => name);
+}
+
+module.exports = {
+  ACTIONS,
+  BUILT_IN_ROLES,
+  TOKEN_SCOPES,
+  isValidGrant,
+  loadRoles,
+  scopeAllows,
+  hasPermission,
+  rolesWithPermission,
+  can,
+  filterAllowed,
+  explainFolder,
+  roleCapabilities,
+  grantsBeyond,
+  canAssignRole,
+  isAdmin,
+  adminRoles,
+};
@@ -0,0 +1,50 @@
+const Setting = require("../models/setting.model");
+const config = require("../config/config");
+
+const MODES = ["open", "invite-only", "domain", "disabled"];
+const MODE_KEY = "registration.mode";
+const DOMAINS_KEY = "registration.allowedDomains";
+
+const domainOf = (email) => String(email || "").split("@").pop().trim().toLowerCase();
+
+/**
+ * Registration settings: the admin-saved values, else config defaults.
+ * @returns {Promise<{ mode: string, allowedDomains: string[], defaultRole: string }>}
+ */
+async function getSettings() {
+  const [mode, allowedDomains] = await Promise.all([
+    Setting.getValue(MODE_KEY, config.registration.mode),
+    Setting.getValue(DOMAINS_KEY, config.registration.allowedDomains),
+  ]);
+  return { mode, allowedDomains, defaultRole: config.registration.defaultRole };
+}
+
+/**
+ * Whether someone may create their own account with this email.
+ * @param {string} email
+ * @returns {Promise<string|null>} Reason for refusing, or null if allowed
+ */
+async function refusalFor(email) {
+  const { mode, allowedDomains } = await getSettings();
+  switch (mode) {
+    case "open":
+      return null;
+    case "domain":
+      return allowedDomains.includes(domainOf(email))
+        ? null
+        : "Registration is not open to this email domain";
+    case "invite-only":
+      return "Registration is by invitation only";
+    default:
+      return "Registration is disabled";
+  }
+}
+
+module.exports = {
+  MODES,
+  MODE_KEY,
+  DOMAINS_KEY,
+  domainOf,
+  getSettings,
+  refusalFor,
+};
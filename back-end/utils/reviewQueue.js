@@ -0,0 +1,236 @@
+const mongoose = require("mongoose");
+const createError = require("http-errors");
+const File = require("../models/file.model");
+const Folder = require("../models/folder.model");
+const User = require("../models/user.model");
+const approval = require("./approval");
+const policy = require("./policy");
+const audit = require("./audit");
+const mail = require("./mail");
+const mailTemplates = require("./mail/templates");
+
+const MAX_PAGE_SIZE = 100;
+const HOUR = 60 * 60 * 1000;
+const SORTS = {
+  oldest: { createdAt: 1 },
+  newest: { createdAt: -1 },
+};
+
+// Pending files whose current stage lists the user as an approver. Files
+// pending since before workflows have no stages yet; whoever could approve
+// under the default review sees those too.
+function assignedToStage(user) {
+  const mine = [{
+    "approval.stages.approvers": user._id,
+    $expr: {
+      $in: [
+        user._id,
+        { $ifNull: [{ $arrayElemAt: ["$approval.stages.approvers", "$approval.currentStage"] }, []] },
+      ],
+    },
+  }];
+  if (policy.hasPermission(user, "file:approve")) {
+    mine.push({ "approval.stages.0": { $exists: false } });
+  }
+  return { $or: mine };
+}
+
+// "pdf" or ".pdf" matches the extension, "image/" or "image/*" a MIME
+// family and "application/pdf" an exact MIME type
+function typeFilter(type) {
+  if (!type.includes("/")) return { extension: `.${type.replace(/^\./, "").toLowerCase()}` };
+  if (/\/\*?$/.test(type)) {
+    const family = type.replace(/\*$/, "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return { mimetype: new RegExp(`^${family}`) };
+  }
+  return { mimetype: type };
+}
+
+const hoursParam = (value) => {
+  const hours = Number(value);
+  return Number.isFinite(hours) && hours >= 0 ? hours : null;
+};
+
+/**
+ * Builds the queue query from the request's filters:
+ * scope ("mine": files the user can decide now, or "all": every pending
+ * file, for reviewers), folder (+ includeSubfolders), uploader, type,
+ * minAgeHours, maxAgeHours, assignee ("me", "unassigned" or an id) and
+ * overdue.
+ * @returns {Promise<Object>} Mongo filter on files
+ * @throws {HttpError} 400 bad filter, 403 scope not allowed
+ */
+async function buildQuery(user, params) {
+  const conditions = [{ approvalStatus: "pending", isDeleted: { $ne: true } }];
+  const scope = params.scope || "mine";
+
+  if (scope === "all") {
+    if (!["file:review", "approval:manage"].some((action) => policy.hasPermission(user, action))) {
+      throw createError(403, "Only reviewers can see the whole queue");
+    }
+  } else if (scope === "mine") {
+    conditions.push(assignedToStage(user));
+  } else {
+    throw createError(400, 'Scope must be "mine" or "all"');
+  }
+
+  for (const param of ["folder", "uploader"]) {
+    if (params[param] && !mongoose.Types.ObjectId.isValid(params[param])) {
+      throw createError(400, `Invalid ${param}`);
+    }
+  }
+  if (params.folder) {
+    let folders = [params.folder];
+    if (params.includeSubfolders === "true") {
+      const folder = await Folder.findById(params.folder);
+      if (!folder) throw createError(400, "Folder not found");
+      folders = [folder._id, ...(await folder.descendantIds())];
+    }
+    conditions.push({ folder: { $in: folders } });
+  }
+  if (params.uploader) conditions.push({ uploadedBy: params.uploader });
+  if (params.type) conditions.push(typeFilter(String(params.type)));
+
+  const now = Date.now();
+  for (const [param, op] of [["minAgeHours", "$lte"], ["maxAgeHours", "$gte"]]) {
+    if (params[param] === undefined) continue;
+    const hours = hoursParam(params[param]);
+    if (hours === null) throw createError(400, `${param} must be a number of hours`);
+    conditions.push({ createdAt: { [op]: new Date(now - hours * HOUR) } });
+  }
+
+  if (params.assignee === "me") {
+    conditions.push({ "approval.assignee": user._id });
+  } else if (params.assignee === "unassigned") {
+    conditions.push({ "approval.assignee": null });
+  } else if (params.assignee) {
+    if (!mongoose.Types.ObjectId.isValid(params.assignee)) throw createError(400, "Invalid assignee");
+    conditions.push({ "approval.assignee": params.assignee });
+  }
+
+  if (params.overdue === "true") {
+    conditions.push({ "approval.dueAt": { $lte: new Date(now) } });
+  }
+
+  return { $and: conditions };
+}
+
+// What the queue shows of a file
+function queueItem(user, file, now) {
+  const review = file.approval || {};
+  const stage = review.currentStage != null ? review.stages[review.currentStage] : null;
+  return {
+    _id: file._id,
+    originalFilename: file.originalFilename,
+    mimetype: file.mimetype,
+    size: file.size,
+    version: file.version,
+    folder: file.folder,
+    uploadedBy: file.uploadedBy,
+    createdAt: file.createdAt,
+    workflowName: review.workflowName,
+    stage: stage && {
+      index: review.currentStage,
+      name: stage.name,
+      quorum: stage.quorum,
+      approvals: stage.decisions.filter((d) => d.decision === "approved").length,
+      approvers: stage.approvers.length,
+    },
+    assignee: review.assignee || null,
+    assignedAt: review.assignedAt,
+    dueAt: review.dueAt,
+    overdue: !!review.dueAt && review.dueAt <= now,
+    waitingHours: Math.floor((now - file.createdAt) / HOUR),
+    canDecide: approval.canDecide(user, file),
+  };
+}
+
+/**
+ * One page of the reviewer queue.
+ * @param {Object} user
+ * @param {Object} params - Filters (see buildQuery), sort ("oldest" or
+ *   "newest"), page and limit
+ * @returns {Promise<{ items: Object[], total: number, page: number, pages: number }>}
+ */
+async function list(user, params) {
+  const query = await buildQuery(user, params);
+  const sort = SORTS[params.sort || "oldest"];
+  if (!sort) throw createError(400, 'Sort must be "oldest" or "newest"');
+  const limit = Math.min(parseInt(params.limit) || 25, MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(params.page) || 1, 1);
+
+  const [files, total] = await Promise.all([
+    File.find(query)
+      .select("originalFilename mimetype size version folder uploadedBy createdAt approval approvalStatus")
+      .populate("folder", "name path")
+      .populate("uploadedBy", "username email")
+      .populate("approval.assignee", "username email")
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    File.countDocuments(query),
+  ]);
+
+  const now = new Date();
+  return {
+    items: files.map((file) => queueItem(user, file, now)),
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  };
+}
+
+// Who to tell about an overdue file: whoever claimed it, else everyone
+// who can decide the current stage
+async function overdueRecipients(file) {
+  const stage = file.approval.stages[file.approval.currentStage];
+  const ids = file.approval.assignee ? [file.approval.assignee] : stage?.approvers || [];
+  return User.find({ _id: { $in: ids }, status: { $ne: "deactivated" } }).select("username email");
+}
+
+/**
+ * Flags pending files that passed their due date, once each, and emails
+ * the people who should decide them. Run by the review-sla job.
+ * @returns {Promise<number>} Files newly flagged
+ */
+async function flagOverdue() {
+  const now = new Date();
+  const files = await File.find({
+    approvalStatus: "pending",
+    isDeleted: { $ne: true },
+    "approval.dueAt": { $lte: now },
+    "approval.slaBreachedAt": null,
+  }).select("originalFilename path approval");
+
+  let flagged = 0;
+  for (const file of files) {
+    // Left out of updatedAt so it never turns a reviewer's decision into a conflict
+    const { modifiedCount } = await File.updateOne(
+      { _id: file._id, "approval.slaBreachedAt": null },
+      { $set: { "approval.slaBreachedAt": now } },
+      { timestamps: false }
+    );
+    if (!modifiedCount) continue;
+    flagged++;
+
+    const stage = file.approval.stages[file.approval.currentStage]?.name;
+    await audit.record(null, "file.sla_breach", {
+      actorLabel: "system",
+      target: audit.targetOf("file", file),
+      metadata: { dueAt: file.approval.dueAt, stage, assignee: file.approval.assignee },
+    });
+    for (const user of await overdueRecipients(file)) {
+      try {
+        await mail.send({
+          to: user.email,
+          ...mailTemplates.reviewOverdue({ user, file, stage, dueAt: file.approval.dueAt }),
+        });
+      } catch (error) {
+        console.error(`Failed to send overdue email to ${user.email}:`, error.message);
+      }
+    }
+  }
+  return flagged;
+}
+
+module.exports = { list, flagOverdue };
@@ -0,0 +1,221 @@
+const createError = require("http-errors");
+const User = require("../models/user.model");
+const FileComment = require("../models/fileComment.model");
+const approval = require("./approval");
+const mail = require("./mail");
+const mailTemplates = require("./mail/templates");
+
+const USER_FIELDS = "username email";
+// @alice, @j.doe; not the middle of an email address
+const MENTION = /(?:^|[^\w.@])@([a-z0-9._-]{3,30})/gi;
+
+/**
+ * Usernames @mentioned in a comment, lowercased and without duplicates.
+ * A trailing dot ("thanks @alice.") ends the sentence, not the name.
+ * @param {string} body
+ * @returns {string[]}
+ */
+function parseMentions(body) {
+  const names = [...String(body || "").matchAll(MENTION)].map(([, name]) =>
+    name.toLowerCase().replace(/\.+$/, "")
+  );
+  return [...new Set(names)];
+}
+
+// Mentioned users who take part in the file's review; anyone else is
+// returned in `ignored` so nothing about the file reaches them
+async function resolveMentions(file, body) {
+  const names = parseMentions(body);
+  if (!names.length) return { users: [], ignored: [] };
+
+  const found = await User.find({ username: { $in: names }, status: { $ne: "deactivated" } });
+  const users = [];
+  for (const user of found) {
+    if (await approval.canParticipate(user, file)) users.push(user);
+  }
+  const kept = new Set(users.map((u) => u.username));
+  return { users, ignored: names.filter((name) => !kept.has(name)) };
+}
+
+// Emails are best effort: a failed send doesn't lose the comment
+async function notifyMentions(users, { author, file, comment }) {
+  for (const user of users) {
+    if (user._id.equals(author._id)) continue;
+    try {
+      await mail.send({ to: user.email, ...mailTemplates.reviewMention({ user, author, file, comment }) });
+    } catch (error) {
+      console.error(`Failed to send mention email to ${user.email}:`, error.message);
+    }
+  }
+}
+
+function checkBody(body) {
+  body = typeof body === "string" ? body.trim() : "";
+  if (!body) throw createError(400, "Comment cannot be empty");
+  return body;
+}
+
+/**
+ * Adds a comment to a file's review thread and emails the people it
+ * mentions.
+ * @param {Object} author
+ * @param {Object} file
+ * @param {string} body
+ * @returns {Promise<{ comment: Object, ignoredMentions: string[] }>}
+ * @throws {HttpError} 400 empty or too long
+ */
+async function addComment(author, file, body) {
+  body = checkBody(body);
+  const { users, ignored } = await resolveMentions(file, body);
+  const comment = await FileComment.create({
+    file: file._id,
+    author: author._id,
+    body,
+    mentions: users.map((u) => u._id),
+  });
+  await notifyMentions(users, { author, file, comment });
+  return { comment, ignoredMentions: ignored };
+}
+
+/**
+ * Changes the text of a comment. Only people newly mentioned by the
+ * edit are emailed.
+ * @returns {Promise<{ comment: Object, ignoredMentions: string[] }>}
+ */
+async function editComment(author, file, comment, body) {
+  body = checkBody(body);
+  const { users, ignored } = await resolveMentions(file, body);
+  const before = new Set(comment.mentions.map(String));
+
+  comment.body = body;
+  comment.mentions = users.map((u) => u._id);
+  comment.editedAt = new Date();
+  await comment.save();
+  await notifyMentions(users.filter((u) => !before.has(u._id.toString())), { author, file, comment });
+  return { comment, ignoredMentions: ignored };
+}
+
+async function deleteComment(user, comment) {
+  comment.body = undefined;
+  comment.mentions = [];
+  comment.deletedAt = new Date();
+  comment.deletedBy = user._id;
+  await comment.save();
+}
+
+// What the thread shows of a comment
+const commentView = (comment, users) => ({
+  _id: comment._id,
+  author: users(comment.author),
+  body: comment.deletedAt ? null : comment.body,
+  mentions: comment.mentions.map(users),
+  createdAt: comment.createdAt,
+  editedAt: comment.editedAt,
+  deleted: !!comment.deletedAt,
+});
+
+// Looks up every user a set of ids refers to in one query
+async function userLookup(ids) {
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  const users = await User.find({ _id: { $in: unique } }).select(USER_FIELDS).lean();
+  const byId = new Map(users.map((u) => [u._id.toString(), u]));
+  return (id) => (id ? byId.get(id.toString()) || { _id: id } : null);
+}
+
+/**
+ * A file's comments, oldest first.
+ * @returns {Promise<Object[]>}
+ */
+async function listComments(file) {
+  const comments = await FileComment.find({ file: file._id }).sort({ createdAt: 1 }).lean();
+  const users = await userLookup(comments.flatMap((c) => [c.author, ...c.mentions]));
+  return comments.map((comment) => commentView(comment, users));
+}
+
+// Decisions made before history was kept survive only as the latest one
+function legacyDecision(file) {
+  if (file.approvalStatus === "approved" && file.approvedBy) {
+    return { user: file.approvedBy, decision: "approved", at: file.approvedAt, legacy: true };
+  }
+  if (file.approvalStatus === "disapproved" && file.rejectedBy) {
+    return { user: file.rejectedBy, decision: "disapproved", reason: file.disapprovalReason, at: file.rejectedAt, legacy: true };
+  }
+  return null;
+}
+
+/**
+ * Everything that happened in a file's review, oldest first, for the
+ * review timeline: the upload, each decision (stage decisions and
+ * overrides included) and each comment.
+ *
+ * Event types: "uploaded", "auto_approved", "decision", "comment".
+ * Decisions a folder rule made at upload have `rule` and no user.
+ * @param {Object} file - File document or lean object
+ * @returns {Promise<{ status: Object, events: Object[] }>}
+ */
+async function timeline(file) {
+  const comments = await FileComment.find({ file: file._id }).lean();
+  const review = file.approval || {};
+  // Approved at upload without a stage: a no-review folder, the
+  // workflow's auto-approve list or a rule (which is in the history)
+  const approvedAtUpload = !!review.completedAt && !review.stages?.length && file.approvalStatus === "approved";
+  const history = file.approvalHistory?.length || approvedAtUpload
+    ? file.approvalHistory || []
+    : [legacyDecision(file)].filter(Boolean);
+
+  const users = await userLookup([
+    file.uploadedBy?._id || file.uploadedBy,
+    ...history.map((entry) => entry.user),
+    ...comments.flatMap((c) => [c.author, ...c.mentions]),
+    ...(review.stages || []).flatMap((stage) => stage.approvers),
+  ]);
+
+  const events = [
+    { type: "uploaded", at: file.createdAt, user: users(file.uploadedBy?._id || file.uploadedBy) },
+  ];
+  if (approvedAtUpload && !history.some((entry) => entry.rule)) {
+    events.push({ type: "auto_approved", at: review.completedAt, workflowName: review.workflowName });
+  }
+  for (const entry of history) {
+    events.push({
+      type: "decision",
+      at: entry.at,
+      user: users(entry.user),
+      decision: entry.decision,
+      reason: entry.reason,
+      workflowName: entry.workflowName,
+      stage: entry.stage,
+      override: !!entry.override,
+      rule: entry.rule,
+      ...(entry.legacy && { legacy: true }),
+    });
+  }
+  for (const comment of comments) {
+    events.push({ type: "comment", at: comment.createdAt, comment: commentView(comment, users) });
+  }
+  events.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    status: {
+      approvalStatus: file.approvalStatus,
+      workflowName: review.workflowName,
+      currentStage: review.currentStage ?? null,
+      stages: (review.stages || []).map((stage) => ({
+        name: stage.name,
+        quorum: stage.quorum,
+        status: stage.status,
+        approvers: stage.approvers.map(users),
+      })),
+    },
+    events,
+  };
+}
+
+module.exports = {
+  parseMentions,
+  addComment,
+  editComment,
+  deleteComment,
+  listComments,
+  timeline,
+};
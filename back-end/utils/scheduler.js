@@ -0,0 +1,42 @@
+const jobs = new Map();
+
+/**
+ * Runs a background task on a fixed interval.
+ * - A run is skipped if the previous one is still in progress
+ * - Errors are logged and never crash the process
+ * @param {string} name - Unique job name (used in logs)
+ * @param {number} intervalMs - Delay between runs
+ * @param {Function} task - Async function to run
+ * @param {{ runOnStart?: boolean }} [options]
+ */
+function schedule(name, intervalMs, task, { runOnStart = false } = {}) {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`⏰ Job "${name}" failed:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref(); // don't keep the process alive for background jobs
+  jobs.set(name, timer);
+
+  if (runOnStart) setImmediate(run);
+}
+
+function cancel(name) {
+  clearInterval(jobs.get(name));
+  jobs.delete(name);
+}
+
+module.exports = { schedule, cancel };
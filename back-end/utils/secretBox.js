@@ -0,0 +1,31 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+
+// AES-256-GCM for secrets we must be able to read back (e.g. TOTP seeds),
+// so a database dump alone doesn't expose them.
+const key = () =>
+  crypto.createHash("sha256").update(String(config.secretKey)).digest();
+
+/**
+ * @param {string} plaintext
+ * @returns {string} iv.tag.ciphertext, base64url
+ */
+function seal(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key(), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString("base64url")).join(".");
+}
+
+/**
+ * @param {string} sealed - Output of seal()
+ * @returns {string}
+ */
+function open(sealed) {
+  const [iv, tag, encrypted] = sealed.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
+
+module.exports = { seal, open };
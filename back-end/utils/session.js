@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+const Session = require("../models/session.model");
+const config = require("../config/config");
+const { generateToken, generateRefreshToken } = require("./jwt");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path: "/",
+};
+
+/**
+ * Short human-readable label for a user agent, e.g. "Chrome on Windows".
+ * @param {string} [userAgent]
+ * @returns {string}
+ */
+function describeDevice(userAgent = "") {
+  const browser =
+    [
+      [/Edg\//, "Edge"],
+      [/OPR\/|Opera/, "Opera"],
+      [/Firefox\//, "Firefox"],
+      [/Chrome\//, "Chrome"],
+      [/Safari\//, "Safari"],
+      [/curl|PostmanRuntime|axios|node-fetch/i, "API client"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || "Unknown browser";
+
+  const os =
+    [
+      [/Windows/, "Windows"],
+      [/Android/, "Android"],
+      [/iPhone|iPad|iOS/, "iOS"],
+      [/Mac OS X|Macintosh/, "macOS"],
+      [/Linux/, "Linux"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+const refreshExpiry = () => new Date(Date.now() + config.session.refreshTtlDays * DAY_MS);
+
+/**
+ * Starts a new session for a user and issues its first token pair.
+ * @param {Object} req - Express request (device and IP are taken from it)
+ * @param {Object} user - User document
+ * @returns {Promise<{ token: string, refreshToken: string, session: Object }>}
+ */
+async function createSession(req, user) {
+  const userAgent = req.get("user-agent");
+  const session = new Session({
+    user: user._id,
+    device: req.body?.deviceName || describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    lastIp: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+
+  const refreshToken = generateRefreshToken(user._id, session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+  await user.constructor.updateOne({ _id: user._id }, { lastLoginAt: new Date() });
+
+  return {
+    token: generateToken(user._id, user.role, session._id),
+    refreshToken,
+    session,
+  };
+}
+
+/**
+ * Exchanges a refresh token for a new pair and invalidates the old one.
+ * Presenting an already-rotated token revokes the whole session, since
+ * it means the token was copied.
+ * @param {Object} req
+ * @param {Object} user - User document
+ * @param {Object} decoded - Verified refresh token payload
+ * @param {string} refreshToken - The raw token presented
+ * @returns {Promise<{ token?: string, refreshToken?: string, session?: Object, error?: string }>}
+ *   error is "invalid" | "reused" | "raced"
+ */
+async function rotateSession(req, user, decoded, refreshToken) {
+  if (!decoded.sid) return { error: "invalid" }; // issued before sessions existed
+
+  const presentedHash = hashToken(refreshToken);
+  const newToken = generateRefreshToken(user._id, decoded.sid);
+
+  // Atomic so two concurrent refreshes can't both rotate the same token
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      user: user._id,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      refreshTokenHash: hashToken(newToken),
+      previousTokenHash: presentedHash,
+      rotatedAt: new Date(),
+      lastUsedAt: new Date(),
+      lastIp: req.ip,
+      expiresAt: refreshExpiry(),
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      token: generateToken(user._id, user.role, session._id),
+      refreshToken: newToken,
+      session,
+    };
+  }
+
+  const existing = await Session.findOne({ _id: decoded.sid, user: user._id }).select(
+    "+previousTokenHash"
+  );
+  if (!existing || !existing.isActive()) return { error: "invalid" };
+
+  const graceMs = config.session.rotationGraceSeconds * 1000;
+  if (
+    existing.previousTokenHash === presentedHash &&
+    Date.now() - existing.rotatedAt.getTime() < graceMs
+  ) {
+    return { error: "raced" };
+  }
+
+  await existing.revoke("reuse");
+  return { error: "reused", session: existing };
+}
+
+function setAuthCookies(res, { token, refreshToken }) {
+  res.cookie("token", token, {
+    ...cookieOptions,
+    maxAge: DAY_MS,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...cookieOptions,
+    maxAge: config.session.refreshTtlDays * DAY_MS,
+  });
+}
+
+/**
+ * Final step of every way in (register, password login, two-factor
+ * login): starts a session, sets cookies and sends the standard body.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} user - User document
+ * @param {{ status?: number, extra?: Object }} [options] - extra is merged into the body
+ * @returns {Promise<Object>} The new session
+ */
+async function completeLogin(req, res, user, { status = 200, extra } = {}) {
+  const { token, refreshToken, session } = await createSession(req, user);
+  setAuthCookies(res, { token, refreshToken });
+
+  res.status(status).json({
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+    },
+    ...(user.mustChangePassword && { passwordChangeRequired: true }),
+    ...extra,
+  });
+  return session;
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie("token", cookieOptions);
+  res.clearCookie("refreshToken", cookieOptions);
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  completeLogin,
+  setAuthCookies,
+  clearAuthCookies,
+  describeDevice,
+};
@@ -0,0 +1,74 @@
+const config = require("../../config/config");
+const { createOidcProvider } = require("./oidc");
+
+/*
+ * Single sign-on providers, configured in config.sso.providers:
+ *
+ * {
+ *   "id": "company",                  // used in URLs: /api/auth/sso/company/login
+ *   "type": "oidc",                   // or "saml"
+ *   "name": "Company account",        // label for the login button
+ *
+ *   // oidc: issuer, clientId, clientSecret, scopes, groupsClaim, usernameClaim
+ *   // saml: entryPoint, idpCert, spEntityId, emailAttribute, groupsAttribute
+ *
+ *   "autoProvision": true,            // create unknown users on first login
+ *   "linkExistingAccounts": true,     // attach to a local account with the same verified email
+ *   "defaultRole": "user",
+ *   "roleMappings": [{ "group": "dm-admins", "role": "admin" }],   // first match wins
+ *   "groupMappings": [{ "group": "finance", "localGroup": "Finance" }],
+ *   "syncOnLogin": true,              // re-apply mappings on every login
+ *   "trustIdpMfa": false              // skip local 2FA for users signing in here
+ * }
+ */
+
+const DEFAULTS = {
+  autoProvision: true,
+  linkExistingAccounts: true,
+  defaultRole: config.registration.defaultRole,
+  roleMappings: [],
+  groupMappings: [],
+  syncOnLogin: true,
+  trustIdpMfa: false,
+};
+
+const callbackUrl = (id) => `${config.sso.apiBaseUrl}/api/auth/sso/${encodeURIComponent(id)}/callback`;
+
+const factories = {
+  oidc: (options) => createOidcProvider(options),
+  // Required lazily so node-saml is only needed when SAML is used
+  saml: (options) => require("./saml").createSamlProvider(options, callbackUrl(options.id)),
+};
+
+const providers = new Map(
+  config.sso.providers.map((entry) => {
+    if (!entry.id || !factories[entry.type]) {
+      throw new Error(`Invalid SSO provider config: ${JSON.stringify({ id: entry.id, type: entry.type })}`);
+    }
+    const options = { ...DEFAULTS, name: entry.id, ...entry };
+    return [entry.id, { options, ...factories[entry.type](options) }];
+  })
+);
+
+/**
+ * @param {string} id
+ * @returns {Object|undefined} Provider with .options, authorizationUrl() and handleCallback()
+ */
+const getProvider = (id) => providers.get(id);
+
+/**
+ * Public list for the login page.
+ */
+const listProviders = () =>
+  [...providers.values()].map(({ id, type, options }) => ({
+    id,
+    type,
+    name: options.name,
+    loginUrl: `/api/auth/sso/${encodeURIComponent(id)}/login`,
+  }));
+
+module.exports = {
+  callbackUrl,
+  getProvider,
+  listProviders,
+};
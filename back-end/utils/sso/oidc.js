@@ -0,0 +1,159 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const createError = require("http-errors");
+
+const JWKS_REFRESH_MS = 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"];
+
+const fetchJson = async (url, init) => {
+  const response = await fetch(url, init);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    throw createError(502, `Identity provider request failed: ${detail}`);
+  }
+  return body;
+};
+
+/**
+ * OpenID Connect authorization-code flow with PKCE.
+ * @param {Object} options - Provider entry from config.sso.providers
+ * @param {string} options.issuer - e.g. https://login.example.com/realms/staff
+ * @param {string} options.clientId
+ * @param {string} [options.clientSecret]
+ * @param {string} [options.scopes="openid email profile"]
+ * @param {string} [options.groupsClaim="groups"]
+ * @param {string} [options.usernameClaim="preferred_username"]
+ */
+function createOidcProvider(options) {
+  const {
+    issuer,
+    clientId,
+    clientSecret,
+    scopes = "openid email profile",
+    groupsClaim = "groups",
+    usernameClaim = "preferred_username",
+  } = options;
+  if (!issuer || !clientId) {
+    throw new Error(`SSO provider "${options.id}" needs issuer and clientId`);
+  }
+
+  let discovery = null;
+  let keys = new Map();
+  let keysFetchedAt = 0;
+
+  const discover = async () => {
+    if (!discovery) {
+      discovery = await fetchJson(`${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+    }
+    return discovery;
+  };
+
+  // Signing keys by kid, refetched when an unknown kid shows up (key rotation)
+  const signingKey = async (kid) => {
+    if (!keys.has(kid) && Date.now() - keysFetchedAt > JWKS_REFRESH_MS) {
+      const { jwks_uri } = await discover();
+      const { keys: jwks = [] } = await fetchJson(jwks_uri);
+      keys = new Map(
+        jwks
+          .filter((jwk) => !jwk.use || jwk.use === "sig")
+          .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })])
+      );
+      keysFetchedAt = Date.now();
+    }
+    const key = keys.get(kid) || (keys.size === 1 && !kid ? [...keys.values()][0] : null);
+    if (!key) throw createError(401, "ID token signed with an unknown key");
+    return key;
+  };
+
+  const exchangeCode = async ({ code, redirectUri, codeVerifier }) => {
+    const { token_endpoint } = await discover();
+    const params = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      client_id: clientId,
+    });
+    const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+    if (clientSecret) {
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+    return fetchJson(token_endpoint, { method: "POST", headers, body: params });
+  };
+
+  const verifyIdToken = async (idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw createError(401, "Invalid ID token");
+
+    const claims = jwt.verify(idToken, await signingKey(decoded.header.kid), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: (await discover()).issuer,
+      audience: clientId,
+    });
+    if (claims.nonce !== nonce) throw createError(401, "ID token nonce mismatch");
+    return claims;
+  };
+
+  return {
+    id: options.id,
+    type: "oidc",
+    usesState: true,
+
+    /**
+     * @param {{ state: string, nonce: string, codeVerifier: string, redirectUri: string }} params
+     * @returns {Promise<string>} URL to send the browser to
+     */
+    async authorizationUrl({ state, nonce, codeVerifier, redirectUri }) {
+      const { authorization_endpoint } = await discover();
+      const url = new URL(authorization_endpoint);
+      url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes,
+        state,
+        nonce,
+        code_challenge: crypto.createHash("sha256").update(codeVerifier).digest("base64url"),
+        code_challenge_method: "S256",
+      }).toString();
+      return url.toString();
+    },
+
+    /**
+     * Turns the callback into a profile. State has been checked by the caller.
+     * @returns {Promise<{ subject: string, email?: string, emailVerified: boolean, name?: string, username?: string, groups: string[] }>}
+     */
+    async handleCallback(req, { nonce, codeVerifier, redirectUri }) {
+      if (req.query.error) {
+        throw createError(401, req.query.error_description || req.query.error);
+      }
+      if (!req.query.code) throw createError(400, "Missing authorization code");
+
+      const tokens = await exchangeCode({ code: String(req.query.code), redirectUri, codeVerifier });
+      let claims = await verifyIdToken(tokens.id_token, nonce);
+
+      // Some providers only put groups/email in userinfo
+      const { userinfo_endpoint } = await discover();
+      if (userinfo_endpoint && tokens.access_token && (!claims.email || !(groupsClaim in claims))) {
+        const info = await fetchJson(userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+        });
+        if (info.sub === claims.sub) claims = { ...info, ...claims };
+      }
+
+      const groups = claims[groupsClaim];
+      return {
+        subject: String(claims.sub),
+        email: claims.email,
+        emailVerified: claims.email_verified === true || claims.email_verified === "true",
+        name: claims.name,
+        username: claims[usernameClaim],
+        groups: Array.isArray(groups) ? groups.map(String) : groups ? [String(groups)] : [],
+      };
+    },
+  };
+}
+
+module.exports = { createOidcProvider };
@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+const User = require("../../models/user.model");
+const Group = require("../../models/group.model");
+const Role = require("../../models/role.model");
+const audit = require("../audit");
+
+const identityQuery = (providerId, subject) => ({
+  identities: { $elemMatch: { provider: providerId, subject } },
+});
+
+/**
+ * Role for a set of IdP groups: the first matching mapping, else the
+ * provider's default role.
+ */
+const mappedRole = (options, groups) =>
+  options.roleMappings.find((mapping) => groups.includes(mapping.group))?.role || options.defaultRole;
+
+// Lowercase, URL-safe and unused, derived from what the IdP gave us
+async function uniqueUsername(profile) {
+  const base =
+    String(profile.username || profile.email?.split("@")[0] || "user")
+      .toLowerCase()
+      .replace(/[^a-z0-9._-]/g, "")
+      .padEnd(3, "0")
+      .slice(0, 30);
+
+  if (!(await User.exists({ username: base }))) return base;
+  for (let i = 0; i < 5; i++) {
+    const candidate = `${base}-${crypto.randomInt(1000, 10000)}`;
+    if (!(await User.exists({ username: candidate }))) return candidate;
+  }
+  throw createError(409, "Could not pick a unique username");
+}
+
+/**
+ * Applies role and group mappings from the IdP's group claim.
+ * Only groups named in groupMappings are touched.
+ */
+async function applyMappings(req, provider, user, profile) {
+  const { options } = provider;
+
+  if (options.roleMappings.length) {
+    const role = mappedRole(options, profile.groups);
+    if (role !== user.role) {
+      if (!(await Role.exists({ name: role }))) {
+        console.warn(`⚠️ SSO provider "${provider.id}" maps to unknown role "${role}"`);
+      } else {
+        const before = user.role;
+        user.role = role;
+        await User.updateOne({ _id: user._id }, { role });
+        await audit.record(req, "user.role_change", {
+          actor: user,
+          target: audit.targetOf("user", user),
+          before: { role: before },
+          after: { role },
+          metadata: { source: "sso", provider: provider.id },
+        });
+      }
+    }
+  }
+
+  for (const mapping of options.groupMappings) {
+    const group = await Group.findOne({ name: mapping.localGroup }).select("_id name");
+    if (!group) {
+      console.warn(`⚠️ SSO provider "${provider.id}" maps to unknown group "${mapping.localGroup}"`);
+      continue;
+    }
+    const update = profile.groups.includes(mapping.group)
+      ? { $addToSet: { members: user._id } }
+      : { $pull: { members: user._id } };
+    await Group.updateOne({ _id: group._id }, update);
+  }
+}
+
+/**
+ * Finds or creates the local user for an SSO profile:
+ * 1. a user already linked to this provider subject,
+ * 2. the user who started an explicit link from their account,
+ * 3. a local account with the same (verified) email, if linking is on,
+ * 4. a new account, if auto-provisioning is on.
+ * @param {Object} req
+ * @param {Object} provider - From utils/sso getProvider()
+ * @param {Object} profile - From provider.handleCallback()
+ * @param {{ linkUserId?: string }} [state]
+ * @returns {Promise<{ user: Object, created: boolean, linked: boolean }>}
+ */
+async function resolveUser(req, provider, profile, { linkUserId } = {}) {
+  const { options } = provider;
+  const email = profile.email?.trim().toLowerCase();
+  const identity = { provider: provider.id, subject: profile.subject, email, lastLoginAt: new Date() };
+
+  let user = await User.findOne(identityQuery(provider.id, profile.subject));
+  if (user) {
+    if (linkUserId && user._id.toString() !== linkUserId) {
+      throw createError(409, "This identity is already linked to another account");
+    }
+    await User.updateOne(
+      { _id: user._id, "identities.provider": provider.id, "identities.subject": profile.subject },
+      { $set: { "identities.$.lastLoginAt": new Date(), "identities.$.email": email } }
+    );
+    if (options.syncOnLogin) await applyMappings(req, provider, user, profile);
+    return { user, created: false, linked: false };
+  }
+
+  let linked = false;
+  if (linkUserId) {
+    user = await User.findById(linkUserId);
+    linked = !!user;
+  } else if (email) {
+    user = await User.findOne({ email });
+    if (user) {
+      if (!options.linkExistingAccounts || !profile.emailVerified) {
+        throw createError(
+          409,
+          "An account with this email already exists. Sign in with your password and link this provider from your account."
+        );
+      }
+      linked = true;
+    }
+  }
+
+  if (user) {
+    if (user.identities.some((i) => i.provider === provider.id)) {
+      throw createError(409, "Your account is already linked to a different identity at this provider");
+    }
+    user.identities.push(identity);
+    await user.save();
+    await audit.record(req, "auth.sso_link", {
+      actor: user,
+      target: audit.targetOf("user", user),
+      metadata: { provider: provider.id, subject: profile.subject, explicit: !!linkUserId },
+    });
+    await applyMappings(req, provider, user, profile);
+    return { user, created: false, linked };
+  }
+
+  if (!options.autoProvision) {
+    throw createError(403, "No account exists for this identity. Ask an administrator for access.");
+  }
+  if (!email) throw createError(400, "The identity provider did not share an email address");
+
+  user = await User.create({
+    username: await uniqueUsername(profile),
+    email,
+    // Unknown to anyone; the account is used through SSO
+    password: crypto.randomBytes(32).toString("base64url"),
+    role: mappedRole(options, profile.groups),
+    identities: [identity],
+  });
+  await audit.record(req, "user.create", {
+    actor: user,
+    target: audit.targetOf("user", user),
+    after: audit.pick(user, ["username", "email", "role"]),
+    metadata: { source: "sso", provider: provider.id },
+  });
+  await applyMappings(req, provider, user, profile);
+  return { user, created: true, linked: false };
+}
+
+module.exports = { resolveUser, mappedRole };
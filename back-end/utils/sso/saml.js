@@ -0,0 +1,126 @@
+const createError = require("http-errors");
+const config = require("../../config/config");
+const SamlRequest = require("../../models/samlRequest.model");
+
+// node-saml does the XML signature work. It is only needed when a SAML
+// provider is configured, so it's an optional dependency
+const loadSaml = () => {
+  try {
+    return require("@node-saml/node-saml").SAML;
+  } catch (err) {
+    throw new Error(
+      'SAML providers need the optional "@node-saml/node-saml" package: npm install @node-saml/node-saml'
+    );
+  }
+};
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * node-saml cache provider keeping the IDs of our AuthnRequests in
+ * MongoDB, so any instance can check a response's InResponseTo and a
+ * response can't be replayed once it has been used.
+ * @param {string} provider - Provider id
+ * @param {number} ttlMs - How long a request may stay unanswered
+ */
+function requestCache(provider, ttlMs) {
+  return {
+    async saveAsync(requestId, value) {
+      const createdAt = Date.now();
+      await SamlRequest.updateOne(
+        { provider, requestId },
+        { $setOnInsert: { value, expiresAt: new Date(createdAt + ttlMs) } },
+        { upsert: true }
+      );
+      return { value, createdAt };
+    },
+
+    async getAsync(requestId) {
+      const request = await SamlRequest.findOne({
+        provider,
+        requestId: String(requestId),
+        expiresAt: { $gt: new Date() },
+      });
+      return request ? request.value : null;
+    },
+
+    async removeAsync(requestId) {
+      if (!requestId) return null;
+      const request = await SamlRequest.findOneAndDelete({ provider, requestId: String(requestId) });
+      return request ? request.value : null;
+    },
+  };
+}
+
+/**
+ * SAML 2.0 SP-initiated login (HTTP-POST binding for the response).
+ * @param {Object} options - Provider entry from config.sso.providers
+ * @param {string} options.entryPoint - IdP single sign-on URL
+ * @param {string} options.idpCert - IdP signing certificate (PEM or base64)
+ * @param {string} [options.spEntityId] - Our entity ID, defaults to the metadata URL
+ * @param {string} [options.emailAttribute="email"]
+ * @param {string} [options.usernameAttribute]
+ * @param {string} [options.groupsAttribute="groups"]
+ * @param {string} callbackUrl
+ */
+function createSamlProvider(options, callbackUrl) {
+  const {
+    entryPoint,
+    idpCert,
+    spEntityId = callbackUrl.replace(/\/callback$/, "/metadata"),
+    emailAttribute = "email",
+    usernameAttribute,
+    groupsAttribute = "groups",
+  } = options;
+  if (!entryPoint || !idpCert) {
+    throw new Error(`SSO provider "${options.id}" needs entryPoint and idpCert`);
+  }
+
+  const SAML = loadSaml();
+  const saml = new SAML({
+    callbackUrl,
+    entryPoint,
+    issuer: spEntityId,
+    audience: spEntityId,
+    idpCert,
+    wantAssertionsSigned: true,
+    // Only answers to requests we sent, each accepted once
+    validateInResponseTo: "always",
+    requestIdExpirationPeriodMs: config.sso.stateTtlMinutes * 60 * 1000,
+    cacheProvider: requestCache(options.id, config.sso.stateTtlMinutes * 60 * 1000),
+  });
+
+  return {
+    id: options.id,
+    type: "saml",
+    // The IdP posts back cross-site, so state travels in RelayState
+    usesState: false,
+
+    async authorizationUrl({ state }) {
+      return saml.getAuthorizeUrlAsync(state, undefined, {});
+    },
+
+    async handleCallback(req) {
+      if (!req.body?.SAMLResponse) throw createError(400, "Missing SAMLResponse");
+      const { profile } = await saml.validatePostResponseAsync(req.body);
+      if (!profile) throw createError(401, "SAML response had no assertion");
+
+      const groups = profile[groupsAttribute];
+      return {
+        subject: profile.nameID,
+        email: firstValue(profile[emailAttribute]) || profile.email || profile.mail,
+        // Signed assertions from the configured IdP are trusted for email
+        emailVerified: true,
+        name: firstValue(profile.displayName || profile.cn),
+        username: usernameAttribute ? firstValue(profile[usernameAttribute]) : undefined,
+        groups: Array.isArray(groups) ? groups.map(String) : groups ? [String(groups)] : [],
+      };
+    },
+
+    metadata() {
+      return saml.generateServiceProviderMetadata(null, null);
+    },
+  };
+}
+
+module.exports = { createSamlProvider };
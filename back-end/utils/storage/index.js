@@ -0,0 +1,139 @@
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../../config/config");
+const { createLocalDriver, ensureFileAvailable } = require("./local");
+
+// Use absolute path to storage directory
+const STORAGE_ROOT = path.resolve(__dirname, "../../storage");
+
+const drivers = {
+  local: () => createLocalDriver({ root: STORAGE_ROOT }),
+  // Required lazily so the AWS SDK is only loaded when it is used
+  s3: () => require("./s3").createS3Driver(config.storage.s3),
+};
+
+if (!drivers[config.storage.driver]) {
+  throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+}
+
+const driver = drivers[config.storage.driver]();
+
+/**
+ * Normalizes a stored path into a driver key.
+ * - Accepts legacy absolute paths under STORAGE_ROOT
+ * - Converts backslashes and strips leading slashes
+ * - Rejects keys that would escape the storage root
+ * @param {string} storedPath - Path as saved on File/Folder documents
+ * @returns {string} Relative, forward-slash key
+ */
+function toKey(storedPath) {
+  let key = String(storedPath || "");
+
+  if (path.isAbsolute(key) && path.resolve(key).startsWith(STORAGE_ROOT)) {
+    key = path.relative(STORAGE_ROOT, path.resolve(key));
+  }
+
+  key = path.posix.normalize(key.replace(/\\/g, "/")).replace(/^\/+/, "");
+
+  if (key === ".") return "";
+  if (key === ".." || key.startsWith("../")) {
+    throw new Error("Invalid storage path");
+  }
+
+  return key;
+}
+
+module.exports = {
+  STORAGE_ROOT,
+  driver,
+  toKey,
+
+  getFullPath(relativePath) {
+    if (!driver.resolve) {
+      throw new Error(`Storage driver "${driver.name}" has no local paths`);
+    }
+    return driver.resolve(toKey(relativePath));
+  },
+
+  async put(relativePath, body) {
+    return driver.put(toKey(relativePath), body);
+  },
+
+  // Moves a local temp file (e.g. a multer upload) into storage
+  async putFile(relativePath, localPath) {
+    return driver.putFile(toKey(relativePath), localPath);
+  },
+
+  async getStream(relativePath, range) {
+    return driver.getStream(toKey(relativePath), range);
+  },
+
+  async stat(relativePath) {
+    return driver.stat(toKey(relativePath));
+  },
+
+  async delete(relativePath) {
+    return driver.delete(toKey(relativePath));
+  },
+
+  async copy(fromPath, toPath) {
+    return driver.copy(toKey(fromPath), toKey(toPath));
+  },
+
+  async list(prefix) {
+    return driver.list(toKey(prefix));
+  },
+
+  async createDirectory(relativePath) {
+    return driver.createDirectory(toKey(relativePath));
+  },
+
+  async deleteDirectory(relativePath) {
+    const key = toKey(relativePath);
+    if (!key) throw new Error("Attempted to delete protected directory");
+    return driver.deleteDirectory(key);
+  },
+
+  async moveDirectory(oldRelativePath, newRelativePath) {
+    return driver.moveDirectory(toKey(oldRelativePath), toKey(newRelativePath));
+  },
+
+  async pathExists(relativePath) {
+    try {
+      return !!(await driver.stat(toKey(relativePath)));
+    } catch {
+      return false;
+    }
+  },
+
+  async readFile(relativePath) {
+    const stream = await driver.getStream(toKey(relativePath));
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  },
+
+  /**
+   * Streams a stored object through a hash without buffering it
+   * @param {string} relativePath
+   * @param {string} [algorithm="sha256"]
+   * @returns {Promise<string>} Hex digest
+   */
+  async hash(relativePath, algorithm = "sha256") {
+    const hashSum = crypto.createHash(algorithm);
+    const stream = await driver.getStream(toKey(relativePath));
+    for await (const chunk of stream) hashSum.update(chunk);
+    return hashSum.digest("hex");
+  },
+
+  async fileExists(relativePath) {
+    return this.pathExists(relativePath);
+  },
+
+  async rename(oldPath, newPath) {
+    return driver.move(toKey(oldPath), toKey(newPath));
+  },
+
+  // Expose the helper if needed for other read ops
+  ensureFileAvailable,
+};
@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { promisify } = require("util");
+
+const mkdir = promisify(fs.mkdir);
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+const rmdir = promisify(fs.rmdir);
+const stat = promisify(fs.stat);
+const readdir = promisify(fs.readdir);
+
+/**
+ * Ensures a file is available for reading.
+ * - Tries reading the first byte
+ * - If permission error (EPERM), copies it to a temp path
+ * @param {string} filePath - Absolute path to file
+ * @returns {Promise<string>} Original path if accessible, or temp path if copied
+ */
+async function ensureFileAvailable(filePath) {
+  try {
+    const fd = await fs.promises.open(filePath, "r");
+    await fd.read(Buffer.alloc(1), 0, 1, 0); // Try to read 1 byte
+    await fd.close();
+    return filePath; // File is fine, return original path
+  } catch (err) {
+    if (err.code === "EPERM") {
+      // Copy to temporary location for access
+      const tempPath = path.join(os.tmpdir(), path.basename(filePath));
+      await fs.promises.copyFile(filePath, tempPath);
+      return tempPath;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Local-disk storage driver. Keys map 1:1 onto paths below `root`,
+ * which is the layout the app has always used.
+ * @param {{ root: string }} options
+ */
+function createLocalDriver({ root }) {
+  const STORAGE_ROOT = path.resolve(root);
+
+  // Create storage directory if it doesn't exist
+  if (!fs.existsSync(STORAGE_ROOT)) {
+    fs.mkdirSync(STORAGE_ROOT, { recursive: true });
+  }
+
+  const resolve = (key) => path.join(STORAGE_ROOT, key);
+
+  return {
+    name: "local",
+    root: STORAGE_ROOT,
+    resolve,
+
+    async put(key, body) {
+      const fullPath = resolve(key);
+      await mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, body);
+    },
+
+    async putFile(key, localPath) {
+      const fullPath = resolve(key);
+      await mkdir(path.dirname(fullPath), { recursive: true });
+
+      try {
+        await rename(localPath, fullPath);
+      } catch (err) {
+        // Temp dir and storage root can live on different devices
+        if (err.code !== "EXDEV") throw err;
+        await fs.promises.copyFile(localPath, fullPath);
+        await unlink(localPath);
+      }
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const effectivePath = await ensureFileAvailable(resolve(key));
+      return fs.createReadStream(effectivePath, { start, end });
+    },
+
+    async stat(key) {
+      try {
+        const stats = await stat(resolve(key));
+        return {
+          size: stats.size,
+          lastModified: stats.mtime,
+          isDirectory: stats.isDirectory(),
+        };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await unlink(resolve(key));
+      } catch (err) {
+        // ignore missing file
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    async move(fromKey, toKey) {
+      const fullNewPath = resolve(toKey);
+
+      // Ensure parent directory exists
+      await mkdir(path.dirname(fullNewPath), { recursive: true });
+      await rename(resolve(fromKey), fullNewPath);
+    },
+
+    async copy(fromKey, toKey) {
+      const fullNewPath = resolve(toKey);
+      await mkdir(path.dirname(fullNewPath), { recursive: true });
+      await fs.promises.copyFile(resolve(fromKey), fullNewPath);
+    },
+
+    async list(prefix = "") {
+      const results = [];
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === "ENOENT") return;
+          throw err;
+        }
+
+        for (const entry of entries) {
+          const currentPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(currentPath);
+          } else {
+            const stats = await stat(currentPath);
+            results.push({
+              key: path.relative(STORAGE_ROOT, currentPath).replace(/\\/g, "/"),
+              size: stats.size,
+              lastModified: stats.mtime,
+            });
+          }
+        }
+      };
+
+      await walk(resolve(prefix));
+      return results;
+    },
+
+    async createDirectory(prefix) {
+      await mkdir(resolve(prefix), { recursive: true });
+    },
+
+    async deleteDirectory(prefix) {
+      const fullPath = resolve(prefix);
+
+      if (fullPath === STORAGE_ROOT || !fullPath.startsWith(STORAGE_ROOT)) {
+        throw new Error("Attempted to delete protected directory");
+      }
+
+      let files;
+      try {
+        files = await readdir(fullPath);
+      } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+      }
+
+      await Promise.all(
+        files.map(async (file) => {
+          const currentPath = path.join(fullPath, file);
+          const stats = await stat(currentPath);
+
+          if (stats.isDirectory()) {
+            await this.deleteDirectory(path.relative(STORAGE_ROOT, currentPath));
+          } else {
+            await unlink(currentPath);
+          }
+        })
+      );
+
+      await rmdir(fullPath);
+    },
+
+    async moveDirectory(fromPrefix, toPrefix) {
+      await this.move(fromPrefix, toPrefix);
+    },
+
+    ensureFileAvailable,
+  };
+}
+
+module.exports = { createLocalDriver, ensureFileAvailable };
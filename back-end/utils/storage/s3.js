@@ -0,0 +1,173 @@
+const fs = require("fs");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+const isNotFound = (err) =>
+  err.name === "NotFound" ||
+  err.name === "NoSuchKey" ||
+  err.$metadata?.httpStatusCode === 404;
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Ceph RGW, ...).
+ * Folders are plain key prefixes, so directory operations work on
+ * every object below the prefix.
+ * @param {{ bucket: string, endpoint?: string, region: string,
+ *   accessKeyId?: string, secretAccessKey?: string, forcePathStyle: boolean }} options
+ */
+function createS3Driver(options) {
+  if (!options.bucket) {
+    throw new Error("S3 storage driver requires S3_BUCKET to be set");
+  }
+
+  const Bucket = options.bucket;
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint || undefined,
+    forcePathStyle: options.forcePathStyle,
+    ...(options.accessKeyId && {
+      credentials: {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey,
+      },
+    }),
+  });
+
+  const asPrefix = (prefix) => (prefix ? `${prefix.replace(/\/+$/, "")}/` : "");
+  const copySource = (key) =>
+    `${Bucket}/${key.split("/").map(encodeURIComponent).join("/")}`;
+
+  return {
+    name: "s3",
+    bucket: Bucket,
+    client,
+
+    async put(key, body) {
+      await client.send(new PutObjectCommand({ Bucket, Key: key, Body: body }));
+    },
+
+    async putFile(key, localPath) {
+      const { size } = await fs.promises.stat(localPath);
+      await client.send(
+        new PutObjectCommand({
+          Bucket,
+          Key: key,
+          Body: fs.createReadStream(localPath),
+          ContentLength: size,
+        })
+      );
+      await fs.promises.unlink(localPath);
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const range =
+        start !== undefined
+          ? `bytes=${start}-${end !== undefined ? end : ""}`
+          : undefined;
+
+      const response = await client.send(
+        new GetObjectCommand({ Bucket, Key: key, Range: range })
+      );
+      return response.Body;
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket, Key: key }));
+        return {
+          size: head.ContentLength,
+          lastModified: head.LastModified,
+          isDirectory: false,
+        };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket, Key: key }));
+    },
+
+    async move(fromKey, toKey) {
+      await this.copy(fromKey, toKey);
+      await this.delete(fromKey);
+    },
+
+    async copy(fromKey, toKey) {
+      await client.send(
+        new CopyObjectCommand({ Bucket, Key: toKey, CopySource: copySource(fromKey) })
+      );
+    },
+
+    async list(prefix = "") {
+      const results = [];
+      let ContinuationToken;
+
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({
+            Bucket,
+            Prefix: asPrefix(prefix),
+            ContinuationToken,
+          })
+        );
+
+        for (const object of page.Contents || []) {
+          results.push({
+            key: object.Key,
+            size: object.Size,
+            lastModified: object.LastModified,
+          });
+        }
+
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+
+      return results;
+    },
+
+    // S3 has no real directories; prefixes appear once an object is written
+    async createDirectory() {},
+
+    async deleteDirectory(prefix) {
+      if (!prefix) {
+        throw new Error("Attempted to delete protected directory");
+      }
+
+      const objects = await this.list(prefix);
+
+      // DeleteObjects accepts at most 1000 keys per request
+      for (let i = 0; i < objects.length; i += 1000) {
+        await client.send(
+          new DeleteObjectsCommand({
+            Bucket,
+            Delete: {
+              Objects: objects.slice(i, i + 1000).map((o) => ({ Key: o.key })),
+              Quiet: true,
+            },
+          })
+        );
+      }
+    },
+
+    async moveDirectory(fromPrefix, toPrefix) {
+      const objects = await this.list(fromPrefix);
+      const from = asPrefix(fromPrefix);
+      const to = asPrefix(toPrefix);
+
+      for (const object of objects) {
+        await this.move(object.key, to + object.key.slice(from.length));
+      }
+    },
+  };
+}
+
+module.exports = { createS3Driver };
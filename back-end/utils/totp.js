@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps),
+// which is what Google Authenticator, Authy, 1Password etc. expect.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * @returns {string} New random secret, base32 encoded (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP value (RFC 4226) for a counter.
+ * @param {string} secret - base32
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, "0");
+}
+
+/**
+ * Checks a code against the current step and `window` steps either side
+ * (to allow for clock drift).
+ * @param {string} secret - base32
+ * @param {string} code - What the user typed
+ * @param {{ window?: number, afterStep?: number }} [options]
+ *   afterStep: last step already used; older codes are refused (no replay)
+ * @returns {number|null} The matching step, or null
+ */
+function verify(secret, code, { window = 1, afterStep = -1 } = {}) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually rendered as a QR code).
+ * @param {{ secret: string, account: string, issuer: string }} options
+ */
+function keyUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  verify,
+  keyUri,
+  hotp,
+  currentStep,
+  base32Encode,
+  base32Decode,
+};
@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user.model");
+const Setting = require("../models/setting.model");
+const config = require("../config/config");
+const totp = require("./totp");
+const secretBox = require("./secretBox");
+
+const REQUIRED_ROLES_KEY = "security.require2faRoles";
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+// Challenges get their own key and audience so they can never pass for an
+// access token, which is signed with jwtSecret itself
+const CHALLENGE_AUDIENCE = "2fa-challenge";
+const challengeSecret = () =>
+  crypto.createHmac("sha256", config.jwtSecret).update(CHALLENGE_AUDIENCE).digest("hex");
+
+const hashCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/**
+ * Roles that must use a second factor (org setting).
+ * @returns {Promise<string[]>}
+ */
+const requiredRoles = () => Setting.getValue(REQUIRED_ROLES_KEY, []);
+
+const isRequiredFor = async (user) => (await requiredRoles()).includes(user.role);
+
+/**
+ * Signs a short-lived token standing in for "password checked" between
+ * the two login steps. purpose is "2fa-login" or "2fa-enroll".
+ */
+function issueChallenge(user, purpose) {
+  return jwt.sign({ userId: user._id, purpose }, challengeSecret(), {
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: config.twoFactor.challengeTtlMinutes * 60,
+  });
+}
+
+/**
+ * @returns {string|null} The user id, or null if invalid/expired/wrong purpose
+ */
+function readChallenge(token, purpose) {
+  try {
+    const payload = jwt.verify(String(token), challengeSecret(), { audience: CHALLENGE_AUDIENCE });
+    return payload.purpose === purpose ? payload.userId : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Loads a user with the two-factor secrets selected.
+ */
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+/**
+ * Starts (or restarts) enrollment with a fresh secret. Nothing changes
+ * for login until activate() confirms the user's app produces codes.
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+async function startEnrollment(user) {
+  const secret = totp.generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { "twoFactor.pendingSecret": secretBox.seal(secret) }
+  );
+  return {
+    secret,
+    otpauthUri: totp.keyUri({
+      secret,
+      account: user.email,
+      issuer: config.twoFactor.issuer,
+    }),
+  };
+}
+
+/**
+ * Generates new recovery codes, replacing any old ones.
+ * @returns {Promise<string[]>} Plain codes, to be shown once
+ */
+async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await User.updateOne(
+    { _id: userId },
+    { "twoFactor.recoveryCodes": codes.map(hashCode) }
+  );
+  return codes;
+}
+
+/**
+ * Confirms enrollment with a code from the user's app.
+ * @returns {Promise<string[]|null>} Recovery codes, or null if the code is wrong
+ */
+async function activate(userId, code) {
+  const user = await loadWithSecrets(userId);
+  const pending = user?.twoFactor?.pendingSecret;
+  if (!pending) return null;
+
+  const secret = secretBox.open(pending);
+  const step = totp.verify(secret, code);
+  if (step === null) return null;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": pending,
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.enabledAt": new Date(),
+      },
+      $unset: { "twoFactor.pendingSecret": "" },
+    }
+  );
+  return regenerateRecoveryCodes(user._id);
+}
+
+/**
+ * Checks a TOTP code or a recovery code. Each is accepted once.
+ * @param {ObjectId|string} userId
+ * @param {{ code?: string, recoveryCode?: string }} input
+ * @returns {Promise<{ ok: boolean, method?: "totp"|"recovery_code", recoveryCodesLeft?: number }>}
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const user = await loadWithSecrets(userId);
+  if (!user?.twoFactor?.enabled) return { ok: false };
+
+  if (recoveryCode) {
+    // Atomic pull so a code can't be spent twice concurrently
+    const hash = hashCode(recoveryCode);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } },
+      { new: true }
+    ).select("+twoFactor.recoveryCodes");
+    if (!updated) return { ok: false };
+    return {
+      ok: true,
+      method: "recovery_code",
+      recoveryCodesLeft: updated.twoFactor.recoveryCodes.length,
+    };
+  }
+
+  const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+  const step = totp.verify(secretBox.open(user.twoFactor.secret), code, {
+    afterStep: lastUsedStep,
+  });
+  if (step === null) return { ok: false };
+
+  const result = await User.updateOne(
+    { _id: user._id, "twoFactor.lastUsedStep": lastUsedStep === -1 ? { $exists: false } : lastUsedStep },
+    { "twoFactor.lastUsedStep": step }
+  );
+  // Someone else used a code in the meantime; treat this one as replayed
+  if (result.modifiedCount !== 1) return { ok: false };
+
+  return { ok: true, method: "totp" };
+}
+
+async function disable(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.recoveryCodes": "",
+        "twoFactor.lastUsedStep": "",
+        "twoFactor.enabledAt": "",
+      },
+    }
+  );
+}
+
+/**
+ * Summary for the account page.
+ */
+async function status(user) {
+  const loaded = await loadWithSecrets(user._id);
+  return {
+    enabled: !!loaded?.twoFactor?.enabled,
+    enabledAt: loaded?.twoFactor?.enabledAt || null,
+    enrollmentPending: !!loaded?.twoFactor?.pendingSecret,
+    recoveryCodesLeft: loaded?.twoFactor?.recoveryCodes?.length || 0,
+    required: await isRequiredFor(user),
+  };
+}
+
+module.exports = {
+  REQUIRED_ROLES_KEY,
+  requiredRoles,
+  isRequiredFor,
+  issueChallenge,
+  readChallenge,
+  startEnrollment,
+  activate,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  status,
+};
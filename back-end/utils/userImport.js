@@ -0,0 +1,316 @@
+const User = require("../models/user.model");
+const Role = require("../models/role.model");
+const Group = require("../models/group.model");
+const Folder = require("../models/folder.model");
+const Invitation = require("../models/invitation.model");
+const config = require("../config/config");
+const csv = require("./csv");
+const policy = require("./policy");
+const audit = require("./audit");
+const passwordPolicy = require("./passwordPolicy");
+const { sendInvitation } = require("./invitations");
+
+// How new accounts get their first password
+const MODES = ["invite", "password"];
+
+const COLUMNS = ["username", "email", "role", "groups", "folders"];
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME = /^[a-z0-9._-]{3,30}$/;
+
+// "a; b" -> ["a", "b"]
+const splitList = (value) =>
+  String(value || "")
+    .split(";")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Reads the CSV into rows keyed by column. The header row is required;
+ * columns can be in any order and "groups"/"folders" are optional.
+ * @param {string} text
+ * @returns {{ rows?: Object[], error?: string }}
+ */
+function readCsv(text) {
+  const [header, ...records] = csv.parse(text);
+  if (!header) return { error: "The file is empty" };
+
+  const names = header.cells.map((name) => name.trim().toLowerCase());
+  const unknown = names.filter((name) => !COLUMNS.includes(name));
+  if (unknown.length) {
+    return { error: `Unknown column(s): ${unknown.join(", ")}. Expected: ${COLUMNS.join(", ")}` };
+  }
+  for (const required of ["email", "role"]) {
+    if (!names.includes(required)) return { error: `Missing column: ${required}` };
+  }
+  if (records.length > config.userImport.maxRows) {
+    return { error: `At most ${config.userImport.maxRows} rows can be imported at once` };
+  }
+
+  const rows = records.map(({ line, cells }) => {
+    const row = { line };
+    names.forEach((name, i) => {
+      row[name] = (cells[i] || "").trim();
+    });
+    return row;
+  });
+  return { rows };
+}
+
+// Looks up each referenced role, group and folder once for the whole file
+async function loadLookups(rows) {
+  const groupNames = [...new Set(rows.flatMap((row) => splitList(row.groups)))];
+  const folderPaths = [
+    ...new Set(rows.flatMap((row) => splitList(row.folders).map((f) => f.split(":")[0].trim()))),
+  ].map((path) => path.replace(/^\/+/, ""));
+  const emails = rows.map((row) => row.email.toLowerCase());
+  const usernames = rows.map((row) => row.username?.toLowerCase()).filter(Boolean);
+
+  const [roles, groups, folders, existingEmails, existingUsernames, invited] = await Promise.all([
+    Role.find().distinct("name"),
+    Group.find({ name: { $in: groupNames } }).select("name"),
+    Folder.find({
+      path: { $in: folderPaths.flatMap((path) => [path, `/${path}`]) },
+      isDeleted: { $ne: true },
+    }).select("name path parentFolder createdBy access inheritPermissions isSystemFolder"),
+    User.find({ email: { $in: emails } }).distinct("email"),
+    User.find({ username: { $in: usernames } }).distinct("username"),
+    Invitation.find({ email: { $in: emails }, ...Invitation.statusFilter("pending") }).distinct("email"),
+  ]);
+
+  return {
+    roles: new Set(roles),
+    groups: new Map(groups.map((group) => [group.name, group])),
+    folders: new Map(folders.map((folder) => [folder.path.replace(/^\/+/, ""), folder])),
+    existingEmails: new Set(existingEmails),
+    existingUsernames: new Set(existingUsernames),
+    invited: new Set(invited),
+  };
+}
+
+/**
+ * Checks every row and resolves its references. Rows are independent:
+ * one bad row doesn't stop the others.
+ * @returns {Promise<Object[]>} Rows with `errors` (empty when valid)
+ */
+async function validateRows(actor, rows, mode) {
+  const lookups = await loadLookups(rows);
+  const canManageGroups = await policy.can(actor, "group:update");
+  const shareable = new Map();
+  const seenEmails = new Set();
+  const seenUsernames = new Set();
+
+  const results = [];
+  for (const row of rows) {
+    const errors = [];
+    const email = row.email.toLowerCase();
+    const username = row.username?.toLowerCase() || "";
+
+    if (!EMAIL.test(email)) errors.push("Invalid email");
+    else if (seenEmails.has(email)) errors.push("Email appears more than once in the file");
+    else if (lookups.existingEmails.has(email)) errors.push("A user with this email already exists");
+    else if (mode === "invite" && lookups.invited.has(email)) errors.push("Email already has a pending invitation");
+    seenEmails.add(email);
+
+    // Invited people choose their own username when they accept
+    if (mode === "password") {
+      if (!USERNAME.test(username)) {
+        errors.push("Username must be 3-30 characters: letters, digits, dots, dashes or underscores");
+      } else if (seenUsernames.has(username)) {
+        errors.push("Username appears more than once in the file");
+      } else if (lookups.existingUsernames.has(username)) {
+        errors.push("Username is taken");
+      }
+      seenUsernames.add(username);
+    }
+
+    if (!lookups.roles.has(row.role)) errors.push(`Unknown role "${row.role}"`);
+    else if (!policy.canAssignRole(actor, row.role)) errors.push(`Not authorized to assign role "${row.role}"`);
+
+    const groups = [];
+    for (const name of splitList(row.groups)) {
+      const group = lookups.groups.get(name);
+      if (!group) errors.push(`Unknown group "${name}"`);
+      else if (!canManageGroups) errors.push("Not authorized to add users to groups");
+      else groups.push(group);
+    }
+
+    const grants = [];
+    for (const entry of splitList(row.folders)) {
+      const [rawPath, permission = "read"] = entry.split(":").map((part) => part.trim());
+      const path = rawPath.replace(/^\/+/, "");
+      const folder = lookups.folders.get(path);
+      if (!["read", "write", "admin"].includes(permission)) {
+        errors.push(`Permission for "${path}" must be read, write or admin`);
+      } else if (!folder) {
+        errors.push(`Unknown folder "${path}"`);
+      } else {
+        if (!shareable.has(path)) shareable.set(path, await policy.can(actor, "folder:share", { folder }));
+        if (!shareable.get(path)) errors.push(`Not authorized to share folder "${path}"`);
+        else grants.push({ folder, permission });
+      }
+    }
+
+    results.push({
+      line: row.line,
+      email,
+      username: mode === "password" ? username : undefined,
+      role: row.role,
+      groups,
+      grants,
+      errors,
+    });
+  }
+  return results;
+}
+
+async function createWithPassword(req, row) {
+  const password = passwordPolicy.generate();
+  const user = await User.create({
+    username: row.username,
+    email: row.email,
+    password,
+    role: row.role,
+    mustChangePassword: true,
+  });
+  await audit.record(req, "user.create", {
+    target: audit.targetOf("user", user),
+    after: audit.pick(user, ["username", "email", "role"]),
+    metadata: { source: "import" },
+  });
+
+  for (const group of row.groups) {
+    await Group.updateOne({ _id: group._id }, { $addToSet: { members: user._id } });
+    await audit.record(req, "group.member_add", {
+      target: audit.targetOf("group", group),
+      metadata: { users: [user._id], source: "import" },
+    });
+  }
+  for (const { folder, permission } of row.grants) {
+    await Folder.updateOne(
+      { _id: folder._id, "access.user": { $ne: user._id } },
+      { $push: { access: { user: user._id, permission, grantedAt: new Date() } } }
+    );
+    await audit.record(req, "folder.access_grant", {
+      target: audit.targetOf("folder", folder),
+      after: { permission },
+      metadata: { user: user._id, source: "import" },
+    });
+  }
+  return { userId: user._id, temporaryPassword: password };
+}
+
+async function invite(req, row) {
+  const invitation = new Invitation({
+    email: row.email,
+    role: row.role,
+    grants: row.grants.map(({ folder, permission }) => ({ folder: folder._id, permission })),
+    groups: row.groups.map((group) => group._id),
+    invitedBy: req.user._id,
+  });
+  await sendInvitation(invitation, req.user);
+  await audit.record(req, "user.invite", {
+    target: { type: "invitation", id: invitation._id, label: row.email },
+    after: {
+      email: row.email,
+      role: row.role,
+      grants: invitation.grants.map((g) => ({ folder: g.folder, permission: g.permission })),
+      groups: invitation.groups,
+    },
+    metadata: { source: "import" },
+  });
+  return { invitationId: invitation._id };
+}
+
+/**
+ * Imports users from CSV. Every row is validated first; with dryRun
+ * nothing is written and the response previews the outcome per row.
+ * Otherwise valid rows are imported and invalid ones reported.
+ *
+ * In "password" mode temporary passwords are returned once, in this
+ * response, and must be changed at first sign-in.
+ * @param {Object} req - req.user is the importing admin
+ * @param {string} text - CSV with username, email, role, groups, folders columns
+ * @param {{ mode: string, dryRun?: boolean }} options
+ * @returns {Promise<{ error?: string, summary?: Object, rows?: Object[] }>}
+ */
+async function importUsers(req, text, { mode, dryRun = false }) {
+  const { rows, error } = readCsv(text);
+  if (error) return { error };
+
+  const checked = await validateRows(req.user, rows, mode);
+  const summary = { mode, dryRun, total: checked.length, valid: 0, invalid: 0, imported: 0, failed: 0 };
+  const results = [];
+
+  for (const row of checked) {
+    const result = {
+      line: row.line,
+      email: row.email,
+      username: row.username,
+      role: row.role,
+      groups: row.groups.map((group) => group.name),
+      folders: row.grants.map(({ folder, permission }) => `${folder.path}:${permission}`),
+      errors: row.errors,
+    };
+    results.push(result);
+    if (row.errors.length) {
+      summary.invalid++;
+      continue;
+    }
+    summary.valid++;
+    if (dryRun) continue;
+
+    try {
+      Object.assign(result, mode === "password" ? await createWithPassword(req, row) : await invite(req, row));
+      result.imported = true;
+      summary.imported++;
+    } catch (err) {
+      // e.g. someone took the username since validation ran
+      result.errors.push(err.code === 11000 ? "Username or email already in use" : err.message);
+      summary.failed++;
+    }
+  }
+
+  if (!dryRun) {
+    await audit.record(req, "user.import", { metadata: summary });
+  }
+  return { summary, rows: results };
+}
+
+// Columns of the user export; groups come from a lookup (see exportRows)
+const EXPORT_COLUMNS = [
+  { header: "username", value: (u) => u.username },
+  { header: "email", value: (u) => u.email },
+  { header: "role", value: (u) => u.role },
+  { header: "status", value: (u) => u.status || "active" },
+  { header: "groups", value: (u) => u.groups.join("; ") },
+  { header: "lastLoginAt", value: (u) => u.lastLoginAt },
+  { header: "createdAt", value: (u) => u.createdAt },
+  { header: "deactivatedAt", value: (u) => u.deactivatedAt },
+  { header: "twoFactor", value: (u) => !!u.twoFactor?.enabled },
+  { header: "sso", value: (u) => (u.identities || []).map((i) => i.provider).join("; ") },
+];
+
+/**
+ * Users for export with their group names attached.
+ * @param {Object} filter - Mongo filter on users
+ * @returns {Promise<Object[]>}
+ */
+async function exportRows(filter = {}) {
+  const users = await User.find(filter)
+    .select("username email role status lastLoginAt createdAt deactivatedAt twoFactor.enabled identities.provider")
+    .sort({ username: 1 })
+    .lean();
+  const groups = await Group.find({ members: { $in: users.map((u) => u._id) } }).select("name members").lean();
+
+  const namesByUser = new Map();
+  for (const group of groups) {
+    for (const member of group.members) {
+      const key = member.toString();
+      if (!namesByUser.has(key)) namesByUser.set(key, []);
+      namesByUser.get(key).push(group.name);
+    }
+  }
+  return users.map((user) => ({ ...user, groups: namesByUser.get(user._id.toString()) || [] }));
+}
+
+module.exports = { MODES, COLUMNS, EXPORT_COLUMNS, importUsers, exportRows };